@@ -0,0 +1,222 @@
+import config from './config.js';
+import { auditLeaf, leafHash, nextChainHash, merkleRoot, merkleProof, verifyMerkleProof, GENESIS_HASH } from './merkle.js';
+import {
+  getAuditEntry,
+  getAuditEntries,
+  getAuditLeaves,
+  sealAuditEntries,
+  getAuditRoot,
+  getAuditRoots,
+  getAuditLogSize,
+} from './db.js';
+
+/**
+ * ClawDice — Tamper-evident game log
+ *
+ * /verify proves a single game; the log proves the set of games. Every game is
+ * appended as it is stored (in the same transaction) with
+ *
+ *   chain_hash = SHA256(previous chain_hash ‖ leaf_hash)
+ *
+ * and every AUDIT_ROOT_INTERVAL seconds the games since the last root are
+ * sealed, up to AUDIT_BATCH_SIZE at a time, under a Merkle root that also
+ * records the chain hash of its last game (see merkle.js for the hashing).
+ *
+ * Anyone can download the roots (GET /audit/roots) and keep them. A game's
+ * inclusion proof (GET /audit/proof/:id) ties it to a root; a pinned roots
+ * file checked later (POST /audit/check) shows whether any sealed history was
+ * deleted, reordered or edited since — each root's chain hash covers every
+ * game before it, so rewriting one old game changes every root after it.
+ */
+
+export const ROOTS_FILE_VERSION = 1;
+
+// How many problems a full check lists before it stops counting them in detail
+const MAX_PROBLEMS = 20;
+
+let timer = null;
+
+// Public view of a root
+export function rootInfo(root) {
+  return {
+    root_id: root.id,
+    merkle_root: root.merkle_root,
+    chain_hash: root.chain_hash,
+    first_seq: root.first_seq,
+    last_seq: root.last_seq,
+    size: root.size,
+    sealed_at: root.created_at,
+  };
+}
+
+// Seal every game waiting for a root, AUDIT_BATCH_SIZE per root. Returns the new roots.
+export function sealPendingGames() {
+  const build = (entries) => merkleRoot(entries.map((entry) => entry.leaf_hash));
+  const roots = [];
+  let root;
+  while ((root = sealAuditEntries(config.audit.batchSize, build))) roots.push(root);
+  return roots;
+}
+
+export function startAuditWorker() {
+  timer = setInterval(() => {
+    try {
+      sealPendingGames();
+    } catch (err) {
+      console.error('Audit worker error:', err);
+    }
+  }, config.audit.rootIntervalSeconds * 1000);
+  timer.unref();
+}
+
+export function stopAuditWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Inclusion proof for a game: its audited fields and leaf hash, the root it
+ * is sealed under and the path between them. Returns { proof }, or { error }
+ * with 'not_found' (not in the log) or 'not_sealed' (waiting for a root).
+ */
+export function getInclusionProof(gameId) {
+  const entry = getAuditEntry(gameId);
+  if (!entry) return { error: 'not_found' };
+  if (!entry.root_id) return { error: 'not_sealed', entry };
+
+  const root = getAuditRoot(entry.root_id);
+  const leaves = getAuditLeaves(root.id);
+  const index = leaves.findIndex((leaf) => leaf.seq === entry.seq);
+  // The entry again, joined with its game as stored now
+  const game = getAuditEntries(entry.seq - 1, 1)[0];
+  return {
+    proof: {
+      game_id: gameId,
+      seq: entry.seq,
+      // null if the game row has since been deleted
+      leaf: game.id === null ? null : auditLeaf(game),
+      leaf_hash: entry.leaf_hash,
+      chain_hash: entry.chain_hash,
+      index,
+      path: merkleProof(leaves.map((leaf) => leaf.leaf_hash), index),
+      root: rootInfo(root),
+    },
+  };
+}
+
+// Whether a proof from /audit/proof holds together: the leaf hashes to
+// leaf_hash and the path leads to the root
+export function checkInclusionProof(proof) {
+  return (
+    proof.leaf !== null &&
+    leafHash(proof.leaf) === proof.leaf_hash &&
+    verifyMerkleProof(proof.leaf_hash, proof.path, proof.root.merkle_root)
+  );
+}
+
+// Every published root, as a file to pin
+export function exportRoots() {
+  return {
+    version: ROOTS_FILE_VERSION,
+    name: 'ClawDice audit roots',
+    exported_at: new Date().toISOString(),
+    hashing: {
+      leaf: 'SHA256(0x00 ‖ JSON of the game fields, keys sorted, no whitespace)',
+      chain: 'SHA256(previous chain_hash ‖ leaf_hash), starting from 64 zeros',
+      node: 'SHA256(0x01 ‖ left ‖ right), RFC 6962 tree shape',
+    },
+    roots: getAuditRoots().map(rootInfo),
+  };
+}
+
+/**
+ * Compare a pinned roots file with the roots published now. Every pinned root
+ * must still be there, unchanged. Returns { ok, checked, latest_root_id,
+ * mismatches: [{ root_id, problem }] }.
+ */
+export function checkPinnedRoots(pinned) {
+  const roots = Array.isArray(pinned?.roots) ? pinned.roots : null;
+  if (!roots) return { ok: false, checked: 0, mismatches: [{ root_id: null, problem: 'not a roots file' }] };
+
+  const current = new Map(getAuditRoots().map((root) => [root.id, rootInfo(root)]));
+  const mismatches = [];
+  for (const root of roots) {
+    const now = current.get(root.root_id);
+    if (!now) {
+      mismatches.push({ root_id: root.root_id, problem: 'missing' });
+      continue;
+    }
+    for (const field of ['merkle_root', 'chain_hash', 'first_seq', 'last_seq', 'size']) {
+      if (now[field] !== root[field]) mismatches.push({ root_id: root.root_id, problem: `${field} changed` });
+    }
+  }
+  const latest = [...current.keys()].pop() ?? null;
+  return { ok: mismatches.length === 0, checked: roots.length, latest_root_id: latest, mismatches };
+}
+
+/**
+ * Recompute the whole log from the games table: every leaf from its game,
+ * the chain from the start, and every root from its leaves. This catches a
+ * game edited or deleted in the database even where nobody pinned a root,
+ * and games stored without going through the log.
+ * Returns { ok, entries, unsealed, roots, problems: [{ seq? | root_id?, game_id?, problem }] }.
+ */
+export function verifyAuditLog() {
+  const problems = [];
+  const report = (problem) => {
+    if (problems.length < MAX_PROBLEMS) problems.push(problem);
+  };
+
+  // Roots cover consecutive runs of the log, so each is checked as soon as its run ends
+  const roots = new Map(getAuditRoots().map((root) => [root.id, root]));
+  const checked = new Set();
+  let run = [];
+  const checkRun = () => {
+    if (!run.length) return;
+    const root = roots.get(run[0].root_id);
+    const last = run[run.length - 1];
+    checked.add(run[0].root_id);
+    if (
+      !root ||
+      run.length !== root.size ||
+      run[0].seq !== root.first_seq ||
+      last.seq !== root.last_seq ||
+      last.chain_hash !== root.chain_hash ||
+      merkleRoot(run.map((entry) => entry.leaf_hash)) !== root.merkle_root
+    ) {
+      report({ root_id: run[0].root_id, problem: 'root does not match its games' });
+    }
+    run = [];
+  };
+
+  let chainHash = GENESIS_HASH;
+  let entries = 0;
+  let afterSeq = 0;
+  let page;
+  while ((page = getAuditEntries(afterSeq)).length) {
+    for (const entry of page) {
+      entries++;
+      afterSeq = entry.seq;
+      if (entry.id === null) {
+        report({ seq: entry.seq, game_id: entry.game_id, problem: 'game deleted' });
+      } else if (leafHash(auditLeaf(entry)) !== entry.leaf_hash) {
+        report({ seq: entry.seq, game_id: entry.game_id, problem: 'game edited' });
+      }
+      chainHash = nextChainHash(chainHash, entry.leaf_hash);
+      if (chainHash !== entry.chain_hash) {
+        report({ seq: entry.seq, game_id: entry.game_id, problem: 'chain broken' });
+        chainHash = entry.chain_hash;
+      }
+      if (run.length && run[0].root_id !== entry.root_id) checkRun();
+      if (entry.root_id) run.push(entry);
+    }
+  }
+  checkRun();
+  for (const id of roots.keys()) {
+    if (!checked.has(id)) report({ root_id: id, problem: 'root does not match its games' });
+  }
+
+  const { unsealed, unlogged } = getAuditLogSize();
+  if (unlogged) report({ problem: `${unlogged} stored game(s) missing from the log` });
+  return { ok: problems.length === 0, entries, unsealed, roots: roots.size, problems };
+}
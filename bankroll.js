@@ -0,0 +1,90 @@
+import config from './config.js';
+import { getBankrollBalance, logBankrollEvent } from './db.js';
+import { getMaxBet } from './risk.js';
+import { publishPauseState } from './feed.js';
+
+/**
+ * ClawDice — Bankroll accounting
+ *
+ * Every bet (+) and payout (−) is written to bankroll_log with a running
+ * balance, so the house always knows what it can cover:
+ * - max bet per target comes from the risk engine (risk.js)
+ * - below pauseThreshold the game pauses itself, and resumes once an
+ *   operator deposit (or a run of losing players) lifts it back up
+ *
+ * Payouts count when the roll resolves, not when Lightning delivers them —
+ * a pending payout is already owed. Jackpot contributions leave the bankroll
+ * as they are made, so a jackpot win doesn't touch it. Tournament entry fees
+ * come in when a player joins and prizes go out when the tournament settles.
+ */
+
+let paused = null;
+
+// Pause / resume transitions are logged (amount 0) so the history shows them
+function updatePauseState() {
+  const state = getPauseState();
+  if (paused !== null && state.paused !== paused) {
+    logBankrollEvent({ event: state.paused ? 'pause' : 'resume', amountSats: 0 });
+    publishPauseState(state);
+    const verb = state.paused ? 'PAUSED' : 'resumed';
+    console.warn(`  Game ${verb}: bankroll ${state.bankrollSats} sats (threshold ${config.bankroll.pauseThreshold})`);
+  }
+  paused = state.paused;
+  return state;
+}
+
+export function getPauseState() {
+  const bankrollSats = getBankrollBalance();
+  if (bankrollSats < config.bankroll.pauseThreshold) {
+    return {
+      paused: true,
+      reason: 'bankroll_below_threshold',
+      message: 'The house bankroll is below its safety threshold — play is paused until it is topped up',
+      bankrollSats,
+    };
+  }
+  return { paused: false, bankrollSats };
+}
+
+// Record a resolved roll: the bet comes in; any payout, streak bonus and
+// jackpot contribution go out
+export function recordRoll({ gameId, betSats, payoutSats, bonusSats = 0, jackpotSats = 0 }) {
+  logBankrollEvent({ event: 'bet', amountSats: betSats, gameId });
+  if (payoutSats > 0) {
+    logBankrollEvent({ event: 'payout', amountSats: -payoutSats, gameId });
+  }
+  if (bonusSats > 0) {
+    logBankrollEvent({ event: 'streak_bonus', amountSats: -bonusSats, gameId });
+  }
+  if (jackpotSats > 0) {
+    logBankrollEvent({ event: 'jackpot', amountSats: -jackpotSats, gameId });
+  }
+  return updatePauseState();
+}
+
+// Tournament entry fees (+) and prizes (−), logged against the tournament ID
+export function recordTournament({ event, amountSats, tournamentId }) {
+  logBankrollEvent({ event, amountSats, gameId: tournamentId });
+  return updatePauseState();
+}
+
+// Operator deposit (+) or withdrawal (−) of house funds
+export function adjustBankroll({ event, amountSats }) {
+  logBankrollEvent({ event, amountSats });
+  return updatePauseState();
+}
+
+// Public view of the current limits, for / and /odds
+export function getLimits() {
+  const state = updatePauseState();
+  return {
+    paused: state.paused,
+    ...(state.paused && { pause_reason: state.reason }),
+    min_bet: config.game.minBet,
+    // Largest bet accepted at any target, at the default target, and at target 1
+    max_bet: state.paused ? 0 : getMaxBet(config.game.maxRoll),
+    max_bet_at_default_target: state.paused ? 0 : getMaxBet(config.game.defaultTarget),
+    max_bet_worst_case: state.paused ? 0 : getMaxBet(1),
+    configured_max_bet: config.game.maxBet,
+  };
+}
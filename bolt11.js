@@ -0,0 +1,259 @@
+import config from './config.js';
+
+/**
+ * ClawDice — BOLT11 invoice decoding
+ *
+ * Decodes just what the payout path needs: network, amount, timestamp,
+ * expiry, payment hash, payee and description. The signature is carried
+ * through but not checked here — LND verifies it when paying.
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// HRP network prefixes, longest first so 'tbs' wins over 'tb'
+const NETWORKS = [
+  ['bcrt', 'regtest'],
+  ['tbs', 'signet'],
+  ['tb', 'testnet'],
+  ['bc', 'mainnet'],
+];
+
+// Amount multipliers → millisatoshis per unit
+const MULTIPLIERS = { m: 100_000_000n, u: 100_000n, n: 100n, p: 1n };
+
+const TAGS = {
+  1: 'payment_hash',
+  16: 'payment_secret',
+  13: 'description',
+  23: 'description_hash',
+  19: 'payee',
+  6: 'expiry',
+  24: 'min_final_cltv_expiry',
+};
+
+const DEFAULT_EXPIRY = 3600;
+const SIGNATURE_WORDS = 104;
+
+export class Bolt11Error extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const out = [];
+  for (const c of hrp) out.push(c.charCodeAt(0) >> 5);
+  out.push(0);
+  for (const c of hrp) out.push(c.charCodeAt(0) & 31);
+  return out;
+}
+
+// bech32 without the 90-character limit (invoices are routinely longer)
+export function bech32Decode(str) {
+  const lower = str.toLowerCase();
+  if (lower !== str && str.toUpperCase() !== str) {
+    throw new Bolt11Error('malformed_invoice', 'Mixed-case invoice');
+  }
+  const sep = lower.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > lower.length) {
+    throw new Bolt11Error('malformed_invoice', 'Missing bech32 separator');
+  }
+  const hrp = lower.slice(0, sep);
+  const words = [];
+  for (const c of lower.slice(sep + 1)) {
+    const v = CHARSET.indexOf(c);
+    if (v === -1) throw new Bolt11Error('malformed_invoice', `Invalid bech32 character '${c}'`);
+    words.push(v);
+  }
+  if (polymod([...hrpExpand(hrp), ...words]) !== 1) {
+    throw new Bolt11Error('malformed_invoice', 'Invalid bech32 checksum');
+  }
+  return { hrp, words: words.slice(0, -6) };
+}
+
+export function bech32Encode(hrp, words) {
+  const mod = polymod([...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((mod >> (5 * (5 - i))) & 31);
+  return hrp + '1' + [...words, ...checksum].map((w) => CHARSET[w]).join('');
+}
+
+// Regroup bits, e.g. 5-bit words ↔ bytes
+export function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  const max = (1 << to) - 1;
+  for (const value of data) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & max);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (pad && bits > 0) out.push((acc << (to - bits)) & max);
+  return out;
+}
+
+function wordsToInt(words) {
+  return words.reduce((n, w) => n * 32 + w, 0);
+}
+
+function parseHrp(hrp) {
+  if (!hrp.startsWith('ln')) {
+    throw new Bolt11Error('malformed_invoice', 'Not a Lightning invoice');
+  }
+  const rest = hrp.slice(2);
+  const match = NETWORKS.find(([prefix]) => rest.startsWith(prefix));
+  if (!match) throw new Bolt11Error('malformed_invoice', `Unknown network prefix in '${hrp}'`);
+
+  const amountPart = rest.slice(match[0].length);
+  if (!amountPart) return { network: match[1], amountMsat: null };
+
+  const parsed = /^([1-9][0-9]*)([munp]?)$/.exec(amountPart);
+  if (!parsed) throw new Bolt11Error('malformed_invoice', `Invalid amount '${amountPart}'`);
+  const value = BigInt(parsed[1]);
+  if (parsed[2] === 'p' && value % 10n !== 0n) {
+    throw new Bolt11Error('malformed_invoice', 'Pico-bitcoin amount is not a whole millisatoshi');
+  }
+  const amountMsat = parsed[2]
+    ? parsed[2] === 'p'
+      ? value / 10n
+      : value * MULTIPLIERS[parsed[2]]
+    : value * 100_000_000_000n;
+
+  return { network: match[1], amountMsat: Number(amountMsat) };
+}
+
+/**
+ * Decode a BOLT11 payment request.
+ * Returns { network, amountMsat, amountSats, timestamp, expiry, expiresAt,
+ *           paymentHash, paymentSecret, payee, description, descriptionHash, signature }
+ */
+export function decodeInvoice(invoice) {
+  const raw = String(invoice || '').trim().replace(/^lightning:/i, '');
+  const { hrp, words } = bech32Decode(raw);
+  const { network, amountMsat } = parseHrp(hrp);
+
+  if (words.length < 7 + SIGNATURE_WORDS) {
+    throw new Bolt11Error('malformed_invoice', 'Invoice too short');
+  }
+
+  const data = words.slice(0, -SIGNATURE_WORDS);
+  const decoded = {
+    network,
+    amountMsat,
+    amountSats: amountMsat === null ? null : Math.floor(amountMsat / 1000),
+    timestamp: wordsToInt(data.slice(0, 7)),
+    expiry: DEFAULT_EXPIRY,
+    paymentHash: null,
+    paymentSecret: null,
+    payee: null,
+    description: null,
+    descriptionHash: null,
+    minFinalCltvExpiry: null,
+    signature: Buffer.from(convertBits(words.slice(-SIGNATURE_WORDS), 5, 8, false)).toString('hex'),
+  };
+
+  let i = 7;
+  while (i < data.length) {
+    if (i + 3 > data.length) throw new Bolt11Error('malformed_invoice', 'Truncated tagged field');
+    const tag = data[i];
+    const len = data[i + 1] * 32 + data[i + 2];
+    const fieldWords = data.slice(i + 3, i + 3 + len);
+    if (fieldWords.length !== len) throw new Bolt11Error('malformed_invoice', 'Truncated tagged field');
+    i += 3 + len;
+
+    const name = TAGS[tag];
+    if (!name) continue;
+    const bytes = Buffer.from(convertBits(fieldWords, 5, 8, false));
+    switch (name) {
+      case 'payment_hash':
+        if (len === 52) decoded.paymentHash = bytes.toString('hex');
+        break;
+      case 'payment_secret':
+        if (len === 52) decoded.paymentSecret = bytes.toString('hex');
+        break;
+      case 'description_hash':
+        if (len === 52) decoded.descriptionHash = bytes.toString('hex');
+        break;
+      case 'payee':
+        if (len === 53) decoded.payee = bytes.toString('hex');
+        break;
+      case 'description':
+        decoded.description = bytes.toString('utf8');
+        break;
+      case 'expiry':
+        decoded.expiry = wordsToInt(fieldWords);
+        break;
+      case 'min_final_cltv_expiry':
+        decoded.minFinalCltvExpiry = wordsToInt(fieldWords);
+        break;
+    }
+  }
+
+  if (!decoded.paymentHash) {
+    throw new Bolt11Error('malformed_invoice', 'Invoice has no payment hash');
+  }
+  decoded.expiresAt = decoded.timestamp + decoded.expiry;
+  return decoded;
+}
+
+/**
+ * Check that an invoice can receive a payout of `amountSats`:
+ * right network, not about to expire, and either amountless or for exactly that amount.
+ * With `amountSats` null (a batch, whose payout depends on the rolls) it must be amountless.
+ * Returns the decoded invoice or throws a Bolt11Error with a reason code.
+ */
+export function validatePayoutInvoice(invoice, { amountSats, now = Date.now() }) {
+  const decoded = decodeInvoice(invoice);
+
+  if (decoded.network !== config.lnd.network) {
+    throw new Bolt11Error(
+      'wrong_network',
+      `Invoice is for ${decoded.network}, this server pays on ${config.lnd.network}`
+    );
+  }
+
+  const secondsLeft = decoded.expiresAt - Math.floor(now / 1000);
+  if (secondsLeft < config.payout.invoiceMinExpirySeconds) {
+    throw new Bolt11Error(
+      'expired',
+      secondsLeft <= 0
+        ? 'Invoice has expired'
+        : `Invoice expires in ${secondsLeft}s — need at least ${config.payout.invoiceMinExpirySeconds}s`
+    );
+  }
+
+  if (decoded.amountMsat !== null && amountSats === null) {
+    throw new Bolt11Error(
+      'amount_mismatch',
+      `Invoice is for ${decoded.amountMsat / 1000} sats but the payout isn't known before the roll — use an amountless invoice`
+    );
+  }
+
+  if (decoded.amountMsat !== null && decoded.amountMsat !== amountSats * 1000) {
+    throw new Bolt11Error(
+      'amount_mismatch',
+      `Invoice is for ${decoded.amountMsat / 1000} sats but a win pays ${amountSats} sats — use an amountless invoice or one for exactly ${amountSats} sats`
+    );
+  }
+
+  return decoded;
+}
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import config from './config.js';
+import { saveSeedChain, saveSeedChainCheckpoints, getSeedChain, getActiveSeedChain, takeChainIndex } from './db.js';
+
+/**
+ * ClawDice — Server seed hash chains
+ *
+ * Optional mode (SEED_CHAIN=true) where one published hash commits the server
+ * to thousands of future seeds:
+ *
+ *   seed[0] = random 32 bytes (kept secret)
+ *   seed[i + 1] = SHA256(seed[i])          (over the raw bytes)
+ *   terminal_hash = seed[length]            (published up front)
+ *
+ * Seeds are used from seed[length − 1] down to seed[0], so every revealed seed
+ * hashes to the one revealed before it, and the game at position p (1-based)
+ * reaches the terminal hash after exactly p hashes. Each roll still gets its
+ * own commitment, SHA256 of the seed's hex string as before.
+ *
+ * Revealing seed[i] also reveals every seed above it, so claiming a chain
+ * commitment supersedes pending commitments issued earlier from the same
+ * chain (see claimCommitment). Each requester therefore draws from a chain of
+ * its own (`owner`, 'pubkey:…' for a proven pubkey): playing out of order can
+ * only void the player's own commitments, never someone else's. Requesters
+ * without one get standalone seeds — an IP can be shared by many players.
+ *
+ * Every CHECKPOINT_INTERVAL-th seed from the root is stored with the chain
+ * (secret, like the root), so deriving or checking a seed takes at most that
+ * many hashes rather than up to `length`.
+ */
+
+const CHECKPOINT_INTERVAL = 100;
+
+// One step along the chain
+export function chainLink(seed) {
+  return crypto.createHash('sha256').update(Buffer.from(seed, 'hex')).digest('hex');
+}
+
+// Apply chainLink `times` times
+export function hashChain(seed, times) {
+  let value = seed;
+  for (let i = 0; i < times; i++) value = chainLink(value);
+  return value;
+}
+
+// Walk a chain from its root: { checkpoints, terminalHash }
+function walkChain(rootSeed, length) {
+  const checkpoints = [];
+  let value = rootSeed;
+  for (let i = 0; i < length; i++) {
+    if (i % CHECKPOINT_INTERVAL === 0) checkpoints.push(value);
+    value = chainLink(value);
+  }
+  return { checkpoints, terminalHash: value };
+}
+
+// A chain's checkpoint seeds, computed and stored once for chains made without them
+function checkpointsOf(chain) {
+  if (chain.checkpoints) return JSON.parse(chain.checkpoints);
+  const { checkpoints } = walkChain(chain.root_seed, chain.length);
+  saveSeedChainCheckpoints(chain.id, checkpoints);
+  return checkpoints;
+}
+
+// seed[index] of a chain, from the checkpoint at or below it
+export function chainSeedAt(chain, index) {
+  const checkpoint = Math.floor(index / CHECKPOINT_INTERVAL);
+  return hashChain(checkpointsOf(chain)[checkpoint], index - checkpoint * CHECKPOINT_INTERVAL);
+}
+
+// Create and store a new chain; only the terminal hash is public
+export function createSeedChain(length = config.seedChain.length, owner = '') {
+  const rootSeed = crypto.randomBytes(32).toString('hex');
+  const { checkpoints, terminalHash } = walkChain(rootSeed, length);
+  return saveSeedChain({
+    id: 'c_' + crypto.randomBytes(4).toString('hex'),
+    rootSeed,
+    terminalHash,
+    length,
+    owner,
+    checkpoints,
+  });
+}
+
+// Issue `owner` its next seed: { serverSeed, chainId, chainIndex }, starting
+// a new chain when it has none or its last is used up
+export function takeChainSeed(owner = '') {
+  let chain = getActiveSeedChain(owner);
+  let index = chain ? takeChainIndex(chain.id) : null;
+  if (index === null) {
+    chain = createSeedChain(config.seedChain.length, owner);
+    index = takeChainIndex(chain.id);
+  }
+  return { serverSeed: chainSeedAt(chain, index), chainId: chain.id, chainIndex: index };
+}
+
+// Position of a seed in play order (1 = first game played from the chain)
+export function chainPosition(chain, chainIndex) {
+  return chain.length - chainIndex;
+}
+
+// Public view of a chain — never includes the root seed
+export function chainInfo(chain) {
+  return {
+    chain_id: chain.id,
+    terminal_hash: chain.terminal_hash,
+    length: chain.length,
+    seeds_issued: chain.length - 1 - chain.next_index,
+    created_at: chain.created_at,
+    exhausted_at: chain.exhausted_at,
+  };
+}
+
+// Whether `seed` is seed[index] of the chain: it must hash to the next
+// checkpoint above it, or to the terminal hash past the last one. Reads
+// store nothing, so a chain still without checkpoints is hashed to the end.
+function linksToTerminal(chain, seed, index) {
+  const next = (Math.floor(index / CHECKPOINT_INTERVAL) + 1) * CHECKPOINT_INTERVAL;
+  if (next >= chain.length || !chain.checkpoints) {
+    return hashChain(seed, chain.length - index) === chain.terminal_hash;
+  }
+  return hashChain(seed, next - index) === JSON.parse(chain.checkpoints)[next / CHECKPOINT_INTERVAL];
+}
+
+/**
+ * Prove a revealed seed belongs to its chain: hashing it `position` times
+ * must give the published terminal hash. Returns null for non-chain commitments.
+ */
+export function getChainProof(commitment) {
+  if (!commitment?.chain_id) return null;
+  const chain = getSeedChain(commitment.chain_id);
+  const position = chainPosition(chain, commitment.chain_index);
+  return {
+    chain_id: chain.id,
+    terminal_hash: chain.terminal_hash,
+    chain_created_at: chain.created_at,
+    position,
+    hashes_to_terminal: position,
+    links_to_terminal: linksToTerminal(chain, commitment.server_seed, commitment.chain_index),
+  };
+}
@@ -1,6 +1,24 @@
 // ClawDice Configuration
 // All game parameters in one place
 
+// TRUST_PROXY: 'true', a hop count, or addresses / subnets ('loopback, 10.0.0.0/8')
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
+// STREAK_BONUSES: 'length:multiplier' pairs ('3:1.05,5:1.1'), shortest streak first
+function parseStreakBonuses(value) {
+  return value
+    .split(',')
+    .map((pair) => pair.split(':').map((n) => parseFloat(n)))
+    .filter(([streak, multiplier]) => streak >= 1 && multiplier >= 1)
+    .map(([streak, multiplier]) => ({ streak: Math.floor(streak), multiplier }))
+    .sort((a, b) => a.streak - b.streak);
+}
+
 const config = {
   // Server
   port: parseInt(process.env.PORT || '3000'),
@@ -23,6 +41,114 @@ const config = {
     defaultBet: 100,
   },
 
+  // Batch rolls (POST /roll/batch) — several rounds under one payment
+  batch: {
+    maxRounds: parseInt(process.env.BATCH_MAX_ROUNDS || '100'),
+  },
+
+  // Progressive jackpot (optional) — a share of every bet feeds a pot that a
+  // provably fair secondary roll can win
+  jackpot: {
+    enabled: process.env.JACKPOT === 'true',
+
+    // Share of each bet added to the pot (0.01 = 1%)
+    contribution: parseFloat(process.env.JACKPOT_CONTRIBUTION || '0.01'),
+
+    // Every game wins the pot with a chance of 1 in `odds`
+    odds: parseInt(process.env.JACKPOT_ODDS || '100000'),
+  },
+
+  // Win-streak bonuses (optional) — a run of long-shot wins boosts the next winning payout
+  streak: {
+    enabled: process.env.STREAKS === 'true',
+
+    // Only bets that win at most this often count toward a streak (or collect its bonus)
+    maxWinProbability: parseFloat(process.env.STREAK_MAX_WIN_PROBABILITY || '0.5'),
+
+    // Bonus multiplier on the next qualifying win once the streak reaches each length
+    bonuses: parseStreakBonuses(process.env.STREAK_BONUSES || '3:1.05,5:1.1,10:1.25'),
+  },
+
+  // Tournaments — entry fees go into a prize pool, split among the top scorers
+  tournament: {
+    // Share of the entry fees the house keeps (0.05 = 5%)
+    rake: parseFloat(process.env.TOURNAMENT_RAKE || '0.05'),
+
+    // Default prize split by rank, as shares of the pool
+    prizeSplit: (process.env.TOURNAMENT_PRIZE_SPLIT || '0.5,0.3,0.2').split(',').map((n) => parseFloat(n)),
+
+    // How often ended tournaments are settled and their prizes queued
+    settleIntervalSeconds: parseInt(process.env.TOURNAMENT_SETTLE_INTERVAL || '30'),
+  },
+
+  // Player profiles — aliases registered by signing a challenge with the node key
+  profile: {
+    // How long a profile challenge can be signed and submitted
+    challengeTtlSeconds: parseInt(process.env.PROFILE_CHALLENGE_TTL || '600'),
+  },
+
+  // Audit log — games hash-chained and sealed under published Merkle roots
+  audit: {
+    // Most games under one Merkle root
+    batchSize: parseInt(process.env.AUDIT_BATCH_SIZE || '1000'),
+
+    // How often pending games are sealed under a new root, even if the batch isn't full
+    rootIntervalSeconds: parseInt(process.env.AUDIT_ROOT_INTERVAL || '300'),
+
+    // Largest roots file POST /audit/check will read (a root is ~250 bytes)
+    checkBodyLimit: process.env.AUDIT_CHECK_BODY_LIMIT || '512kb',
+  },
+
+  // Fairness monitor — statistical tests on recent rolls, alerting on drift
+  fairness: {
+    // /stats/fairness and the monitor look at this many of the most recent games
+    window: parseInt(process.env.FAIRNESS_WINDOW || '10000'),
+
+    // Equal-width roll buckets for the chi-square uniformity test
+    buckets: parseInt(process.env.FAIRNESS_BUCKETS || '20'),
+
+    // A test alerts when its p-value falls below this...
+    alertPValue: parseFloat(process.env.FAIRNESS_ALERT_P || '0.001'),
+
+    // ...once it covers at least this many games
+    minGames: parseInt(process.env.FAIRNESS_MIN_GAMES || '500'),
+
+    // The house edge alerts only when it is also this far from the expected edge
+    edgeTolerance: parseFloat(process.env.FAIRNESS_EDGE_TOLERANCE || '0.005'),
+
+    // How often the monitor re-runs the tests
+    checkIntervalSeconds: parseInt(process.env.FAIRNESS_CHECK_INTERVAL || '600'),
+  },
+
+  // Server seed commitments
+  commitments: {
+    // How long an unused commitment stays valid (matches a typical invoice expiry)
+    ttlSeconds: parseInt(process.env.COMMITMENT_TTL || '3600'),
+
+    // How often commitments that expired unused are deleted
+    sweepIntervalSeconds: parseInt(process.env.COMMITMENT_SWEEP_INTERVAL || '600'),
+  },
+
+  // Server seed hash chains (optional) — one published terminal hash commits
+  // the server to `length` future seeds
+  seedChain: {
+    enabled: process.env.SEED_CHAIN === 'true',
+    length: parseInt(process.env.SEED_CHAIN_LENGTH || '10000'),
+  },
+
+  // Built-in L402 verification (optional — normally Aperture handles L402)
+  l402: {
+    // Verify macaroon + preimage in-process, as a standalone gate or behind Aperture
+    enabled: process.env.L402_VERIFY === 'true',
+
+    // Hex root key the macaroons are minted with — required when enabled, since
+    // without the signature a preimage proves no payment
+    rootKey: process.env.L402_ROOT_KEY || '',
+
+    // Macaroon location / service name
+    location: process.env.L402_LOCATION || 'clawdice',
+  },
+
   // Bankroll management
   bankroll: {
     // Initial bankroll in sats (for tracking, actual funds are on the LND node)
@@ -36,15 +162,88 @@ const config = {
     safetyFactor: 3,
   },
 
+  // Risk engine — per-bet and aggregate exposure limits
+  risk: {
+    // Share of the full Kelly stake to allow (1 = full Kelly, 0.5 = half Kelly)
+    kellyFraction: parseFloat(process.env.KELLY_FRACTION || '1'),
+
+    // Payouts owed but not yet delivered may not exceed this share of the bankroll
+    maxOpenExposure: parseFloat(process.env.MAX_OPEN_EXPOSURE || '0.1'),
+  },
+
   // LND connection (for payouts — stubbed in dev mode)
   lnd: {
     host: process.env.LND_HOST || 'localhost:10009',
+    restUrl: process.env.LND_REST_URL || 'https://localhost:8080',
+    network: process.env.LND_NETWORK || 'mainnet',
     macaroonPath: process.env.LND_MACAROON || '',
     tlsCertPath: process.env.LND_TLS_CERT || '',
+
+    // Routing fee limit per payout: feeLimitPercent of the amount, at least feeLimitMinSats
+    feeLimitPercent: parseFloat(process.env.LND_FEE_LIMIT_PERCENT || '1'),
+    feeLimitMinSats: parseInt(process.env.LND_FEE_LIMIT_MIN || '10'),
+
+    // Give up on a payment call after this long
+    timeoutSeconds: parseInt(process.env.LND_TIMEOUT || '60'),
+  },
+
+  // Payouts
+  payout: {
+    // 'lnd' sends real payments; 'stub' just logs them (default outside production)
+    backend: process.env.PAYOUT_BACKEND || (process.env.NODE_ENV === 'production' ? 'lnd' : 'stub'),
+
+    // Payout invoices (X-Payout-Invoice) must stay valid at least this long
+    invoiceMinExpirySeconds: parseInt(process.env.PAYOUT_INVOICE_MIN_EXPIRY || '60'),
+
+    // Retry worker for failed payouts: delay doubles from baseDelay up to maxDelay
+    retry: {
+      intervalSeconds: parseInt(process.env.PAYOUT_RETRY_INTERVAL || '30'),
+      baseDelaySeconds: parseInt(process.env.PAYOUT_RETRY_BASE_DELAY || '30'),
+      maxDelaySeconds: parseInt(process.env.PAYOUT_RETRY_MAX_DELAY || '3600'),
+      maxAttempts: parseInt(process.env.PAYOUT_MAX_ATTEMPTS || '8'),
+    },
+  },
+
+  // Rate limits — sliding window per client key (player pubkey, macaroon ID, IP).
+  // A request must be within the limit for every key it carries.
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT !== 'false',
+    keys: (process.env.RATE_LIMIT_KEYS || 'pubkey,macaroon,ip').split(',').map((k) => k.trim()),
+
+    // Express 'trust proxy' — set behind Aperture or another reverse proxy so
+    // the client IP comes from X-Forwarded-For (e.g. 'loopback' or a hop count)
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+    // /roll, /roll/batch, /commit and tournament joins and rounds
+    roll: {
+      windowSeconds: parseInt(process.env.RATE_LIMIT_ROLL_WINDOW || '60'),
+      max: parseInt(process.env.RATE_LIMIT_ROLL_MAX || '60'),
+    },
+
+    // Free read endpoints: /verify, /leaderboard, /recent
+    read: {
+      windowSeconds: parseInt(process.env.RATE_LIMIT_READ_WINDOW || '60'),
+      max: parseInt(process.env.RATE_LIMIT_READ_MAX || '300'),
+    },
+  },
+
+  // Live feed (GET /stream over SSE, /ws over WebSocket)
+  feed: {
+    // Events kept for Last-Event-ID resume
+    retainEvents: parseInt(process.env.FEED_RETAIN_EVENTS || '10000'),
+    maxClients: parseInt(process.env.FEED_MAX_CLIENTS || '500'),
+    heartbeatSeconds: 15,
+  },
+
+  // Admin endpoints (/admin/*) — disabled unless a token is set
+  admin: {
+    token: process.env.ADMIN_TOKEN || '',
   },
 
-  // Database
+  // Database — DB_DRIVER is auto (native SQLite if better-sqlite3 is
+  // installed, else sql.js), sqlite or sqljs, at DB_PATH
   db: {
+    driver: process.env.DB_DRIVER || 'auto',
     path: process.env.DB_PATH || './clawdice.db',
   },
 
@@ -52,21 +251,23 @@ const config = {
   devMode: process.env.NODE_ENV !== 'production',
 };
 
-// Derived: calculate multiplier for a given target
-config.game.getMultiplier = (target) => {
-  const winProbability = target / (config.game.maxRoll + 1);
+// Derived: calculate multiplier for a given target out of `rollRange` outcomes
+// (at another house edge than the configured one, e.g. to verify games offline)
+config.game.getMultiplier = (target, rollRange = config.game.maxRoll + 1, houseEdge = config.game.houseEdge) => {
+  const winProbability = target / rollRange;
   const fairMultiplier = 1 / winProbability;
-  return fairMultiplier * (1 - config.game.houseEdge);
+  return fairMultiplier * (1 - houseEdge);
 };
 
-// Derived: calculate dynamic max bet based on current bankroll
-config.game.getDynamicMaxBet = (currentBankroll) => {
-  // Worst case: lowest target (1) = highest multiplier
-  const highestMultiplier = config.game.getMultiplier(1);
+// Derived: calculate dynamic max bet based on current bankroll.
+// Pass the target to size the limit by its actual multiplier; without one,
+// the worst case (lowest target = highest multiplier) is used.
+config.game.getDynamicMaxBet = (currentBankroll, target = 1, rollRange = config.game.maxRoll + 1) => {
+  const multiplier = config.game.getMultiplier(target, rollRange);
   const bankrollLimit = Math.floor(
-    currentBankroll / highestMultiplier / config.bankroll.safetyFactor
+    currentBankroll / multiplier / config.bankroll.safetyFactor
   );
-  return Math.min(config.game.maxBet, bankrollLimit);
+  return Math.max(0, Math.min(config.game.maxBet, bankrollLimit));
 };
 
 export default config;
@@ -1,66 +1,49 @@
-import initSqlJs from 'sql.js';
-import fs from 'fs';
 import crypto from 'crypto';
 import config from './config.js';
+import { openStorage } from './storage.js';
+import { migrate } from './migrate.js';
+import { AUDITED_FIELDS, AUDITED_ROUND_FIELDS, auditLeaf, leafHash, nextChainHash, GENESIS_HASH } from './merkle.js';
+
+/**
+ * ClawDice — Database
+ *
+ * Every query goes through the storage interface (storage.js), so the same
+ * code runs on native SQLite or sql.js (DB_DRIVER). Writes that touch several
+ * rows or tables run in a transaction. The schema
+ * itself is built by the numbered migrations in migrations/ (migrate.js).
+ */
 
 let db;
 
+// Open the configured database and apply any pending schema migrations (migrate.js)
 export async function initDb() {
-  const SQL = await initSqlJs();
-
-  // Load existing db file if it exists
-  let buffer = null;
-  try {
-    if (fs.existsSync(config.db.path)) {
-      buffer = fs.readFileSync(config.db.path);
-    }
-  } catch (e) {
-    // Fresh start
-  }
-
-  db = buffer ? new SQL.Database(buffer) : new SQL.Database();
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS games (
-      id TEXT PRIMARY KEY,
-      roll INTEGER NOT NULL,
-      target INTEGER NOT NULL,
-      result TEXT NOT NULL,
-      bet_sats INTEGER NOT NULL,
-      multiplier REAL NOT NULL,
-      payout_sats INTEGER NOT NULL,
-      payout_method TEXT DEFAULT 'keysend',
-      payout_status TEXT DEFAULT 'pending',
-      server_seed TEXT NOT NULL,
-      server_seed_hash TEXT NOT NULL,
-      client_entropy TEXT NOT NULL,
-      player_pubkey TEXT,
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    )
-  `);
+  db = await openStorage({ driver: config.db.driver, path: config.db.path, url: config.db.url });
+  const { from, to, applied } = await migrate(db);
+  if (applied.length) console.log(`  Database schema migrated from version ${from} to ${to}`);
+  return db;
+}
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS bankroll_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      event TEXT NOT NULL,
-      amount_sats INTEGER NOT NULL,
-      balance_sats INTEGER NOT NULL,
-      game_id TEXT,
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    )
-  `);
+// Close the database (flushing sql.js to disk), e.g. before opening another
+export function closeDb() {
+  if (!db) return;
+  db.close();
+  db = null;
+}
 
-  db.run(`CREATE INDEX IF NOT EXISTS idx_games_player ON games(player_pubkey)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_games_created ON games(created_at)`);
+// Run a query and return the first row as an object, or null
+function queryOne(sql, params = []) {
+  return db.get(sql, params);
+}
 
-  return db;
+// Run a query and return all rows as objects
+function queryAll(sql, params = []) {
+  return db.all(sql, params);
 }
 
-// Persist db to disk
-export function saveDb() {
-  if (!db) return;
-  const data = db.export();
-  fs.writeFileSync(config.db.path, Buffer.from(data));
+// SQLite-style UTC timestamp ('YYYY-MM-DD HH:MM:SS'), optionally `offsetMs` from now —
+// the format of the datetime('now') column defaults
+function sqlTimestamp(offsetMs = 0) {
+  return new Date(Date.now() + offsetMs).toISOString().slice(0, 19).replace('T', ' ');
 }
 
 // Generate a short game ID
@@ -68,47 +51,356 @@ export function generateGameId() {
   return 'g_' + crypto.randomBytes(4).toString('hex');
 }
 
-// Save a game record
+export function generateBatchId() {
+  return 'b_' + crypto.randomBytes(4).toString('hex');
+}
+
+// Save a game record and append it to the audit log, as one transaction
 export function saveGame(game) {
+  db.transaction(() => {
+    db.run(
+      `INSERT INTO games (id, roll, target, result, bet_sats, multiplier, payout_sats,
+        payout_method, payout_status, server_seed, server_seed_hash, client_entropy, player_pubkey,
+        payout_invoice, bet_source, credit_account_id, roll_version, client_seed, nonce,
+        roll_algorithm, mode, mode_params, batch_id, batch_index, jackpot_odds, jackpot_contribution_sats,
+        streak, streak_bonus, bonus_sats, streak_rule, house_edge)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        game.id,
+        game.roll,
+        game.target,
+        game.result,
+        game.betSats,
+        game.multiplier,
+        game.payoutSats,
+        game.payoutMethod || 'keysend',
+        game.payoutStatus || (game.result === 'loss' ? 'n/a' : 'pending'),
+        game.serverSeed,
+        game.serverSeedHash,
+        game.clientEntropy,
+        game.playerPubkey || null,
+        game.payoutInvoice || null,
+        game.betSource || 'lightning',
+        game.creditAccountId || null,
+        game.rollVersion || 1,
+        game.clientSeed ?? null,
+        game.nonce ?? null,
+        game.rollAlgorithm || 'u16',
+        game.mode || 'under',
+        // Roll-under needs nothing beyond the target column
+        game.mode && game.mode !== 'under' ? JSON.stringify(game.modeParams) : null,
+        game.batchId || null,
+        game.batchIndex ?? null,
+        game.jackpotOdds ?? null,
+        game.jackpotContributionSats || 0,
+        game.streak ?? null,
+        game.streakBonus ?? null,
+        game.bonusSats || 0,
+        game.streakRule ? JSON.stringify(game.streakRule) : null,
+        // The edge the multiplier was quoted at, so a later HOUSE_EDGE still verifies it
+        game.houseEdge ?? config.game.houseEdge,
+      ]
+    );
+    appendAuditEntry(game.id);
+  });
+}
+
+// Save a batch record (its rounds are saved as games)
+export function saveBatch(batch) {
   db.run(
-    `INSERT INTO games (id, roll, target, result, bet_sats, multiplier, payout_sats,
-      payout_method, payout_status, server_seed, server_seed_hash, client_entropy, player_pubkey)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO batches (id, rounds, bet_sats, payout_sats, server_seed_hash, client_entropy,
+      player_pubkey, payout_method, payout_status, payout_invoice)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
-      game.id,
-      game.roll,
-      game.target,
-      game.result,
-      game.betSats,
-      game.multiplier,
-      game.payoutSats,
-      game.payoutMethod || 'keysend',
-      game.payoutStatus || (game.result === 'loss' ? 'n/a' : 'pending'),
-      game.serverSeed,
-      game.serverSeedHash,
-      game.clientEntropy,
-      game.playerPubkey || null,
+      batch.id,
+      batch.rounds,
+      batch.betSats,
+      batch.payoutSats,
+      batch.serverSeedHash,
+      batch.clientEntropy,
+      batch.playerPubkey || null,
+      batch.payoutMethod,
+      batch.payoutStatus,
+      batch.payoutInvoice || null,
     ]
   );
-  saveDb();
+}
+
+export function getBatch(batchId) {
+  return queryOne('SELECT * FROM batches WHERE id = ?', [batchId]);
+}
+
+export function getBatchGames(batchId) {
+  return queryAll('SELECT * FROM games WHERE batch_id = ? ORDER BY batch_index ASC', [batchId]);
+}
+
+// Store a new pending commitment. Timestamps keep millisecond precision so
+// /verify can show the commit happened before the roll.
+export function saveCommitment({ serverSeed, serverSeedHash, paymentHash = null, chainId = null, chainIndex = null }) {
+  const committedAt = new Date();
+  const expiresAt = new Date(committedAt.getTime() + config.commitments.ttlSeconds * 1000);
+  db.run(
+    `INSERT INTO commitments (server_seed_hash, server_seed, payment_hash, committed_at, expires_at,
+      chain_id, chain_index)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [serverSeedHash, serverSeed, paymentHash, committedAt.toISOString(), expiresAt.toISOString(), chainId, chainIndex]
+  );
+  return getCommitment(serverSeedHash);
+}
+
+// Get a commitment by its server seed hash
+export function getCommitment(serverSeedHash) {
+  return queryOne('SELECT * FROM commitments WHERE server_seed_hash = ?', [serverSeedHash]);
+}
+
+// Get the commitment a game was rolled against
+export function getCommitmentForGame(gameId) {
+  return queryOne('SELECT * FROM commitments WHERE game_id = ?', [gameId]);
+}
+
+// Delete commitments that expired without being used. Used ones are kept —
+// /verify shows each game's commitment. Returns how many were deleted.
+export function deleteExpiredCommitments(now = new Date()) {
+  return db.run(`DELETE FROM commitments WHERE status != 'used' AND expires_at <= ?`, [now.toISOString()]);
+}
+
+// Check whether a commitment can be used for a roll.
+// Returns null if it can, otherwise a short reason code.
+export function checkCommitment(commitment, paymentHash = null) {
+  if (!commitment) return 'not_found';
+  if (commitment.status === 'superseded') return 'superseded';
+  if (commitment.status !== 'pending') return 'already_used';
+  if (new Date(commitment.expires_at) <= new Date()) return 'expired';
+  if (commitment.payment_hash && paymentHash && commitment.payment_hash !== paymentHash) {
+    return 'bound_to_other_payment';
+  }
+  return null;
+}
+
+// Atomically consume a pending commitment for a game.
+// Returns false if it was already used (e.g. by a concurrent request).
+//
+// For a chain seed this also supersedes any pending commitments issued
+// earlier from the same chain: revealing seed i reveals every seed above it
+// (each is the SHA256 of the one below), so those can no longer be played.
+export function claimCommitment(serverSeedHash, gameId) {
+  return db.transaction(() => {
+    const claimed = db.run(
+      `UPDATE commitments SET status = 'used', game_id = ?, used_at = ?
+       WHERE server_seed_hash = ? AND status = 'pending'`,
+      [gameId, new Date().toISOString(), serverSeedHash]
+    );
+    if (claimed !== 1) return false;
+
+    // Chains are per requester (see chain.js), so this only ever voids the
+    // claimant's own earlier commitments
+    const commitment = getCommitment(serverSeedHash);
+    if (commitment.chain_id) {
+      db.run(
+        `UPDATE commitments SET status = 'superseded'
+         WHERE chain_id = ? AND chain_index > ? AND status = 'pending'`,
+        [commitment.chain_id, commitment.chain_index]
+      );
+    }
+    return true;
+  });
+}
+
+// Look up a spent token; returns the game it was used for, or null
+export function getSpentToken(tokenHash) {
+  return queryOne('SELECT * FROM spent_tokens WHERE token_hash = ?', [tokenHash]);
+}
+
+// Record a token as spent by a game. The primary key makes this atomic:
+// returns true for the first caller, false if the token was already spent.
+export function spendToken(tokenHash, gameId) {
+  const spent = db.run(
+    'INSERT INTO spent_tokens (token_hash, game_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+    [tokenHash, gameId]
+  );
+  return spent === 1;
 }
 
 // Get a game by ID
 export function getGame(gameId) {
-  const stmt = db.prepare('SELECT * FROM games WHERE id = ?');
-  stmt.bind([gameId]);
-  if (stmt.step()) {
-    const row = stmt.getAsObject();
-    stmt.free();
-    return row;
+  return queryOne('SELECT * FROM games WHERE id = ?', [gameId]);
+}
+
+// ──────────────────────────────────────────────────────────
+// Payout state
+// ──────────────────────────────────────────────────────────
+
+// Statuses a winning game's Lightning payout moves through:
+//   pending → sending → sent
+//                     → failed → sending → ... → abandoned (after max attempts)
+// Wins in a batch are 'batched': the batch row carries their combined payout
+// through the same statuses. Jackpot wins and credit withdrawals go through
+// them too; a withdrawal that definitely failed ends 'reversed' instead.
+// Wins from before the queue are 'legacy_unknown' (migration 005): nobody
+// knows whether they were paid, so only an operator's requeue retries them.
+export const RETRYABLE_PAYOUT_STATUSES = ['pending', 'failed'];
+
+// Rows that can owe a payout, and which of them do
+const PAYOUT_TABLES = {
+  games: "result = 'win' AND payout_sats > 0",
+  batches: 'payout_sats > 0',
+  jackpot_wins: 'payout_sats > 0',
+  tournament_prizes: 'payout_sats > 0',
+  withdrawals: 'payout_sats > 0',
+};
+
+// Payouts are keyed by game ID, batch ID ('b_…'), jackpot win ID ('j_…'),
+// tournament prize ID ('p_…') or withdrawal ID ('w_…')
+function payoutTable(id) {
+  if (id.startsWith('b_')) return 'batches';
+  if (id.startsWith('j_')) return 'jackpot_wins';
+  if (id.startsWith('p_')) return 'tournament_prizes';
+  if (id.startsWith('w_')) return 'withdrawals';
+  return 'games';
+}
+
+// The game, batch, jackpot win or prize a payout belongs to
+export function getPayout(id) {
+  return queryOne(`SELECT * FROM ${payoutTable(id)} WHERE id = ?`, [id]);
+}
+
+// Atomically take a payout for sending. Returns false if another caller
+// (the /roll request or the retry worker) already has it.
+export function markPayoutSending(gameId, preimage = null) {
+  const taken = db.run(
+    `UPDATE ${payoutTable(gameId)} SET payout_status = 'sending',
+       payout_attempts = payout_attempts + 1,
+       payout_preimage = COALESCE(payout_preimage, ?),
+       payout_updated_at = ?
+     WHERE id = ? AND payout_status IN ('pending', 'failed')`,
+    [preimage, new Date().toISOString(), gameId]
+  );
+  return taken === 1;
+}
+
+// Record how a payout attempt went
+export function recordPayoutResult(gameId, { status, error = null, paymentHash = null, feeSats = null, nextAttemptAt = null }) {
+  const now = new Date().toISOString();
+  db.run(
+    `UPDATE ${payoutTable(gameId)} SET payout_status = ?,
+       payout_error = ?,
+       payout_payment_hash = COALESCE(?, payout_payment_hash),
+       payout_fee_sats = COALESCE(?, payout_fee_sats),
+       payout_next_attempt_at = ?,
+       payout_updated_at = ?,
+       paid_at = CASE WHEN ? = 'sent' THEN ? ELSE paid_at END
+     WHERE id = ?`,
+    [status, error, paymentHash, feeSats, nextAttemptAt, now, status, now, gameId]
+  );
+}
+
+// Payouts due for another attempt (from every payout table), oldest first
+export function getRetryablePayouts(limit = 20) {
+  const due = Object.entries(PAYOUT_TABLES).flatMap(([table, owes]) =>
+    queryAll(
+      `SELECT * FROM ${table}
+       WHERE ${owes} AND payout_method != 'credit'
+         AND payout_status IN ('pending', 'failed')
+         AND (payout_next_attempt_at IS NULL OR payout_next_attempt_at <= ?)
+       ORDER BY created_at ASC
+       LIMIT ?`,
+      [new Date().toISOString(), limit]
+    )
+  );
+  return due.sort((a, b) => a.created_at.localeCompare(b.created_at)).slice(0, limit);
+}
+
+// Whether any payout row other than `id` pays to this invoice
+export function isInvoiceShared(invoice, id) {
+  const selects = Object.keys(PAYOUT_TABLES).map((table) => `SELECT id FROM ${table} WHERE payout_invoice = ? AND id != ?`);
+  return queryAll(selects.join(' UNION ALL '), Object.keys(PAYOUT_TABLES).flatMap(() => [invoice, id])).length > 0;
+}
+
+// Payouts that haven't gone through (from every payout table), oldest first
+export function getStuckPayouts(limit = 100) {
+  const selects = Object.entries(PAYOUT_TABLES).map(
+    ([table, owes]) =>
+      `SELECT id, player_pubkey, payout_sats, payout_method, payout_status, payout_attempts,
+              payout_error, payout_payment_hash, payout_next_attempt_at, payout_updated_at, created_at
+       FROM ${table}
+       WHERE ${owes} AND payout_status NOT IN ('sent', 'credited', 'batched', 'reversed')`
+  );
+  return queryAll(`${selects.join(' UNION ALL ')} ORDER BY created_at ASC LIMIT ?`, [limit]);
+}
+
+// Put a payout back in the queue, e.g. after an operator fixed the cause
+export function requeuePayout(gameId) {
+  const table = payoutTable(gameId);
+  const requeued = db.run(
+    `UPDATE ${table} SET payout_status = 'failed', payout_attempts = 0, payout_next_attempt_at = NULL,
+       payout_updated_at = ?
+     WHERE id = ? AND ${PAYOUT_TABLES[table]} AND payout_status IN ('failed', 'abandoned', 'pending', 'legacy_unknown')`,
+    [new Date().toISOString(), gameId]
+  );
+  return requeued === 1;
+}
+
+// A payout left 'sending' by a crash may or may not have gone out. Mark it
+// failed so the worker retries it — retries reuse the same payment hash or
+// invoice, so LND will refuse to pay twice.
+export function resetInterruptedPayouts() {
+  let count = 0;
+  for (const table of Object.keys(PAYOUT_TABLES)) {
+    count += db.run(
+      `UPDATE ${table} SET payout_status = 'failed', payout_error = 'interrupted', payout_updated_at = ?
+       WHERE payout_status = 'sending'`,
+      [new Date().toISOString()]
+    );
   }
-  stmt.free();
-  return null;
+  return count;
+}
+
+// ──────────────────────────────────────────────────────────
+// Bankroll log
+// ──────────────────────────────────────────────────────────
+
+// Current bankroll: the running balance of the last log entry
+export function getBankrollBalance() {
+  const row = queryOne('SELECT balance_sats FROM bankroll_log ORDER BY id DESC LIMIT 1');
+  return row ? row.balance_sats : config.bankroll.initial;
+}
+
+// Append a bankroll movement (+ into the house, − out of it) with the new running balance
+export function logBankrollEvent({ event, amountSats, gameId = null }) {
+  return db.transaction(() => {
+    const balance = getBankrollBalance() + amountSats;
+    db.run(
+      'INSERT INTO bankroll_log (event, amount_sats, balance_sats, game_id) VALUES (?, ?, ?, ?)',
+      [event, amountSats, balance, gameId]
+    );
+    return balance;
+  });
+}
+
+// Lightning payouts owed to winners but not yet delivered. Jackpot wins are
+// left out: the pot already sits outside the bankroll.
+export function getOpenExposure() {
+  const row = queryOne(
+    `SELECT
+       (SELECT COALESCE(SUM(payout_sats), 0) FROM games
+        WHERE result = 'win' AND payout_method != 'credit'
+          AND payout_status IN ('pending', 'sending', 'failed')) +
+       (SELECT COALESCE(SUM(payout_sats), 0) FROM batches
+        WHERE payout_method != 'credit'
+          AND payout_status IN ('pending', 'sending', 'failed')) +
+       (SELECT COALESCE(SUM(payout_sats), 0) FROM tournament_prizes
+        WHERE payout_status IN ('pending', 'sending', 'failed')) AS owed`
+  );
+  return row.owed;
+}
+
+export function getBankrollLog(limit = 50) {
+  return queryAll('SELECT * FROM bankroll_log ORDER BY id DESC LIMIT ?', [limit]);
 }
 
 // Get aggregate stats
 export function getStats() {
-  const total = db.exec(`
+  const total = queryOne(`
     SELECT
       COUNT(*) as total_games,
       COALESCE(SUM(bet_sats), 0) as total_wagered,
@@ -118,74 +410,910 @@ export function getStats() {
     FROM games
   `);
 
-  const last24h = db.exec(`
-    SELECT
+  const last24h = queryOne(
+    `SELECT
       COUNT(*) as games,
       COALESCE(SUM(bet_sats), 0) as volume
     FROM games
-    WHERE created_at > datetime('now', '-1 day')
-  `);
-
-  const t = total[0]?.values[0] || [0, 0, 0, 0, 0];
-  const d = last24h[0]?.values[0] || [0, 0];
+    WHERE created_at > ?`,
+    [sqlTimestamp(-24 * 3600 * 1000)]
+  );
 
   return {
-    total_games: t[0],
-    total_wagered_sats: t[1],
-    total_paid_out_sats: t[2],
-    house_profit_sats: t[1] - t[2],
-    unique_players: t[3],
-    biggest_win_sats: t[4],
+    total_games: total.total_games,
+    total_wagered_sats: total.total_wagered,
+    total_paid_out_sats: total.total_paid_out,
+    house_profit_sats: total.total_wagered - total.total_paid_out,
+    unique_players: total.unique_players,
+    biggest_win_sats: total.biggest_win,
     last_24h: {
-      games: d[0],
-      volume_sats: d[1],
+      games: last24h.games,
+      volume_sats: last24h.volume,
     },
   };
 }
 
 // Get leaderboard — top players by net profit
 export function getLeaderboard(limit = 20) {
-  const results = db.exec(`
-    SELECT
-      player_pubkey,
+  return queryAll(
+    `SELECT
+      g.player_pubkey,
+      p.alias,
       COUNT(*) as games,
       SUM(bet_sats) as total_wagered,
       SUM(payout_sats) as total_won,
       SUM(payout_sats) - SUM(bet_sats) as net_profit,
       MAX(payout_sats) as biggest_win
-    FROM games
-    WHERE player_pubkey IS NOT NULL
-    GROUP BY player_pubkey
+    FROM games g
+    LEFT JOIN profiles p ON p.player_pubkey = g.player_pubkey
+    WHERE g.player_pubkey IS NOT NULL
+    GROUP BY g.player_pubkey, p.alias
     ORDER BY net_profit DESC
-    LIMIT ?
-  `, [limit]);
-
-  if (!results[0]) return [];
+    LIMIT ?`,
+    [limit]
+  );
+}
 
-  const columns = results[0].columns;
-  return results[0].values.map((row) => {
-    const obj = {};
-    columns.forEach((col, i) => (obj[col] = row[i]));
-    return obj;
-  });
+// The most recent games' rolls and amounts, in play order (for the fairness monitor)
+export function getRecentRolls(limit) {
+  return queryAll(
+    `SELECT id, roll, roll_algorithm, mode, target, mode_params, result, bet_sats, payout_sats, bonus_sats, house_edge
+     FROM games ORDER BY rowid DESC LIMIT ?`,
+    [limit]
+  ).reverse();
 }
 
 // Get recent games (for live feed)
 export function getRecentGames(limit = 20) {
-  const results = db.exec(`
-    SELECT id, roll, target, result, bet_sats, multiplier, payout_sats,
-           player_pubkey, created_at
-    FROM games
-    ORDER BY created_at DESC
-    LIMIT ?
-  `, [limit]);
+  return queryAll(
+    `SELECT g.id, roll, target, mode, mode_params, roll_algorithm, result, bet_sats, multiplier, payout_sats,
+           bonus_sats, house_edge, g.player_pubkey, p.alias, g.created_at
+    FROM games g
+    LEFT JOIN profiles p ON p.player_pubkey = g.player_pubkey
+    ORDER BY g.rowid DESC
+    LIMIT ?`,
+    [limit]
+  );
+}
 
-  if (!results[0]) return [];
+// ──────────────────────────────────────────────────────────
+// Credit accounts
+// ──────────────────────────────────────────────────────────
 
-  const columns = results[0].columns;
-  return results[0].values.map((row) => {
-    const obj = {};
-    columns.forEach((col, i) => (obj[col] = row[i]));
-    return obj;
+// Ledger accounts on the house side of every transaction
+export const HOUSE_ACCOUNT = 'house';
+export const WITHDRAWALS_ACCOUNT = 'withdrawals';
+export const JACKPOT_ACCOUNT = 'jackpot';
+export const JACKPOT_PAYOUTS_ACCOUNT = 'jackpot_payouts';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a credit account. The bearer token is returned once and only its hash is stored.
+// `pubkeyProven` says the opening request proved it speaks for `playerPubkey`.
+export function createCreditAccount({ playerPubkey = null, pubkeyProven = false } = {}) {
+  const id = 'acct_' + crypto.randomBytes(6).toString('hex');
+  const token = 'cdt_' + crypto.randomBytes(24).toString('base64url');
+  db.run(
+    'INSERT INTO credit_accounts (id, token_hash, player_pubkey, pubkey_proven, client_seed) VALUES (?, ?, ?, ?, ?)',
+    [id, hashToken(token), playerPubkey, playerPubkey && pubkeyProven ? 1 : 0, crypto.randomBytes(16).toString('hex')]
+  );
+  return { account: getCreditAccount(id), token };
+}
+
+export function getCreditAccount(accountId) {
+  return queryOne('SELECT * FROM credit_accounts WHERE id = ?', [accountId]);
+}
+
+export function getCreditAccountByToken(token) {
+  return queryOne('SELECT * FROM credit_accounts WHERE token_hash = ?', [hashToken(token)]);
+}
+
+export function getCreditBalance(accountId) {
+  const row = queryOne(
+    'SELECT COALESCE(SUM(amount_sats), 0) AS balance FROM ledger_entries WHERE account = ?',
+    [accountId]
+  );
+  return row.balance;
+}
+
+export function getLedgerEntries(accountId, limit = 20) {
+  return queryAll(
+    `SELECT txn_id, amount_sats, event, game_id, created_at FROM ledger_entries
+     WHERE account = ? ORDER BY id DESC LIMIT ?`,
+    [accountId, limit]
+  );
+}
+
+// Move sats between two ledger accounts as one balanced transaction
+function transfer({ from, to, amountSats, event, gameId = null }) {
+  const txnId = 'txn_' + crypto.randomBytes(6).toString('hex');
+  db.transaction(() => {
+    db.run(
+      'INSERT INTO ledger_entries (txn_id, account, amount_sats, event, game_id) VALUES (?, ?, ?, ?, ?)',
+      [txnId, from, -amountSats, event, gameId]
+    );
+    db.run(
+      'INSERT INTO ledger_entries (txn_id, account, amount_sats, event, game_id) VALUES (?, ?, ?, ?, ?)',
+      [txnId, to, amountSats, event, gameId]
+    );
   });
+  return txnId;
+}
+
+// Debit a player's balance. Returns null (and moves nothing) if the balance is too low.
+function debit(accountId, { to, amountSats, event, gameId }) {
+  return db.transaction(() => {
+    if (getCreditBalance(accountId) < amountSats) return null;
+    return transfer({ from: accountId, to, amountSats, event, gameId });
+  });
+}
+
+// Stake a bet from the balance
+export function debitCreditBet(accountId, amountSats, gameId) {
+  return debit(accountId, { to: HOUSE_ACCOUNT, amountSats, event: 'bet', gameId });
+}
+
+// Pay winnings into the balance
+export function creditWinnings(accountId, amountSats, gameId) {
+  return transfer({ from: HOUSE_ACCOUNT, to: accountId, amountSats, event: 'win', gameId });
+}
+
+// Pay a tournament entry fee from the balance
+export function debitTournamentEntry(accountId, amountSats, entryId) {
+  return debit(accountId, { to: HOUSE_ACCOUNT, amountSats, event: 'tournament_entry', gameId: entryId });
+}
+
+// Take a withdrawal out of the balance before the Lightning payment is sent
+export function debitWithdrawal(accountId, amountSats, withdrawalId = null) {
+  return debit(accountId, { to: WITHDRAWALS_ACCOUNT, amountSats, event: 'withdrawal', gameId: withdrawalId });
+}
+
+// Put a failed withdrawal back
+export function reverseWithdrawal(accountId, amountSats, withdrawalId = null) {
+  return transfer({
+    from: WITHDRAWALS_ACCOUNT,
+    to: accountId,
+    amountSats,
+    event: 'withdrawal_reversal',
+    gameId: withdrawalId,
+  });
+}
+
+// Debit a withdrawal and queue its payout ('w_…') in one transaction.
+// Returns the withdrawal row, or null (and moves nothing) if the balance is too low.
+export function createWithdrawal({ accountId, amountSats, method, pubkey = null, invoice = null }) {
+  const id = 'w_' + crypto.randomBytes(4).toString('hex');
+  return db.transaction(() => {
+    const txnId = debitWithdrawal(accountId, amountSats, id);
+    if (!txnId) return null;
+    db.run(
+      `INSERT INTO withdrawals (id, account_id, txn_id, player_pubkey, payout_sats, payout_method, payout_invoice)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, accountId, txnId, pubkey, amountSats, method, invoice]
+    );
+    return getPayout(id);
+  });
+}
+
+// Refund a withdrawal whose payment definitely did not go out. Returns false
+// if it was already sent or refunded.
+export function reverseFailedWithdrawal(withdrawalId, error) {
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    const reversed = db.run(
+      `UPDATE withdrawals SET payout_status = 'reversed', payout_error = ?, payout_next_attempt_at = NULL,
+         payout_updated_at = ?, reversed_at = ?
+       WHERE id = ? AND payout_status NOT IN ('sent', 'reversed')`,
+      [error, now, now, withdrawalId]
+    );
+    if (reversed !== 1) return false;
+    const withdrawal = getPayout(withdrawalId);
+    reverseWithdrawal(withdrawal.account_id, withdrawal.payout_sats, withdrawalId);
+    return true;
+  });
+}
+
+// An account's most recent withdrawals
+export function getWithdrawals(accountId, limit = 20) {
+  return queryAll(
+    `SELECT id, payout_sats, payout_method, payout_status, payout_error, payout_payment_hash,
+            created_at, paid_at, reversed_at
+     FROM withdrawals WHERE account_id = ? ORDER BY rowid DESC LIMIT ?`,
+    [accountId, limit]
+  );
+}
+
+// Use the account's next nonce, optionally switching to a new client seed first.
+// Returns the { clientSeed, nonce } pair for this roll.
+export function useCreditNonce(accountId, clientSeed = null) {
+  return db.transaction(() => {
+    if (clientSeed) {
+      db.run('UPDATE credit_accounts SET client_seed = ? WHERE id = ?', [clientSeed, accountId]);
+    }
+    const account = getCreditAccount(accountId);
+    db.run('UPDATE credit_accounts SET nonce = nonce + 1 WHERE id = ?', [accountId]);
+    return { clientSeed: account.client_seed, nonce: account.nonce };
+  });
+}
+
+// Attach a payout pubkey to an account that doesn't have one yet. It is
+// unproven: only a payout destination, not the account holder's identity.
+export function setCreditPubkey(accountId, playerPubkey) {
+  db.run(
+    'UPDATE credit_accounts SET player_pubkey = ?, pubkey_proven = 0 WHERE id = ? AND player_pubkey IS NULL',
+    [playerPubkey, accountId]
+  );
+}
+
+// Bind a pubkey the account holder proved with a signature, replacing an
+// unproven one. Returns false if the account is already proven for another.
+export function proveCreditPubkey(accountId, playerPubkey) {
+  return (
+    db.run(
+      `UPDATE credit_accounts SET player_pubkey = ?, pubkey_proven = 1
+       WHERE id = ? AND (pubkey_proven = 0 OR player_pubkey = ?)`,
+      [playerPubkey, accountId, playerPubkey]
+    ) === 1
+  );
+}
+
+// ──────────────────────────────────────────────────────────
+// Win streaks
+// ──────────────────────────────────────────────────────────
+
+// A player's most recent streak-tracked game — before `gameId` when given
+export function getStreakGameBefore(playerPubkey, gameId = null) {
+  return queryOne(
+    `SELECT id, streak FROM games
+     WHERE player_pubkey = ? AND streak IS NOT NULL
+       ${gameId ? 'AND rowid < (SELECT rowid FROM games WHERE id = ?)' : ''}
+     ORDER BY rowid DESC LIMIT 1`,
+    gameId ? [playerPubkey, gameId] : [playerPubkey]
+  );
+}
+
+// ──────────────────────────────────────────────────────────
+// Jackpot
+// ──────────────────────────────────────────────────────────
+
+// The pot is the balance of the jackpot ledger account
+export function getJackpotPot() {
+  return getCreditBalance(JACKPOT_ACCOUNT);
+}
+
+// Move a game's share of its bet from the house into the pot
+export function contributeToJackpot(amountSats, gameId) {
+  return transfer({ from: HOUSE_ACCOUNT, to: JACKPOT_ACCOUNT, amountSats, event: 'jackpot_contribution', gameId });
+}
+
+export function generateJackpotWinId() {
+  return 'j_' + crypto.randomBytes(4).toString('hex');
+}
+
+// Empty the pot into a jackpot win: into the winner's credit account, or
+// towards a Lightning payout. Returns the win, or null if the pot is empty.
+export function saveJackpotWin({ gameId, betSats, playerPubkey = null, creditAccountId = null }) {
+  return db.transaction(() => {
+    const amountSats = getJackpotPot();
+    if (amountSats <= 0) return null;
+
+    const id = generateJackpotWinId();
+    transfer({
+      from: JACKPOT_ACCOUNT,
+      to: creditAccountId || JACKPOT_PAYOUTS_ACCOUNT,
+      amountSats,
+      event: 'jackpot_win',
+      gameId,
+    });
+    db.run(
+      `INSERT INTO jackpot_wins (id, game_id, bet_sats, payout_sats, player_pubkey, credit_account_id,
+        payout_method, payout_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        gameId,
+        betSats,
+        amountSats,
+        playerPubkey,
+        creditAccountId,
+        creditAccountId ? 'credit' : 'keysend',
+        creditAccountId ? 'credited' : 'pending',
+      ]
+    );
+    return getJackpotWin(id);
+  });
+}
+
+export function getJackpotWin(winId) {
+  return queryOne('SELECT * FROM jackpot_wins WHERE id = ?', [winId]);
+}
+
+export function getJackpotWinForGame(gameId) {
+  return queryOne('SELECT * FROM jackpot_wins WHERE game_id = ?', [gameId]);
+}
+
+export function getJackpotWins(limit = 20) {
+  return queryAll('SELECT * FROM jackpot_wins ORDER BY created_at DESC, rowid DESC LIMIT ?', [limit]);
+}
+
+// Contributions ever made and the number of games that made them
+export function getJackpotTotals() {
+  return queryOne(
+    `SELECT COALESCE(SUM(amount_sats), 0) AS contributed_sats, COUNT(*) AS contributions
+     FROM ledger_entries WHERE account = ? AND event = 'jackpot_contribution'`,
+    [JACKPOT_ACCOUNT]
+  );
+}
+
+// ──────────────────────────────────────────────────────────
+// Player client seeds
+// ──────────────────────────────────────────────────────────
+
+export function getPlayerSeed(playerPubkey) {
+  return queryOne('SELECT * FROM player_seeds WHERE player_pubkey = ?', [playerPubkey]);
+}
+
+// Set or rotate a player's client seed; the nonce starts again at 0
+export function setPlayerSeed(playerPubkey, clientSeed) {
+  db.run(
+    `INSERT INTO player_seeds (player_pubkey, client_seed, nonce, updated_at) VALUES (?, ?, 0, ?)
+     ON CONFLICT(player_pubkey) DO UPDATE SET client_seed = excluded.client_seed, nonce = 0,
+       updated_at = excluded.updated_at`,
+    [playerPubkey, clientSeed, sqlTimestamp()]
+  );
+  return getPlayerSeed(playerPubkey);
+}
+
+// Use the player's next nonce. Returns the { clientSeed, nonce } pair for
+// this roll, or null if the player hasn't set a client seed.
+export function usePlayerNonce(playerPubkey) {
+  return db.transaction(() => {
+    const seed = getPlayerSeed(playerPubkey);
+    if (!seed) return null;
+    db.run('UPDATE player_seeds SET nonce = nonce + 1 WHERE player_pubkey = ?', [playerPubkey]);
+    return { clientSeed: seed.client_seed, nonce: seed.nonce };
+  });
+}
+
+// ──────────────────────────────────────────────────────────
+// Abuse controls
+// ──────────────────────────────────────────────────────────
+
+export function logAbuseEvent({ event, scope = null, ip = null, playerPubkey = null, macaroonId = null, detail = null }) {
+  db.run(
+    `INSERT INTO abuse_events (event, scope, ip, player_pubkey, macaroon_id, detail)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [event, scope, ip, playerPubkey, macaroonId, detail]
+  );
+}
+
+export function getAbuseEvents(limit = 100) {
+  return queryAll('SELECT * FROM abuse_events ORDER BY id DESC LIMIT ?', [limit]);
+}
+
+// Clients with the most abuse events in the last `hours`, by IP and by pubkey
+export function getAbuseOffenders(hours = 24, limit = 20) {
+  const since = sqlTimestamp(-hours * 3600 * 1000);
+  const byColumn = (column, type) =>
+    queryAll(
+      `SELECT ${column} AS value, COUNT(*) AS events, MAX(created_at) AS last_seen FROM abuse_events
+       WHERE ${column} IS NOT NULL AND created_at >= ?
+       GROUP BY ${column} ORDER BY events DESC LIMIT ?`,
+      [since, limit]
+    ).map((row) => ({ client_key: `${type}:${row.value}`, ...row }));
+  return [...byColumn('ip', 'ip'), ...byColumn('player_pubkey', 'pubkey'), ...byColumn('macaroon_id', 'macaroon')]
+    .sort((a, b) => b.events - a.events)
+    .slice(0, limit);
+}
+
+export function blockClient(clientKey, { reason = null, expiresAt = null } = {}) {
+  db.run(
+    `INSERT INTO blocked_clients (client_key, reason, created_at, expires_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT(client_key) DO UPDATE SET reason = excluded.reason, created_at = excluded.created_at,
+       expires_at = excluded.expires_at`,
+    [clientKey, reason, sqlTimestamp(), expiresAt]
+  );
+}
+
+export function unblockClient(clientKey) {
+  return db.run('DELETE FROM blocked_clients WHERE client_key = ?', [clientKey]) > 0;
+}
+
+// The first active block among the given client keys, or null
+export function getActiveBlock(clientKeys) {
+  if (clientKeys.length === 0) return null;
+  return queryOne(
+    `SELECT * FROM blocked_clients
+     WHERE client_key IN (${clientKeys.map(() => '?').join(', ')})
+       AND (expires_at IS NULL OR expires_at > ?)
+     LIMIT 1`,
+    [...clientKeys, new Date().toISOString()]
+  );
+}
+
+export function getBlockedClients() {
+  return queryAll(
+    'SELECT * FROM blocked_clients WHERE expires_at IS NULL OR expires_at > ? ORDER BY created_at DESC',
+    [new Date().toISOString()]
+  );
+}
+
+// ──────────────────────────────────────────────────────────
+// Live feed
+// ──────────────────────────────────────────────────────────
+
+function parseFeedEvent(row) {
+  return { ...row, data: JSON.parse(row.data) };
+}
+
+// Append a feed event and drop the oldest beyond `retain`. Returns the stored event.
+export function appendFeedEvent({ type, gameId = null, playerPubkey = null, betSats = null, data, retain }) {
+  return db.transaction(() => {
+    const event = parseFeedEvent(
+      queryOne(
+        `INSERT INTO feed_events (type, game_id, player_pubkey, bet_sats, data, created_at)
+         VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+        [type, gameId, playerPubkey, betSats, JSON.stringify(data), new Date().toISOString()]
+      )
+    );
+    if (retain) {
+      db.run('DELETE FROM feed_events WHERE seq <= ?', [event.seq - retain]);
+    }
+    return event;
+  });
+}
+
+// Events after `afterSeq`, oldest first. Bankroll events have no pubkey or
+// bet and pass every filter.
+export function getFeedEvents(afterSeq, { pubkey = null, minBet = 0, limit = 500 } = {}) {
+  return queryAll(
+    `SELECT * FROM feed_events
+     WHERE seq > ?
+       ${pubkey ? "AND (player_pubkey = ? OR type IN ('bankroll', 'fairness'))" : ''}
+       AND (bet_sats IS NULL OR bet_sats >= ?)
+     ORDER BY seq ASC LIMIT ?`,
+    pubkey ? [afterSeq, pubkey, minBet, limit] : [afterSeq, minBet, limit]
+  ).map(parseFeedEvent);
+}
+
+export function getFeedBounds() {
+  return queryOne('SELECT MIN(seq) AS oldest, MAX(seq) AS latest FROM feed_events');
+}
+
+// ──────────────────────────────────────────────────────────
+// Seed hash chains
+// ──────────────────────────────────────────────────────────
+
+export function saveSeedChain({ id, rootSeed, terminalHash, length, owner = '', checkpoints = null }) {
+  db.run(
+    `INSERT INTO seed_chains (id, root_seed, terminal_hash, length, next_index, owner, checkpoints, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, rootSeed, terminalHash, length, length - 1, owner, checkpoints && JSON.stringify(checkpoints), new Date().toISOString()]
+  );
+  return getSeedChain(id);
+}
+
+// Store the checkpoint seeds of a chain created without them
+export function saveSeedChainCheckpoints(chainId, checkpoints) {
+  db.run('UPDATE seed_chains SET checkpoints = ? WHERE id = ?', [JSON.stringify(checkpoints), chainId]);
+}
+
+export function getSeedChain(chainId) {
+  return queryOne('SELECT * FROM seed_chains WHERE id = ?', [chainId]);
+}
+
+// The chain seeds are currently issued to `owner` from, or null if it's used up
+export function getActiveSeedChain(owner = '') {
+  return queryOne(
+    'SELECT * FROM seed_chains WHERE owner = ? AND exhausted_at IS NULL ORDER BY created_at DESC LIMIT 1',
+    [owner]
+  );
+}
+
+export function getSeedChains(limit = 20) {
+  return queryAll(
+    `SELECT id, terminal_hash, length, next_index, created_at, exhausted_at
+     FROM seed_chains ORDER BY created_at DESC LIMIT ?`,
+    [limit]
+  );
+}
+
+// Take the next seed index from a chain (counting down). Returns the index,
+// or null once the chain is exhausted.
+export function takeChainIndex(chainId) {
+  return db.transaction(() => {
+    const chain = getSeedChain(chainId);
+    if (!chain || chain.next_index < 0) return null;
+    db.run('UPDATE seed_chains SET next_index = next_index - 1 WHERE id = ?', [chainId]);
+    if (chain.next_index === 0) {
+      db.run('UPDATE seed_chains SET exhausted_at = ? WHERE id = ?', [new Date().toISOString(), chainId]);
+    }
+    return chain.next_index;
+  });
+}
+
+// Games played from a chain, in play order (highest index first)
+export function getChainGames(chainId, { limit = 100, offset = 0 } = {}) {
+  return queryAll(
+    `SELECT c.chain_index, c.game_id, c.server_seed, c.server_seed_hash, c.used_at
+     FROM commitments c
+     WHERE c.chain_id = ? AND c.status = 'used'
+     ORDER BY c.chain_index DESC LIMIT ? OFFSET ?`,
+    [chainId, limit, offset]
+  );
+}
+
+// ──────────────────────────────────────────────────────────
+// Tournaments
+// ──────────────────────────────────────────────────────────
+
+function parseTournament(row) {
+  return row && { ...row, targets: row.targets && JSON.parse(row.targets), prize_split: JSON.parse(row.prize_split) };
+}
+
+export function saveTournament({ name, entryFeeSats, rounds, targets = null, startsAt, endsAt, rake, prizeSplit }) {
+  const id = 't_' + crypto.randomBytes(4).toString('hex');
+  db.run(
+    `INSERT INTO tournaments (id, name, entry_fee_sats, rounds, targets, starts_at, ends_at, rake, prize_split)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, name, entryFeeSats, rounds, targets && JSON.stringify(targets), startsAt, endsAt, rake, JSON.stringify(prizeSplit)]
+  );
+  return getTournament(id);
+}
+
+export function generateTournamentRollId() {
+  return 'tr_' + crypto.randomBytes(4).toString('hex');
+}
+
+export function getTournament(tournamentId) {
+  return parseTournament(queryOne('SELECT * FROM tournaments WHERE id = ?', [tournamentId]));
+}
+
+export function getTournaments(limit = 20) {
+  return queryAll('SELECT * FROM tournaments ORDER BY starts_at DESC LIMIT ?', [limit]).map(parseTournament);
+}
+
+// Open tournaments whose window has closed, waiting to be settled
+export function getEndedTournaments(now = new Date().toISOString()) {
+  return queryAll("SELECT * FROM tournaments WHERE status = 'open' AND ends_at <= ?", [now]).map(parseTournament);
+}
+
+// Enter a player. The bearer token is returned once and only its hash is
+// stored. Returns null if the player already has an entry.
+export function createTournamentEntry({ tournamentId, playerPubkey, clientSeed, paidWith }) {
+  return db.transaction(() => {
+    if (getTournamentEntry(tournamentId, playerPubkey)) return null;
+    const id = 'te_' + crypto.randomBytes(4).toString('hex');
+    const token = 'tnt_' + crypto.randomBytes(24).toString('base64url');
+    db.run(
+      `INSERT INTO tournament_entries (id, tournament_id, player_pubkey, token_hash, client_seed, paid_with, joined_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, tournamentId, playerPubkey, hashToken(token), clientSeed, paidWith, new Date().toISOString()]
+    );
+    return { entry: getTournamentEntryById(id), token };
+  });
+}
+
+export function getTournamentEntry(tournamentId, playerPubkey) {
+  return queryOne('SELECT * FROM tournament_entries WHERE tournament_id = ? AND player_pubkey = ?', [
+    tournamentId,
+    playerPubkey,
+  ]);
+}
+
+export function getTournamentEntryById(entryId) {
+  return queryOne('SELECT * FROM tournament_entries WHERE id = ?', [entryId]);
+}
+
+export function getTournamentEntryByToken(token) {
+  return queryOne('SELECT * FROM tournament_entries WHERE token_hash = ?', [hashToken(token)]);
+}
+
+// Atomically take the entry's next round. Returns its index, or null once
+// every round has been played.
+export function takeTournamentRound(entryId, rounds) {
+  const taken = db.run(
+    'UPDATE tournament_entries SET rounds_played = rounds_played + 1 WHERE id = ? AND rounds_played < ?',
+    [entryId, rounds]
+  );
+  if (taken !== 1) return null;
+  return getTournamentEntryById(entryId).rounds_played - 1;
+}
+
+// Store a resolved round and add its points to the entry's score
+export function saveTournamentRoll(roll) {
+  return db.transaction(() => {
+    db.run(
+      `INSERT INTO tournament_rolls (id, tournament_id, entry_id, player_pubkey, round, roll, target, result,
+        multiplier, points, server_seed, server_seed_hash, client_entropy, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        roll.id,
+        roll.tournamentId,
+        roll.entryId,
+        roll.playerPubkey,
+        roll.round,
+        roll.roll,
+        roll.target,
+        roll.result,
+        roll.multiplier,
+        roll.points,
+        roll.serverSeed,
+        roll.serverSeedHash,
+        roll.clientEntropy,
+        roll.createdAt,
+      ]
+    );
+    db.run('UPDATE tournament_entries SET score = score + ?, last_roll_at = ? WHERE id = ?', [
+      roll.points,
+      roll.createdAt,
+      roll.entryId,
+    ]);
+    appendAuditEntry(roll.id);
+    return getTournamentRoll(roll.id);
+  });
+}
+
+export function getTournamentRoll(rollId) {
+  return queryOne('SELECT * FROM tournament_rolls WHERE id = ?', [rollId]);
+}
+
+export function getTournamentRolls(entryId) {
+  return queryAll('SELECT * FROM tournament_rolls WHERE entry_id = ? ORDER BY round ASC', [entryId]);
+}
+
+// Entries by standing: most points, then whoever got there first, then earliest
+// entry (by insertion order when timestamps tie). Settled tournaments keep their final ranks.
+export function getTournamentStandings(tournamentId) {
+  return queryAll(
+    `SELECT id, player_pubkey, rounds_played, score, last_roll_at, rank, prize_sats, joined_at
+     FROM tournament_entries WHERE tournament_id = ?
+     ORDER BY rank IS NULL, rank ASC, score DESC, last_roll_at IS NULL, last_roll_at ASC, joined_at ASC, rowid ASC`,
+    [tournamentId]
+  );
+}
+
+/**
+ * Close a tournament: record final ranks and prizes and queue the prize
+ * payouts. `prizes` is [{ entryId, rank, playerPubkey, prizeSats }] for every
+ * ranked entry. Returns the saved prize rows, or null if another caller
+ * already settled it.
+ */
+export function settleTournamentRecord(tournamentId, { prizePoolSats, prizes }) {
+  return db.transaction(() => {
+    const tournament = getTournament(tournamentId);
+    const settled = db.run(
+      `UPDATE tournaments SET status = 'finished', prize_pool_sats = ?, settled_at = ?
+       WHERE id = ? AND status = 'open'`,
+      [prizePoolSats, new Date().toISOString(), tournamentId]
+    );
+    if (settled !== 1) return null;
+
+    const ids = [];
+    for (const prize of prizes) {
+      db.run('UPDATE tournament_entries SET rank = ?, prize_sats = ? WHERE id = ?', [
+        prize.rank,
+        prize.prizeSats,
+        prize.entryId,
+      ]);
+      if (prize.prizeSats <= 0) continue;
+      const id = 'p_' + crypto.randomBytes(4).toString('hex');
+      db.run(
+        `INSERT INTO tournament_prizes (id, tournament_id, rank, player_pubkey, bet_sats, payout_sats)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, tournamentId, prize.rank, prize.playerPubkey, tournament.entry_fee_sats, prize.prizeSats]
+      );
+      ids.push(id);
+    }
+    return ids.map((id) => queryOne('SELECT * FROM tournament_prizes WHERE id = ?', [id]));
+  });
+}
+
+export function getTournamentPrizes(tournamentId) {
+  return queryAll('SELECT * FROM tournament_prizes WHERE tournament_id = ? ORDER BY rank ASC', [tournamentId]);
+}
+
+// ──────────────────────────────────────────────────────────
+// Player profiles
+// ──────────────────────────────────────────────────────────
+
+function parseProfile(row) {
+  return row && { ...row, metadata: row.metadata && JSON.parse(row.metadata) };
+}
+
+export function saveProfileChallenge({ challenge, playerPubkey, alias, metadata = null, expiresAt }) {
+  db.run(
+    `INSERT INTO profile_challenges (challenge, player_pubkey, alias, metadata, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [challenge, playerPubkey, alias, metadata && JSON.stringify(metadata), expiresAt]
+  );
+  return getProfileChallenge(challenge);
+}
+
+export function getProfileChallenge(challenge) {
+  return parseProfile(queryOne('SELECT * FROM profile_challenges WHERE challenge = ?', [challenge]));
+}
+
+// Atomically use up a challenge. Returns false if it was already used or has expired.
+export function useProfileChallenge(challenge) {
+  const now = new Date().toISOString();
+  const used = db.run(
+    'UPDATE profile_challenges SET used_at = ? WHERE challenge = ? AND used_at IS NULL AND expires_at > ?',
+    [now, challenge, now]
+  );
+  return used === 1;
+}
+
+export function getProfile(playerPubkey) {
+  return parseProfile(queryOne('SELECT * FROM profiles WHERE player_pubkey = ?', [playerPubkey]));
+}
+
+// Aliases are unique regardless of case
+export function getProfileByAlias(alias) {
+  return parseProfile(queryOne('SELECT * FROM profiles WHERE lower(alias) = lower(?)', [alias]));
+}
+
+// Create or replace a player's profile
+export function saveProfile({ playerPubkey, alias, metadata = null, signature }) {
+  const now = new Date().toISOString();
+  db.run(
+    `INSERT INTO profiles (player_pubkey, alias, metadata, signature, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(player_pubkey) DO UPDATE SET
+       alias = excluded.alias, metadata = excluded.metadata,
+       signature = excluded.signature, updated_at = excluded.updated_at`,
+    [playerPubkey, alias, metadata && JSON.stringify(metadata), signature, now, now]
+  );
+  return getProfile(playerPubkey);
+}
+
+// Lifetime totals over a player's games
+export function getPlayerStats(playerPubkey) {
+  return queryOne(
+    `SELECT COUNT(*) AS games,
+            COALESCE(SUM(CASE WHEN result = 'win' THEN 1 ELSE 0 END), 0) AS wins,
+            COALESCE(SUM(bet_sats), 0) AS total_wagered,
+            COALESCE(SUM(payout_sats), 0) AS total_won,
+            COALESCE(SUM(payout_sats) - SUM(bet_sats), 0) AS net_profit,
+            COALESCE(MAX(payout_sats), 0) AS biggest_win,
+            MIN(created_at) AS first_game_at,
+            MAX(created_at) AS last_game_at
+     FROM games WHERE player_pubkey = ?`,
+    [playerPubkey]
+  );
+}
+
+// A player's most recent games, newest first
+export function getPlayerGames(playerPubkey, limit = 20) {
+  return queryAll(
+    `SELECT id, mode, roll, target, result, bet_sats, multiplier, payout_sats, payout_status, created_at
+     FROM games WHERE player_pubkey = ?
+     ORDER BY rowid DESC LIMIT ?`,
+    [playerPubkey, limit]
+  );
+}
+
+// Wins since the player's last loss
+export function getPlayerWinStreak(playerPubkey) {
+  return queryOne(
+    `SELECT COUNT(*) AS streak FROM games
+     WHERE player_pubkey = ?
+       AND rowid > COALESCE((SELECT MAX(rowid) FROM games WHERE player_pubkey = ? AND result = 'loss'), 0)`,
+    [playerPubkey, playerPubkey]
+  ).streak;
+}
+
+// ──────────────────────────────────────────────────────────
+// Audit log
+// ──────────────────────────────────────────────────────────
+
+// Log entries are games (g) or tournament rounds (t, 'tr_…'); a column both have comes from whichever it is
+const AUDITED_COLUMNS = [...new Set([...AUDITED_FIELDS, ...AUDITED_ROUND_FIELDS])]
+  .map((field) => {
+    if (!AUDITED_ROUND_FIELDS.includes(field)) return `g.${field}`;
+    if (!AUDITED_FIELDS.includes(field)) return `t.${field}`;
+    return `COALESCE(g.${field}, t.${field}) AS ${field}`;
+  })
+  .join(', ');
+
+// Append a stored game or tournament round to the hash-chained log (see merkle.js)
+function appendAuditEntry(gameId) {
+  const last = queryOne('SELECT chain_hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+  const leaf = leafHash(auditLeaf(gameId.startsWith('tr_') ? getTournamentRoll(gameId) : getGame(gameId)));
+  db.run('INSERT INTO audit_log (game_id, leaf_hash, chain_hash, created_at) VALUES (?, ?, ?, ?)', [
+    gameId,
+    leaf,
+    nextChainHash(last ? last.chain_hash : GENESIS_HASH, leaf),
+    new Date().toISOString(),
+  ]);
+}
+
+// Append games and tournament rounds missing from the log, oldest first —
+// e.g. copied in from a database older than the log. Returns how many were appended.
+export function logUnauditedGames() {
+  return db.transaction(() => {
+    const games = queryAll(
+      'SELECT g.id FROM games g LEFT JOIN audit_log a ON a.game_id = g.id WHERE a.seq IS NULL ORDER BY g.rowid ASC'
+    );
+    const rounds = queryAll(
+      `SELECT t.id FROM tournament_rolls t LEFT JOIN audit_log a ON a.game_id = t.id
+       WHERE a.seq IS NULL ORDER BY t.created_at ASC, t.id ASC`
+    );
+    for (const row of [...games, ...rounds]) appendAuditEntry(row.id);
+    return games.length + rounds.length;
+  });
+}
+
+export function getAuditEntry(gameId) {
+  return queryOne('SELECT * FROM audit_log WHERE game_id = ?', [gameId]);
+}
+
+// Log entries in order, from after `afterSeq`, with their games (or
+// tournament rounds) as stored now — the columns are null if the row is gone
+export function getAuditEntries(afterSeq = 0, limit = 1000) {
+  return queryAll(
+    `SELECT a.seq, a.game_id, a.leaf_hash, a.chain_hash, a.root_id, ${AUDITED_COLUMNS}
+     FROM audit_log a LEFT JOIN games g ON g.id = a.game_id LEFT JOIN tournament_rolls t ON t.id = a.game_id
+     WHERE a.seq > ? ORDER BY a.seq ASC LIMIT ?`,
+    [afterSeq, limit]
+  );
+}
+
+// Leaf hashes under a root, in log order
+export function getAuditLeaves(rootId) {
+  return queryAll('SELECT seq, game_id, leaf_hash FROM audit_log WHERE root_id = ? ORDER BY seq ASC', [rootId]);
+}
+
+/**
+ * Seal up to `limit` entries not yet under a root: `build(entries)` returns
+ * the Merkle root over their leaf hashes. Returns the new root, or null if
+ * nothing was waiting.
+ */
+export function sealAuditEntries(limit, build) {
+  return db.transaction(() => {
+    const entries = queryAll(
+      'SELECT seq, leaf_hash, chain_hash FROM audit_log WHERE root_id IS NULL ORDER BY seq ASC LIMIT ?',
+      [limit]
+    );
+    if (!entries.length) return null;
+    const last = entries[entries.length - 1];
+    const root = queryOne(
+      `INSERT INTO audit_roots (first_seq, last_seq, size, merkle_root, chain_hash, created_at)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+      [entries[0].seq, last.seq, entries.length, build(entries), last.chain_hash, new Date().toISOString()]
+    );
+    db.run('UPDATE audit_log SET root_id = ? WHERE root_id IS NULL AND seq BETWEEN ? AND ?', [
+      root.id,
+      entries[0].seq,
+      last.seq,
+    ]);
+    return root;
+  });
+}
+
+export function getAuditRoot(rootId) {
+  return queryOne('SELECT * FROM audit_roots WHERE id = ?', [rootId]);
+}
+
+// Published roots, oldest first
+export function getAuditRoots({ afterId = 0, limit = 100000 } = {}) {
+  return queryAll('SELECT * FROM audit_roots WHERE id > ? ORDER BY id ASC LIMIT ?', [afterId, limit]);
+}
+
+export function getLatestAuditRoot() {
+  return queryOne('SELECT * FROM audit_roots ORDER BY id DESC LIMIT 1');
+}
+
+// { entries, unsealed, unlogged } — games (and tournament rounds) in the
+// log, those not yet under a root, and stored ones missing from the log altogether
+export function getAuditLogSize() {
+  return queryOne(
+    `SELECT COUNT(*) AS entries, COALESCE(SUM(CASE WHEN root_id IS NULL THEN 1 ELSE 0 END), 0) AS unsealed,
+       (SELECT COUNT(*) FROM games g WHERE NOT EXISTS (SELECT 1 FROM audit_log a WHERE a.game_id = g.id)) +
+       (SELECT COUNT(*) FROM tournament_rolls t WHERE NOT EXISTS (SELECT 1 FROM audit_log a WHERE a.game_id = t.id))
+         AS unlogged
+     FROM audit_log`
+  );
 }
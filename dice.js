@@ -10,8 +10,52 @@ import config from './config.js';
  * 3. Roll = first 2 bytes of HMAC-SHA256(serverSeed, clientEntropy) → uint16 (0–65535)
  * 4. Neither party controls both inputs → neither can manipulate the outcome
  * 5. After the game, server reveals the seed so anyone can verify
+ *
+ * Roll versions (stored per game, so old games keep verifying):
+ *   v1 — HMAC-SHA256(serverSeed, clientEntropy)
+ *   v2 — HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${clientEntropy}`)
+ *        for players who set their own client seed; the nonce counts their rolls
+ *
+ * Roll algorithms turn the HMAC into a roll (also stored per game):
+ *   u16 — first 2 bytes as uint16 → 0–65535 (?target=)
+ *   u32 — 4-byte words with rejection sampling → 0–999,999, so a win chance
+ *         with basis-point precision maps to an exact target (?chance=)
+ *   dice — HMAC bytes with rejection sampling → one face per die (dice mode)
+ *
+ * Game modes decide what a roll wins (see GAME_MODES). Each counts its
+ * winning outcomes exactly, and the multiplier comes from
+ * config.game.getMultiplier(winning, total) like the original roll-under.
  */
 
+export const ROLL_VERSIONS = {
+  1: 'HMAC-SHA256(server_seed, client_entropy)',
+  2: 'HMAC-SHA256(server_seed, client_seed:nonce:client_entropy)',
+};
+
+export const ROLL_ALGORITHMS = {
+  u16: {
+    range: 65536,
+    description: 'Take the first 2 bytes of the HMAC as uint16 big-endian → roll',
+  },
+  u32: {
+    range: 1_000_000,
+    description:
+      'Read the HMAC as 4-byte big-endian words; the first word below 4294000000 (the largest ' +
+      'multiple of 1,000,000 under 2^32) gives roll = word mod 1,000,000. If all 8 are rejected, ' +
+      'continue with HMAC(server_seed, message + ":1"), ":2", …',
+  },
+  dice: {
+    range: null,
+    description:
+      'Read the HMAC byte by byte; each byte below the largest multiple of `sides` under 256 ' +
+      'gives the next die = byte mod sides + 1, until every die is rolled (continuing with ' +
+      'HMAC(server_seed, message + ":1"), ":2", … if needed). roll = sum of the dice',
+  },
+};
+
+// Rolls from ?chance= use this algorithm: 1,000,000 outcomes = 100 per basis point
+export const CHANCE_ALGORITHM = 'u32';
+
 // Generate a cryptographically random server seed
 export function generateServerSeed() {
   return crypto.randomBytes(32).toString('hex');
@@ -22,8 +66,29 @@ export function commitSeed(serverSeed) {
   return crypto.createHash('sha256').update(serverSeed).digest('hex');
 }
 
+// Uniform roll in [0, range) from 4-byte words. Words at or above the largest
+// multiple of `range` are rejected — keeping them would make `word % range`
+// favour low rolls.
+function rollWithRejection(serverSeed, message, range) {
+  const limit = 2 ** 32 - (2 ** 32 % range);
+  for (let round = 0; ; round++) {
+    const hmac = crypto
+      .createHmac('sha256', serverSeed)
+      .update(round === 0 ? message : `${message}:${round}`)
+      .digest();
+    for (let i = 0; i < hmac.length; i += 4) {
+      const word = hmac.readUInt32BE(i);
+      if (word < limit) return word % range;
+    }
+  }
+}
+
 // Generate the roll from server seed + client entropy (preimage)
-export function generateRoll(serverSeed, clientEntropy) {
+export function generateRoll(serverSeed, clientEntropy, algorithm = 'u16') {
+  if (algorithm === 'u32') {
+    return rollWithRejection(serverSeed, clientEntropy, ROLL_ALGORITHMS.u32.range);
+  }
+
   const hmac = crypto
     .createHmac('sha256', serverSeed)
     .update(clientEntropy)
@@ -34,33 +99,316 @@ export function generateRoll(serverSeed, clientEntropy) {
   return roll;
 }
 
-// Calculate payout multiplier for a target
-export function getMultiplier(target) {
-  return config.game.getMultiplier(target);
+// Dice faces (1–sides) from HMAC bytes, rejection-sampled like rollWithRejection
+export function generateDice(serverSeed, message, count, sides) {
+  const limit = 256 - (256 % sides);
+  const dice = [];
+  for (let round = 0; dice.length < count; round++) {
+    const hmac = crypto
+      .createHmac('sha256', serverSeed)
+      .update(round === 0 ? message : `${message}:${round}`)
+      .digest();
+    for (const byte of hmac) {
+      if (byte < limit) dice.push((byte % sides) + 1);
+      if (dice.length === count) break;
+    }
+  }
+  return dice;
+}
+
+// Number of ways to throw each sum with `count` dice: ways[sum]
+function diceSumWays(count, sides) {
+  let ways = [1];
+  for (let d = 0; d < count; d++) {
+    const next = new Array(ways.length + sides).fill(0);
+    ways.forEach((w, sum) => {
+      for (let face = 1; face <= sides; face++) next[sum + face] += w;
+    });
+    ways = next;
+  }
+  return ways;
+}
+
+function checkRange({ low, high }, range) {
+  if (low < 0 || high > range - 1 || low > high) {
+    return `Need 0 <= low <= high <= ${range - 1}`;
+  }
+  return null;
+}
+
+/**
+ * Bet shapes. Each mode has its params (with defaults, null = required), a
+ * check on them, its winning outcomes out of `range` (or its own `outcomes`),
+ * and the win rule. Dice mode rolls its own algorithm; the others roll u16,
+ * or u32 for roll-under by ?chance=.
+ */
+export const GAME_MODES = {
+  under: {
+    rule: 'roll < target',
+    params: { target: config.game.defaultTarget },
+    check: ({ target }, range) => (target < 1 || target > range - 1 ? `Target must be between 1 and ${range - 1}` : null),
+    winningOutcomes: ({ target }) => target,
+    wins: (roll, { target }) => roll < target,
+  },
+  over: {
+    rule: 'roll > target',
+    params: { target: config.game.maxRoll - config.game.defaultTarget },
+    check: ({ target }, range) => (target < 0 || target > range - 2 ? `Target must be between 0 and ${range - 2}` : null),
+    winningOutcomes: ({ target }, range) => range - 1 - target,
+    wins: (roll, { target }) => roll > target,
+  },
+  inside: {
+    rule: 'low <= roll <= high',
+    params: { low: null, high: null },
+    check: checkRange,
+    winningOutcomes: ({ low, high }) => high - low + 1,
+    wins: (roll, { low, high }) => roll >= low && roll <= high,
+  },
+  outside: {
+    rule: 'roll < low or roll > high',
+    params: { low: null, high: null },
+    check: checkRange,
+    winningOutcomes: ({ low, high }, range) => range - (high - low + 1),
+    wins: (roll, { low, high }) => roll < low || roll > high,
+  },
+  dice: {
+    rule: 'sum of the dice >= target',
+    params: { dice: 2, sides: 6, target: null },
+    rollAlgorithm: 'dice',
+    check: ({ dice, sides, target }) => {
+      if (dice < 1 || dice > 10) return 'Dice must be between 1 and 10';
+      if (sides < 2 || sides > 20) return 'Sides must be between 2 and 20';
+      if (target < dice + 1 || target > dice * sides) {
+        return `Target sum must be between ${dice + 1} and ${dice * sides}`;
+      }
+      return null;
+    },
+    outcomes: ({ dice, sides }) => sides ** dice,
+    winningOutcomes: ({ dice, sides, target }) =>
+      diceSumWays(dice, sides)
+        .slice(target)
+        .reduce((sum, w) => sum + w, 0),
+    wins: (roll, { target }) => roll >= target,
+  },
+};
+
+// Whether `mode` names a bet shape. Modes come from query strings, so only
+// GAME_MODES' own keys count — not 'toString' or '__proto__'.
+export function isGameMode(mode) {
+  return typeof mode === 'string' && Object.hasOwn(GAME_MODES, mode);
+}
+
+// A mode's params from query strings, with its defaults filled in, or null
+// for an unknown mode
+export function parseModeParams(mode, query) {
+  if (!isGameMode(mode)) return null;
+  const params = {};
+  for (const [name, fallback] of Object.entries(GAME_MODES[mode].params)) {
+    params[name] = query[name] === undefined ? fallback : Number(query[name]);
+  }
+  return params;
+}
+
+// Why a bet can't be placed, or null if it can
+export function checkModeParams(mode, params, rollRange = ROLL_ALGORITHMS.u16.range) {
+  if (!isGameMode(mode)) return `Mode must be one of: ${Object.keys(GAME_MODES).join(', ')}`;
+
+  const spec = GAME_MODES[mode];
+  const missing = Object.keys(spec.params).filter((name) => !Number.isInteger(params[name]));
+  if (missing.length) return `Mode ${mode} needs integer ${missing.join(', ')}`;
+
+  const problem = spec.check(params, rollRange);
+  if (problem) return problem;
+
+  const { winningOutcomes, totalOutcomes } = getModeOdds(mode, params, rollRange);
+  if (winningOutcomes < 1 || winningOutcomes >= totalOutcomes) return 'The bet must be able to both win and lose';
+  return null;
 }
 
-// Determine win/loss and payout
-export function resolveGame({ target, betSats, serverSeed, clientEntropy }) {
-  const roll = generateRoll(serverSeed, clientEntropy);
-  const multiplier = getMultiplier(target);
-  const win = roll < target;
+// Exact odds of a bet: winning and total outcomes, and the multiplier they pay
+export function getModeOdds(mode, params, rollRange = ROLL_ALGORITHMS.u16.range, houseEdge = config.game.houseEdge) {
+  const spec = GAME_MODES[mode];
+  const totalOutcomes = spec.outcomes ? spec.outcomes(params) : rollRange;
+  const winningOutcomes = spec.winningOutcomes(params, rollRange);
+  return {
+    winningOutcomes,
+    totalOutcomes,
+    winProbability: winningOutcomes / totalOutcomes,
+    multiplier: config.game.getMultiplier(winningOutcomes, totalOutcomes, houseEdge),
+  };
+}
+
+// Win chance in percent (up to 2 decimals, i.e. basis points) → target for
+// CHANCE_ALGORITHM, or null if it isn't a valid chance
+export function chanceToTarget(chance) {
+  if (!/^\d{1,2}(\.\d{1,2})?$/.test(String(chance))) return null;
+  const basisPoints = Math.round(parseFloat(chance) * 100);
+  if (basisPoints < 1 || basisPoints > 9999) return null;
+  return basisPoints * (ROLL_ALGORITHMS[CHANCE_ALGORITHM].range / 10000);
+}
+
+// Domain tag for the jackpot roll, so it never reuses the game roll's HMAC
+export const JACKPOT_DOMAIN = 'clawdice:jackpot';
+
+// Jackpot roll in [0, odds) from the game's own HMAC message under JACKPOT_DOMAIN; 0 hits
+export function generateJackpotRoll(serverSeed, message, odds) {
+  return rollWithRejection(serverSeed, `${JACKPOT_DOMAIN}:${message}`, odds);
+}
+
+// The HMAC message for a roll version
+export function rollMessage({ rollVersion = 1, clientEntropy, clientSeed = null, nonce = null }) {
+  if (rollVersion === 2) return `${clientSeed}:${nonce}:${clientEntropy}`;
+  return clientEntropy;
+}
+
+// Calculate payout multiplier for a target out of `rollRange` outcomes
+export function getMultiplier(target, rollRange = ROLL_ALGORITHMS.u16.range) {
+  return config.game.getMultiplier(target, rollRange);
+}
+
+// Multipliers are stored and shown to 3 decimals; payouts use the exact one
+function roundMultiplier(multiplier) {
+  return Math.round(multiplier * 1000) / 1000;
+}
+
+// Roll for a mode: { roll, faces } (faces only in dice mode)
+function rollForMode(mode, params, serverSeed, message, rollAlgorithm) {
+  if (GAME_MODES[mode].rollAlgorithm === 'dice') {
+    const faces = generateDice(serverSeed, message, params.dice, params.sides);
+    return { roll: faces.reduce((sum, face) => sum + face, 0), faces };
+  }
+  return { roll: generateRoll(serverSeed, message, rollAlgorithm), faces: null };
+}
+
+// Re-derive a stored game's roll from its seeds and entropy: { roll, faces }
+export function recomputeRoll({
+  serverSeed,
+  clientEntropy,
+  clientSeed = null,
+  nonce = null,
+  rollVersion = 1,
+  rollAlgorithm = 'u16',
+  mode = 'under',
+  params,
+}) {
+  const message = rollMessage({ rollVersion, clientEntropy, clientSeed, nonce });
+  return rollForMode(mode, params, serverSeed, message, rollAlgorithm);
+}
+
+// Determine win/loss and payout. Passing a client seed and nonce selects roll v2.
+// `params` are the mode's params; roll-under takes just `target`.
+export function resolveGame({
+  target,
+  betSats,
+  serverSeed,
+  clientEntropy,
+  clientSeed = null,
+  nonce = null,
+  rollAlgorithm = 'u16',
+  mode = 'under',
+  params = { target },
+}) {
+  const algorithm = GAME_MODES[mode].rollAlgorithm || rollAlgorithm;
+  const rollVersion = clientSeed === null ? 1 : 2;
+  const message = rollMessage({ rollVersion, clientEntropy, clientSeed, nonce });
+  const { roll, faces } = rollForMode(mode, params, serverSeed, message, algorithm);
+  const { multiplier } = getModeOdds(mode, params, ROLL_ALGORITHMS[algorithm].range);
+  const win = GAME_MODES[mode].wins(roll, params);
   const payoutSats = win ? Math.floor(betSats * multiplier) : 0;
 
   return {
     roll,
-    target,
+    // Range bets have no target; their low bound goes in the games.target column
+    target: params.target ?? params.low,
+    mode,
+    modeParams: params,
+    ...(faces && { faces }),
     result: win ? 'win' : 'loss',
     betSats,
-    multiplier: Math.round(multiplier * 1000) / 1000,
+    multiplier: roundMultiplier(multiplier),
     payoutSats,
     serverSeed,
     serverSeedHash: commitSeed(serverSeed),
     clientEntropy,
+    rollVersion,
+    rollAlgorithm: algorithm,
+    clientSeed,
+    nonce,
   };
 }
 
-// Verify a past game — anyone can call this to confirm fairness
-export function verifyGame({ serverSeed, serverSeedHash, clientEntropy, roll, target }) {
+/**
+ * Check a game's recorded outcome against its roll: the result its mode's
+ * rule gives, the multiplier its odds pay at `houseEdge`, and the payout —
+ * floor(bet × exact multiplier), plus any streak bonus, on a win; 0 on a
+ * loss. Fields left undefined aren't checked. Returns the expected
+ * { result, multiplier, payoutSats } and a list of problems.
+ */
+export function checkOutcome({
+  roll,
+  mode = 'under',
+  params,
+  rollAlgorithm = 'u16',
+  result,
+  betSats,
+  multiplier,
+  payoutSats,
+  bonusSats = 0,
+  houseEdge = config.game.houseEdge,
+}) {
+  const algorithm = GAME_MODES[mode].rollAlgorithm || rollAlgorithm;
+  const odds = getModeOdds(mode, params, ROLL_ALGORITHMS[algorithm].range, houseEdge);
+  const win = GAME_MODES[mode].wins(roll, params);
+  const expected = {
+    result: win ? 'win' : 'loss',
+    multiplier: roundMultiplier(odds.multiplier),
+    payoutSats: betSats === undefined ? undefined : win ? Math.floor(betSats * odds.multiplier) + bonusSats : 0,
+  };
+
+  const problems = [];
+  if (result !== undefined && result !== expected.result) {
+    problems.push(`Result should be ${expected.result} for roll ${roll}`);
+  }
+  if (multiplier !== undefined && multiplier !== expected.multiplier) {
+    problems.push(`Multiplier should be ${expected.multiplier} at a ${houseEdge * 100}% house edge`);
+  }
+  if (payoutSats !== undefined && expected.payoutSats !== undefined && payoutSats !== expected.payoutSats) {
+    problems.push(`Payout should be ${expected.payoutSats} sats`);
+  }
+  return { ...expected, problems };
+}
+
+// Verify a past game — anyone can call this to confirm fairness. Pass the
+// recorded result, bet, multiplier and payout to check those too.
+export function verifyGame({
+  serverSeed,
+  serverSeedHash,
+  clientEntropy,
+  roll,
+  target,
+  rollVersion = 1,
+  rollAlgorithm = 'u16',
+  clientSeed = null,
+  nonce = null,
+  mode = 'under',
+  params = { target },
+  result,
+  betSats,
+  multiplier,
+  payoutSats,
+  bonusSats = 0,
+  houseEdge = config.game.houseEdge,
+}) {
+  if (!isGameMode(mode)) {
+    return { verified: false, reason: `Unknown game mode ${mode}` };
+  }
+  if (!ROLL_VERSIONS[rollVersion]) {
+    return { verified: false, reason: `Unknown roll version ${rollVersion}` };
+  }
+  if (!ROLL_ALGORITHMS[rollAlgorithm]) {
+    return { verified: false, reason: `Unknown roll algorithm ${rollAlgorithm}` };
+  }
+
   // Verify the seed commitment
   const computedHash = commitSeed(serverSeed);
   if (computedHash !== serverSeedHash) {
@@ -68,22 +416,51 @@ export function verifyGame({ serverSeed, serverSeedHash, clientEntropy, roll, ta
   }
 
   // Verify the roll
-  const computedRoll = generateRoll(serverSeed, clientEntropy);
+  const { roll: computedRoll, faces } = recomputeRoll({
+    serverSeed,
+    clientEntropy,
+    clientSeed,
+    nonce,
+    rollVersion,
+    rollAlgorithm,
+    mode,
+    params,
+  });
   if (computedRoll !== roll) {
     return { verified: false, reason: 'Roll does not match HMAC computation' };
   }
 
-  // Verify win/loss
-  const expectedResult = roll < target ? 'win' : 'loss';
+  // Verify win/loss and, when given, the recorded amounts
+  const outcome = checkOutcome({
+    roll,
+    mode,
+    params,
+    rollAlgorithm,
+    result,
+    betSats,
+    multiplier,
+    payoutSats,
+    bonusSats,
+    houseEdge,
+  });
+  if (outcome.problems.length) {
+    return { verified: false, reason: outcome.problems.join('; ') };
+  }
 
   return {
     verified: true,
+    rollVersion,
+    rollAlgorithm,
     serverSeed,
     serverSeedHash,
     clientEntropy,
+    ...(rollVersion === 2 && { clientSeed, nonce }),
     computedRoll,
-    target,
-    result: expectedResult,
+    ...(faces && { faces }),
+    mode,
+    rule: GAME_MODES[mode].rule,
+    ...(mode === 'under' ? { target } : { params }),
+    result: outcome.result,
   };
 }
 
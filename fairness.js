@@ -0,0 +1,323 @@
+import config from './config.js';
+import { GAME_MODES, ROLL_ALGORITHMS, getModeOdds } from './dice.js';
+import { getRecentRolls } from './db.js';
+import { publishFairnessAlerts } from './feed.js';
+
+/**
+ * ClawDice — Fairness monitor
+ *
+ * /verify shows each game was rolled as committed; this watches the games in
+ * aggregate, over the most recent FAIRNESS_WINDOW of them:
+ *
+ *   uniformity  chi-square of the rolls over FAIRNESS_BUCKETS equal buckets,
+ *               per roll algorithm (dice sums aren't uniform and are left out)
+ *   runs        Wald–Wolfowitz runs test of rolls above / below the middle of
+ *               their range, in play order — too few or too many streaks
+ *   win rates   wins against the expected count, per win probability band
+ *   house edge  the edge realized on payouts (streak bonuses aside), with a
+ *               95% confidence interval, against the edge the games' odds and
+ *               payout rounding imply at HOUSE_EDGE
+ *
+ * Every test has a p-value: how likely a fair game is to look at least this
+ * far off. A worker re-runs them every FAIRNESS_CHECK_INTERVAL seconds and
+ * raises an alert — logged, and a 'fairness' event on the live feed — when a
+ * test covering FAIRNESS_MIN_GAMES or more falls below FAIRNESS_ALERT_P (the
+ * house edge must also be FAIRNESS_EDGE_TOLERANCE off), and clears it once it
+ * recovers. Across several tests an occasional low p-value is expected by
+ * chance; an alert that persists is the signal.
+ */
+
+// Upper bounds of the win probability bands for the win rate test
+const WIN_PROBABILITY_BANDS = [0.1, 0.25, 0.5, 0.75, 1];
+
+// z for a two-sided 95% confidence interval
+const Z_95 = 1.959964;
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+let timer = null;
+let raised = new Map();
+
+function lnGamma(z) {
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+  z -= 1;
+  let x = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) x += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+// Regularized upper incomplete gamma function Q(a, x), by its series below
+// a + 1 and its continued fraction above (Numerical Recipes §6.2)
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const scale = Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * scale);
+  }
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-15) break;
+  }
+  return scale * h;
+}
+
+// P(X ≥ statistic) for a chi-square distribution with `df` degrees of freedom
+export function chiSquarePValue(statistic, df) {
+  return gammaQ(df / 2, statistic / 2);
+}
+
+// Two-sided p-value of a standard normal z-score
+export function normalPValue(z) {
+  return chiSquarePValue(z * z, 1);
+}
+
+// Chi-square goodness of fit of `counts` against equal expected counts
+export function chiSquareTest(counts) {
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  const expected = total / counts.length;
+  const statistic = total ? counts.reduce((sum, n) => sum + (n - expected) ** 2 / expected, 0) : 0;
+  return {
+    statistic: round(statistic),
+    degrees_of_freedom: counts.length - 1,
+    p_value: total ? chiSquarePValue(statistic, counts.length - 1) : null,
+  };
+}
+
+// Wald–Wolfowitz runs test on a sequence of booleans
+export function runsTest(sequence) {
+  const highs = sequence.filter(Boolean).length;
+  const lows = sequence.length - highs;
+  const n = sequence.length;
+  const runs = sequence.reduce((count, value, i) => count + (i === 0 || value !== sequence[i - 1] ? 1 : 0), 0);
+  if (!highs || !lows) return { runs, expected_runs: null, z: null, p_value: null };
+
+  const expected = (2 * highs * lows) / n + 1;
+  const variance = (2 * highs * lows * (2 * highs * lows - n)) / (n * n * (n - 1));
+  const z = variance > 0 ? (runs - expected) / Math.sqrt(variance) : 0;
+  return { runs, expected_runs: round(expected), z: round(z), p_value: normalPValue(z) };
+}
+
+function round(value, digits = 4) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// A stored game's odds at the house edge it was played at, cached per bet shape
+function oddsFor(game, cache) {
+  const houseEdge = game.house_edge ?? config.game.houseEdge;
+  const key = `${game.mode}:${game.roll_algorithm}:${game.mode_params ?? game.target}:${houseEdge}`;
+  if (!cache.has(key)) {
+    const params = game.mode_params ? JSON.parse(game.mode_params) : { target: game.target };
+    const algorithm = GAME_MODES[game.mode].rollAlgorithm || game.roll_algorithm;
+    cache.set(key, getModeOdds(game.mode, params, ROLL_ALGORITHMS[algorithm].range, houseEdge));
+  }
+  return cache.get(key);
+}
+
+function uniformity(games) {
+  const byAlgorithm = {};
+  for (const game of games) {
+    const range = ROLL_ALGORITHMS[game.roll_algorithm]?.range;
+    if (game.mode === 'dice' || !range) continue;
+    const counts = (byAlgorithm[game.roll_algorithm] ||= new Array(config.fairness.buckets).fill(0));
+    counts[Math.floor((game.roll * config.fairness.buckets) / range)]++;
+  }
+  return Object.fromEntries(
+    Object.entries(byAlgorithm).map(([algorithm, counts]) => [
+      algorithm,
+      { games: counts.reduce((sum, n) => sum + n, 0), buckets: counts, ...chiSquareTest(counts) },
+    ])
+  );
+}
+
+function runs(games) {
+  const sequence = games
+    .filter((game) => game.mode !== 'dice' && ROLL_ALGORITHMS[game.roll_algorithm]?.range)
+    .map((game) => game.roll >= ROLL_ALGORITHMS[game.roll_algorithm].range / 2);
+  return { games: sequence.length, ...runsTest(sequence) };
+}
+
+function winRates(games, cache) {
+  const bands = WIN_PROBABILITY_BANDS.map((upper, i) => ({
+    band: `${(WIN_PROBABILITY_BANDS[i - 1] || 0) * 100}–${upper * 100}%`,
+    games: 0,
+    wins: 0,
+    expected: 0,
+    variance: 0,
+  }));
+  for (const game of games) {
+    const { winProbability } = oddsFor(game, cache);
+    const band = bands[WIN_PROBABILITY_BANDS.findIndex((upper) => winProbability < upper)];
+    band.games++;
+    band.wins += game.result === 'win' ? 1 : 0;
+    band.expected += winProbability;
+    band.variance += winProbability * (1 - winProbability);
+  }
+  return bands
+    .filter((band) => band.games)
+    .map(({ band, games: count, wins, expected, variance }) => {
+      const z = variance > 0 ? (wins - expected) / Math.sqrt(variance) : 0;
+      return {
+        band,
+        games: count,
+        wins,
+        expected_wins: round(expected, 2),
+        win_rate: round(wins / count),
+        expected_win_rate: round(expected / count),
+        z: round(z),
+        p_value: normalPValue(z),
+      };
+    });
+}
+
+function houseEdge(games, cache) {
+  let wagered = 0;
+  let paid = 0;
+  let expectedPaid = 0;
+  let variance = 0;
+  for (const game of games) {
+    const { winProbability, multiplier } = oddsFor(game, cache);
+    const winPayout = Math.floor(game.bet_sats * multiplier);
+    wagered += game.bet_sats;
+    paid += game.payout_sats - (game.bonus_sats || 0);
+    expectedPaid += winPayout * winProbability;
+    variance += winPayout * winPayout * winProbability * (1 - winProbability);
+  }
+  if (!wagered) {
+    return { games: 0, configured: config.game.houseEdge, expected: null, realized: null, p_value: null };
+  }
+
+  const realized = 1 - paid / wagered;
+  const expected = 1 - expectedPaid / wagered;
+  const standardError = Math.sqrt(variance) / wagered;
+  const z = standardError > 0 ? (realized - expected) / standardError : 0;
+  return {
+    games: games.length,
+    wagered_sats: wagered,
+    paid_sats: paid,
+    configured: config.game.houseEdge,
+    expected: round(expected, 6),
+    realized: round(realized, 6),
+    confidence_95: [round(realized - Z_95 * standardError, 6), round(realized + Z_95 * standardError, 6)],
+    z: round(z),
+    p_value: normalPValue(z),
+  };
+}
+
+// Alerts from a report: tests with enough games whose p-value is past the threshold
+function alertsFor(report) {
+  const { alertPValue, minGames, edgeTolerance } = config.fairness;
+  const failing = (test) => test.games >= minGames && test.p_value !== null && test.p_value < alertPValue;
+  const alerts = [];
+
+  for (const [algorithm, test] of Object.entries(report.uniformity)) {
+    if (failing(test)) {
+      alerts.push({
+        test: `uniformity:${algorithm}`,
+        p_value: test.p_value,
+        message: `${algorithm} rolls are not uniform across buckets`,
+      });
+    }
+  }
+  if (failing(report.runs)) {
+    const pattern = report.runs.runs < report.runs.expected_runs ? 'streaky' : 'alternating';
+    alerts.push({ test: 'runs', p_value: report.runs.p_value, message: `High / low rolls are too ${pattern}` });
+  }
+  for (const band of report.win_rates) {
+    if (failing(band)) {
+      alerts.push({
+        test: `win_rate:${band.band}`,
+        p_value: band.p_value,
+        message: `Win rate ${band.win_rate} against ${band.expected_win_rate} expected at ${band.band} win chance`,
+      });
+    }
+  }
+  const edge = report.house_edge;
+  if (failing(edge) && Math.abs(edge.realized - edge.expected) > edgeTolerance) {
+    alerts.push({
+      test: 'house_edge',
+      p_value: edge.p_value,
+      message: `Realized house edge ${(edge.realized * 100).toFixed(2)}% against ${(edge.expected * 100).toFixed(2)}% expected`,
+    });
+  }
+  return alerts;
+}
+
+/**
+ * Run every test over `games` (by default the most recent FAIRNESS_WINDOW)
+ * and list the alerts they raise. Games are oldest first, as getRecentRolls
+ * returns them.
+ */
+export function fairnessReport(games = getRecentRolls(config.fairness.window)) {
+  const cache = new Map();
+  const report = {
+    games: games.length,
+    window: config.fairness.window,
+    thresholds: {
+      alert_p_value: config.fairness.alertPValue,
+      min_games: config.fairness.minGames,
+      edge_tolerance: config.fairness.edgeTolerance,
+    },
+    uniformity: uniformity(games),
+    runs: runs(games),
+    win_rates: winRates(games, cache),
+    house_edge: houseEdge(games, cache),
+  };
+  return { ...report, alerts: alertsFor(report) };
+}
+
+// Run the tests and raise / clear alerts that changed since the last check
+export function checkFairness(games) {
+  const report = fairnessReport(games);
+  const current = new Map(report.alerts.map((alert) => [alert.test, alert]));
+  const newlyRaised = [...current.keys()].filter((test) => !raised.has(test));
+  const cleared = [...raised.keys()].filter((test) => !current.has(test));
+
+  for (const test of newlyRaised) {
+    const alert = current.get(test);
+    console.warn(`  Fairness alert: ${alert.message} (p = ${alert.p_value.toPrecision(2)})`);
+  }
+  for (const test of cleared) console.warn(`  Fairness alert cleared: ${test}`);
+  if (newlyRaised.length || cleared.length) {
+    publishFairnessAlerts({ alerts: report.alerts, raised: newlyRaised, cleared });
+  }
+  raised = current;
+  return report;
+}
+
+export function startFairnessMonitor() {
+  timer = setInterval(() => {
+    try {
+      checkFairness();
+    } catch (err) {
+      console.error('Fairness monitor error:', err);
+    }
+  }, config.fairness.checkIntervalSeconds * 1000);
+  timer.unref();
+}
+
+export function stopFairnessMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,234 @@
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { bech32Encode, convertBits, decodeInvoice } from './bolt11.js';
+
+/**
+ * ClawDice — Fake LND
+ *
+ * A tiny stand-in for LND's REST API, enough to exercise the real payout code
+ * without a node. Implements:
+ *   GET  /v1/getinfo
+ *   POST /v1/invoices               (AddInvoice)
+ *   POST /v1/channels/transactions  (SendPaymentSync: keysend or payment_request)
+ *
+ * Behaviour is controlled through the returned handle:
+ *   fake.balanceSats  — spendable balance; payments beyond it fail
+ *   fake.failNext(e)  — make the next payment fail: 'no_route' | 'timeout' | 'error'
+ *   fake.payments     — every successful payment, newest last
+ *   fake.createInvoice({ amountSats, expiry, network, timestamp }) — BOLT11 string
+ *
+ * Run standalone with `node fake-lnd.js` (PORT defaults to 8080).
+ */
+
+const FAILURES = {
+  no_route: { payment_error: 'unable to find a path to destination' },
+  insufficient_balance: { payment_error: 'insufficient local balance' },
+};
+
+const NETWORK_PREFIXES = { mainnet: 'bc', testnet: 'tb', signet: 'tbs', regtest: 'bcrt' };
+
+function decodeHex(base64) {
+  return Buffer.from(base64 || '', 'base64').toString('hex');
+}
+
+function intToWords(value, length) {
+  const words = [];
+  for (let i = 0; i < length; i++) {
+    words.unshift(value % 32);
+    value = Math.floor(value / 32);
+  }
+  return words;
+}
+
+function taggedField(tag, words) {
+  return [tag, Math.floor(words.length / 32), words.length % 32, ...words];
+}
+
+// Build and sign a BOLT11 invoice with the fake node's key
+function encodeInvoice({ key, network, amountSats, paymentHash, expiry, timestamp, description }) {
+  const amount = amountSats ? `${amountSats * 10}n` : '';
+  const hrp = `ln${NETWORK_PREFIXES[network]}${amount}`;
+  const bytesToWords = (hex) => convertBits(Buffer.from(hex, 'hex'), 8, 5, true);
+
+  const expiryWords = intToWords(expiry, Math.max(1, Math.ceil(Math.log2(expiry + 1) / 5)));
+  const data = [
+    ...intToWords(timestamp, 7),
+    ...taggedField(1, bytesToWords(paymentHash)),
+    ...taggedField(16, bytesToWords(crypto.randomBytes(32).toString('hex'))),
+    ...taggedField(13, convertBits(Buffer.from(description), 8, 5, true)),
+    ...taggedField(6, expiryWords),
+  ];
+
+  const message = Buffer.concat([Buffer.from(hrp), Buffer.from(convertBits(data, 5, 8, true))]);
+  const signature = crypto.sign('sha256', message, { key, dsaEncoding: 'ieee-p1363' });
+  const sigWords = convertBits(Buffer.concat([signature, Buffer.from([0])]), 8, 5, true);
+
+  return bech32Encode(hrp, [...data, ...sigWords]);
+}
+
+export function startFakeLnd({ port = 0, macaroon = null, balanceSats = 1_000_000, feeSats = 1 } = {}) {
+  const fake = {
+    balanceSats,
+    payments: [],
+    pending: [],
+    failNext(kind) {
+      this.pending.push(kind);
+    },
+  };
+  const paidHashes = new Set();
+  const preimages = new Map();
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+
+  fake.createInvoice = ({
+    amountSats = null,
+    expiry = 3600,
+    network = 'mainnet',
+    timestamp = Math.floor(Date.now() / 1000),
+    description = 'clawdice payout',
+  } = {}) => {
+    const preimage = crypto.randomBytes(32);
+    const paymentHash = crypto.createHash('sha256').update(preimage).digest('hex');
+    preimages.set(paymentHash, preimage.toString('hex'));
+    return encodeInvoice({ key: privateKey, network, amountSats, paymentHash, expiry, timestamp, description });
+  };
+
+  // Settle a BOLT11 payment request
+  function payRequest(body) {
+    let invoice;
+    try {
+      invoice = decodeInvoice(body.payment_request);
+    } catch (err) {
+      return { status: 400, body: { code: 2, message: `invalid payment request: ${err.message}` } };
+    }
+
+    const amt = parseInt(body.amt || '0');
+    if (invoice.amountMsat !== null && amt) {
+      return { status: 400, body: { code: 2, message: 'amount must not be specified when paying a non-zero amount invoice' } };
+    }
+    if (invoice.amountMsat === null && !amt) {
+      return { status: 400, body: { code: 2, message: 'amount must be specified when paying a zero amount invoice' } };
+    }
+    if (invoice.expiresAt <= Math.floor(Date.now() / 1000)) {
+      return { status: 200, body: { payment_error: 'invoice expired' } };
+    }
+
+    const preimage = preimages.get(invoice.paymentHash) || crypto.randomBytes(32).toString('hex');
+    return settle({
+      amountSats: invoice.amountSats ?? amt,
+      feeLimit: parseInt(body.fee_limit?.fixed || '0'),
+      paymentHash: invoice.paymentHash,
+      preimage,
+      record: { dest: invoice.payee, invoice: body.payment_request },
+    });
+  }
+
+  // Common checks and bookkeeping for a payment that reached its destination
+  function settle({ amountSats, feeLimit, paymentHash, preimage, record }) {
+    if (paidHashes.has(paymentHash)) {
+      return { status: 200, body: { payment_error: 'invoice is already paid' } };
+    }
+
+    const failure = fake.pending.shift();
+    if (failure === 'timeout') return null;
+    if (failure === 'error') return { status: 500, body: { code: 2, message: 'internal error' } };
+    if (failure) return { status: 200, body: FAILURES[failure] };
+
+    if (feeSats > feeLimit) return { status: 200, body: FAILURES.no_route };
+    if (amountSats + feeSats > fake.balanceSats) return { status: 200, body: FAILURES.insufficient_balance };
+
+    fake.balanceSats -= amountSats + feeSats;
+    paidHashes.add(paymentHash);
+    fake.payments.push({ ...record, amountSats, feeSats, paymentHash });
+
+    return {
+      status: 200,
+      body: {
+        payment_error: '',
+        payment_preimage: Buffer.from(preimage, 'hex').toString('base64'),
+        payment_hash: Buffer.from(paymentHash, 'hex').toString('base64'),
+        payment_route: { total_fees: String(feeSats), total_amt: String(amountSats + feeSats) },
+      },
+    };
+  }
+
+  function pay(body) {
+    if (body.payment_request) return payRequest(body);
+
+    const amountSats = parseInt(body.amt || '0');
+    const feeLimit = parseInt(body.fee_limit?.fixed || '0');
+    const paymentHash = decodeHex(body.payment_hash);
+    const preimage = decodeHex(body.dest_custom_records?.['5482373484']);
+
+    if (!body.dest || !preimage) {
+      return { status: 400, body: { code: 2, message: 'unable to parse keysend request' } };
+    }
+    if (crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex') !== paymentHash) {
+      return { status: 400, body: { code: 2, message: 'keysend preimage does not match payment hash' } };
+    }
+    return settle({
+      amountSats,
+      feeLimit,
+      paymentHash,
+      preimage,
+      record: { dest: decodeHex(body.dest), customRecords: body.dest_custom_records },
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (macaroon && req.headers['grpc-metadata-macaroon'] !== macaroon) {
+        return send(401, { code: 2, message: 'verification failed: signature mismatch after caveat verification' });
+      }
+
+      if (req.method === 'GET' && req.url === '/v1/getinfo') {
+        return send(200, { alias: 'fake-lnd', identity_pubkey: '02' + 'ab'.repeat(32), synced_to_chain: true });
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/invoices') {
+        const body = JSON.parse(raw || '{}');
+        const paymentRequest = fake.createInvoice({
+          amountSats: parseInt(body.value || '0') || null,
+          expiry: parseInt(body.expiry || '3600'),
+          description: body.memo || '',
+        });
+        const { paymentHash } = decodeInvoice(paymentRequest);
+        return send(200, {
+          r_hash: Buffer.from(paymentHash, 'hex').toString('base64'),
+          payment_request: paymentRequest,
+        });
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/channels/transactions') {
+        const result = pay(JSON.parse(raw || '{}'));
+        if (!result) return; // simulated hang — the client's timeout fires
+        return send(result.status, result.body);
+      }
+
+      send(404, { code: 5, message: `Not found: ${req.method} ${req.url}` });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      fake.url = `http://127.0.0.1:${server.address().port}`;
+      fake.close = () => {
+        server.closeAllConnections();
+        return new Promise((done) => server.close(done));
+      };
+      resolve(fake);
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fake = await startFakeLnd({ port: parseInt(process.env.PORT || '8080') });
+  console.log(`  Fake LND listening on ${fake.url}`);
+}
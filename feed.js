@@ -0,0 +1,224 @@
+import config from './config.js';
+import { appendFeedEvent, getFeedEvents, getFeedBounds } from './db.js';
+import { acceptWebSocket } from './websocket.js';
+
+/**
+ * ClawDice — Live feed
+ *
+ * Resolved games, payout status changes, bankroll pause / resume and
+ * fairness alerts are published here as they happen, stored in feed_events under a monotonic
+ * sequence number, and pushed to subscribers over SSE (GET /stream) or
+ * WebSocket (/ws).
+ *
+ * Clients may filter by ?pubkey= and ?min_bet=, and resume after a
+ * disconnect with Last-Event-ID (SSE) or ?last_event_id= (either transport):
+ * everything after that sequence number is replayed before live events, in
+ * the same tick, so nothing falls in between. A resume point older than the
+ * retained history gets a 'reset' event first.
+ *
+ * Event types:
+ *   game     — { game_id, mode, roll, target, roll_algorithm, result, bet_sats, multiplier,
+ *                payout_sats, payout_method, payout_status, player_pubkey, created_at }
+ *   payout   — { game_id | batch_id | jackpot_id | prize_id, payout_status, payout_error, payout_sats,
+ *                player_pubkey }
+ *   bankroll — { paused, reason }
+ *   fairness — { alerts: [{ test, p_value, message }], raised: [test], cleared: [test] }
+ */
+
+const subscribers = new Set();
+
+// Payout events name their row by its ID prefix; anything else is a game
+const PAYOUT_ID_FIELDS = { b_: 'batch_id', j_: 'jackpot_id', p_: 'prize_id' };
+
+// ?pubkey= and ?min_bet= → filter, or null if min_bet isn't a number
+export function parseFilter(query) {
+  const minBet = query.min_bet === undefined ? 0 : parseInt(query.min_bet);
+  if (Number.isNaN(minBet) || minBet < 0) return null;
+  return { pubkey: query.pubkey ? String(query.pubkey).toLowerCase() : null, minBet };
+}
+
+// Events about the house rather than a player
+const HOUSE_EVENTS = ['bankroll', 'fairness'];
+
+// Same rule as getFeedEvents: house events pass every filter
+export function matchesFilter(event, { pubkey, minBet }) {
+  if (HOUSE_EVENTS.includes(event.type)) return true;
+  if (pubkey && event.player_pubkey !== pubkey) return false;
+  return event.bet_sats === null || event.bet_sats >= minBet;
+}
+
+export function publish(type, data, { gameId = null, playerPubkey = null, betSats = null } = {}) {
+  const event = appendFeedEvent({
+    type,
+    gameId,
+    playerPubkey,
+    betSats,
+    data,
+    retain: config.feed.retainEvents,
+  });
+  for (const subscriber of subscribers) {
+    if (!matchesFilter(event, subscriber.filter)) continue;
+    try {
+      subscriber.send(event);
+    } catch (err) {
+      // A broken connection must never fail the roll that published the event
+      subscribers.delete(subscriber);
+    }
+  }
+  return event;
+}
+
+// A resolved game, from its games row
+export function publishGame(game) {
+  return publish(
+    'game',
+    {
+      game_id: game.id,
+      mode: game.mode,
+      roll: game.roll,
+      target: game.target,
+      roll_algorithm: game.roll_algorithm,
+      result: game.result,
+      bet_sats: game.bet_sats,
+      multiplier: game.multiplier,
+      payout_sats: game.payout_sats,
+      payout_method: game.payout_method,
+      payout_status: game.payout_status,
+      player_pubkey: game.player_pubkey,
+      created_at: game.created_at,
+    },
+    { gameId: game.id, playerPubkey: game.player_pubkey, betSats: game.bet_sats }
+  );
+}
+
+// A payout status after it changed, from its games, batches, jackpot_wins or tournament_prizes row
+export function publishPayout(game) {
+  // Withdrawals move a player's own balance, not a game's winnings
+  if (game.id.startsWith('w_')) return null;
+  return publish(
+    'payout',
+    {
+      [PAYOUT_ID_FIELDS[game.id.slice(0, 2)] || 'game_id']: game.id,
+      payout_status: game.payout_status,
+      payout_error: game.payout_error,
+      payout_sats: game.payout_sats,
+      player_pubkey: game.player_pubkey,
+    },
+    { gameId: game.id, playerPubkey: game.player_pubkey, betSats: game.bet_sats }
+  );
+}
+
+export function publishPauseState(state) {
+  return publish('bankroll', { paused: state.paused, reason: state.reason || null });
+}
+
+export function publishFairnessAlerts({ alerts, raised, cleared }) {
+  return publish('fairness', { alerts, raised, cleared });
+}
+
+/**
+ * Start delivering events to `send`. With `afterSeq`, stored events after it
+ * are replayed first. Returns an unsubscribe function.
+ */
+export function subscribe(filter, send, afterSeq = null) {
+  if (afterSeq !== null) {
+    const { oldest } = getFeedBounds();
+    if (oldest !== null && afterSeq < oldest - 1) {
+      send({ seq: null, type: 'reset', data: { reason: 'events_expired', oldest_seq: oldest } });
+    }
+    let cursor = afterSeq;
+    for (;;) {
+      const page = getFeedEvents(cursor, { ...filter, limit: 500 });
+      page.forEach(send);
+      if (page.length < 500) break;
+      cursor = page[page.length - 1].seq;
+    }
+  }
+
+  const subscriber = { filter, send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+export function getSubscriberCount() {
+  return subscribers.size;
+}
+
+function parseLastEventId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seq = parseInt(value);
+  return Number.isNaN(seq) || seq < 0 ? null : seq;
+}
+
+function eventMessage(event) {
+  return { id: event.seq, type: event.type, created_at: event.created_at, data: event.data };
+}
+
+function invalidFilter(res) {
+  return res.status(400).json({
+    error: 'invalid_filter',
+    message: 'min_bet must be a non-negative integer',
+  });
+}
+
+// GET /stream — Server-Sent Events
+export function streamFeed(req, res) {
+  const filter = parseFilter(req.query);
+  if (!filter) return invalidFilter(res);
+  if (subscribers.size >= config.feed.maxClients) {
+    return res.status(503).json({ error: 'feed_full', message: 'Too many live feed clients — try again later' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = parseLastEventId(req.headers['last-event-id'] ?? req.query.last_event_id);
+  const unsubscribe = subscribe(
+    filter,
+    (event) => {
+      const id = event.seq === null ? '' : `id: ${event.seq}\n`;
+      res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(eventMessage(event))}\n\n`);
+    },
+    lastEventId
+  );
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.feed.heartbeatSeconds * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// Upgrade to a WebSocket feed (/ws) — one JSON message per event
+export function upgradeFeed(req, socket) {
+  const url = new URL(req.url, 'http://localhost');
+  const query = Object.fromEntries(url.searchParams);
+  const filter = parseFilter(query);
+  if (!filter || subscribers.size >= config.feed.maxClients) {
+    const status = filter ? '503 Service Unavailable' : '400 Bad Request';
+    socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    return;
+  }
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  const conn = acceptWebSocket(req, socket, {
+    onClose: () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    },
+  });
+  if (!conn) return;
+
+  unsubscribe = subscribe(
+    filter,
+    (event) => conn.send(JSON.stringify(eventMessage(event))),
+    parseLastEventId(query.last_event_id)
+  );
+  heartbeat = setInterval(() => conn.ping(), config.feed.heartbeatSeconds * 1000);
+}
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import config from './config.js';
+import { initDb, closeDb, logUnauditedGames } from './db.js';
+import { openStorage, copyTables } from './storage.js';
+
+/**
+ * ClawDice — Database import
+ *
+ * Copies an existing SQLite database (e.g. a clawdice.db written by the
+ * sql.js driver) into the configured one — DB_DRIVER and DB_PATH:
+ *
+ *   DB_DRIVER=sqlite DB_PATH=./clawdice-wal.db node import-db.js ./clawdice.db
+ *
+ * The target's schema is brought up to date first, so an older database's
+ * rows pick up the defaults of columns added since. The copy is one
+ * transaction, and rows the target already has are skipped, so an interrupted
+ * import can simply be run again. The source is opened read-only. Games the
+ * source had no audit log entry for are appended to the log after the copy.
+ */
+
+/**
+ * Import every table of the database at `sourcePath` into the configured
+ * one. Returns { table: rows copied }.
+ */
+export async function importDatabase(sourcePath) {
+  if (!fs.existsSync(sourcePath)) throw new Error(`No database at ${sourcePath}`);
+  if (path.resolve(sourcePath) === path.resolve(config.db.path)) {
+    throw new Error('The source is the configured database — point DB_PATH somewhere else');
+  }
+  const source = await openStorage({ driver: 'auto', path: sourcePath, readonly: true });
+  try {
+    const copied = copyTables(source, await initDb());
+    logUnauditedGames();
+    return copied;
+  } finally {
+    source.close();
+    closeDb();
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const sourcePath = process.argv[2];
+  if (!sourcePath) {
+    console.error('Usage: node import-db.js <source.db>');
+    process.exit(1);
+  }
+  try {
+    const copied = await importDatabase(sourcePath);
+    for (const [table, rows] of Object.entries(copied)) console.log(`  ${table}: ${rows} row(s)`);
+    console.log(`  Imported ${sourcePath} into ${config.db.path}`);
+  } catch (err) {
+    console.error(`Import failed: ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,127 @@
+import config from './config.js';
+import { JACKPOT_DOMAIN, generateJackpotRoll, rollMessage } from './dice.js';
+import {
+  contributeToJackpot,
+  saveJackpotWin,
+  getJackpotPot,
+  getJackpotWin,
+  getJackpotWinForGame,
+  createCreditAccount,
+} from './db.js';
+
+/**
+ * ClawDice — Progressive jackpot
+ *
+ * Optional mode (JACKPOT=true). A share of every bet (JACKPOT_CONTRIBUTION)
+ * moves from the house into the jackpot ledger account, and every game gets a
+ * second roll from the same HMAC inputs under its own domain tag:
+ *
+ *   jackpot_roll = HMAC-SHA256(server_seed, "clawdice:jackpot:" + message)
+ *                  → 4-byte words with rejection sampling → 0 … odds − 1
+ *
+ * where message is the game's own roll message (client_entropy, or
+ * client_seed:nonce:client_entropy in roll v2). A jackpot roll of 0 wins the
+ * whole pot, this game's contribution included. The odds are stored on each
+ * game, so /verify proves whether it could have won even after they change.
+ *
+ * Winners are paid by keysend through the payout queue (as 'j_…' payouts), or
+ * into a credit account when they play with credit or gave no pubkey.
+ */
+
+// Sats of a bet that go into the pot
+export function jackpotContribution(betSats) {
+  return Math.floor(betSats * config.jackpot.contribution);
+}
+
+// Jackpot fields for a new game record — none when the jackpot is off
+export function jackpotTerms(betSats) {
+  if (!config.jackpot.enabled) return {};
+  return { jackpotOdds: config.jackpot.odds, jackpotContributionSats: jackpotContribution(betSats) };
+}
+
+// The jackpot roll for a game ({ serverSeed, rollVersion, clientEntropy, clientSeed, nonce })
+export function rollJackpot(game, odds) {
+  const roll = generateJackpotRoll(game.serverSeed, rollMessage(game), odds);
+  return { roll, hit: roll === 0 };
+}
+
+/**
+ * Play the jackpot for a saved game record (see jackpotTerms): add its
+ * contribution to the pot, roll, and on a hit empty the pot to the player.
+ * Returns null for games without jackpot terms, otherwise
+ * { contributionSats, roll, hit, win, creditAccount, creditToken } — the
+ * credit account (and its new token) only when one had to be opened.
+ */
+export function playJackpot(game, { creditAccount = null } = {}) {
+  if (!game.jackpotOdds) return null;
+
+  const contributionSats = game.jackpotContributionSats || 0;
+  if (contributionSats > 0) contributeToJackpot(contributionSats, game.id);
+
+  const { roll, hit } = rollJackpot(game, game.jackpotOdds);
+  let win = null;
+  let opened = null;
+  if (hit && getJackpotPot() > 0) {
+    // Keysend needs a pubkey; without one the pot lands in a fresh credit account
+    if (!creditAccount && !game.playerPubkey) opened = createCreditAccount();
+    win = saveJackpotWin({
+      gameId: game.id,
+      betSats: game.betSats,
+      playerPubkey: game.playerPubkey || null,
+      creditAccountId: (creditAccount || opened?.account)?.id || null,
+    });
+  }
+
+  return {
+    contributionSats,
+    roll,
+    hit,
+    win,
+    creditAccount: opened?.account || null,
+    creditToken: opened?.token || null,
+  };
+}
+
+// The jackpot part of a /roll response, with the win's payout status as it is now
+export function jackpotSummary(jackpot) {
+  const win = jackpot.win && getJackpotWin(jackpot.win.id);
+  return {
+    contribution_sats: jackpot.contributionSats,
+    won: win !== null,
+    ...(win && {
+      jackpot_id: win.id,
+      amount_sats: win.payout_sats,
+      payout_method: win.payout_method,
+      payout_status: win.payout_status,
+    }),
+    pot_sats: getJackpotPot(),
+  };
+}
+
+/**
+ * Prove whether a stored game could have won the jackpot: re-run its jackpot
+ * roll at the odds it was played with. Returns null for games played without one.
+ */
+export function getJackpotProof(game) {
+  if (game.jackpot_odds === null || game.jackpot_odds === undefined) return null;
+  const { roll, hit } = rollJackpot(
+    {
+      serverSeed: game.server_seed,
+      rollVersion: game.roll_version,
+      clientEntropy: game.client_entropy,
+      clientSeed: game.client_seed,
+      nonce: game.nonce,
+    },
+    game.jackpot_odds
+  );
+  const win = getJackpotWinForGame(game.id);
+  return {
+    domain: JACKPOT_DOMAIN,
+    odds: game.jackpot_odds,
+    contribution_sats: game.jackpot_contribution_sats,
+    jackpot_roll: roll,
+    could_win: hit,
+    won: win !== null,
+    ...(win && { jackpot_id: win.id, amount_sats: win.payout_sats, payout_status: win.payout_status }),
+  };
+}
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import config from './config.js';
+
+/**
+ * ClawDice — Native L402 Verification
+ *
+ * Checks an L402 token ("<macaroon>:<preimage>") without trusting a proxy:
+ * 1. Decode the macaroon (v2 binary format, base64 or base64url)
+ * 2. Read the payment hash from the Aperture-style identifier
+ *    (uint16 version || payment_hash[32] || token_id[32])
+ * 3. Confirm SHA256(preimage) === payment hash
+ * 4. Check the HMAC signature chain against the root key, and every caveat
+ *
+ * The preimage check alone proves nothing: anyone can pick a preimage, hash
+ * it and wrap an unsigned macaroon around the hash. Only the signature shows
+ * the macaroon was minted for a paid invoice, and only its bet caveat shows
+ * how much was paid — so verification needs L402_ROOT_KEY, the key the
+ * macaroons are minted with (Aperture's, when it sits in front).
+ */
+
+const FIELD_EOS = 0;
+const FIELD_LOCATION = 1;
+const FIELD_IDENTIFIER = 2;
+const FIELD_VID = 4;
+const FIELD_SIGNATURE = 6;
+
+const KEY_GENERATOR = Buffer.from('macaroons-key-generator');
+
+export class L402Error extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Root keys are stretched the same way as libmacaroons / go-macaroon
+function deriveKey(rootKey) {
+  return hmac(KEY_GENERATOR, rootKey);
+}
+
+function readVarint(buf, offset) {
+  let value = 0;
+  let shift = 0;
+  for (;;) {
+    if (offset >= buf.length) throw new L402Error('malformed_macaroon', 'Truncated varint');
+    const byte = buf[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if (!(byte & 0x80)) return { value, offset };
+    shift += 7;
+  }
+}
+
+function writeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+function encodeField(type, data) {
+  return Buffer.concat([Buffer.from([type]), writeVarint(data.length), data]);
+}
+
+// Read one section (a run of fields ending in EOS) into { type: Buffer }
+function readSection(buf, offset) {
+  const fields = {};
+  for (;;) {
+    if (offset >= buf.length) throw new L402Error('malformed_macaroon', 'Truncated macaroon');
+    const type = buf[offset++];
+    if (type === FIELD_EOS) return { fields, offset };
+    const len = readVarint(buf, offset);
+    const end = len.offset + len.value;
+    if (end > buf.length) throw new L402Error('malformed_macaroon', 'Field runs past end of macaroon');
+    fields[type] = buf.subarray(len.offset, end);
+    offset = end;
+  }
+}
+
+// Decode a v2 binary macaroon from its base64 / base64url serialization
+export function decodeMacaroon(encoded) {
+  const buf = Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  if (buf.length === 0 || buf[0] !== 2) {
+    throw new L402Error('malformed_macaroon', 'Only v2 binary macaroons are supported');
+  }
+
+  let offset = 1;
+  const header = readSection(buf, offset);
+  offset = header.offset;
+  if (!header.fields[FIELD_IDENTIFIER]) {
+    throw new L402Error('malformed_macaroon', 'Macaroon has no identifier');
+  }
+
+  const caveats = [];
+  while (buf[offset] !== FIELD_EOS) {
+    const section = readSection(buf, offset);
+    offset = section.offset;
+    if (!section.fields[FIELD_IDENTIFIER]) {
+      throw new L402Error('malformed_macaroon', 'Caveat has no identifier');
+    }
+    caveats.push({
+      id: section.fields[FIELD_IDENTIFIER].toString(),
+      thirdParty: Boolean(section.fields[FIELD_VID]),
+    });
+  }
+  offset++;
+
+  if (buf[offset] !== FIELD_SIGNATURE) {
+    throw new L402Error('malformed_macaroon', 'Macaroon has no signature');
+  }
+  const sig = readVarint(buf, offset + 1);
+  const signature = buf.subarray(sig.offset, sig.offset + sig.value);
+  if (signature.length !== 32) {
+    throw new L402Error('malformed_macaroon', 'Signature must be 32 bytes');
+  }
+
+  return {
+    location: header.fields[FIELD_LOCATION]?.toString() || null,
+    identifier: header.fields[FIELD_IDENTIFIER],
+    caveats,
+    signature,
+  };
+}
+
+// Split an Aperture-style identifier into its payment hash and token ID
+export function decodeIdentifier(identifier) {
+  if (identifier.length !== 66 || identifier.readUInt16BE(0) !== 0) {
+    throw new L402Error('malformed_macaroon', 'Unrecognised macaroon identifier format');
+  }
+  return {
+    paymentHash: identifier.subarray(2, 34).toString('hex'),
+    tokenId: identifier.subarray(34, 66).toString('hex'),
+  };
+}
+
+// Stable ID for a macaroon, used to key rate limits: the Aperture token ID when
+// the identifier has one, otherwise a hash of the identifier (or of the raw
+// string if it doesn't decode). Never throws.
+export function getMacaroonId(encoded) {
+  try {
+    const { identifier } = decodeMacaroon(encoded);
+    try {
+      return decodeIdentifier(identifier).tokenId;
+    } catch {
+      return crypto.createHash('sha256').update(identifier).digest('hex');
+    }
+  } catch {
+    return crypto.createHash('sha256').update(String(encoded)).digest('hex');
+  }
+}
+
+// Mint a macaroon for a payment hash, bound by first-party caveats ("key=value")
+export function mintMacaroon({ rootKey, paymentHash, tokenId, caveats = [], location = config.l402.location }) {
+  const identifier = Buffer.alloc(66);
+  Buffer.from(paymentHash, 'hex').copy(identifier, 2);
+  Buffer.from(tokenId || crypto.randomBytes(32).toString('hex'), 'hex').copy(identifier, 34);
+
+  let signature = hmac(deriveKey(Buffer.from(rootKey, 'hex')), identifier);
+  const parts = [Buffer.from([2]), encodeField(FIELD_LOCATION, Buffer.from(location))];
+  parts.push(encodeField(FIELD_IDENTIFIER, identifier), Buffer.from([FIELD_EOS]));
+  for (const caveat of caveats) {
+    signature = hmac(signature, caveat);
+    parts.push(encodeField(FIELD_IDENTIFIER, Buffer.from(caveat)), Buffer.from([FIELD_EOS]));
+  }
+  parts.push(Buffer.from([FIELD_EOS]), encodeField(FIELD_SIGNATURE, signature));
+
+  return Buffer.concat(parts).toString('base64');
+}
+
+// Recompute the signature chain from the root key
+function hasValidSignature(macaroon, rootKey) {
+  let signature = hmac(deriveKey(rootKey), macaroon.identifier);
+  for (const caveat of macaroon.caveats) {
+    signature = hmac(signature, caveat.id);
+  }
+  return crypto.timingSafeEqual(signature, macaroon.signature);
+}
+
+// Caveat checkers — each returns true when the request satisfies the condition
+const CAVEAT_CHECKS = {
+  bet: (value, ctx) => parseInt(value) === ctx.betSats,
+  expires_at: (value, ctx) => ctx.now < parseInt(value) * 1000,
+  server_seed_hash: (value, ctx) => value === ctx.serverSeedHash,
+  services: (value) => value.split(',').some((s) => s.split(':')[0] === config.l402.location),
+  // Binds the token to a player rather than restricting the request — see boundPubkey()
+  pubkey: (value) => /^0[23][0-9a-f]{64}$/i.test(value),
+};
+
+// Caveats that bind the shape of a single bet: its mode, and either the
+// mode's params (target, low, high, dice, sides) or a roll-under ?chance=.
+// A target means something different in every mode, so a macaroon that binds
+// any of them binds them all; one without a mode caveat is for roll-under.
+const BET_CAVEATS = ['mode', 'chance', 'target', 'low', 'high', 'dice', 'sides'];
+
+function betCaveatHolds(key, value, bet) {
+  if (!bet) return false;
+  if (key === 'mode') return value === bet.mode;
+  if (key === 'chance') return bet.chance !== null && parseFloat(value) === parseFloat(bet.chance);
+  return bet.chance === null && String(bet.params[key]) === value;
+}
+
+// Every part of the bet's shape must be bound once any of it is
+function missingBetCaveat(bound, bet) {
+  if (!bound.has('mode') && bet.mode !== 'under') return 'mode';
+  const needed = bet.chance !== null ? ['chance'] : Object.keys(bet.params);
+  return needed.find((key) => !bound.has(key)) || null;
+}
+
+// Aperture scopes some caveats to a service: "<service>_capabilities",
+// "<service>_valid_until". Another service's are none of our business.
+const SERVICE_CONDITIONS = {
+  capabilities: () => true,
+  valid_until: (value, ctx) => ctx.now < parseInt(value) * 1000,
+};
+
+function serviceCaveatCheck(key) {
+  const match = /^(.+)_(capabilities|valid_until)$/.exec(key);
+  if (!match) return null;
+  return match[1] === config.l402.location ? SERVICE_CONDITIONS[match[2]] : () => true;
+}
+
+// The player pubkey a macaroon is bound to by a "pubkey=" caveat, or null
+// when it has none or its signature doesn't check out against the root key
+export function boundPubkey(encoded, rootKey = config.l402.rootKey) {
+  if (!rootKey) return null;
+  try {
+    const decoded = decodeMacaroon(encoded);
+    if (!hasValidSignature(decoded, Buffer.from(rootKey, 'hex'))) return null;
+    const caveat = decoded.caveats.find((c) => !c.thirdParty && c.id.startsWith('pubkey='));
+    const pubkey = caveat && caveat.id.slice('pubkey='.length).trim().toLowerCase();
+    return CAVEAT_CHECKS.pubkey(pubkey || '') ? pubkey : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify an L402 token for a roll. `bet` is the single bet it pays for
+ * ({ mode, params, chance }), or null for batches and entry fees, which only
+ * bind the amount. Returns { paymentHash, tokenId, caveats } or throws an
+ * L402Error with a reason code.
+ */
+export function verifyL402Token(
+  { macaroon, preimage },
+  { betSats, bet = null, serverSeedHash, rootKey = config.l402.rootKey, now = Date.now() }
+) {
+  const decoded = decodeMacaroon(macaroon);
+  const { paymentHash, tokenId } = decodeIdentifier(decoded.identifier);
+
+  if (!/^[0-9a-f]{64}$/i.test(preimage)) {
+    throw new L402Error('malformed_preimage', 'Preimage must be 32 bytes hex');
+  }
+  const computedHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+  if (computedHash !== paymentHash) {
+    throw new L402Error('preimage_mismatch', 'SHA256(preimage) does not match the macaroon payment hash');
+  }
+
+  if (!rootKey) {
+    throw new L402Error('no_root_key', 'L402 verification needs the macaroon root key (L402_ROOT_KEY)');
+  }
+  if (!hasValidSignature(decoded, Buffer.from(rootKey, 'hex'))) {
+    throw new L402Error('invalid_signature', 'Macaroon signature does not match the root key');
+  }
+
+  const ctx = { betSats, serverSeedHash, now };
+  const seen = new Set();
+  for (const caveat of decoded.caveats) {
+    const [rawKey, ...rest] = caveat.id.split('=');
+    const key = rawKey.trim();
+    const value = rest.join('=').trim();
+    const check = caveat.thirdParty
+      ? null
+      : BET_CAVEATS.includes(key)
+        ? (v) => betCaveatHolds(key, v, bet)
+        : CAVEAT_CHECKS[key] || serviceCaveatCheck(key);
+    if (!check) {
+      throw new L402Error('unsatisfied_caveat', `Unsupported caveat: ${caveat.id}`);
+    }
+    if (!check(value, ctx)) {
+      throw new L402Error('unsatisfied_caveat', `Caveat not satisfied: ${caveat.id}`);
+    }
+    seen.add(key);
+  }
+
+  // The bet caveat is how the macaroon proves what was actually paid
+  if (!seen.has('bet')) {
+    throw new L402Error('unsatisfied_caveat', 'Macaroon does not bind the bet amount');
+  }
+  const missing = BET_CAVEATS.some((key) => seen.has(key)) && missingBetCaveat(seen, bet);
+  if (missing) {
+    throw new L402Error('unsatisfied_caveat', `Macaroon binds part of the bet but not its ${missing}`);
+  }
+
+  return { paymentHash, tokenId, caveats: decoded.caveats.map((c) => c.id) };
+}
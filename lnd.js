@@ -0,0 +1,192 @@
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import crypto from 'crypto';
+import config from './config.js';
+import { decodeInvoice } from './bolt11.js';
+
+/**
+ * ClawDice — LND REST client
+ *
+ * Talks to LND's REST gateway (same RPCs as gRPC, JSON over HTTPS):
+ * - auth: admin/scoped macaroon as hex in the Grpc-Metadata-macaroon header
+ * - TLS: LND's self-signed tls.cert pinned as the only trusted CA
+ * - bytes fields are base64, 64-bit ints are strings
+ */
+
+// Custom TLV records
+export const KEYSEND_PREIMAGE_RECORD = '5482373484';
+export const GAME_ID_RECORD = '7629168';
+
+// LND failure text → structured error code. invalid_destination means
+// nothing was paid (a withdrawal is refunded on it), so it only matches
+// LND's own messages for a malformed destination key — not any parse error.
+const ERROR_PATTERNS = [
+  [/unable to find a path|no_route|no route/i, 'no_route'],
+  [/insufficient.*(balance|bandwidth|funds)|insufficient_balance/i, 'insufficient_balance'],
+  [/timeout|timed out/i, 'timeout'],
+  [/already paid|already succeeded/i, 'already_paid'],
+  [/in transition|in flight/i, 'in_flight'],
+  [/invalid vertex length of \d+, want 33|malformed public key|invalid public key: (unsupported format|x coordinate)/i, 'invalid_destination'],
+];
+
+export function mapLndError(message) {
+  for (const [pattern, code] of ERROR_PATTERNS) {
+    if (pattern.test(message)) return code;
+  }
+  return 'lnd_error';
+}
+
+// Fee limit for a payment: a percentage of the amount, with a floor
+export function getFeeLimit(amountSats) {
+  return Math.max(
+    config.lnd.feeLimitMinSats,
+    Math.ceil((amountSats * config.lnd.feeLimitPercent) / 100)
+  );
+}
+
+function readAuth() {
+  const macaroon = config.lnd.macaroonPath
+    ? fs.readFileSync(config.lnd.macaroonPath).toString('hex')
+    : null;
+  const ca = config.lnd.tlsCertPath ? fs.readFileSync(config.lnd.tlsCertPath) : undefined;
+  return { macaroon, ca };
+}
+
+// Make a REST call to LND. Resolves with the parsed JSON body; rejects with an
+// Error carrying a `code` from mapLndError (or 'timeout').
+export function lndRequest(method, path, body = null) {
+  const url = new URL(path, config.lnd.restUrl);
+  const { macaroon, ca } = readAuth();
+  const transport = url.protocol === 'http:' ? http : https;
+  const payload = body ? JSON.stringify(body) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method,
+        ca,
+        headers: {
+          ...(macaroon && { 'Grpc-Metadata-macaroon': macaroon }),
+          ...(payload && { 'Content-Type': 'application/json' }),
+        },
+        timeout: config.lnd.timeoutSeconds * 1000,
+      },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => {
+          let json;
+          try {
+            json = data ? JSON.parse(data) : {};
+          } catch (e) {
+            const err = new Error(`Invalid JSON from LND (HTTP ${res.statusCode})`);
+            err.code = 'lnd_error';
+            return reject(err);
+          }
+          if (res.statusCode >= 400) {
+            const message = json.message || json.error || `HTTP ${res.statusCode}`;
+            const err = new Error(message);
+            err.code = mapLndError(message);
+            return reject(err);
+          }
+          resolve(json);
+        });
+      }
+    );
+
+    req.on('timeout', () => {
+      const err = new Error(`LND request timed out after ${config.lnd.timeoutSeconds}s`);
+      err.code = 'timeout';
+      req.destroy(err);
+    });
+    req.on('error', (err) => {
+      if (!err.code || !/^[a-z_]+$/.test(err.code)) err.code = 'lnd_unreachable';
+      reject(err);
+    });
+
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+// Send a payment with SendPaymentSync and turn LND's answer into a result object
+async function sendPaymentSync(request, amountSats) {
+  const feeLimitSats = getFeeLimit(amountSats);
+  let response;
+  try {
+    response = await lndRequest('POST', '/v1/channels/transactions', {
+      ...request,
+      fee_limit: { fixed: String(feeLimitSats) },
+    });
+  } catch (err) {
+    return { status: 'failed', error: err.code, message: err.message, feeLimitSats };
+  }
+
+  if (response.payment_error) {
+    return {
+      status: 'failed',
+      error: mapLndError(response.payment_error),
+      message: response.payment_error,
+      feeLimitSats,
+    };
+  }
+
+  return {
+    status: 'sent',
+    paymentHash: Buffer.from(response.payment_hash || '', 'base64').toString('hex'),
+    preimage: Buffer.from(response.payment_preimage || '', 'base64').toString('hex'),
+    feeSats: parseInt(response.payment_route?.total_fees || '0'),
+    feeLimitSats,
+  };
+}
+
+/**
+ * Keysend `amountSats` to `pubkey`, tagging the payment with the game ID.
+ * Pass a `preimage` to retry a payment under the same payment hash.
+ */
+export async function keysend({ pubkey, amountSats, gameId, preimage }) {
+  if (!/^0[23][0-9a-f]{64}$/i.test(pubkey || '')) {
+    return { status: 'failed', error: 'invalid_destination', message: 'Payout pubkey must be 33 bytes hex' };
+  }
+
+  const preimageBytes = preimage ? Buffer.from(preimage, 'hex') : crypto.randomBytes(32);
+  const paymentHash = crypto.createHash('sha256').update(preimageBytes).digest();
+
+  const result = await sendPaymentSync(
+    {
+      dest: Buffer.from(pubkey, 'hex').toString('base64'),
+      amt: String(amountSats),
+      payment_hash: paymentHash.toString('base64'),
+      dest_custom_records: {
+        [KEYSEND_PREIMAGE_RECORD]: preimageBytes.toString('base64'),
+        [GAME_ID_RECORD]: Buffer.from(gameId).toString('base64'),
+      },
+    },
+    amountSats
+  );
+
+  // We chose the preimage, so report it (and its hash) even when the payment
+  // failed — a retry can reuse it and LND will refuse to pay the same hash twice
+  return {
+    ...result,
+    paymentHash: paymentHash.toString('hex'),
+    preimage: preimageBytes.toString('hex'),
+  };
+}
+
+/**
+ * Pay a BOLT11 invoice. `amountSats` is only sent along for amountless invoices.
+ */
+export async function payInvoice({ invoice, amountSats }) {
+  const decoded = decodeInvoice(invoice);
+  const result = await sendPaymentSync(
+    {
+      payment_request: invoice,
+      ...(decoded.amountMsat === null && { amt: String(amountSats) }),
+    },
+    amountSats
+  );
+  return { ...result, paymentHash: decoded.paymentHash };
+}
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+/**
+ * ClawDice — Audit log hashing
+ *
+ * Every stored game and tournament round is appended to a hash-chained log
+ * and, in batches, to Merkle trees whose roots are published (audit.js). The
+ * hashing is plain enough to redo anywhere:
+ *
+ *   leaf_hash  = SHA256(0x00 ‖ canonical JSON of the game's audited fields)
+ *   chain_hash = SHA256(previous chain_hash ‖ leaf_hash)   (64 zeros before the first)
+ *   node       = SHA256(0x01 ‖ left ‖ right)
+ *
+ * over raw bytes. Trees are built as in RFC 6962 (Certificate Transparency):
+ * the left subtree holds the largest power of two leaves below n, so no leaf
+ * is ever duplicated. Canonical JSON has its keys sorted and no whitespace.
+ */
+
+// Fields of a game row that the log commits to — everything decided at roll
+// time. Payout progress (status, attempts, fees) changes later and is left out.
+export const AUDITED_FIELDS = [
+  'id',
+  'roll',
+  'target',
+  'mode',
+  'mode_params',
+  'result',
+  'bet_sats',
+  'multiplier',
+  'payout_sats',
+  'bonus_sats',
+  'server_seed_hash',
+  'client_entropy',
+  'client_seed',
+  'nonce',
+  'roll_version',
+  'roll_algorithm',
+  'player_pubkey',
+  'batch_id',
+  'batch_index',
+  'created_at',
+];
+
+// The same for a tournament round ('tr_…'), which has a row of its own
+export const AUDITED_ROUND_FIELDS = [
+  'id',
+  'tournament_id',
+  'entry_id',
+  'player_pubkey',
+  'round',
+  'roll',
+  'target',
+  'result',
+  'multiplier',
+  'points',
+  'server_seed_hash',
+  'client_entropy',
+  'created_at',
+];
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+// The audited fields of a game or tournament round row, in the canonical form that is hashed
+export function auditLeaf(game) {
+  const fields = String(game.id).startsWith('tr_') ? AUDITED_ROUND_FIELDS : AUDITED_FIELDS;
+  const leaf = {};
+  for (const field of [...fields].sort()) leaf[field] = game[field] ?? null;
+  return leaf;
+}
+
+export function leafHash(leaf) {
+  return sha256(Buffer.from([0]), JSON.stringify(leaf)).toString('hex');
+}
+
+export function nextChainHash(previous, leaf) {
+  return sha256(Buffer.from(previous, 'hex'), Buffer.from(leaf, 'hex')).toString('hex');
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([1]), left, right);
+}
+
+// Largest power of two strictly below n (n ≥ 2)
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+function treeHash(leaves) {
+  if (leaves.length === 1) return leaves[0];
+  const k = splitPoint(leaves.length);
+  return nodeHash(treeHash(leaves.slice(0, k)), treeHash(leaves.slice(k)));
+}
+
+// Merkle root over a list of hex leaf hashes
+export function merkleRoot(leafHashes) {
+  if (!leafHashes.length) throw new Error('A Merkle tree needs at least one leaf');
+  return treeHash(leafHashes.map((hash) => Buffer.from(hash, 'hex'))).toString('hex');
+}
+
+function auditPath(index, leaves) {
+  if (leaves.length === 1) return [];
+  const k = splitPoint(leaves.length);
+  if (index < k) {
+    return [...auditPath(index, leaves.slice(0, k)), { side: 'right', hash: treeHash(leaves.slice(k)).toString('hex') }];
+  }
+  return [...auditPath(index - k, leaves.slice(k)), { side: 'left', hash: treeHash(leaves.slice(0, k)).toString('hex') }];
+}
+
+/**
+ * Inclusion proof for the leaf at `index`: the sibling hashes from the leaf
+ * up to the root, each marked with the side it sits on.
+ */
+export function merkleProof(leafHashes, index) {
+  if (index < 0 || index >= leafHashes.length) throw new Error(`No leaf at index ${index}`);
+  return auditPath(index, leafHashes.map((hash) => Buffer.from(hash, 'hex')));
+}
+
+// Fold a proof from its leaf hash; true if it arrives at `root`
+export function verifyMerkleProof(leaf, proof, root) {
+  let hash = Buffer.from(leaf, 'hex');
+  for (const { side, hash: sibling } of proof) {
+    const other = Buffer.from(sibling, 'hex');
+    hash = side === 'left' ? nodeHash(other, hash) : nodeHash(hash, other);
+  }
+  return hash.toString('hex') === root;
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import config from './config.js';
+import { openStorage } from './storage.js';
+
+/**
+ * ClawDice — Schema migrations
+ *
+ * The schema is built by numbered files in migrations/, applied in order:
+ *
+ *   migrations/001_baseline.js
+ *   migrations/002_<what_it_does>.js   ← export up(db) and a one-line description
+ *
+ * `up(db)` gets the storage interface (storage.js) and runs inside a
+ * transaction together with its schema_version row, so a migration that fails
+ * leaves the database as it was. Migrations only go forward; never edit one
+ * that has shipped — add the next number instead.
+ *
+ * initDb() applies pending migrations on startup. From the command line:
+ *
+ *   node migrate.js status         current version and what is pending
+ *   node migrate.js up             apply pending migrations
+ *   node migrate.js up --dry-run   run them and roll back, to check they apply
+ *
+ * against the database configured by DB_DRIVER and DB_PATH.
+ */
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Thrown to undo a dry run once every migration went through
+class DryRun extends Error {}
+
+/**
+ * Load the migrations in `dir` as [{ version, name, description, up }],
+ * checking they are numbered 1, 2, 3, … without gaps or repeats.
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const module = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof module.up !== 'function') throw new Error(`Migration ${file} does not export up(db)`);
+    migrations.push({ version: Number(match[1]), name: match[2], description: module.description || '', up: module.up });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migrations must be numbered 1, 2, 3, … — found ${migration.version} where ${i + 1} belongs`);
+    }
+  });
+  return migrations;
+}
+
+function ensureVersionTable(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+// The highest applied migration, or 0 for a new (or pre-migrations) database
+export function getSchemaVersion(db) {
+  if (!db.tables().includes('schema_version')) return 0;
+  return db.get('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').version;
+}
+
+// { version, latest, applied: [{ version, name, applied_at }], pending: [{ version, name, description }] }
+export async function migrationStatus(db, { migrations = null } = {}) {
+  migrations = migrations || (await loadMigrations());
+  const version = getSchemaVersion(db);
+  return {
+    version,
+    latest: migrations.length,
+    applied: version ? db.all('SELECT version, name, applied_at FROM schema_version ORDER BY version') : [],
+    pending: migrations
+      .filter((m) => m.version > version)
+      .map(({ version, name, description }) => ({ version, name, description })),
+  };
+}
+
+/**
+ * Apply every pending migration, each in its own transaction. With dryRun
+ * they all run in one transaction that is then rolled back, so nothing
+ * changes but any error still surfaces. Refuses a database migrated past the
+ * newest migration this code knows (i.e. written by a newer release).
+ * Returns { from, to, applied: [{ version, name }], dryRun }.
+ */
+export async function migrate(db, { migrations = null, dryRun = false } = {}) {
+  migrations = migrations || (await loadMigrations());
+  const from = getSchemaVersion(db);
+  if (from > migrations.length) {
+    throw new Error(
+      `Database schema is at version ${from}, newer than this release knows (${migrations.length}) — upgrade ClawDice`
+    );
+  }
+
+  const pending = migrations.filter((m) => m.version > from);
+  const applyOne = (migration) => {
+    ensureVersionTable(db);
+    try {
+      migration.up(db);
+    } catch (err) {
+      err.message = `Migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+      throw err;
+    }
+    db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [
+      migration.version,
+      migration.name,
+      new Date().toISOString(),
+    ]);
+  };
+
+  if (dryRun) {
+    try {
+      db.transaction(() => {
+        pending.forEach(applyOne);
+        throw new DryRun();
+      });
+    } catch (err) {
+      if (!(err instanceof DryRun)) throw err;
+    }
+  } else {
+    for (const migration of pending) db.transaction(() => applyOne(migration));
+  }
+
+  return {
+    from,
+    to: dryRun ? from : migrations.length,
+    applied: pending.map(({ version, name }) => ({ version, name })),
+    dryRun,
+  };
+}
+
+async function main([command = 'status', ...flags]) {
+  const db = await openStorage({ driver: config.db.driver, path: config.db.path, url: config.db.url });
+  try {
+    if (command === 'status') {
+      const status = await migrationStatus(db);
+      console.log(`  Schema version ${status.version} of ${status.latest} (${db.driver})`);
+      for (const m of status.applied) console.log(`    ✓ ${m.version} ${m.name} — applied ${m.applied_at}`);
+      for (const m of status.pending) console.log(`    · ${m.version} ${m.name} — pending: ${m.description}`);
+      return 0;
+    }
+    if (command === 'up') {
+      const result = await migrate(db, { dryRun: flags.includes('--dry-run') });
+      if (!result.applied.length) {
+        console.log(`  Schema is up to date (version ${result.from})`);
+        return 0;
+      }
+      for (const m of result.applied) console.log(`    ${result.dryRun ? '✓ would apply' : '✓ applied'} ${m.version} ${m.name}`);
+      console.log(
+        result.dryRun
+          ? `  Dry run: ${result.applied.length} migration(s) apply cleanly; nothing was changed`
+          : `  Schema migrated from version ${result.from} to ${result.to}`
+      );
+      return 0;
+    }
+    console.error('Usage: node migrate.js status | up [--dry-run]');
+    return 1;
+  } finally {
+    db.close();
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    process.exit(await main(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * Migration 001 — the schema as it stood before versioned migrations.
+ *
+ * Databases from that time already have some or all of these tables, so
+ * everything here is idempotent: tables and indexes are created if missing
+ * and columns added to games and commitments since they first shipped are
+ * added where absent. Later migrations can assume this schema exactly.
+ */
+
+export const description = 'Baseline schema: games, payouts, credit, jackpot, tournaments, profiles, feed';
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS games (
+      id TEXT PRIMARY KEY,
+      roll INTEGER NOT NULL,
+      target INTEGER NOT NULL,
+      result TEXT NOT NULL,
+      bet_sats INTEGER NOT NULL,
+      multiplier REAL NOT NULL,
+      payout_sats INTEGER NOT NULL,
+      payout_method TEXT DEFAULT 'keysend',
+      payout_status TEXT DEFAULT 'pending',
+      server_seed TEXT NOT NULL,
+      server_seed_hash TEXT NOT NULL,
+      client_entropy TEXT NOT NULL,
+      player_pubkey TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bankroll_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event TEXT NOT NULL,
+      amount_sats INTEGER NOT NULL,
+      balance_sats INTEGER NOT NULL,
+      game_id TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Columns added after the games table first shipped
+  ensureColumns(db, 'games', {
+    payout_invoice: 'TEXT',
+    bet_source: "TEXT DEFAULT 'lightning'",
+    credit_account_id: 'TEXT',
+    payout_attempts: 'INTEGER NOT NULL DEFAULT 0',
+    payout_error: 'TEXT',
+    payout_payment_hash: 'TEXT',
+    payout_preimage: 'TEXT',
+    payout_fee_sats: 'INTEGER',
+    payout_next_attempt_at: 'TEXT',
+    payout_updated_at: 'TEXT',
+    paid_at: 'TEXT',
+    roll_version: 'INTEGER NOT NULL DEFAULT 1',
+    client_seed: 'TEXT',
+    nonce: 'INTEGER',
+    roll_algorithm: "TEXT NOT NULL DEFAULT 'u16'",
+    mode: "TEXT NOT NULL DEFAULT 'under'",
+    mode_params: 'TEXT',
+    batch_id: 'TEXT',
+    batch_index: 'INTEGER',
+    jackpot_odds: 'INTEGER',
+    jackpot_contribution_sats: 'INTEGER NOT NULL DEFAULT 0',
+    streak: 'INTEGER',
+    streak_bonus: 'REAL',
+    bonus_sats: 'INTEGER NOT NULL DEFAULT 0',
+    streak_rule: 'TEXT',
+  });
+
+  // Batches — several rounds bought with one payment. Round i rolls with
+  // client entropy `${client_entropy}:${i}`, and all wins are paid out together
+  // from this row (its rounds' games show payout_status 'batched').
+  db.run(`
+    CREATE TABLE IF NOT EXISTS batches (
+      id TEXT PRIMARY KEY,
+      rounds INTEGER NOT NULL,
+      bet_sats INTEGER NOT NULL,
+      payout_sats INTEGER NOT NULL,
+      server_seed_hash TEXT NOT NULL,
+      client_entropy TEXT NOT NULL,
+      player_pubkey TEXT,
+      payout_method TEXT NOT NULL,
+      payout_status TEXT NOT NULL,
+      payout_invoice TEXT,
+      payout_attempts INTEGER NOT NULL DEFAULT 0,
+      payout_error TEXT,
+      payout_payment_hash TEXT,
+      payout_preimage TEXT,
+      payout_fee_sats INTEGER,
+      payout_next_attempt_at TEXT,
+      payout_updated_at TEXT,
+      paid_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Jackpot wins — the whole pot, paid by keysend through the payout queue
+  // ('j_…' payouts) or into the winner's credit account
+  db.run(`
+    CREATE TABLE IF NOT EXISTS jackpot_wins (
+      id TEXT PRIMARY KEY,
+      game_id TEXT NOT NULL,
+      bet_sats INTEGER NOT NULL,
+      payout_sats INTEGER NOT NULL,
+      player_pubkey TEXT,
+      credit_account_id TEXT,
+      payout_method TEXT NOT NULL,
+      payout_status TEXT NOT NULL,
+      payout_invoice TEXT,
+      payout_attempts INTEGER NOT NULL DEFAULT 0,
+      payout_error TEXT,
+      payout_payment_hash TEXT,
+      payout_preimage TEXT,
+      payout_fee_sats INTEGER,
+      payout_next_attempt_at TEXT,
+      payout_updated_at TEXT,
+      paid_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Tournaments — operator-run competitions over a fixed number of rounds.
+  // Entry fees form the prize pool; rounds are scored in points, not sats.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournaments (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      entry_fee_sats INTEGER NOT NULL,
+      rounds INTEGER NOT NULL,
+      targets TEXT,
+      starts_at TEXT NOT NULL,
+      ends_at TEXT NOT NULL,
+      rake REAL NOT NULL,
+      prize_split TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      prize_pool_sats INTEGER,
+      settled_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // One entry per player and tournament; the bearer token authorizes its rounds
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournament_entries (
+      id TEXT PRIMARY KEY,
+      tournament_id TEXT NOT NULL,
+      player_pubkey TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      client_seed TEXT NOT NULL,
+      paid_with TEXT NOT NULL,
+      rounds_played INTEGER NOT NULL DEFAULT 0,
+      score INTEGER NOT NULL DEFAULT 0,
+      last_roll_at TEXT,
+      rank INTEGER,
+      prize_sats INTEGER,
+      joined_at TEXT NOT NULL,
+      UNIQUE (tournament_id, player_pubkey)
+    )
+  `);
+
+  // Tournament rounds — kept out of games, so they never count toward /leaderboard or /stats
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournament_rolls (
+      id TEXT PRIMARY KEY,
+      tournament_id TEXT NOT NULL,
+      entry_id TEXT NOT NULL,
+      player_pubkey TEXT NOT NULL,
+      round INTEGER NOT NULL,
+      roll INTEGER NOT NULL,
+      target INTEGER NOT NULL,
+      result TEXT NOT NULL,
+      multiplier REAL NOT NULL,
+      points INTEGER NOT NULL,
+      server_seed TEXT NOT NULL,
+      server_seed_hash TEXT NOT NULL,
+      client_entropy TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  // Prizes, paid by keysend through the payout queue ('p_…' payouts)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournament_prizes (
+      id TEXT PRIMARY KEY,
+      tournament_id TEXT NOT NULL,
+      rank INTEGER NOT NULL,
+      player_pubkey TEXT NOT NULL,
+      bet_sats INTEGER NOT NULL,
+      payout_sats INTEGER NOT NULL,
+      payout_method TEXT NOT NULL DEFAULT 'keysend',
+      payout_status TEXT NOT NULL DEFAULT 'pending',
+      payout_invoice TEXT,
+      payout_attempts INTEGER NOT NULL DEFAULT 0,
+      payout_error TEXT,
+      payout_payment_hash TEXT,
+      payout_preimage TEXT,
+      payout_fee_sats INTEGER,
+      payout_next_attempt_at TEXT,
+      payout_updated_at TEXT,
+      paid_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Client seeds chosen by players (roll v2), with the nonce of their next roll
+  db.run(`
+    CREATE TABLE IF NOT EXISTS player_seeds (
+      player_pubkey TEXT PRIMARY KEY,
+      client_seed TEXT NOT NULL,
+      nonce INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Player profiles — an alias and metadata, registered by signing a challenge with the node key
+  db.run(`
+    CREATE TABLE IF NOT EXISTS profiles (
+      player_pubkey TEXT PRIMARY KEY,
+      alias TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      metadata TEXT,
+      signature TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  // Profile challenges — single use, carrying the alias and metadata they were issued for
+  db.run(`
+    CREATE TABLE IF NOT EXISTS profile_challenges (
+      challenge TEXT PRIMARY KEY,
+      player_pubkey TEXT NOT NULL,
+      alias TEXT NOT NULL,
+      metadata TEXT,
+      expires_at TEXT NOT NULL,
+      used_at TEXT
+    )
+  `);
+
+  // Server seed commitments — issued before the player pays, consumed by exactly one roll
+  db.run(`
+    CREATE TABLE IF NOT EXISTS commitments (
+      server_seed_hash TEXT PRIMARY KEY,
+      server_seed TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      payment_hash TEXT,
+      game_id TEXT,
+      committed_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT
+    )
+  `);
+
+  // Seed hash chains — the terminal hash is published before any seed is used
+  db.run(`
+    CREATE TABLE IF NOT EXISTS seed_chains (
+      id TEXT PRIMARY KEY,
+      root_seed TEXT NOT NULL,
+      terminal_hash TEXT NOT NULL,
+      length INTEGER NOT NULL,
+      next_index INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      exhausted_at TEXT
+    )
+  `);
+
+  ensureColumns(db, 'commitments', {
+    chain_id: 'TEXT',
+    chain_index: 'INTEGER',
+  });
+
+  // Spent L402 tokens — each payment can be rolled exactly once
+  db.run(`
+    CREATE TABLE IF NOT EXISTS spent_tokens (
+      token_hash TEXT PRIMARY KEY,
+      game_id TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Credit accounts — balances for high-frequency play, held in a double-entry ledger
+  db.run(`
+    CREATE TABLE IF NOT EXISTS credit_accounts (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT UNIQUE NOT NULL,
+      player_pubkey TEXT,
+      client_seed TEXT NOT NULL,
+      nonce INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Every transaction is two or more entries that sum to zero
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      txn_id TEXT NOT NULL,
+      account TEXT NOT NULL,
+      amount_sats INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      game_id TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Abuse events (rate limit hits, token replays, bad L402s) for operator review
+  db.run(`
+    CREATE TABLE IF NOT EXISTS abuse_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event TEXT NOT NULL,
+      scope TEXT,
+      ip TEXT,
+      player_pubkey TEXT,
+      macaroon_id TEXT,
+      detail TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Clients blocked by an operator, keyed as 'ip:…', 'pubkey:…' or 'macaroon:…'
+  db.run(`
+    CREATE TABLE IF NOT EXISTS blocked_clients (
+      client_key TEXT PRIMARY KEY,
+      reason TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT
+    )
+  `);
+
+  // Live feed events — seq is the monotonic event ID clients resume from
+  db.run(`
+    CREATE TABLE IF NOT EXISTS feed_events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      game_id TEXT,
+      player_pubkey TEXT,
+      bet_sats INTEGER,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_ledger_account ON ledger_entries(account)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_games_player ON games(player_pubkey)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_games_created ON games(created_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_commitments_game ON commitments(game_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_games_payout_status ON games(payout_status)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_abuse_created ON abuse_events(created_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_games_batch ON games(batch_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_jackpot_wins_game ON jackpot_wins(game_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_tournament_rolls_entry ON tournament_rolls(entry_id)`);
+  // Aliases are unique regardless of case (Postgres has no NOCASE collation)
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_profiles_alias ON profiles(lower(alias))`);
+}
+
+// CREATE TABLE IF NOT EXISTS leaves existing databases untouched, so columns
+// added later are created here when missing
+function ensureColumns(db, table, columns) {
+  const existing = db.columns(table);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { auditLeaf, leafHash, nextChainHash, GENESIS_HASH } from '../merkle.js';
+
+/**
+ * Migration 002 — the tamper-evident game log (audit.js).
+ *
+ * Games already stored are appended in the order they were played, so the
+ * log covers the whole history from the first root on.
+ */
+
+export const description = 'Hash-chained audit log of games and their published Merkle roots';
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE audit_log (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id TEXT NOT NULL UNIQUE,
+      leaf_hash TEXT NOT NULL,
+      chain_hash TEXT NOT NULL,
+      root_id INTEGER,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE audit_roots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      first_seq INTEGER NOT NULL,
+      last_seq INTEGER NOT NULL,
+      size INTEGER NOT NULL,
+      merkle_root TEXT NOT NULL,
+      chain_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  db.run('CREATE INDEX idx_audit_log_root ON audit_log(root_id)');
+
+  let chainHash = GENESIS_HASH;
+  const now = new Date().toISOString();
+  for (const game of db.all('SELECT * FROM games ORDER BY rowid ASC')) {
+    const leaf = leafHash(auditLeaf(game));
+    chainHash = nextChainHash(chainHash, leaf);
+    db.run('INSERT INTO audit_log (game_id, leaf_hash, chain_hash, created_at) VALUES (?, ?, ?, ?)', [
+      game.id,
+      leaf,
+      chainHash,
+      now,
+    ]);
+  }
+}
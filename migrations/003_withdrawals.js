@@ -0,0 +1,38 @@
+/**
+ * Migration 003 — credit withdrawals as payouts (POST /withdraw).
+ *
+ * A withdrawal is debited from the balance and then paid through the payout
+ * queue ('w_…' payouts) like a game payout, under a preimage stored on the
+ * first attempt. A payment that may have gone out (a timeout, say) is retried
+ * under the same payment hash rather than refunded; only a definite failure
+ * puts the balance back ('reversed').
+ */
+
+export const description = 'Credit withdrawals paid through the payout queue';
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE withdrawals (
+      id TEXT PRIMARY KEY,
+      account_id TEXT NOT NULL,
+      txn_id TEXT NOT NULL,
+      player_pubkey TEXT,
+      payout_sats INTEGER NOT NULL,
+      payout_method TEXT NOT NULL,
+      payout_status TEXT NOT NULL DEFAULT 'pending',
+      payout_invoice TEXT,
+      payout_attempts INTEGER NOT NULL DEFAULT 0,
+      payout_error TEXT,
+      payout_payment_hash TEXT,
+      payout_preimage TEXT,
+      payout_fee_sats INTEGER,
+      payout_next_attempt_at TEXT,
+      payout_updated_at TEXT,
+      paid_at TEXT,
+      reversed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  db.run('CREATE INDEX idx_withdrawals_account ON withdrawals(account_id)');
+}
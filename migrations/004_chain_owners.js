@@ -0,0 +1,16 @@
+/**
+ * Migration 004 — one seed chain per requester.
+ *
+ * Playing a chain seed reveals every seed issued before it from the same
+ * chain, so those commitments are superseded. Chains shared by everyone let
+ * one player's roll void another's commitment; each requester (an
+ * authenticated pubkey, or else an IP) now draws from a chain of its own.
+ * Chains created before this belong to no one ('').
+ */
+
+export const description = 'Seed chains owned by the requester they issue seeds to';
+
+export function up(db) {
+  db.run(`ALTER TABLE seed_chains ADD COLUMN owner TEXT NOT NULL DEFAULT ''`);
+  db.run('CREATE INDEX idx_seed_chains_owner ON seed_chains(owner, exhausted_at)');
+}
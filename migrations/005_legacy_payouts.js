@@ -0,0 +1,19 @@
+/**
+ * Migration 005 — park payouts nobody knows the outcome of.
+ *
+ * Before the payout queue, a win was saved 'pending' and paid on the spot,
+ * and nothing recorded whether the payment went out — so every old win still
+ * reads 'pending', paid or not. The queue retries 'pending' payouts, which
+ * would pay those winners again. They become 'legacy_unknown' instead: never
+ * retried, listed at GET /admin/payouts for an operator to check against the
+ * node and requeue the ones that really were not paid.
+ */
+
+export const description = "Mark pre-queue 'pending' wins as legacy_unknown so the worker leaves them alone";
+
+export function up(db) {
+  db.run(
+    `UPDATE games SET payout_status = 'legacy_unknown'
+     WHERE result = 'win' AND payout_sats > 0 AND payout_status = 'pending' AND payout_attempts = 0`
+  );
+}
@@ -0,0 +1,15 @@
+/**
+ * Migration 006 — record whether a credit account's pubkey was proven.
+ *
+ * An account's pubkey used to come from the X-Player-Pubkey header of the
+ * roll that opened it, which anyone can set — yet rate limits, blocks and
+ * streaks trusted it as the player's identity. Only a pubkey proven by a
+ * signature (a signed profile challenge, or a macaroon's pubkey caveat) is
+ * trusted now; accounts opened before this are unproven.
+ */
+
+export const description = 'Credit accounts remember whether their pubkey was proven by a signature';
+
+export function up(db) {
+  db.run('ALTER TABLE credit_accounts ADD COLUMN pubkey_proven INTEGER NOT NULL DEFAULT 0');
+}
@@ -0,0 +1,14 @@
+/**
+ * Migration 007 — checkpoints along each seed chain.
+ *
+ * A chain seed used to be derived by hashing the root seed up to `length`
+ * times, on every commitment and every chain proof. Chains now keep every
+ * 100th seed (secret, like the root), so no seed is more than 100 hashes from
+ * one. Chains created before this get their checkpoints on first use.
+ */
+
+export const description = 'Secret checkpoint seeds along each hash chain, so seeds are derived in bounded time';
+
+export function up(db) {
+  db.run('ALTER TABLE seed_chains ADD COLUMN checkpoints TEXT');
+}
@@ -0,0 +1,32 @@
+import { auditLeaf, leafHash, nextChainHash, GENESIS_HASH } from '../merkle.js';
+
+/**
+ * Migration 008 — tournament rounds join the audit log.
+ *
+ * Rounds were kept out of the log, so the house could rewrite a round's roll
+ * or points without breaking a published root. Rounds already played are
+ * appended after the games logged so far, in the order they were played, and
+ * from here on every round is logged as it is saved.
+ */
+
+export const description = 'Append tournament rounds to the hash-chained audit log';
+
+export function up(db) {
+  const last = db.all('SELECT chain_hash FROM audit_log ORDER BY seq DESC LIMIT 1')[0];
+  let chainHash = last ? last.chain_hash : GENESIS_HASH;
+  const now = new Date().toISOString();
+  const rounds = db.all(
+    `SELECT t.* FROM tournament_rolls t LEFT JOIN audit_log a ON a.game_id = t.id
+     WHERE a.seq IS NULL ORDER BY t.created_at ASC, t.id ASC`
+  );
+  for (const round of rounds) {
+    const leaf = leafHash(auditLeaf(round));
+    chainHash = nextChainHash(chainHash, leaf);
+    db.run('INSERT INTO audit_log (game_id, leaf_hash, chain_hash, created_at) VALUES (?, ?, ?, ?)', [
+      round.id,
+      leaf,
+      chainHash,
+      now,
+    ]);
+  }
+}
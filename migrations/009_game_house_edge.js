@@ -0,0 +1,18 @@
+import config from '../config.js';
+
+/**
+ * Migration 009 — record the house edge each game was played at.
+ *
+ * /verify, the offline verifier and the fairness monitor checked every game's
+ * multiplier against the HOUSE_EDGE configured now, so changing it made every
+ * earlier game fail. Games now keep their own edge. Those stored before this
+ * get the edge configured when the migration runs — the only record there is,
+ * so run it with the HOUSE_EDGE they were played at.
+ */
+
+export const description = 'Games record the house edge their multiplier was quoted at';
+
+export function up(db) {
+  db.run('ALTER TABLE games ADD COLUMN house_edge REAL');
+  db.run('UPDATE games SET house_edge = ?', [config.game.houseEdge]);
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import config from './config.js';
+import { sendPayout, DEFINITE_PAYOUT_ERRORS } from './payout.js';
+import { publishPayout } from './feed.js';
+import {
+  getPayout,
+  markPayoutSending,
+  recordPayoutResult,
+  getRetryablePayouts,
+  resetInterruptedPayouts,
+  isInvoiceShared,
+  reverseFailedWithdrawal,
+} from './db.js';
+
+/**
+ * ClawDice — Payout queue
+ *
+ * Every Lightning payout for a winning game goes through payGame(), which
+ * persists each attempt on the game row (attempts, last error, payment hash,
+ * timestamps). A background worker retries failed payouts with exponential
+ * backoff until they succeed or hit the attempt cap ('abandoned').
+ *
+ * Retries are idempotent: keysends reuse the preimage stored on the first
+ * attempt and invoices are the same invoice, so LND refuses a second payment
+ * and answers 'already_paid' — which we record as sent, as long as it can
+ * only have been our own earlier attempt. An invoice that was paid before our
+ * first attempt, or that another win also pays to, was paid by somebody else:
+ * that payout is abandoned as 'invoice_already_paid' for an operator (a
+ * withdrawal is refunded).
+ *
+ * Batches (see POST /roll/batch) pay all their wins as one payout, tracked on
+ * the batch row; payGame() takes a batch ID just like a game ID.
+ *
+ * Credit withdrawals ('w_…') are paid the same way, except that a definite
+ * failure (DEFINITE_PAYOUT_ERRORS) refunds the balance instead of retrying.
+ * Anything else may have paid, so it is retried — never refunded.
+ */
+
+let timer = null;
+let running = false;
+
+// Delay before the next attempt after `attempts` failures
+export function getRetryDelaySeconds(attempts) {
+  const { baseDelaySeconds, maxDelaySeconds } = config.payout.retry;
+  return Math.min(maxDelaySeconds, baseDelaySeconds * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Attempt the payout for a winning game or a batch. Returns the payout result,
+ * or null if there is nothing to pay or another caller is already paying it.
+ */
+export async function payGame(gameId) {
+  const game = getPayout(gameId);
+  if (!game || game.result === 'loss' || game.payout_sats <= 0 || game.payout_method === 'credit') {
+    return null;
+  }
+
+  const preimage = game.payout_method === 'keysend' ? crypto.randomBytes(32).toString('hex') : null;
+  if (!markPayoutSending(gameId, preimage)) return null;
+
+  // Re-read: the stored preimage wins over the fresh one on retries
+  const sending = getPayout(gameId);
+  publishPayout(sending);
+  let result;
+  try {
+    result = await sendPayout({
+      method: sending.payout_method,
+      pubkey: sending.player_pubkey,
+      invoice: sending.payout_invoice,
+      amountSats: sending.payout_sats,
+      gameId,
+      preimage: sending.payout_preimage,
+    });
+  } catch (err) {
+    result = { status: 'failed', error: 'internal', message: err.message };
+  }
+
+  // A previous attempt that looked failed (e.g. timed out) actually went through
+  if (result.status === 'failed' && result.error === 'already_paid') {
+    // An earlier attempt leaves its error behind, even when an operator requeues the payout
+    const retried = sending.payout_attempts > 1 || sending.payout_error !== null;
+    const ours = retried && !(sending.payout_invoice && isInvoiceShared(sending.payout_invoice, gameId));
+    result = ours ? { ...result, status: 'sent', error: null } : { ...result, error: 'invoice_already_paid' };
+  }
+
+  if (result.status === 'sent') {
+    recordPayoutResult(gameId, { status: 'sent', paymentHash: result.paymentHash, feeSats: result.feeSats });
+  } else if (gameId.startsWith('w_') && [...DEFINITE_PAYOUT_ERRORS, 'invoice_already_paid'].includes(result.error)) {
+    reverseFailedWithdrawal(gameId, result.error);
+  } else if (result.error === 'invoice_already_paid') {
+    // Retrying cannot help: LND will say the same thing every time
+    recordPayoutResult(gameId, { status: 'abandoned', error: result.error, paymentHash: result.paymentHash });
+    console.error(`  Payout for game ${gameId} abandoned: its invoice was already paid by someone else`);
+  } else {
+    const attempts = sending.payout_attempts;
+    const abandoned = attempts >= config.payout.retry.maxAttempts;
+    recordPayoutResult(gameId, {
+      status: abandoned ? 'abandoned' : 'failed',
+      error: result.error,
+      paymentHash: result.paymentHash,
+      nextAttemptAt: abandoned
+        ? null
+        : new Date(Date.now() + getRetryDelaySeconds(attempts) * 1000).toISOString(),
+    });
+    if (abandoned) {
+      console.error(`  Payout for game ${gameId} abandoned after ${attempts} attempts: ${result.error}`);
+    }
+  }
+
+  publishPayout(getPayout(gameId));
+  return result;
+}
+
+// One pass of the retry worker: attempt every payout that is due
+export async function retryDuePayouts() {
+  if (running) return { attempted: 0, sent: 0 };
+  running = true;
+  let attempted = 0;
+  let sent = 0;
+  try {
+    for (const game of getRetryablePayouts()) {
+      const result = await payGame(game.id);
+      if (!result) continue;
+      attempted++;
+      if (result.status === 'sent') sent++;
+    }
+  } finally {
+    running = false;
+  }
+  return { attempted, sent };
+}
+
+export function startPayoutWorker() {
+  const interrupted = resetInterruptedPayouts();
+  if (interrupted) {
+    console.log(`  → Requeued ${interrupted} payout(s) interrupted by a restart`);
+  }
+
+  timer = setInterval(() => {
+    retryDuePayouts().catch((err) => console.error('Payout worker error:', err));
+  }, config.payout.retry.intervalSeconds * 1000);
+  timer.unref();
+}
+
+export function stopPayoutWorker() {
+  clearInterval(timer);
+  timer = null;
+}
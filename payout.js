@@ -1,14 +1,29 @@
 import config from './config.js';
+import { keysend, payInvoice } from './lnd.js';
 
 /**
- * Send a Lightning keysend payout to a winner.
+ * Send a Lightning payout to a winner — keysend to their pubkey, or paying
+ * the BOLT11 invoice they supplied (method 'invoice').
  *
- * Production: connects to LND via gRPC and sends a keysend payment.
+ * Production: pays through LND's REST API (see lnd.js).
  * Development: logs the payout and returns a stub response.
+ *
+ * Invoices are validated before the roll (see bolt11.js), so by the time a
+ * payout is sent the invoice is known to match the amount.
+ *
+ * Never throws for payment failures — returns { status: 'failed', error, message }
+ * with error one of: missing_pubkey, invalid_destination, no_route,
+ * insufficient_balance, timeout, already_paid, in_flight, lnd_unreachable, lnd_error.
  */
-export async function sendPayout({ pubkey, amountSats, gameId }) {
-  if (config.devMode) {
-    console.log(`  [DEV] Payout: ${amountSats} sats → ${pubkey || 'unknown'} (game ${gameId})`);
+// Failures that mean nothing was paid. Any other (timeout, in_flight,
+// lnd_unreachable, lnd_error, …) may have paid, and is only safe to retry
+// under the same payment hash.
+export const DEFINITE_PAYOUT_ERRORS = ['missing_pubkey', 'invalid_destination', 'no_route', 'insufficient_balance'];
+
+export async function sendPayout({ method = 'keysend', pubkey, invoice, amountSats, gameId, preimage }) {
+  if (config.payout.backend === 'stub') {
+    const dest = method === 'invoice' ? 'invoice' : pubkey || 'unknown';
+    console.log(`  [DEV] Payout: ${amountSats} sats → ${dest} (game ${gameId})`);
     return {
       status: 'sent',
       amountSats,
@@ -18,15 +33,27 @@ export async function sendPayout({ pubkey, amountSats, gameId }) {
     };
   }
 
-  // TODO: Production LND keysend implementation
-  // 1. Read macaroon from config.lnd.macaroonPath
-  // 2. Read TLS cert from config.lnd.tlsCertPath
-  // 3. Connect to LND gRPC at config.lnd.host
-  // 4. Send keysend payment:
-  //    - dest: pubkey
-  //    - amt: amountSats
-  //    - custom records: { 7629168: gameId } (keysend preimage record)
-  // 5. Return payment result
+  if (method === 'invoice') {
+    const result = await payInvoice({ invoice, amountSats });
+    if (result.status === 'failed') {
+      console.error(`  Payout failed for game ${gameId}: ${result.error} — ${result.message}`);
+    }
+    return { ...result, amountSats, gameId };
+  }
 
-  throw new Error('Production LND payouts not yet implemented. Set NODE_ENV=development to use stub payouts.');
+  if (!pubkey) {
+    return {
+      status: 'failed',
+      error: 'missing_pubkey',
+      message: 'Keysend payouts need the player pubkey (X-Player-Pubkey header or ?pubkey=)',
+      amountSats,
+      gameId,
+    };
+  }
+
+  const result = await keysend({ pubkey, amountSats, gameId, preimage });
+  if (result.status === 'failed') {
+    console.error(`  Payout failed for game ${gameId}: ${result.error} — ${result.message}`);
+  }
+  return { ...result, amountSats, pubkey, gameId };
 }
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import config from './config.js';
+import { verifyMessage, isNodePubkey } from './signmessage.js';
+import {
+  saveProfileChallenge,
+  getProfileChallenge,
+  useProfileChallenge,
+  getProfileByAlias,
+  saveProfile,
+} from './db.js';
+
+/**
+ * ClawDice — Player profiles
+ *
+ * A player claims an alias (and optional metadata) for their pubkey in two
+ * steps: ask for a challenge naming the pubkey, alias and a hash of the
+ * metadata, then sign it with the node key (`lncli signmessage`) and submit
+ * the signature. Challenges are single use and expire after
+ * PROFILE_CHALLENGE_TTL seconds. Aliases are unique regardless of case and
+ * show up on /leaderboard, /recent and /player/:pubkey.
+ */
+
+const ALIAS_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MAX_METADATA_FIELDS = 8;
+const MAX_METADATA_LENGTH = 256;
+
+export class ProfileError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+function checkAlias(alias, playerPubkey) {
+  if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+    throw new ProfileError('invalid_alias', 'Alias must be 3–32 letters, digits, _, . or -');
+  }
+  const holder = getProfileByAlias(alias);
+  if (holder && holder.player_pubkey !== playerPubkey) {
+    throw new ProfileError('alias_taken', `Alias ${alias} belongs to another player`);
+  }
+}
+
+// Metadata is a flat object of short strings; returned with sorted keys, or null
+function checkMetadata(metadata) {
+  if (metadata === undefined || metadata === null) return null;
+  const entries = typeof metadata === 'object' && !Array.isArray(metadata) ? Object.entries(metadata) : null;
+  if (
+    !entries ||
+    entries.length > MAX_METADATA_FIELDS ||
+    !entries.every(([key, value]) => /^\w{1,32}$/.test(key) && typeof value === 'string' && value.length <= MAX_METADATA_LENGTH)
+  ) {
+    throw new ProfileError(
+      'invalid_metadata',
+      `Metadata must be an object of up to ${MAX_METADATA_FIELDS} string fields, each at most ${MAX_METADATA_LENGTH} characters`
+    );
+  }
+  return Object.fromEntries(entries.sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+// What the challenge commits to for the metadata
+export function metadataHash(metadata) {
+  return metadata ? crypto.createHash('sha256').update(JSON.stringify(metadata)).digest('hex') : 'none';
+}
+
+// The message a player signs
+export function challengeMessage({ playerPubkey, alias, metadata, nonce }) {
+  return `clawdice:profile:${playerPubkey}:${alias}:${metadataHash(metadata)}:${nonce}`;
+}
+
+/**
+ * Issue a challenge for setting `alias` (and `metadata`) on `playerPubkey`.
+ * Throws a ProfileError if any of them is unacceptable.
+ */
+export function issueProfileChallenge({ playerPubkey, alias, metadata }) {
+  if (!isNodePubkey(playerPubkey)) {
+    throw new ProfileError('invalid_pubkey', 'Pubkey must be a 33-byte compressed node key in hex');
+  }
+  const pubkey = playerPubkey.toLowerCase();
+  checkAlias(alias, pubkey);
+  const normalized = checkMetadata(metadata);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return saveProfileChallenge({
+    challenge: challengeMessage({ playerPubkey: pubkey, alias, metadata: normalized, nonce }),
+    playerPubkey: pubkey,
+    alias,
+    metadata: normalized,
+    expiresAt: new Date(Date.now() + config.profile.challengeTtlSeconds * 1000).toISOString(),
+  });
+}
+
+/**
+ * Set a profile from a signed challenge. The challenge is used up only once
+ * its signature checks out. Returns the saved profile or throws a ProfileError.
+ */
+export function registerProfile({ challenge, signature }) {
+  const issued = typeof challenge === 'string' ? getProfileChallenge(challenge) : null;
+  if (!issued) {
+    throw new ProfileError('unknown_challenge', 'Request a challenge from POST /profile/challenge first');
+  }
+  if (!verifyMessage(issued.challenge, signature, issued.player_pubkey)) {
+    throw new ProfileError('invalid_signature', `Signature does not verify for ${issued.player_pubkey}`);
+  }
+  checkAlias(issued.alias, issued.player_pubkey);
+  if (!useProfileChallenge(issued.challenge)) {
+    throw new ProfileError('challenge_expired', 'This challenge has expired or was already used');
+  }
+  return saveProfile({
+    playerPubkey: issued.player_pubkey,
+    alias: issued.alias,
+    metadata: issued.metadata,
+    signature,
+  });
+}
+
+// Public view of a profile
+export function profileInfo(profile) {
+  return {
+    alias: profile.alias,
+    metadata: profile.metadata,
+    registered_at: profile.created_at,
+    updated_at: profile.updated_at,
+  };
+}
@@ -0,0 +1,204 @@
+import config from './config.js';
+import { logAbuseEvent, getActiveBlock } from './db.js';
+
+/**
+ * ClawDice — Rate limiting and abuse controls
+ *
+ * Each request is identified by up to three client keys: the player pubkey,
+ * the L402 macaroon ID and the IP address. Every key gets its own sliding
+ * window per scope ('roll' or 'read'), and a request is let through only if
+ * all of its keys are within the limit — rotating IPs doesn't help a pubkey,
+ * and rotating pubkeys doesn't help an IP. The pubkey key is only one the
+ * client has proven (a credit account's that a signature proved, or one bound
+ * into a signed macaroon); a bare X-Player-Pubkey header — or an account
+ * opened under one — would let anyone spend another player's quota or run
+ * into their block.
+ *
+ * The sliding window is the usual two-counter approximation: the previous
+ * window's count, weighted by how much of it still overlaps, plus the
+ * current window's count. Rejected requests don't use up quota; the first
+ * rejection of a key in each window is logged to abuse_events. Operator
+ * blocks (blocked_clients) are checked before any limit, for HTTP routes and
+ * WebSocket upgrades alike.
+ */
+
+const windows = { roll: new Map(), read: new Map() };
+const lastSweep = { roll: 0, read: 0 };
+
+// 'ip:…', 'pubkey:…', 'macaroon:…' for the configured key types the client has
+export function clientKeysOf(client) {
+  return config.rateLimit.keys.filter((type) => client[type]).map((type) => `${type}:${client[type]}`);
+}
+
+// Drop windows that ended long enough ago to no longer count
+function sweep(now) {
+  for (const [scope, entries] of Object.entries(windows)) {
+    const windowMs = config.rateLimit[scope].windowSeconds * 1000;
+    if (now - lastSweep[scope] < windowMs) continue;
+    for (const [key, entry] of entries) {
+      if (entry.start < now - 2 * windowMs) entries.delete(key);
+    }
+    lastSweep[scope] = now;
+  }
+}
+
+// Current window for a key, rolled forward to `now`
+function windowFor(scope, key, now) {
+  const windowMs = config.rateLimit[scope].windowSeconds * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  const entry = windows[scope].get(key);
+  if (entry && entry.start === start) return entry;
+
+  const previous = entry && entry.start === start - windowMs ? entry.count : 0;
+  const fresh = { start, count: 0, previous, logged: false };
+  windows[scope].set(key, fresh);
+  return fresh;
+}
+
+// Where a key stands in its window: requests used, left, and seconds until more are allowed
+function inspect(scope, entry, now) {
+  const { windowSeconds, max } = config.rateLimit[scope];
+  const windowMs = windowSeconds * 1000;
+  const elapsed = now - entry.start;
+  const used = Math.floor(entry.previous * (1 - elapsed / windowMs)) + entry.count;
+  const remaining = Math.max(0, max - used);
+
+  let retryAfterMs = 0;
+  if (remaining === 0) {
+    // Once the current window is full, nothing frees up until it ends;
+    // otherwise wait for the previous window's share to decay below the gap
+    retryAfterMs =
+      entry.count >= max
+        ? windowMs - elapsed
+        : windowMs * (1 - (max - entry.count) / entry.previous) - elapsed + 1;
+  }
+
+  return {
+    used,
+    remaining,
+    resetSeconds: Math.ceil((windowMs - elapsed) / 1000),
+    retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+  };
+}
+
+/**
+ * Count a request against every key. Returns { allowed, limit, remaining,
+ * resetSeconds, retryAfterSeconds, key, firstRejection } for the most
+ * constrained key.
+ */
+export function hit(scope, clientKeys, now = Date.now()) {
+  sweep(now);
+  const { max } = config.rateLimit[scope];
+
+  const states = clientKeys.map((key) => {
+    const entry = windowFor(scope, key, now);
+    return { key, entry, ...inspect(scope, entry, now) };
+  });
+  const tightest = states.length
+    ? states.reduce((min, s) => (s.remaining < min.remaining ? s : min))
+    : { remaining: max, resetSeconds: 0, entry: {} };
+
+  const allowed = tightest.remaining > 0;
+  if (allowed) {
+    for (const s of states) s.entry.count++;
+  }
+
+  // Only the first rejection of a key in its window is worth logging
+  const firstRejection = !allowed && !tightest.entry.logged;
+  if (firstRejection) tightest.entry.logged = true;
+
+  return {
+    allowed,
+    limit: max,
+    remaining: allowed ? tightest.remaining - 1 : 0,
+    resetSeconds: tightest.resetSeconds,
+    retryAfterSeconds: allowed ? 0 : tightest.retryAfterSeconds,
+    key: tightest.key || null,
+    firstRejection,
+  };
+}
+
+export function resetRateLimits() {
+  windows.roll.clear();
+  windows.read.clear();
+}
+
+// Record an abuse event against a client ({ ip, pubkey, macaroon })
+export function logAbuse(client, event, { scope = null, detail = null } = {}) {
+  logAbuseEvent({
+    event,
+    scope,
+    ip: client.ip || null,
+    playerPubkey: client.pubkey || null,
+    macaroonId: client.macaroon || null,
+    detail,
+  });
+}
+
+/**
+ * Check a client ({ ip, pubkey, macaroon }) against operator blocks and a
+ * scope's limit, counting the request. Returns { status, headers, body }:
+ * status 200 (no body) when it may go ahead, 403 when blocked, 429 when
+ * over the limit. RateLimit-* headers are set whenever the limit was checked.
+ */
+export function admit(scope, client) {
+  const clientKeys = clientKeysOf(client);
+
+  const block = getActiveBlock(clientKeys);
+  if (block) {
+    return {
+      status: 403,
+      headers: {},
+      body: {
+        error: 'blocked',
+        message: 'This client has been blocked by the operator',
+        ...(block.reason && { reason: block.reason }),
+        ...(block.expires_at && { expires_at: block.expires_at }),
+      },
+    };
+  }
+
+  if (!config.rateLimit.enabled) return { status: 200, headers: {}, body: null };
+
+  const { windowSeconds } = config.rateLimit[scope];
+  const result = hit(scope, clientKeys);
+  const headers = {
+    'RateLimit-Policy': `${result.limit};w=${windowSeconds}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds),
+  };
+
+  if (!result.allowed) {
+    if (result.firstRejection) {
+      logAbuse(client, 'rate_limited', { scope, detail: `limited on ${result.key}` });
+    }
+    return {
+      status: 429,
+      headers: { ...headers, 'Retry-After': String(result.retryAfterSeconds) },
+      body: {
+        error: 'rate_limited',
+        message: `Too many requests — try again in ${result.retryAfterSeconds}s`,
+        retry_after_seconds: result.retryAfterSeconds,
+        limit: result.limit,
+        window_seconds: windowSeconds,
+      },
+    };
+  }
+
+  return { status: 200, headers, body: null };
+}
+
+/**
+ * Express middleware for a scope. `clientOf(req)` returns the request's
+ * { ip, pubkey, macaroon }. Sets RateLimit-* headers on every response and
+ * Retry-After on 429s; blocked clients get 403.
+ */
+export function rateLimit(scope, clientOf) {
+  return (req, res, next) => {
+    const { status, headers, body } = admit(scope, clientOf(req));
+    for (const [name, value] of Object.entries(headers)) res.set(name, value);
+    if (status !== 200) return res.status(status).json(body);
+    next();
+  };
+}
@@ -0,0 +1,66 @@
+import config from './config.js';
+import { getBankrollBalance, getOpenExposure } from './db.js';
+
+/**
+ * ClawDice — Risk engine
+ *
+ * Works out the largest bet the house accepts at a target. The tightest of:
+ *
+ * 1. configured   — config.game.maxBet
+ * 2. bankroll     — bankroll / multiplier / safetyFactor (config.game.getDynamicMaxBet)
+ * 3. kelly        — per-bet Kelly limit for the house
+ * 4. open_exposure — room left under the cap on payouts owed but not yet delivered
+ *
+ * Kelly for the house: taking a bet b at multiplier m, the house wins b with
+ * probability q and loses b·(m−1) with probability p, where p·m = 1 − edge.
+ * The Kelly fraction of bankroll to put at risk works out to exactly the house
+ * edge, independent of the target — so the house's net risk b·(m−1) may be at
+ * most kellyFraction · edge · bankroll.
+ */
+
+export function getKellyMaxBet(bankrollSats, multiplier) {
+  if (multiplier <= 1) return config.game.maxBet;
+  const maxRisk = config.risk.kellyFraction * config.game.houseEdge * bankrollSats;
+  return Math.max(0, Math.floor(maxRisk / (multiplier - 1)));
+}
+
+// Payout room left under the open exposure cap
+export function getExposureHeadroom(bankrollSats = getBankrollBalance(), openExposureSats = getOpenExposure()) {
+  return config.risk.maxOpenExposure * bankrollSats - openExposureSats;
+}
+
+// Largest bet whose full payout still fits under the open exposure cap
+export function getExposureMaxBet(bankrollSats, multiplier, openExposureSats = getOpenExposure()) {
+  return Math.max(0, Math.floor(getExposureHeadroom(bankrollSats, openExposureSats) / multiplier));
+}
+
+/**
+ * Limits for a bet winning on `target` of `rollRange` outcomes (for other
+ * game modes, their winning and total outcomes):
+ * { maxBet, limitedBy, kellyMaxBet, exposureMaxBet, openExposureSats }
+ */
+export function getBetLimits(target, rollRange = config.game.maxRoll + 1) {
+  const bankrollSats = getBankrollBalance();
+  const openExposureSats = getOpenExposure();
+  const multiplier = config.game.getMultiplier(target, rollRange);
+
+  const limits = [
+    ['configured', config.game.maxBet],
+    ['bankroll', config.game.getDynamicMaxBet(bankrollSats, target, rollRange)],
+    ['kelly', getKellyMaxBet(bankrollSats, multiplier)],
+    ['open_exposure', getExposureMaxBet(bankrollSats, multiplier, openExposureSats)],
+  ];
+  const [limitedBy, maxBet] = limits.reduce((min, limit) => (limit[1] < min[1] ? limit : min));
+
+  return {
+    maxBet,
+    limitedBy,
+    kellyMaxBet: limits[2][1],
+    exposureMaxBet: limits[3][1],
+    openExposureSats,
+  };
+}
+
+export function getMaxBet(target, rollRange) {
+  return getBetLimits(target, rollRange).maxBet;
+}
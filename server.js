@@ -1,4 +1,7 @@
 import express from 'express';
+import crypto from 'crypto';
+import http from 'http';
+import { pathToFileURL } from 'url';
 import config from './config.js';
 import {
   generateServerSeed,
@@ -6,12 +9,150 @@ import {
   resolveGame,
   verifyGame,
   generateDevEntropy,
-  getMultiplier,
+  ROLL_VERSIONS,
+  ROLL_ALGORITHMS,
+  CHANCE_ALGORITHM,
+  chanceToTarget,
+  GAME_MODES,
+  isGameMode,
+  parseModeParams,
+  checkModeParams,
+  getModeOdds,
+  JACKPOT_DOMAIN,
 } from './dice.js';
-import { initDb, generateGameId, saveGame, getGame, getStats, getLeaderboard, getRecentGames } from './db.js';
-import { sendPayout } from './payout.js';
+import {
+  initDb,
+  generateGameId,
+  saveGame,
+  getGame,
+  generateBatchId,
+  saveBatch,
+  getBatch,
+  getBatchGames,
+  getPayout,
+  getStats,
+  getLeaderboard,
+  getRecentGames,
+  saveCommitment,
+  deleteExpiredCommitments,
+  getSpentToken,
+  spendToken,
+  getCommitment,
+  getCommitmentForGame,
+  checkCommitment,
+  claimCommitment,
+  createCreditAccount,
+  getCreditAccountByToken,
+  getCreditBalance,
+  getLedgerEntries,
+  debitCreditBet,
+  creditWinnings,
+  createWithdrawal,
+  getWithdrawals,
+  useCreditNonce,
+  setCreditPubkey,
+  proveCreditPubkey,
+  getStuckPayouts,
+  requeuePayout,
+  getBankrollLog,
+  getAbuseEvents,
+  getAbuseOffenders,
+  blockClient,
+  unblockClient,
+  getBlockedClients,
+  getSeedChain,
+  getActiveSeedChain,
+  getSeedChains,
+  getChainGames,
+  getJackpotPot,
+  getJackpotWins,
+  getJackpotTotals,
+  debitTournamentEntry,
+  saveTournament,
+  getTournament,
+  getTournaments,
+  createTournamentEntry,
+  getTournamentEntry,
+  getTournamentEntryById,
+  getTournamentEntryByToken,
+  takeTournamentRound,
+  generateTournamentRollId,
+  saveTournamentRoll,
+  getTournamentRoll,
+  getTournamentStandings,
+  getTournamentPrizes,
+  getProfile,
+  getPlayerStats,
+  getPlayerGames,
+  getPlayerWinStreak,
+  getPlayerSeed,
+  setPlayerSeed,
+  usePlayerNonce,
+  getAuditRoots,
+  getLatestAuditRoot,
+  getAuditLogSize,
+} from './db.js';
+import { payGame, startPayoutWorker } from './payout-queue.js';
+import { getPauseState, recordRoll, recordTournament, adjustBankroll, getLimits } from './bankroll.js';
+import { getBetLimits, getExposureHeadroom } from './risk.js';
+import { verifyL402Token, getMacaroonId, boundPubkey, L402Error } from './l402.js';
+import { decodeInvoice, validatePayoutInvoice, Bolt11Error } from './bolt11.js';
+import { rateLimit, admit, logAbuse } from './ratelimit.js';
+import { publishGame, publishPayout, streamFeed, upgradeFeed } from './feed.js';
+import { takeChainSeed, chainInfo, chainPosition, getChainProof } from './chain.js';
+import { jackpotTerms, playJackpot, jackpotSummary, getJackpotProof } from './jackpot.js';
+import {
+  playStreak,
+  pendingStreakBonus,
+  streakSummary,
+  getStreakProof,
+  currentStreak,
+  currentStreakRule,
+  bonusMultiplier,
+} from './streak.js';
+import { issueProfileChallenge, registerProfile, profileInfo, ProfileError } from './profile.js';
+import {
+  ROUND_STAKE,
+  parseTournamentRequest,
+  tournamentStatus,
+  tournamentInfo,
+  allowsTarget,
+  playTournamentRound,
+  roundPoints,
+  startTournamentWorker,
+} from './tournament.js';
+import { fairnessReport, startFairnessMonitor } from './fairness.js';
+import {
+  rootInfo,
+  exportRoots,
+  getInclusionProof,
+  checkPinnedRoots,
+  verifyAuditLog,
+  startAuditWorker,
+} from './audit.js';
 
-const app = express();
+const PAYOUT_METHODS = ['keysend', 'invoice', 'credit'];
+const BET_SOURCES = ['lightning', 'credit'];
+const CLIENT_KEY_TYPES = ['ip', 'pubkey', 'macaroon'];
+
+export const app = express();
+app.set('trust proxy', config.rateLimit.trustProxy);
+
+// Rate limits per scope, keyed on clientOf() (see below)
+const limitRolls = rateLimit('roll', clientOf);
+const limitReads = rateLimit('read', clientOf);
+
+// A pinned roots file grows by a root per AUDIT_ROOT_INTERVAL, past the default
+// body limit. It gets a cap of its own, enforced after the read rate limit so
+// nobody gets a large body parsed for free.
+app.use('/audit/check', limitReads, express.json({ limit: config.audit.checkBodyLimit }), (err, req, res, next) => {
+  if (err.type !== 'entity.too.large') return next(err);
+  res.status(413).json({
+    error: 'roots_file_too_large',
+    message: `Roots files are limited to ${config.audit.checkBodyLimit}`,
+    hint: 'Check the most recent roots, or verify the whole file offline with clawdice-verify',
+  });
+});
 app.use(express.json());
 
 // ──────────────────────────────────────────────────────────
@@ -22,16 +163,27 @@ app.use(express.json());
 // The preimage comes through as part of the L402 authorization header.
 // In dev mode, we simulate client entropy.
 
-function extractClientEntropy(req) {
-  // Production: extract preimage from L402 Authorization header
+function extractL402Token(req) {
   // Format: "L402 <macaroon>:<preimage>"
   const authHeader = req.headers['authorization'];
   if (authHeader && authHeader.startsWith('L402 ')) {
     const parts = authHeader.split(':');
     if (parts.length >= 2) {
-      return parts[parts.length - 1].trim();
+      return {
+        macaroon: parts.slice(0, -1).join(':').slice('L402 '.length).trim(),
+        preimage: parts[parts.length - 1].trim(),
+      };
     }
   }
+  return null;
+}
+
+function extractClientEntropy(req) {
+  // Production: extract preimage from L402 Authorization header
+  const token = extractL402Token(req);
+  if (token) {
+    return token.preimage;
+  }
 
   // Dev mode: generate random entropy
   if (config.devMode) {
@@ -42,8 +194,140 @@ function extractClientEntropy(req) {
 }
 
 function extractPlayerPubkey(req) {
-  // From L402 macaroon metadata, custom header, or query param
-  return req.headers['x-player-pubkey'] || req.query.pubkey || null;
+  // From L402 macaroon metadata, custom header, or query param — lowercase,
+  // as profiles store it, so a player's games and profile line up
+  const pubkey = req.headers['x-player-pubkey'] || req.query.pubkey;
+  return pubkey ? String(pubkey).trim().toLowerCase() : null;
+}
+
+function extractCreditToken(req) {
+  return req.headers['x-credit-token'] || null;
+}
+
+// The commitment a roll is played against: the server seed hash handed out
+// in the 402 challenge (or by GET /commit), echoed back by the agent.
+function extractCommitmentHash(req) {
+  const hash = req.headers['x-server-seed-hash'] || req.query.commitment;
+  return hash ? String(hash).trim().toLowerCase() : null;
+}
+
+// Payment hash for an L402 preimage — SHA256 of the raw preimage bytes
+function paymentHashOf(preimage) {
+  if (!/^[0-9a-f]{64}$/i.test(preimage)) return null;
+  return crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+}
+
+// Key under which an L402 token is recorded as spent: the payment hash when
+// the preimage is well-formed, otherwise a hash of the raw token value
+function tokenHashOf(preimage) {
+  return paymentHashOf(preimage) || crypto.createHash('sha256').update(preimage).digest('hex');
+}
+
+// The pubkey a request has proven it speaks for: one its credit account holder
+// proved with a signature (POST /profile), or one bound into its signed L402
+// macaroon. The X-Player-Pubkey header alone proves nothing, and neither does
+// an account pubkey that only ever came from that header.
+function authenticatedPubkey(req) {
+  const creditToken = extractCreditToken(req);
+  const account = creditToken ? getCreditAccountByToken(creditToken) : null;
+  if (account?.player_pubkey && account.pubkey_proven) return account.player_pubkey;
+  const token = extractL402Token(req);
+  return token ? boundPubkey(token.macaroon) : null;
+}
+
+// The X-Player-Pubkey a request plays as, if it has also proven it — or null.
+// Streaks (whose bonuses are paid out) and account pubkeys go by this one.
+function provenPlayerPubkey(req) {
+  const playerPubkey = extractPlayerPubkey(req);
+  const proven = authenticatedPubkey(req);
+  return playerPubkey && proven && proven.toLowerCase() === playerPubkey.toLowerCase() ? playerPubkey : null;
+}
+
+// Who is making a request, for rate limits and abuse records
+function clientOf(req) {
+  const token = extractL402Token(req);
+  return {
+    ip: req.ip || null,
+    pubkey: authenticatedPubkey(req),
+    macaroon: token ? getMacaroonId(token.macaroon) : null,
+  };
+}
+
+
+function replayError(req, res, gameId) {
+  logAbuse(clientOf(req), 'token_replay', { scope: 'roll', detail: gameId });
+  return res.status(409).json({
+    error: 'token_already_spent',
+    message: 'This L402 token has already been used for a roll',
+    game_id: gameId,
+    verify_url: `/verify/${gameId}`,
+    hint: 'Each payment buys exactly one roll — pay a new invoice to play again',
+  });
+}
+
+// Who a seed chain is kept for: the requester's proven pubkey, or null. An IP
+// is no owner — behind a proxy or a NAT, many players share one.
+function chainOwnerOf(req) {
+  const pubkey = authenticatedPubkey(req);
+  return pubkey ? `pubkey:${pubkey}` : null;
+}
+
+// Generate and store a fresh server seed for a request (the next one from the
+// requester's hash chain in chain mode, if it has one), returning the public
+// commitment
+function issueCommitment(req, paymentHash = null) {
+  const owner = config.seedChain.enabled ? chainOwnerOf(req) : null;
+  if (owner) {
+    const { serverSeed, chainId, chainIndex } = takeChainSeed(owner);
+    return saveCommitment({
+      serverSeed,
+      serverSeedHash: commitSeed(serverSeed),
+      paymentHash,
+      chainId,
+      chainIndex,
+    });
+  }
+  const serverSeed = generateServerSeed();
+  return saveCommitment({ serverSeed, serverSeedHash: commitSeed(serverSeed), paymentHash });
+}
+
+function invalidCreditToken(res) {
+  return res.status(401).json({
+    error: 'invalid_credit_token',
+    message: 'A valid credit account token is required in the X-Credit-Token header',
+    hint: 'Win a roll with payout=credit to open an account',
+  });
+}
+
+function commitmentInfo(commitment) {
+  const chain = commitment.chain_id && getSeedChain(commitment.chain_id);
+  return {
+    server_seed_hash: commitment.server_seed_hash,
+    committed_at: commitment.committed_at,
+    expires_at: commitment.expires_at,
+    ...(chain && {
+      chain: {
+        chain_id: chain.id,
+        terminal_hash: chain.terminal_hash,
+        position: chainPosition(chain, commitment.chain_index),
+      },
+    }),
+  };
+}
+
+// Short description of a bet, for error messages
+function betLabel(mode, params) {
+  switch (mode) {
+    case 'over':
+      return `roll over ${params.target}`;
+    case 'inside':
+    case 'outside':
+      return `${mode} ${params.low}–${params.high}`;
+    case 'dice':
+      return `${params.dice}d${params.sides} sum ${params.target}+`;
+    default:
+      return `target ${params.target}`;
+  }
 }
 
 // ──────────────────────────────────────────────────────────
@@ -58,70 +342,354 @@ app.get('/', (req, res) => {
     tagline: 'Provably fair Lightning dice for OpenClaw agents 🦞🎲⚡',
     mode: config.devMode ? 'development' : 'production',
     endpoints: {
-      'GET /roll': 'Play a round (L402-gated in production)',
-      'GET /odds': 'Payout table for all targets',
-      'GET /verify/:game_id': 'Verify any past game',
+      'GET /commit': 'Get a server seed commitment to roll against',
+      'GET /roll': 'Play a round: ?target= (0–65535) or ?chance= (percent, 0.01 steps); ?mode= over, inside, outside, dice',
+      'POST /roll/batch': 'Play several rounds under one payment: { rounds: [{ bet, target | chance | mode … }] }',
+      'POST /seed': 'Choose your client seed (roll v2: client_seed:nonce:preimage)',
+      'GET /balance': 'Credit account balance (X-Credit-Token)',
+      'POST /withdraw': 'Withdraw credit balance over Lightning',
+      'GET /odds': 'Payout table for all targets and modes (?mode= quotes one bet)',
+      'GET /verify/:game_id': 'Verify any past game, batch (b_…) or tournament round (tr_…)',
       'GET /stats': 'Aggregate house stats',
-      'GET /leaderboard': 'Top players by net profit',
+      'GET /stats/fairness': 'Roll uniformity, win rates and realized house edge of recent games, with alerts',
+      'GET /leaderboard': 'Top players by net profit, with their aliases',
+      'POST /profile/challenge': 'Claim an alias: { alias, metadata? } → a challenge to sign with your node key',
+      'POST /profile': 'Register the alias: { challenge, signature } (lncli signmessage output); with X-Credit-Token, proves the account pubkey',
+      'GET /player/:pubkey': 'Alias, lifetime stats, recent games and current streak of a player',
       'GET /recent': 'Recent game feed',
+      'GET /chain': 'Seed hash chain commitment (when SEED_CHAIN is on)',
+      'GET /jackpot': 'Progressive jackpot pot, odds and past winners (when JACKPOT is on)',
+      'GET /tournaments': 'Tournaments with their entry fee, rounds, window and prize pool',
+      'GET /tournaments/:id': 'Tournament standings, and prizes once it has finished',
+      'POST /tournaments/:id/join': 'Pay the entry fee to join (proven X-Player-Pubkey, client_seed; L402 or source=credit)',
+      'GET /tournaments/:id/roll': 'Play your next tournament round: ?target= (X-Tournament-Token)',
+      'GET /stream': 'Live feed over SSE (?pubkey=, ?min_bet=, Last-Event-ID)',
+      'GET /ws': 'Live feed over WebSocket (?pubkey=, ?min_bet=, ?last_event_id=)',
+      'GET /audit/root': 'Latest Merkle root over the game log, and recent roots',
+      'GET /audit/roots': 'Every published root, as a file to pin',
+      'GET /audit/proof/:game_id': 'Inclusion proof of a game or tournament round under a published root',
+      'POST /audit/check': 'Check a pinned roots file against the roots published now',
     },
     game: {
       roll_range: `0–${config.game.maxRoll}`,
+      chance_roll_range: `0–${ROLL_ALGORITHMS[CHANCE_ALGORITHM].range - 1}`,
       house_edge: `${config.game.houseEdge * 100}%`,
       min_bet: config.game.minBet,
       max_bet: config.game.maxBet,
       default_bet: config.game.defaultBet,
       default_target: config.game.defaultTarget,
+      ...(config.streak.enabled && {
+        streak_bonuses: {
+          max_win_probability: config.streak.maxWinProbability,
+          bonuses: config.streak.bonuses,
+          note: 'Consecutive wins at or below max_win_probability boost your next qualifying win (needs a pubkey)',
+        },
+      }),
+    },
+    limits: getLimits(),
+    rate_limits: {
+      roll: { max: config.rateLimit.roll.max, window_seconds: config.rateLimit.roll.windowSeconds },
+      read: { max: config.rateLimit.read.max, window_seconds: config.rateLimit.read.windowSeconds },
+      keyed_on: config.rateLimit.keys,
     },
     docs: 'https://github.com/mikesats/clawdice',
   });
 });
 
+/**
+ * Parse and check one bet from query-style params: ?mode= picks the bet shape,
+ * then its target (or ?chance=, which rolls the high-resolution algorithm) or
+ * range / dice params, and ?bet=. Returns { bet } or { error } (a 400 body).
+ */
+function parseBet(query) {
+  const mode = query.mode || 'under';
+  const byChance = query.chance !== undefined;
+  const rollAlgorithm = byChance ? CHANCE_ALGORITHM : 'u16';
+  const rollRange = ROLL_ALGORITHMS[rollAlgorithm].range;
+  const betSats = parseInt(query.bet || config.game.defaultBet);
+
+  // Validate mode and target
+  if (!isGameMode(mode)) {
+    return {
+      error: { error: 'invalid_mode', message: `Mode must be one of: ${Object.keys(GAME_MODES).join(', ')}` },
+    };
+  }
+  if (byChance && (mode !== 'under' || query.target !== undefined)) {
+    return {
+      error: {
+        error: 'invalid_target',
+        message: 'Chance sets the target of a roll-under bet — pass either target or chance, not both',
+      },
+    };
+  }
+  const params = byChance ? { target: chanceToTarget(query.chance) } : parseModeParams(mode, query);
+  if (byChance && params.target === null) {
+    return {
+      error: {
+        error: 'invalid_chance',
+        message: 'Chance must be a percentage between 0.01 and 99.99, in steps of 0.01',
+        hint: 'e.g. ?chance=49.5 wins with probability 49.50%',
+      },
+    };
+  }
+  const paramsProblem = checkModeParams(mode, params, rollRange);
+  if (paramsProblem) {
+    return {
+      error: {
+        error: 'invalid_target',
+        message: paramsProblem,
+        hint: mode === 'under' ? 'Lower target = lower win chance = higher payout' : `Mode ${mode} wins if ${GAME_MODES[mode].rule}`,
+      },
+    };
+  }
+
+  // Validate bet
+  if (!(betSats >= config.game.minBet && betSats <= config.game.maxBet)) {
+    return {
+      error: {
+        error: 'invalid_bet',
+        message: `Bet must be between ${config.game.minBet} and ${config.game.maxBet} sats`,
+      },
+    };
+  }
+
+  const odds = getModeOdds(mode, params, rollRange);
+  return { bet: { mode, params, chance: byChance ? query.chance : null, rollAlgorithm, rollRange, odds, betSats } };
+}
+
+// The risk engine's verdict on a parsed bet: null if accepted, otherwise a 400 body
+function betLimitError(bet) {
+  const betLimits = getBetLimits(bet.odds.winningOutcomes, bet.odds.totalOutcomes);
+  if (bet.betSats <= betLimits.maxBet) return null;
+
+  const overExposed = ['kelly', 'open_exposure'].includes(betLimits.limitedBy);
+  return {
+    error: overExposed ? 'over_exposure' : 'bet_exceeds_limit',
+    message: `Max bet on ${bet.chance !== null ? `chance ${bet.chance}%` : betLabel(bet.mode, bet.params)} is ${betLimits.maxBet} sats right now`,
+    max_bet_sats: betLimits.maxBet,
+    limited_by: betLimits.limitedBy,
+  };
+}
+
+// What a resolved bet was and how it came out, for roll responses
+function betOutcome(bet, gameResult) {
+  const { mode, params } = bet;
+  return {
+    mode,
+    roll: gameResult.roll,
+    ...(gameResult.faces && { faces: gameResult.faces }),
+    ...(mode === 'under' ? { target: params.target } : params),
+    result: gameResult.result,
+    bet_sats: bet.betSats,
+    multiplier: gameResult.multiplier,
+    win_probability: Math.round(bet.odds.winProbability * 10000) / 100 + '%',
+    payout_sats: gameResult.payoutSats,
+  };
+}
+
+// Roll fields that /verify needs
+function rollDetails(bet, gameResult) {
+  const { params } = bet;
+  return {
+    client_entropy: gameResult.clientEntropy,
+    roll_version: gameResult.rollVersion,
+    roll_algorithm: gameResult.rollAlgorithm,
+    roll_range: gameResult.faces ? `${params.dice}–${params.dice * params.sides}` : `0–${bet.rollRange - 1}`,
+  };
+}
+
 // ──────────────────────────────────────────────────────────
 // 🎲 ROLL — The main game endpoint
 // ──────────────────────────────────────────────────────────
 
-app.get('/roll', async (req, res) => {
+app.get('/roll', limitRolls, async (req, res) => {
   try {
-    // Parse params
-    const target = parseInt(req.query.target || config.game.defaultTarget);
-    const betSats = parseInt(req.query.bet || config.game.defaultBet);
-    const payoutMethod = req.query.payout || 'keysend';
+    const parsed = parseBet(req.query);
+    if (parsed.error) return res.status(400).json(parsed.error);
+    const bet = parsed.bet;
+    const { mode, params, rollAlgorithm, odds, betSats } = bet;
+    const source = req.query.source || 'lightning';
+    const payoutMethod = req.query.payout || (source === 'credit' ? 'credit' : 'keysend');
+    const clientSeedParam = req.query.client_seed || null;
+
+    // The house must be able to cover the bet
+    const pause = getPauseState();
+    if (pause.paused) {
+      return res.status(503).json({
+        error: 'game_paused',
+        reason: pause.reason,
+        message: pause.message,
+      });
+    }
 
-    // Validate target
-    if (target < 1 || target > config.game.maxRoll) {
+    const limitError = betLimitError(bet);
+    if (limitError) return res.status(400).json(limitError);
+
+    // Validate bet source
+    if (!BET_SOURCES.includes(source)) {
       return res.status(400).json({
-        error: 'invalid_target',
-        message: `Target must be between 1 and ${config.game.maxRoll}`,
-        hint: 'Lower target = lower win chance = higher payout',
+        error: 'invalid_source',
+        message: `Bet source must be one of: ${BET_SOURCES.join(', ')}`,
       });
     }
 
-    // Validate bet
-    if (betSats < config.game.minBet || betSats > config.game.maxBet) {
+    if (clientSeedParam && !/^[\w-]{1,64}$/.test(clientSeedParam)) {
       return res.status(400).json({
-        error: 'invalid_bet',
-        message: `Bet must be between ${config.game.minBet} and ${config.game.maxBet} sats`,
+        error: 'invalid_client_seed',
+        message: 'client_seed must be 1–64 letters, digits, _ or -',
+      });
+    }
+    if (clientSeedParam && source === 'lightning' && !extractPlayerPubkey(req)) {
+      return res.status(400).json({
+        error: 'pubkey_required',
+        message: 'A client seed is tracked per player — send X-Player-Pubkey with client_seed',
       });
     }
 
-    // Get client entropy (preimage from L402 payment, or random in dev)
-    const clientEntropy = extractClientEntropy(req);
-    if (!clientEntropy) {
+    // Validate payout method
+    if (!PAYOUT_METHODS.includes(payoutMethod)) {
+      return res.status(400).json({
+        error: 'invalid_payout_method',
+        message: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`,
+      });
+    }
+
+    // Invoice payouts: check the invoice now, so nobody wins with nowhere to send the money
+    const payoutInvoice = payoutMethod === 'invoice' ? req.headers['x-payout-invoice'] : null;
+    if (payoutMethod === 'invoice') {
+      // A fixed-amount invoice must include the streak bonus this win would collect
+      const basePayout = Math.floor(betSats * odds.multiplier);
+      const winPayout = basePayout + pendingStreakBonus(provenPlayerPubkey(req), odds.winProbability, basePayout);
+      if (!payoutInvoice) {
+        return res.status(400).json({
+          error: 'missing_payout_invoice',
+          message: 'payout=invoice needs a BOLT11 invoice in the X-Payout-Invoice header',
+          hint: `Send an amountless invoice, or one for exactly ${winPayout} sats`,
+        });
+      }
+      try {
+        validatePayoutInvoice(payoutInvoice, { amountSats: winPayout });
+      } catch (err) {
+        if (!(err instanceof Bolt11Error)) throw err;
+        return res.status(400).json({
+          error: 'invalid_payout_invoice',
+          reason: err.reason,
+          message: err.message,
+          win_payout_sats: winPayout,
+        });
+      }
+    }
+
+    // Credit account: required to play from a balance, optional for credit payouts
+    const creditToken = extractCreditToken(req);
+    let creditAccount = creditToken ? getCreditAccountByToken(creditToken) : null;
+    if ((source === 'credit' || creditToken) && !creditAccount) {
+      return invalidCreditToken(res);
+    }
+    if (source === 'credit' && getCreditBalance(creditAccount.id) < betSats) {
+      return res.status(402).json({
+        error: 'insufficient_credit',
+        message: `Bet of ${betSats} sats exceeds your credit balance`,
+        balance_sats: getCreditBalance(creditAccount.id),
+      });
+    }
+
+    // Look up the commitment this roll is played against
+    const commitmentHash = extractCommitmentHash(req);
+    const commitment = commitmentHash ? getCommitment(commitmentHash) : null;
+
+    // Get client entropy (preimage from L402 payment, or random in dev).
+    // Balance-funded rolls have no preimage and use client seed + nonce below.
+    let clientEntropy = source === 'lightning' ? extractClientEntropy(req) : null;
+    if (source === 'lightning' && !clientEntropy) {
+      // Commit phase: hand out the seed hash together with the payment challenge
+      const challenge = checkCommitment(commitment) ? issueCommitment(req) : commitment;
+      res.set('X-Server-Seed-Hash', challenge.server_seed_hash);
       return res.status(402).json({
         error: 'payment_required',
         message: 'No L402 authorization found. Pay the Lightning invoice to play.',
         hint: 'Use lnget to automatically handle L402 payments',
+        commitment: commitmentInfo(challenge),
+      });
+    }
+
+    // Built-in L402 check: macaroon signature, caveats and preimage
+    const l402Token = source === 'lightning' ? extractL402Token(req) : null;
+    if (l402Token && config.l402.enabled) {
+      try {
+        verifyL402Token(l402Token, { betSats, bet, serverSeedHash: commitmentHash });
+      } catch (err) {
+        if (!(err instanceof L402Error)) throw err;
+        logAbuse(clientOf(req), 'invalid_l402', { scope: 'roll', detail: err.reason });
+        return res.status(401).json({
+          error: 'invalid_l402',
+          reason: err.reason,
+          message: err.message,
+        });
+      }
+    }
+
+    // Each L402 payment buys exactly one roll
+    const tokenHash = l402Token ? tokenHashOf(clientEntropy) : null;
+    const spent = tokenHash && getSpentToken(tokenHash);
+    if (spent) {
+      return replayError(req, res, spent.game_id);
+    }
+
+    // Every roll must use a seed that was committed before the entropy arrived
+    if (!commitmentHash) {
+      const fresh = issueCommitment(req);
+      res.set('X-Server-Seed-Hash', fresh.server_seed_hash);
+      return res.status(428).json({
+        error: 'commitment_required',
+        message: 'Rolls must reference a server seed commitment made before payment',
+        hint: 'Retry with the X-Server-Seed-Hash header set to the commitment below',
+        commitment: commitmentInfo(fresh),
+      });
+    }
+
+    const commitmentError = checkCommitment(commitment, clientEntropy && paymentHashOf(clientEntropy));
+    if (commitmentError) {
+      return res.status(409).json({
+        error: 'invalid_commitment',
+        reason: commitmentError,
+        message: `Commitment ${commitmentHash} cannot be used for this roll`,
+        hint: 'Request a new commitment from GET /commit',
       });
     }
 
-    // Generate server seed and resolve the game
-    const serverSeed = generateServerSeed();
-    const gameResult = resolveGame({ target, betSats, serverSeed, clientEntropy });
+    // Balance-funded rolls: entropy is the player's client seed and the account's next nonce
+    const playerPubkey = extractPlayerPubkey(req);
+    let creditNonce = null;
+    let playerNonce = null;
+    if (source === 'credit') {
+      creditNonce = useCreditNonce(creditAccount.id, clientSeedParam);
+      clientEntropy = `${creditNonce.clientSeed}:${creditNonce.nonce}`;
+    } else if (playerPubkey) {
+      // Players with their own client seed roll v2: client_seed:nonce:preimage
+      if (clientSeedParam) setPlayerSeed(playerPubkey, clientSeedParam);
+      playerNonce = usePlayerNonce(playerPubkey);
+    }
+
+    // Resolve the game with the committed seed
+    const serverSeed = commitment.server_seed;
+    const gameResult = resolveGame({
+      betSats,
+      serverSeed,
+      clientEntropy,
+      clientSeed: playerNonce?.clientSeed ?? null,
+      nonce: playerNonce?.nonce ?? null,
+      rollAlgorithm,
+      mode,
+      params,
+    });
+
+    // A streak bonus is part of the payout from here on
+    const streak = playStreak({ playerPubkey: provenPlayerPubkey(req), winProbability: odds.winProbability, gameResult });
+    if (streak) gameResult.payoutSats += streak.bonusSats;
 
     // Generate game ID and save
     const gameId = generateGameId();
-    const playerPubkey = extractPlayerPubkey(req);
 
     const gameRecord = {
       id: gameId,
@@ -129,43 +697,97 @@ app.get('/roll', async (req, res) => {
       payoutMethod,
       payoutStatus: gameResult.result === 'loss' ? 'n/a' : 'pending',
       playerPubkey,
+      payoutInvoice,
+      betSource: source,
+      creditAccountId: creditAccount?.id || null,
+      ...jackpotTerms(betSats),
+      ...streak?.record,
     };
 
+    // Claim the commitment and the token synchronously, before any await, so
+    // concurrent duplicates of the same request can't both get through.
+    // A commitment burned by a losing duplicate is harmless; a token is not.
+    if (!claimCommitment(commitmentHash, gameId)) {
+      return res.status(409).json({
+        error: 'invalid_commitment',
+        reason: 'already_used',
+        message: `Commitment ${commitmentHash} cannot be used for this roll`,
+        hint: 'Request a new commitment from GET /commit',
+      });
+    }
+    if (tokenHash && !spendToken(tokenHash, gameId)) {
+      return replayError(req, res, getSpentToken(tokenHash).game_id);
+    }
+    if (source === 'credit' && !debitCreditBet(creditAccount.id, betSats, gameId)) {
+      return res.status(402).json({
+        error: 'insufficient_credit',
+        message: `Bet of ${betSats} sats exceeds your credit balance`,
+        balance_sats: getCreditBalance(creditAccount.id),
+      });
+    }
+
+    // Credit payouts settle instantly on the ledger, opening an account on first win
+    let newCreditToken = null;
+    if (payoutMethod === 'credit' && gameResult.result === 'win' && gameResult.payoutSats > 0) {
+      if (!creditAccount) {
+        const opened = createCreditAccount({ playerPubkey, pubkeyProven: provenPlayerPubkey(req) !== null });
+        creditAccount = opened.account;
+        newCreditToken = opened.token;
+      }
+      creditWinnings(creditAccount.id, gameResult.payoutSats, gameId);
+      gameRecord.creditAccountId = creditAccount.id;
+      gameRecord.payoutStatus = 'credited';
+    }
+
     saveGame(gameRecord);
 
-    // Send payout if winner
+    // The jackpot rolls once the game is stored, from the same inputs
+    const jackpot = playJackpot(gameRecord, { creditAccount });
+    if (jackpot?.creditToken) {
+      creditAccount = jackpot.creditAccount;
+      newCreditToken = jackpot.creditToken;
+    }
+
+    publishGame(getGame(gameId));
+    recordRoll({
+      gameId,
+      betSats,
+      payoutSats: gameResult.payoutSats - (streak?.bonusSats || 0),
+      bonusSats: streak?.bonusSats,
+      jackpotSats: jackpot?.contributionSats,
+    });
+
+    // Send Lightning payout if winner — the outcome is persisted, and failures
+    // are picked up by the retry worker
     let payoutInfo = null;
-    if (gameResult.result === 'win' && gameResult.payoutSats > 0) {
-      try {
-        payoutInfo = await sendPayout({
-          pubkey: playerPubkey,
-          amountSats: gameResult.payoutSats,
-          gameId,
-        });
-        gameRecord.payoutStatus = 'sent';
-      } catch (err) {
-        console.error(`Payout failed for game ${gameId}:`, err.message);
-        gameRecord.payoutStatus = 'failed';
-        payoutInfo = { error: err.message };
-      }
+    if (gameResult.result === 'win' && gameResult.payoutSats > 0 && payoutMethod !== 'credit') {
+      payoutInfo = await payGame(gameId);
+      gameRecord.payoutStatus = getGame(gameId).payout_status;
     }
+    if (jackpot?.win?.payout_status === 'pending') await payGame(jackpot.win.id);
 
     // Response
-    const winProbability = target / (config.game.maxRoll + 1);
     res.json({
       game_id: gameId,
-      roll: gameResult.roll,
-      target,
-      result: gameResult.result,
-      bet_sats: betSats,
-      multiplier: gameResult.multiplier,
-      win_probability: Math.round(winProbability * 10000) / 100 + '%',
-      payout_sats: gameResult.payoutSats,
+      ...betOutcome(bet, gameResult),
       payout_method: payoutMethod,
       payout_status: gameRecord.payoutStatus,
+      ...(streak && { streak: streakSummary(streak) }),
+      ...(jackpot && { jackpot: jackpotSummary(jackpot) }),
+      ...(payoutInfo?.paymentHash && { payout_payment_hash: payoutInfo.paymentHash }),
+      ...(payoutInfo?.status === 'failed' && { payout_error: payoutInfo.error }),
       server_seed: gameResult.serverSeed,
       server_seed_hash: gameResult.serverSeedHash,
-      client_entropy: gameResult.clientEntropy,
+      ...rollDetails(bet, gameResult),
+      ...(creditNonce && { client_seed: creditNonce.clientSeed, nonce: creditNonce.nonce }),
+      ...(playerNonce && { client_seed: playerNonce.clientSeed, nonce: playerNonce.nonce }),
+      committed_at: commitment.committed_at,
+      bet_source: source,
+      ...(creditAccount && { credit_balance_sats: getCreditBalance(creditAccount.id) }),
+      ...(newCreditToken && {
+        credit_token: newCreditToken,
+        credit_token_note: 'Store this token — it is the only key to your credit balance',
+      }),
       verify_url: `/verify/${gameId}`,
       timestamp: new Date().toISOString(),
     });
@@ -176,127 +798,1607 @@ app.get('/roll', async (req, res) => {
 });
 
 // ──────────────────────────────────────────────────────────
-// 🔍 VERIFY — Independently verify any past game
+// 🎲 BATCH — Several rounds under one payment
 // ──────────────────────────────────────────────────────────
 
-app.get('/verify/:gameId', (req, res) => {
-  const game = getGame(req.params.gameId);
+/**
+ * POST /roll/batch — body { rounds: [{ bet, target | chance | mode + params }, …],
+ * payout?, client_seed? }. One L402 payment for the total stake buys every
+ * round. All rounds roll against the batch's one commitment, round i with
+ * client entropy `${preimage}:${i}`, and the wins are paid out together.
+ */
+app.post('/roll/batch', limitRolls, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const payoutMethod = body.payout || 'keysend';
+    const clientSeedParam = body.client_seed || null;
 
-  if (!game) {
-    return res.status(404).json({
-      error: 'not_found',
-      message: `Game ${req.params.gameId} not found`,
-    });
-  }
+    if (!Array.isArray(body.rounds) || body.rounds.length < 1 || body.rounds.length > config.batch.maxRounds) {
+      return res.status(400).json({
+        error: 'invalid_batch',
+        message: `rounds must be a list of 1 to ${config.batch.maxRounds} bets`,
+        hint: 'e.g. { "rounds": [{ "bet": 10, "target": 32768 }, { "bet": 10, "mode": "over", "target": 50000 }] }',
+      });
+    }
 
-  const verification = verifyGame({
-    serverSeed: game.server_seed,
-    serverSeedHash: game.server_seed_hash,
-    clientEntropy: game.client_entropy,
-    roll: game.roll,
-    target: game.target,
-  });
+    const bets = [];
+    for (const [index, round] of body.rounds.entries()) {
+      const parsed = parseBet(round && typeof round === 'object' ? round : {});
+      if (parsed.error) return res.status(400).json({ ...parsed.error, round: index });
+      bets.push(parsed.bet);
+    }
+    const totalBet = bets.reduce((sum, bet) => sum + bet.betSats, 0);
 
-  res.json({
-    game_id: req.params.gameId,
-    ...verification,
-    bet_sats: game.bet_sats,
-    payout_sats: game.payout_sats,
-    multiplier: game.multiplier,
-    created_at: game.created_at,
-    how_to_verify: {
-      step_1: 'Confirm SHA256(server_seed) === server_seed_hash',
-      step_2: 'Compute HMAC-SHA256(server_seed, client_entropy)',
-      step_3: 'Take first 2 bytes as uint16 big-endian → roll',
-      step_4: 'roll < target → win, roll >= target → loss',
-    },
-  });
-});
+    if (!PAYOUT_METHODS.includes(payoutMethod)) {
+      return res.status(400).json({
+        error: 'invalid_payout_method',
+        message: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`,
+      });
+    }
+    if (clientSeedParam && !/^[\w-]{1,64}$/.test(clientSeedParam)) {
+      return res.status(400).json({
+        error: 'invalid_client_seed',
+        message: 'client_seed must be 1–64 letters, digits, _ or -',
+      });
+    }
+    if (clientSeedParam && !extractPlayerPubkey(req)) {
+      return res.status(400).json({
+        error: 'pubkey_required',
+        message: 'A client seed is tracked per player — send X-Player-Pubkey with client_seed',
+      });
+    }
 
-// ──────────────────────────────────────────────────────────
-// 📊 ODDS — Payout table
-// ──────────────────────────────────────────────────────────
+    // The house must be able to cover every round, and all of them winning
+    const pause = getPauseState();
+    if (pause.paused) {
+      return res.status(503).json({
+        error: 'game_paused',
+        reason: pause.reason,
+        message: pause.message,
+      });
+    }
+    for (const [index, bet] of bets.entries()) {
+      const limitError = betLimitError(bet);
+      if (limitError) return res.status(400).json({ ...limitError, round: index });
+    }
+    const maxPayout = bets.reduce((sum, bet) => sum + Math.floor(bet.betSats * bet.odds.multiplier), 0);
+    const headroom = Math.max(0, Math.floor(getExposureHeadroom()));
+    if (payoutMethod !== 'credit' && maxPayout > headroom) {
+      return res.status(400).json({
+        error: 'over_exposure',
+        message: `If every round won the batch would owe ${maxPayout} sats; the house can take on ${headroom} right now`,
+        max_payout_sats: maxPayout,
+        limited_by: 'open_exposure',
+      });
+    }
 
-app.get('/odds', (req, res) => {
-  const targets = [1000, 4096, 8192, 16384, 32768, 49152, 56000, 60000, 64000];
-  const table = targets.map((target) => {
-    const winProbability = target / (config.game.maxRoll + 1);
-    const multiplier = getMultiplier(target);
-    return {
-      target,
-      win_probability: Math.round(winProbability * 10000) / 100 + '%',
-      multiplier: Math.round(multiplier * 1000) / 1000,
-      example_bet_100: Math.floor(100 * multiplier),
-    };
-  });
+    // The combined payout isn't known until the rounds are rolled, so invoices must be amountless
+    const payoutInvoice = payoutMethod === 'invoice' ? req.headers['x-payout-invoice'] : null;
+    if (payoutMethod === 'invoice') {
+      if (!payoutInvoice) {
+        return res.status(400).json({
+          error: 'missing_payout_invoice',
+          message: 'payout=invoice needs a BOLT11 invoice in the X-Payout-Invoice header',
+          hint: 'Send an amountless invoice — the batch payout depends on the rolls',
+        });
+      }
+      try {
+        validatePayoutInvoice(payoutInvoice, { amountSats: null });
+      } catch (err) {
+        if (!(err instanceof Bolt11Error)) throw err;
+        return res.status(400).json({
+          error: 'invalid_payout_invoice',
+          reason: err.reason,
+          message: err.message,
+        });
+      }
+    }
 
-  res.json({
-    house_edge: config.game.houseEdge * 100 + '%',
-    roll_range: `0–${config.game.maxRoll}`,
-    rule: 'You win if roll < target',
-    payout_table: table,
-  });
-});
+    const creditToken = extractCreditToken(req);
+    let creditAccount = creditToken ? getCreditAccountByToken(creditToken) : null;
+    if (creditToken && !creditAccount) {
+      return invalidCreditToken(res);
+    }
 
-// ──────────────────────────────────────────────────────────
-// 📈 STATS — Aggregate stats
-// ──────────────────────────────────────────────────────────
+    const commitmentHash = extractCommitmentHash(req);
+    const commitment = commitmentHash ? getCommitment(commitmentHash) : null;
 
-app.get('/stats', (req, res) => {
-  res.json({
-    name: 'ClawDice',
-    ...getStats(),
-  });
-});
+    // Commit phase: the invoice covers the total stake of all rounds
+    const clientEntropy = extractClientEntropy(req);
+    if (!clientEntropy) {
+      const challenge = checkCommitment(commitment) ? issueCommitment(req) : commitment;
+      res.set('X-Server-Seed-Hash', challenge.server_seed_hash);
+      return res.status(402).json({
+        error: 'payment_required',
+        message: `No L402 authorization found. Pay ${totalBet} sats to play all ${bets.length} rounds.`,
+        hint: 'Use lnget to automatically handle L402 payments',
+        total_bet_sats: totalBet,
+        commitment: commitmentInfo(challenge),
+      });
+    }
 
-// ──────────────────────────────────────────────────────────
-// 🏆 LEADERBOARD — Top players by net profit
-// ──────────────────────────────────────────────────────────
+    const l402Token = extractL402Token(req);
+    if (l402Token && config.l402.enabled) {
+      try {
+        verifyL402Token(l402Token, { betSats: totalBet, serverSeedHash: commitmentHash });
+      } catch (err) {
+        if (!(err instanceof L402Error)) throw err;
+        logAbuse(clientOf(req), 'invalid_l402', { scope: 'roll', detail: err.reason });
+        return res.status(401).json({
+          error: 'invalid_l402',
+          reason: err.reason,
+          message: err.message,
+        });
+      }
+    }
 
-app.get('/leaderboard', (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit || '20'), 100);
-  res.json({
-    leaderboard: getLeaderboard(limit),
-  });
-});
+    const tokenHash = l402Token ? tokenHashOf(clientEntropy) : null;
+    const spent = tokenHash && getSpentToken(tokenHash);
+    if (spent) {
+      return replayError(req, res, spent.game_id);
+    }
 
-// ──────────────────────────────────────────────────────────
-// 📡 RECENT — Live game feed
-// ──────────────────────────────────────────────────────────
+    if (!commitmentHash) {
+      const fresh = issueCommitment(req);
+      res.set('X-Server-Seed-Hash', fresh.server_seed_hash);
+      return res.status(428).json({
+        error: 'commitment_required',
+        message: 'Rolls must reference a server seed commitment made before payment',
+        hint: 'Retry with the X-Server-Seed-Hash header set to the commitment below',
+        commitment: commitmentInfo(fresh),
+      });
+    }
 
-app.get('/recent', (req, res) => {
+    const commitmentError = checkCommitment(commitment, paymentHashOf(clientEntropy));
+    if (commitmentError) {
+      return res.status(409).json({
+        error: 'invalid_commitment',
+        reason: commitmentError,
+        message: `Commitment ${commitmentHash} cannot be used for this batch`,
+        hint: 'Request a new commitment from GET /commit',
+      });
+    }
+
+    // Claim the commitment and the token before anything else, as in /roll
+    const batchId = generateBatchId();
+    if (!claimCommitment(commitmentHash, batchId)) {
+      return res.status(409).json({
+        error: 'invalid_commitment',
+        reason: 'already_used',
+        message: `Commitment ${commitmentHash} cannot be used for this batch`,
+        hint: 'Request a new commitment from GET /commit',
+      });
+    }
+    if (tokenHash && !spendToken(tokenHash, batchId)) {
+      return replayError(req, res, getSpentToken(tokenHash).game_id);
+    }
+
+    // Resolve every round: same committed seed, entropy derived per round
+    const playerPubkey = extractPlayerPubkey(req);
+    if (playerPubkey && clientSeedParam) setPlayerSeed(playerPubkey, clientSeedParam);
+    const streakPubkey = provenPlayerPubkey(req);
+    let previousStreak = null;
+    const rounds = bets.map((bet, index) => {
+      const playerNonce = playerPubkey ? usePlayerNonce(playerPubkey) : null;
+      const gameResult = resolveGame({
+        betSats: bet.betSats,
+        serverSeed: commitment.server_seed,
+        clientEntropy: `${clientEntropy}:${index}`,
+        clientSeed: playerNonce?.clientSeed ?? null,
+        nonce: playerNonce?.nonce ?? null,
+        rollAlgorithm: bet.rollAlgorithm,
+        mode: bet.mode,
+        params: bet.params,
+      });
+
+      // Rounds extend the player's streak in order
+      const streak = playStreak({
+        playerPubkey: streakPubkey,
+        winProbability: bet.odds.winProbability,
+        gameResult,
+        previousStreak,
+      });
+      if (streak) {
+        gameResult.payoutSats += streak.bonusSats;
+        previousStreak = streak.streak;
+      }
+      return { bet, gameResult, gameId: generateGameId(), playerNonce, streak };
+    });
+    const totalPayout = rounds.reduce((sum, r) => sum + r.gameResult.payoutSats, 0);
+
+    // Credit payouts settle per round on the ledger; Lightning wins are paid together
+    let newCreditToken = null;
+    if (payoutMethod === 'credit' && totalPayout > 0 && !creditAccount) {
+      const opened = createCreditAccount({ playerPubkey, pubkeyProven: streakPubkey !== null });
+      creditAccount = opened.account;
+      newCreditToken = opened.token;
+    }
+    saveBatch({
+      id: batchId,
+      rounds: rounds.length,
+      betSats: totalBet,
+      payoutSats: totalPayout,
+      serverSeedHash: commitmentHash,
+      clientEntropy,
+      playerPubkey,
+      payoutMethod,
+      payoutStatus: totalPayout === 0 ? 'n/a' : payoutMethod === 'credit' ? 'credited' : 'pending',
+      payoutInvoice,
+    });
+
+    for (const [index, { gameResult, gameId, streak }] of rounds.entries()) {
+      const won = gameResult.result === 'win' && gameResult.payoutSats > 0;
+      if (won && payoutMethod === 'credit') {
+        creditWinnings(creditAccount.id, gameResult.payoutSats, gameId);
+      }
+      const game = {
+        id: gameId,
+        ...gameResult,
+        payoutMethod,
+        payoutStatus: !won ? 'n/a' : payoutMethod === 'credit' ? 'credited' : 'batched',
+        playerPubkey,
+        betSource: 'lightning',
+        creditAccountId: won && payoutMethod === 'credit' ? creditAccount.id : null,
+        batchId,
+        batchIndex: index,
+        ...jackpotTerms(gameResult.betSats),
+        ...streak?.record,
+      };
+      saveGame(game);
+
+      // Every round has its own jackpot roll
+      const jackpot = playJackpot(game, { creditAccount });
+      if (jackpot?.creditToken) {
+        creditAccount = jackpot.creditAccount;
+        newCreditToken = jackpot.creditToken;
+      }
+      rounds[index].jackpot = jackpot;
+
+      publishGame(getGame(gameId));
+      recordRoll({
+        gameId,
+        betSats: gameResult.betSats,
+        payoutSats: gameResult.payoutSats - (streak?.bonusSats || 0),
+        bonusSats: streak?.bonusSats,
+        jackpotSats: jackpot?.contributionSats,
+      });
+    }
+
+    let payoutInfo = null;
+    if (totalPayout > 0 && payoutMethod !== 'credit') {
+      payoutInfo = await payGame(batchId);
+    }
+    for (const { jackpot } of rounds) {
+      if (jackpot?.win?.payout_status === 'pending') await payGame(jackpot.win.id);
+    }
+
+    res.json({
+      batch_id: batchId,
+      rounds: rounds.map(({ bet, gameResult, gameId, playerNonce, streak, jackpot }, index) => ({
+        index,
+        game_id: gameId,
+        ...betOutcome(bet, gameResult),
+        ...(streak && { streak: streakSummary(streak) }),
+        ...(jackpot && { jackpot: jackpotSummary(jackpot) }),
+        ...rollDetails(bet, gameResult),
+        ...(playerNonce && { client_seed: playerNonce.clientSeed, nonce: playerNonce.nonce }),
+        verify_url: `/verify/${gameId}`,
+      })),
+      wins: rounds.filter((r) => r.gameResult.result === 'win').length,
+      total_bet_sats: totalBet,
+      total_payout_sats: totalPayout,
+      net_sats: totalPayout - totalBet,
+      payout_method: payoutMethod,
+      payout_status: getBatch(batchId).payout_status,
+      ...(payoutInfo?.paymentHash && { payout_payment_hash: payoutInfo.paymentHash }),
+      ...(payoutInfo?.status === 'failed' && { payout_error: payoutInfo.error }),
+      server_seed: commitment.server_seed,
+      server_seed_hash: commitmentHash,
+      client_entropy: clientEntropy,
+      committed_at: commitment.committed_at,
+      ...(creditAccount && { credit_balance_sats: getCreditBalance(creditAccount.id) }),
+      ...(newCreditToken && {
+        credit_token: newCreditToken,
+        credit_token_note: 'Store this token — it is the only key to your credit balance',
+      }),
+      verify_url: `/verify/${batchId}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('Batch roll error:', err);
+    res.status(500).json({ error: 'internal', message: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+// 🌱 CLIENT SEED — Player-chosen entropy (roll v2)
+// ──────────────────────────────────────────────────────────
+
+function seedInfo(seed) {
+  return {
+    player_pubkey: seed.player_pubkey,
+    client_seed: seed.client_seed,
+    next_nonce: seed.nonce,
+    roll_version: 2,
+    roll_formula: ROLL_VERSIONS[2],
+  };
+}
+
+app.get('/seed', limitReads, (req, res) => {
+  const playerPubkey = extractPlayerPubkey(req);
+  const seed = playerPubkey && getPlayerSeed(playerPubkey);
+  if (!seed) {
+    return res.status(404).json({
+      error: 'no_client_seed',
+      message: playerPubkey ? `No client seed set for ${playerPubkey}` : 'Send X-Player-Pubkey or ?pubkey=',
+      hint: 'POST /seed with { client_seed } to choose one',
+    });
+  }
+  res.json(seedInfo(seed));
+});
+
+// Set or rotate the client seed; the nonce restarts at 0
+app.post('/seed', limitReads, (req, res) => {
+  const playerPubkey = extractPlayerPubkey(req) || req.body?.pubkey;
+  const clientSeed = req.body?.client_seed;
+  if (!playerPubkey) {
+    return res.status(400).json({
+      error: 'pubkey_required',
+      message: 'Send X-Player-Pubkey (or pubkey in the body) to set a client seed',
+    });
+  }
+  if (typeof clientSeed !== 'string' || !/^[\w-]{1,64}$/.test(clientSeed)) {
+    return res.status(400).json({
+      error: 'invalid_client_seed',
+      message: 'client_seed must be 1–64 letters, digits, _ or -',
+    });
+  }
+
+  const previous = getPlayerSeed(playerPubkey);
+  res.json({
+    ...seedInfo(setPlayerSeed(playerPubkey, clientSeed)),
+    ...(previous && { previous: { client_seed: previous.client_seed, rolls: previous.nonce } }),
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 💳 CREDIT — Balance and withdrawals for credit accounts
+// ──────────────────────────────────────────────────────────
+
+app.get('/balance', (req, res) => {
+  const account = getCreditAccountByToken(extractCreditToken(req) || '');
+  if (!account) return invalidCreditToken(res);
+
+  res.json({
+    account_id: account.id,
+    balance_sats: getCreditBalance(account.id),
+    player_pubkey: account.player_pubkey,
+    client_seed: account.client_seed,
+    next_nonce: account.nonce,
+    ledger: getLedgerEntries(account.id),
+    withdrawals: getWithdrawals(account.id),
+  });
+});
+
+app.post('/withdraw', async (req, res) => {
+  try {
+    const account = getCreditAccountByToken(extractCreditToken(req) || '');
+    if (!account) return invalidCreditToken(res);
+
+    const body = req.body || {};
+    const method = body.method || req.query.method || 'keysend';
+    const invoice = method === 'invoice' ? req.headers['x-payout-invoice'] || body.invoice : null;
+    const balance = getCreditBalance(account.id);
+    let amountSats = parseInt(body.amount_sats || req.query.amount || balance);
+
+    if (!['keysend', 'invoice'].includes(method)) {
+      return res.status(400).json({
+        error: 'invalid_payout_method',
+        message: 'Withdrawals go out by keysend or invoice',
+      });
+    }
+
+    // Keysend withdrawals go to the account's pubkey, set on first use
+    const pubkey = account.player_pubkey || extractPlayerPubkey(req);
+    if (method === 'keysend') {
+      if (!pubkey) {
+        return res.status(400).json({
+          error: 'missing_pubkey',
+          message: 'Keysend withdrawals need a pubkey (X-Player-Pubkey header or ?pubkey=)',
+        });
+      }
+      if (!/^0[23][0-9a-f]{64}$/i.test(pubkey)) {
+        return res.status(400).json({
+          error: 'invalid_pubkey',
+          message: 'Pubkey must be a 33-byte compressed node key in hex',
+        });
+      }
+      if (!account.player_pubkey) setCreditPubkey(account.id, pubkey);
+    }
+
+    if (method === 'invoice') {
+      if (!invoice) {
+        return res.status(400).json({
+          error: 'missing_payout_invoice',
+          message: 'Invoice withdrawals need a BOLT11 invoice in the X-Payout-Invoice header',
+        });
+      }
+      try {
+        // An invoice with an amount sets the withdrawal size unless one was asked for
+        const requested = decodeInvoice(invoice).amountSats;
+        if (requested !== null && !(body.amount_sats || req.query.amount)) amountSats = requested;
+        validatePayoutInvoice(invoice, { amountSats });
+      } catch (err) {
+        if (!(err instanceof Bolt11Error)) throw err;
+        return res.status(400).json({ error: 'invalid_payout_invoice', reason: err.reason, message: err.message });
+      }
+    }
+
+    if (!(amountSats > 0) || amountSats > balance) {
+      return res.status(400).json({
+        error: 'invalid_amount',
+        message: `Withdrawal must be between 1 and ${balance} sats`,
+        balance_sats: balance,
+      });
+    }
+
+    // Debit first (synchronously) so concurrent withdrawals can't overdraw; the
+    // payout queue stores the preimage, so a retry can never pay twice
+    const withdrawal = createWithdrawal({
+      accountId: account.id,
+      amountSats,
+      method,
+      pubkey: method === 'keysend' ? pubkey : null,
+      invoice,
+    });
+    if (!withdrawal) {
+      return res.status(400).json({
+        error: 'invalid_amount',
+        message: 'Balance changed — withdrawal exceeds it',
+        balance_sats: getCreditBalance(account.id),
+      });
+    }
+
+    const payout = await payGame(withdrawal.id);
+    const settled = getPayout(withdrawal.id);
+    if (settled.payout_status === 'reversed') {
+      return res.status(502).json({
+        error: 'withdrawal_failed',
+        withdrawal_id: withdrawal.id,
+        reason: settled.payout_error,
+        message: payout?.message,
+        balance_sats: getCreditBalance(account.id),
+      });
+    }
+    if (settled.payout_status !== 'sent') {
+      // Timeouts and the like may still have paid: retried, never refunded
+      return res.status(202).json({
+        withdrawal_id: withdrawal.id,
+        status: 'pending',
+        amount_sats: amountSats,
+        method,
+        reason: settled.payout_error,
+        message: 'The payment may still go through — it is retried under the same payment hash, and refunded only if it definitely fails',
+        balance_sats: getCreditBalance(account.id),
+        hint: 'GET /balance lists your withdrawals and their status',
+      });
+    }
+
+    res.json({
+      withdrawal_id: withdrawal.id,
+      status: 'sent',
+      amount_sats: amountSats,
+      method,
+      payment_hash: settled.payout_payment_hash,
+      balance_sats: getCreditBalance(account.id),
+    });
+  } catch (err) {
+    console.error('Withdraw error:', err);
+    res.status(500).json({ error: 'internal', message: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+// 🔐 COMMIT — Server seed hash, issued before the player pays
+// ──────────────────────────────────────────────────────────
+
+app.get('/commit', limitRolls, (req, res) => {
+  const paymentHash = req.query.payment_hash ? String(req.query.payment_hash).toLowerCase() : null;
+  if (paymentHash && !/^[0-9a-f]{64}$/.test(paymentHash)) {
+    return res.status(400).json({
+      error: 'invalid_payment_hash',
+      message: 'payment_hash must be 32 bytes hex',
+    });
+  }
+
+  const commitment = issueCommitment(req, paymentHash);
+  res.set('X-Server-Seed-Hash', commitment.server_seed_hash);
+  res.json({
+    ...commitmentInfo(commitment),
+    payment_hash: commitment.payment_hash,
+    usage: 'Send this hash back in the X-Server-Seed-Hash header when you roll',
+  });
+});
+
+// Commitments that expired unused can never be rolled against — drop them
+function startCommitmentSweeper() {
+  const timer = setInterval(() => {
+    try {
+      deleteExpiredCommitments();
+    } catch (err) {
+      console.error('Commitment sweeper error:', err);
+    }
+  }, config.commitments.sweepIntervalSeconds * 1000);
+  timer.unref();
+}
+
+// ──────────────────────────────────────────────────────────
+// 🔍 VERIFY — Independently verify any past game
+// ──────────────────────────────────────────────────────────
+
+// Bet params of a stored game
+function gameParams(game) {
+  return game.mode_params ? JSON.parse(game.mode_params) : { target: game.target };
+}
+
+// Re-run a stored game's roll, and check its result, multiplier and payout
+function verifyGameRecord(game) {
+  return verifyGame({
+    serverSeed: game.server_seed,
+    serverSeedHash: game.server_seed_hash,
+    clientEntropy: game.client_entropy,
+    roll: game.roll,
+    target: game.target,
+    rollVersion: game.roll_version,
+    rollAlgorithm: game.roll_algorithm,
+    clientSeed: game.client_seed,
+    nonce: game.nonce,
+    mode: game.mode,
+    params: gameParams(game),
+    result: game.result,
+    betSats: game.bet_sats,
+    multiplier: game.multiplier,
+    payoutSats: game.payout_sats,
+    bonusSats: game.bonus_sats,
+    houseEdge: game.house_edge,
+  });
+}
+
+// Show that the seed was committed before the roll happened
+function commitmentTiming(commitment) {
+  if (!commitment) return null;
+  return {
+    committed_at: commitment.committed_at,
+    rolled_at: commitment.used_at,
+    lead_time_ms: new Date(commitment.used_at) - new Date(commitment.committed_at),
+    committed_before_roll: new Date(commitment.committed_at) < new Date(commitment.used_at),
+  };
+}
+
+// Check every round of a batch, that each used the batch's seed and its own
+// derived entropy, and that the rounds add up to the batch totals
+function verifyBatch(batch) {
+  const games = getBatchGames(batch.id);
+  const rounds = games.map((game, index) => {
+    const verification = verifyGameRecord(game);
+    const entropyDerived =
+      game.batch_index === index &&
+      game.server_seed_hash === batch.server_seed_hash &&
+      game.client_entropy === `${batch.client_entropy}:${index}`;
+    return {
+      index,
+      game_id: game.id,
+      verified: verification.verified && entropyDerived && verification.result === game.result,
+      ...(verification.reason && { reason: verification.reason }),
+      ...(!entropyDerived && { reason: 'Round was not rolled with the batch seed and entropy' }),
+      roll: game.roll,
+      result: game.result,
+      bet_sats: game.bet_sats,
+      payout_sats: game.payout_sats,
+      verify_url: `/verify/${game.id}`,
+    };
+  });
+
+  const totalsMatch =
+    rounds.length === batch.rounds &&
+    rounds.reduce((sum, r) => sum + r.bet_sats, 0) === batch.bet_sats &&
+    rounds.reduce((sum, r) => sum + r.payout_sats, 0) === batch.payout_sats;
+  const commitment = getCommitmentForGame(batch.id);
+  const chainProof = getChainProof(commitment);
+
+  return {
+    batch_id: batch.id,
+    verified: totalsMatch && rounds.every((r) => r.verified),
+    rounds_verified: rounds.filter((r) => r.verified).length,
+    server_seed: commitment?.server_seed ?? null,
+    server_seed_hash: batch.server_seed_hash,
+    client_entropy: batch.client_entropy,
+    total_bet_sats: batch.bet_sats,
+    total_payout_sats: batch.payout_sats,
+    totals_match: totalsMatch,
+    payout_status: batch.payout_status,
+    created_at: batch.created_at,
+    commitment: commitmentTiming(commitment),
+    ...(chainProof && { chain: chainProof }),
+    rounds,
+    how_to_verify: {
+      step_1: 'Confirm SHA256(server_seed) === server_seed_hash',
+      step_2: 'Round i rolls with client_entropy + ":" + i, under the same server seed',
+      step_3: 'Check each round like a single game (its verify_url)',
+      step_4: 'The round payouts add up to total_payout_sats, paid as one payout',
+    },
+  };
+}
+
+// Check a tournament round: its roll, that it rolled the entry's client seed and
+// round index, and the points it scored
+function verifyTournamentRoll(roll) {
+  const entry = getTournamentEntryById(roll.entry_id);
+  const verification = verifyGame({
+    serverSeed: roll.server_seed,
+    serverSeedHash: roll.server_seed_hash,
+    clientEntropy: roll.client_entropy,
+    roll: roll.roll,
+    target: roll.target,
+  });
+  const entropyDerived = roll.client_entropy === `${entry.client_seed}:${roll.round}`;
+  const points = roundPoints(verification.result, roll.multiplier);
+
+  return {
+    roll_id: roll.id,
+    tournament_id: roll.tournament_id,
+    ...verification,
+    verified:
+      verification.verified && entropyDerived && verification.result === roll.result && points === roll.points,
+    ...(!entropyDerived && { reason: 'Round was not rolled with the entry client seed and round index' }),
+    player_pubkey: roll.player_pubkey,
+    client_seed: entry.client_seed,
+    round: roll.round,
+    multiplier: roll.multiplier,
+    points: roll.points,
+    created_at: roll.created_at,
+    commitment: commitmentTiming(getCommitmentForGame(roll.id)),
+    audit_proof_url: `/audit/proof/${roll.id}`,
+    how_to_verify: {
+      step_1: 'Confirm SHA256(server_seed) === server_seed_hash',
+      step_2: 'client_entropy = client_seed + ":" + round; compute HMAC-SHA256(server_seed, client_entropy)',
+      step_3: ROLL_ALGORITHMS.u16.description,
+      step_4: `roll < target → win, scoring floor(${ROUND_STAKE} × multiplier) points; a loss scores 0`,
+    },
+  };
+}
+
+app.get('/verify/:gameId', limitReads, (req, res) => {
+  const game = getGame(req.params.gameId);
+
+  if (!game) {
+    // A batch ID checks all of its rounds at once
+    const batch = getBatch(req.params.gameId);
+    if (batch) return res.json(verifyBatch(batch));
+    const tournamentRoll = getTournamentRoll(req.params.gameId);
+    if (tournamentRoll) return res.json(verifyTournamentRoll(tournamentRoll));
+
+    return res.status(404).json({
+      error: 'not_found',
+      message: `Game ${req.params.gameId} not found`,
+    });
+  }
+
+  const verification = verifyGameRecord(game);
+  const commitment = getCommitmentForGame(game.batch_id || game.id);
+  const chainProof = getChainProof(commitment);
+  const jackpotProof = getJackpotProof(game);
+  const { winProbability } = getModeOdds(game.mode, gameParams(game), ROLL_ALGORITHMS[game.roll_algorithm].range);
+  const streakProof = getStreakProof(game, winProbability);
+  const extraSteps = [
+    `Payout: a win pays floor(bet_sats × (1 / win_probability) × (1 − house_edge ${game.house_edge})) ` +
+      '(multiplier shown to 3 decimals) plus any streak bonus; a loss pays 0',
+    chainProof &&
+      `Apply SHA256 to the raw server_seed bytes ${chainProof.position} times → chain terminal_hash`,
+    jackpotProof &&
+      `Jackpot: HMAC-SHA256(server_seed, "${jackpotProof.domain}:" + the step 2 message), read as 4-byte ` +
+        `words like u32 but over ${jackpotProof.odds} outcomes → jackpot_roll; 0 wins the pot`,
+    streakProof &&
+      `Streak: a win at win_probability ≤ ${streakProof.rule.max_win_probability} pays the bonus of the highest ` +
+        'tier previous_streak reaches (extra sats from the multiplier in basis points, rounded down); ' +
+        'streak = qualifying win ? previous_streak + 1 : 0',
+  ].filter(Boolean);
+
+  res.json({
+    game_id: req.params.gameId,
+    ...verification,
+    bet_sats: game.bet_sats,
+    payout_sats: game.payout_sats,
+    multiplier: game.multiplier,
+    house_edge: game.house_edge,
+    created_at: game.created_at,
+    ...(game.batch_id && { batch_id: game.batch_id, batch_index: game.batch_index }),
+    commitment: commitmentTiming(commitment),
+    ...(chainProof && { chain: chainProof }),
+    ...(jackpotProof && { jackpot: jackpotProof }),
+    ...(streakProof && { streak: streakProof }),
+    audit_proof_url: `/audit/proof/${game.id}`,
+    how_to_verify: {
+      step_1: 'Confirm SHA256(server_seed) === server_seed_hash',
+      step_2: `Compute ${ROLL_VERSIONS[game.roll_version] || ROLL_VERSIONS[1]}`,
+      step_3: (ROLL_ALGORITHMS[game.roll_algorithm] || ROLL_ALGORITHMS.u16).description,
+      step_4:
+        game.mode === 'under'
+          ? 'roll < target → win, roll >= target → loss'
+          : `${GAME_MODES[game.mode]?.rule} → win, otherwise loss`,
+      ...Object.fromEntries(extraSteps.map((step, i) => [`step_${5 + i}`, step])),
+    },
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 🧾 AUDIT — Tamper-evident game log
+// ──────────────────────────────────────────────────────────
+
+// The latest Merkle root and the most recent ones before it
+app.get('/audit/root', limitReads, (req, res) => {
+  const latest = getLatestAuditRoot();
+  const { entries, unsealed } = getAuditLogSize();
+  const limit = Math.min(parseInt(req.query.limit || '10'), 100);
+  const recent = getAuditRoots({ afterId: Math.max((latest?.id || 0) - limit, 0) }).reverse();
+  res.json({
+    latest: latest ? rootInfo(latest) : null,
+    games_logged: entries,
+    games_unsealed: unsealed,
+    batch_size: config.audit.batchSize,
+    root_interval_seconds: config.audit.rootIntervalSeconds,
+    recent: recent.map(rootInfo),
+    export_url: '/audit/roots',
+    how_to_verify:
+      'Download /audit/roots and keep it. Later, POST it to /audit/check (or compare it yourself): every ' +
+      "root you pinned must still be published unchanged. Each root's chain_hash covers every game before " +
+      'it, so deleting or editing any sealed game changes every root after it',
+  });
+});
+
+// Every root, as a file to pin
+app.get('/audit/roots', limitReads, (req, res) => {
+  res.set('Content-Disposition', 'attachment; filename="clawdice-audit-roots.json"');
+  res.json(exportRoots());
+});
+
+app.get('/audit/proof/:gameId', limitReads, (req, res) => {
+  const { proof, error } = getInclusionProof(req.params.gameId);
+  if (error === 'not_found') {
+    return res.status(404).json({
+      error: 'not_found',
+      message: `Game ${req.params.gameId} is not in the audit log`,
+      hint: 'Batch rounds are logged under their own game IDs (listed by /verify/<batch_id>); tournament rounds under their roll_id',
+    });
+  }
+  if (error === 'not_sealed') {
+    return res.status(409).json({
+      error: 'not_sealed',
+      message: `Game ${req.params.gameId} is logged but not yet under a published root`,
+      hint: `Roots are published every ${config.audit.rootIntervalSeconds} seconds — try again then`,
+    });
+  }
+  res.json({
+    ...proof,
+    how_to_verify: {
+      step_1: 'leaf_hash = SHA256(0x00 ‖ JSON of leaf, keys sorted, no whitespace)',
+      step_2:
+        'Fold the path from leaf_hash: node = SHA256(0x01 ‖ left ‖ right), the sibling on the side given; ' +
+        'the result must equal root.merkle_root',
+      step_3: 'Check root.merkle_root against a roots file you pinned (GET /audit/roots)',
+    },
+  });
+});
+
+// Check a pinned roots file (the body of GET /audit/roots) against the roots published now
+// Rate-limited along with its body parser, above
+app.post('/audit/check', (req, res) => {
+  const result = checkPinnedRoots(req.body);
+  if (!result.checked && !result.ok) {
+    return res.status(400).json({
+      error: 'invalid_roots_file',
+      message: 'Body must be a roots file as downloaded from GET /audit/roots',
+    });
+  }
+  res.json(result);
+});
+
+// ──────────────────────────────────────────────────────────
+// 📊 ODDS — Payout table
+// ──────────────────────────────────────────────────────────
+
+// Seed hash chains: the requester's active chain and terminal hash (null until
+// its first chain commitment), and the seeds revealed so far
+app.get('/chain', limitReads, (req, res) => {
+  if (!config.seedChain.enabled) {
+    return res.status(404).json({
+      error: 'chain_mode_disabled',
+      message: 'This server commits to each seed individually (SEED_CHAIN is off)',
+    });
+  }
+  const owner = chainOwnerOf(req);
+  const active = owner && getActiveSeedChain(owner);
+  res.json({
+    active: active ? chainInfo(active) : null,
+    chains: getSeedChains().map(chainInfo),
+  });
+});
+
+app.get('/chain/:chainId', limitReads, (req, res) => {
+  const chain = getSeedChain(req.params.chainId);
+  if (!chain) {
+    return res.status(404).json({
+      error: 'not_found',
+      message: `Chain ${req.params.chainId} not found`,
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+  const offset = Math.max(parseInt(req.query.offset || '0'), 0);
+  res.json({
+    ...chainInfo(chain),
+    games: getChainGames(chain.id, { limit, offset }).map((row) => ({
+      position: chainPosition(chain, row.chain_index),
+      game_id: row.game_id,
+      server_seed: row.server_seed,
+      server_seed_hash: row.server_seed_hash,
+      rolled_at: row.used_at,
+    })),
+    how_to_verify:
+      'SHA256 of each server_seed (raw bytes) equals the server_seed one position earlier; ' +
+      'hashing the seed at position p p times gives terminal_hash',
+  });
+});
+
+// Example bet per mode for the /odds overview
+const MODE_EXAMPLES = {
+  under: { target: 32768 },
+  over: { target: 32767 },
+  inside: { low: 16384, high: 49151 },
+  outside: { low: 16384, high: 49151 },
+  dice: { dice: 2, sides: 6, target: 7 },
+};
+
+// Probability, multiplier and current max bet for a bet
+function quoteBet(mode, params, limits) {
+  const odds = getModeOdds(mode, params);
+  const betLimits = getBetLimits(odds.winningOutcomes, odds.totalOutcomes);
+  return {
+    win_probability: Math.round(odds.winProbability * 10000) / 100 + '%',
+    multiplier: Math.round(odds.multiplier * 1000) / 1000,
+    example_bet_100: Math.floor(100 * odds.multiplier),
+    max_bet_sats: limits.paused ? 0 : betLimits.maxBet,
+    max_bet_limited_by: betLimits.limitedBy,
+  };
+}
+
+app.get('/odds', (req, res) => {
+  const limits = getLimits();
+
+  // ?mode= plus its params quotes one bet
+  if (req.query.mode !== undefined) {
+    const mode = req.query.mode;
+    const params = parseModeParams(mode, req.query);
+    const problem = checkModeParams(mode, params);
+    if (problem) {
+      return res.status(400).json({ error: params ? 'invalid_target' : 'invalid_mode', message: problem });
+    }
+    return res.json({ mode, rule: `You win if ${GAME_MODES[mode].rule}`, ...params, ...quoteBet(mode, params, limits) });
+  }
+
+  const targets = [1000, 4096, 8192, 16384, 32768, 49152, 56000, 60000, 64000];
+  const table = targets.map((target) => ({ target, ...quoteBet('under', { target }, limits) }));
+
+  res.json({
+    house_edge: config.game.houseEdge * 100 + '%',
+    roll_range: `0–${config.game.maxRoll}`,
+    rule: 'You win if roll < target',
+    chance: {
+      param: '?chance= instead of ?target= — win probability in percent, 0.01 to 99.99',
+      roll_range: `0–${ROLL_ALGORITHMS[CHANCE_ALGORITHM].range - 1}`,
+      target: 'chance × 10,000 (e.g. 49.5% → target 495000)',
+    },
+    limits,
+    payout_table: table,
+    modes: Object.fromEntries(
+      Object.entries(GAME_MODES).map(([mode, spec]) => [
+        mode,
+        {
+          rule: `You win if ${spec.rule}`,
+          params: Object.keys(spec.params),
+          example: { ...MODE_EXAMPLES[mode], ...quoteBet(mode, MODE_EXAMPLES[mode], limits) },
+        },
+      ])
+    ),
+    quote: 'GET /odds?mode=<mode>&<params> for any bet',
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 📈 STATS — Aggregate stats
+// ──────────────────────────────────────────────────────────
+
+app.get('/stats', (req, res) => {
+  res.json({
+    name: 'ClawDice',
+    ...getStats(),
+    fairness_url: '/stats/fairness',
+  });
+});
+
+// Statistical checks that recent rolls are uniform and the house keeps what it says
+app.get('/stats/fairness', limitReads, (req, res) => {
+  res.json({
+    ...fairnessReport(),
+    how_to_read:
+      'Each test has a p_value: the chance a fair game looks at least this far off. Alerts list the tests ' +
+      `below ${config.fairness.alertPValue} over at least ${config.fairness.minGames} games; with several ` +
+      'tests a low value now and then is expected by chance, one that persists is not',
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 🏆 LEADERBOARD — Top players by net profit
+// ──────────────────────────────────────────────────────────
+
+app.get('/leaderboard', limitReads, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '20'), 100);
+  res.json({
+    leaderboard: getLeaderboard(limit),
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 👤 PLAYERS — Profiles, aliases and lifetime stats
+// ──────────────────────────────────────────────────────────
+
+const PROFILE_ERROR_STATUS = {
+  invalid_pubkey: 400,
+  invalid_alias: 400,
+  invalid_metadata: 400,
+  alias_taken: 409,
+  unknown_challenge: 404,
+  invalid_signature: 401,
+  challenge_expired: 410,
+};
+
+function profileError(res, err) {
+  return res.status(PROFILE_ERROR_STATUS[err.reason] || 400).json({ error: err.reason, message: err.message });
+}
+
+// Step 1: { alias, metadata? } → a challenge to sign with the node key
+app.post('/profile/challenge', limitReads, (req, res) => {
+  const body = req.body || {};
+  try {
+    const issued = issueProfileChallenge({
+      playerPubkey: extractPlayerPubkey(req) || body.pubkey,
+      alias: body.alias,
+      metadata: body.metadata,
+    });
+    res.json({
+      challenge: issued.challenge,
+      player_pubkey: issued.player_pubkey,
+      alias: issued.alias,
+      metadata: issued.metadata,
+      expires_at: issued.expires_at,
+      sign_with: `lncli signmessage "${issued.challenge}"`,
+      hint: 'POST /profile with { challenge, signature } to register',
+    });
+  } catch (err) {
+    if (!(err instanceof ProfileError)) throw err;
+    return profileError(res, err);
+  }
+});
+
+// Step 2: { challenge, signature } → the registered profile. With an
+// X-Credit-Token, the signature also proves the account holder's pubkey.
+app.post('/profile', limitReads, (req, res) => {
+  const body = req.body || {};
+  const creditToken = extractCreditToken(req);
+  const account = creditToken ? getCreditAccountByToken(creditToken) : null;
+  if (creditToken && !account) return invalidCreditToken(res);
+  try {
+    const profile = registerProfile({ challenge: body.challenge, signature: body.signature });
+    res.json({
+      player_pubkey: profile.player_pubkey,
+      ...profileInfo(profile),
+      ...(account && { credit_pubkey_proven: proveCreditPubkey(account.id, profile.player_pubkey) }),
+    });
+  } catch (err) {
+    if (!(err instanceof ProfileError)) throw err;
+    return profileError(res, err);
+  }
+});
+
+app.get('/player/:pubkey', limitReads, (req, res) => {
+  const playerPubkey = req.params.pubkey.toLowerCase();
+  const profile = getProfile(playerPubkey);
+  const stats = getPlayerStats(playerPubkey);
+  if (!profile && stats.games === 0) {
+    return res.status(404).json({
+      error: 'not_found',
+      message: `No games or profile for ${playerPubkey}`,
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '20'), 100);
+  const streak = config.streak.enabled ? currentStreak(playerPubkey) : null;
+  res.json({
+    player_pubkey: playerPubkey,
+    alias: profile?.alias ?? null,
+    ...(profile && { profile: profileInfo(profile) }),
+    stats: {
+      games: stats.games,
+      wins: stats.wins,
+      losses: stats.games - stats.wins,
+      total_wagered_sats: stats.total_wagered,
+      total_won_sats: stats.total_won,
+      net_profit_sats: stats.net_profit,
+      biggest_win_sats: stats.biggest_win,
+      first_game_at: stats.first_game_at,
+      last_game_at: stats.last_game_at,
+    },
+    streak: {
+      wins_in_a_row: getPlayerWinStreak(playerPubkey),
+      ...(streak !== null && {
+        bonus_streak: streak,
+        next_bonus_multiplier: bonusMultiplier(streak, currentStreakRule()),
+      }),
+    },
+    history: getPlayerGames(playerPubkey, limit),
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 💰 JACKPOT — Progressive pot
+// ──────────────────────────────────────────────────────────
+
+app.get('/jackpot', limitReads, (req, res) => {
+  if (!config.jackpot.enabled) {
+    return res.status(404).json({
+      error: 'jackpot_disabled',
+      message: 'This server has no jackpot (JACKPOT is off)',
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '20'), 100);
+  const totals = getJackpotTotals();
+  res.json({
+    pot_sats: getJackpotPot(),
+    contribution: `${config.jackpot.contribution * 100}% of each bet`,
+    odds: config.jackpot.odds,
+    win_chance: `${+(100 / config.jackpot.odds).toPrecision(3)}%`,
+    contributed_sats: totals.contributed_sats,
+    contributions: totals.contributions,
+    winners: getJackpotWins(limit).map((win) => ({
+      jackpot_id: win.id,
+      game_id: win.game_id,
+      amount_sats: win.payout_sats,
+      player_pubkey: win.player_pubkey,
+      payout_method: win.payout_method,
+      payout_status: win.payout_status,
+      won_at: win.created_at,
+      verify_url: `/verify/${win.game_id}`,
+    })),
+    how_it_works:
+      `Every game also rolls HMAC-SHA256(server_seed, "${JACKPOT_DOMAIN}:" + roll message) over ` +
+      `${config.jackpot.odds} outcomes; a jackpot roll of 0 wins the whole pot`,
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+// 🏟️ TOURNAMENTS — Fixed rounds, separate leaderboard, prize pool
+// ──────────────────────────────────────────────────────────
+
+function tournamentNotFound(res, tournamentId) {
+  return res.status(404).json({
+    error: 'not_found',
+    message: `Tournament ${tournamentId} not found`,
+  });
+}
+
+function tournamentClosed(res, tournament) {
+  return res.status(409).json({
+    error: 'tournament_closed',
+    message: `Tournament ${tournament.id} ended at ${tournament.ends_at}`,
+    results_url: `/tournaments/${tournament.id}`,
+  });
+}
+
+function alreadyJoined(res, tournament, playerPubkey) {
+  return res.status(409).json({
+    error: 'already_joined',
+    message: `${playerPubkey} is already entered in tournament ${tournament.id}`,
+  });
+}
+
+// Standings with their current (or final) rank
+function rankedStandings(tournamentId) {
+  return getTournamentStandings(tournamentId).map((entry, i) => ({
+    rank: entry.rank ?? i + 1,
+    player_pubkey: entry.player_pubkey,
+    score: entry.score,
+    rounds_played: entry.rounds_played,
+    ...(entry.prize_sats !== null && { prize_sats: entry.prize_sats }),
+  }));
+}
+
+app.get('/tournaments', limitReads, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '20'), 100);
+  const tournaments = getTournaments(limit).map((t) => tournamentInfo(t, getTournamentStandings(t.id).length));
+  res.json({ tournaments, count: tournaments.length });
+});
+
+app.get('/tournaments/:tournamentId', limitReads, (req, res) => {
+  const tournament = getTournament(req.params.tournamentId);
+  if (!tournament) return tournamentNotFound(res, req.params.tournamentId);
+  const standings = rankedStandings(tournament.id);
+  res.json({
+    ...tournamentInfo(tournament, standings.length),
+    round_stake_points: ROUND_STAKE,
+    standings,
+    ...(tournament.status === 'finished' && {
+      prizes: getTournamentPrizes(tournament.id).map((prize) => ({
+        prize_id: prize.id,
+        rank: prize.rank,
+        player_pubkey: prize.player_pubkey,
+        amount_sats: prize.payout_sats,
+        payout_status: prize.payout_status,
+      })),
+    }),
+  });
+});
+
+// Join by paying the entry fee — L402 (source=lightning) or from a credit balance
+app.post('/tournaments/:tournamentId/join', limitRolls, (req, res) => {
+  try {
+    const body = req.body || {};
+    const tournament = getTournament(req.params.tournamentId);
+    if (!tournament) return tournamentNotFound(res, req.params.tournamentId);
+    const status = tournamentStatus(tournament);
+    if (status === 'ended' || status === 'finished') return tournamentClosed(res, tournament);
+
+    const source = body.source || 'lightning';
+    if (!BET_SOURCES.includes(source)) {
+      return res.status(400).json({
+        error: 'invalid_source',
+        message: `Entry fee source must be one of: ${BET_SOURCES.join(', ')}`,
+      });
+    }
+    const creditAccount = source === 'credit' ? getCreditAccountByToken(extractCreditToken(req) || '') : null;
+    if (source === 'credit' && !creditAccount) return invalidCreditToken(res);
+    if (!extractPlayerPubkey(req)) {
+      return res.status(400).json({
+        error: 'pubkey_required',
+        message: 'Tournament prizes are paid by keysend — send X-Player-Pubkey to join',
+      });
+    }
+    // Prizes go to this pubkey, so the joiner must prove it is theirs
+    const playerPubkey = provenPlayerPubkey(req);
+    if (!playerPubkey) {
+      return res.status(403).json({
+        error: 'pubkey_not_proven',
+        message: 'X-Player-Pubkey is not a pubkey this request has proven it holds',
+        hint: 'Sign a profile challenge with X-Credit-Token (POST /profile/challenge, then POST /profile), or pay with an L402 macaroon carrying a pubkey= caveat',
+      });
+    }
+    // The player's own seed, so the server cannot pick the entropy of every round
+    const clientSeed = body.client_seed;
+    if (clientSeed === undefined) {
+      return res.status(400).json({
+        error: 'client_seed_required',
+        message: 'Send client_seed — every round of the entry is rolled from it',
+      });
+    }
+    if (typeof clientSeed !== 'string' || !/^[\w-]{1,64}$/.test(clientSeed)) {
+      return res.status(400).json({
+        error: 'invalid_client_seed',
+        message: 'client_seed must be 1–64 letters, digits, _ or -',
+      });
+    }
+    if (getTournamentEntry(tournament.id, playerPubkey)) return alreadyJoined(res, tournament, playerPubkey);
+
+    const fee = tournament.entry_fee_sats;
+    if (source === 'credit' && getCreditBalance(creditAccount.id) < fee) {
+      return res.status(402).json({
+        error: 'insufficient_credit',
+        message: `Entry fee of ${fee} sats exceeds your credit balance`,
+        balance_sats: getCreditBalance(creditAccount.id),
+      });
+    }
+
+    // Lightning entries pay with an L402 token for the entry fee (free in dev mode)
+    const l402Token = source === 'lightning' ? extractL402Token(req) : null;
+    if (source === 'lightning' && !l402Token && !config.devMode) {
+      return res.status(402).json({
+        error: 'payment_required',
+        message: `Pay the ${fee} sat entry fee to join`,
+        entry_fee_sats: fee,
+        hint: 'Use lnget to automatically handle L402 payments',
+      });
+    }
+    if (l402Token && config.l402.enabled) {
+      try {
+        verifyL402Token(l402Token, { betSats: fee, serverSeedHash: null });
+      } catch (err) {
+        if (!(err instanceof L402Error)) throw err;
+        logAbuse(clientOf(req), 'invalid_l402', { scope: 'tournament', detail: err.reason });
+        return res.status(401).json({ error: 'invalid_l402', reason: err.reason, message: err.message });
+      }
+    }
+    const tokenHash = l402Token ? tokenHashOf(l402Token.preimage) : null;
+    const spent = tokenHash && getSpentToken(tokenHash);
+    if (spent) {
+      logAbuse(clientOf(req), 'token_replay', { scope: 'tournament', detail: spent.game_id });
+      return res.status(409).json({
+        error: 'token_already_spent',
+        message: 'This L402 token has already been used',
+        hint: 'Each payment buys exactly one entry or roll — pay a new invoice',
+      });
+    }
+
+    // null when a concurrent join for the same pubkey got there first — nothing is spent or debited then
+    const created = createTournamentEntry({
+      tournamentId: tournament.id,
+      playerPubkey,
+      clientSeed,
+      paidWith: source,
+    });
+    if (!created) return alreadyJoined(res, tournament, playerPubkey);
+    const { entry, token } = created;
+    if (tokenHash) spendToken(tokenHash, entry.id);
+    if (creditAccount) debitTournamentEntry(creditAccount.id, fee, entry.id);
+    recordTournament({ event: 'tournament_entry', amountSats: fee, tournamentId: tournament.id });
+
+    res.status(201).json({
+      tournament_id: tournament.id,
+      entry_id: entry.id,
+      player_pubkey: playerPubkey,
+      client_seed: clientSeed,
+      rounds: tournament.rounds,
+      entry_fee_sats: fee,
+      paid_with: source,
+      ...(creditAccount && { credit_balance_sats: getCreditBalance(creditAccount.id) }),
+      tournament_token: token,
+      tournament_token_note: 'Send this token as X-Tournament-Token to play your rounds',
+      roll_url: `/tournaments/${tournament.id}/roll?target=`,
+    });
+  } catch (err) {
+    console.error('Tournament join error:', err);
+    res.status(500).json({ error: 'internal', message: err.message });
+  }
+});
+
+// Play the next round of an entry: ?target=, X-Tournament-Token, X-Server-Seed-Hash
+app.get('/tournaments/:tournamentId/roll', limitRolls, (req, res) => {
+  try {
+    const tournament = getTournament(req.params.tournamentId);
+    if (!tournament) return tournamentNotFound(res, req.params.tournamentId);
+    const entry = getTournamentEntryByToken(req.headers['x-tournament-token'] || '');
+    if (!entry || entry.tournament_id !== tournament.id) {
+      return res.status(401).json({
+        error: 'invalid_tournament_token',
+        message: `A valid X-Tournament-Token for ${tournament.id} is required`,
+        hint: `POST /tournaments/${tournament.id}/join to enter`,
+      });
+    }
+
+    const status = tournamentStatus(tournament);
+    if (status === 'upcoming') {
+      return res.status(409).json({
+        error: 'tournament_not_started',
+        message: `Tournament ${tournament.id} starts at ${tournament.starts_at}`,
+      });
+    }
+    if (status !== 'running') return tournamentClosed(res, tournament);
+
+    const target = parseInt(req.query.target);
+    if (!allowsTarget(tournament, target)) {
+      return res.status(400).json({
+        error: 'invalid_target',
+        message: tournament.targets
+          ? `Target must be one of: ${tournament.targets.join(', ')}`
+          : `Target must be between 1 and ${config.game.maxRoll}`,
+      });
+    }
+    if (entry.rounds_played >= tournament.rounds) {
+      return res.status(409).json({
+        error: 'no_rounds_left',
+        message: `All ${tournament.rounds} rounds of this entry have been played`,
+        standings_url: `/tournaments/${tournament.id}`,
+      });
+    }
+
+    // Rounds use committed seeds like any other roll
+    const commitmentHash = extractCommitmentHash(req);
+    if (!commitmentHash) {
+      const fresh = issueCommitment(req);
+      res.set('X-Server-Seed-Hash', fresh.server_seed_hash);
+      return res.status(428).json({
+        error: 'commitment_required',
+        message: 'Rounds must reference a server seed commitment made before the roll',
+        hint: 'Retry with the X-Server-Seed-Hash header set to the commitment below',
+        commitment: commitmentInfo(fresh),
+      });
+    }
+    const commitment = getCommitment(commitmentHash);
+    const commitmentError = checkCommitment(commitment);
+    const rollId = generateTournamentRollId();
+    if (commitmentError || !claimCommitment(commitmentHash, rollId)) {
+      return res.status(409).json({
+        error: 'invalid_commitment',
+        reason: commitmentError || 'already_used',
+        message: `Commitment ${commitmentHash} cannot be used for this round`,
+        hint: 'Request a new commitment from GET /commit',
+      });
+    }
+
+    const round = takeTournamentRound(entry.id, tournament.rounds);
+    if (round === null) {
+      return res.status(409).json({
+        error: 'no_rounds_left',
+        message: `All ${tournament.rounds} rounds of this entry have been played`,
+      });
+    }
+    const outcome = playTournamentRound({ entry, round, target, serverSeed: commitment.server_seed });
+    const saved = saveTournamentRoll({
+      id: rollId,
+      tournamentId: tournament.id,
+      entryId: entry.id,
+      playerPubkey: entry.player_pubkey,
+      round,
+      roll: outcome.roll,
+      target,
+      result: outcome.result,
+      multiplier: outcome.multiplier,
+      points: outcome.points,
+      serverSeed: outcome.serverSeed,
+      serverSeedHash: outcome.serverSeedHash,
+      clientEntropy: outcome.clientEntropy,
+      createdAt: new Date().toISOString(),
+    });
+    const standing = rankedStandings(tournament.id).find((s) => s.player_pubkey === entry.player_pubkey);
+
+    res.json({
+      tournament_id: tournament.id,
+      roll_id: saved.id,
+      round,
+      rounds_left: tournament.rounds - round - 1,
+      roll: saved.roll,
+      target,
+      result: saved.result,
+      multiplier: saved.multiplier,
+      points: saved.points,
+      score: standing.score,
+      rank: standing.rank,
+      server_seed: outcome.serverSeed,
+      server_seed_hash: outcome.serverSeedHash,
+      client_entropy: outcome.clientEntropy,
+      committed_at: commitment.committed_at,
+      verify_url: `/verify/${saved.id}`,
+    });
+  } catch (err) {
+    console.error('Tournament roll error:', err);
+    res.status(500).json({ error: 'internal', message: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+// 📡 RECENT — Live game feed
+// ──────────────────────────────────────────────────────────
+
+app.get('/recent', limitReads, (req, res) => {
   const limit = Math.min(parseInt(req.query.limit || '20'), 100);
   res.json({
     games: getRecentGames(limit),
   });
 });
 
+// Live feed: games, payouts and pause / resume as they happen (also /ws)
+app.get('/stream', limitReads, streamFeed);
+
+// ──────────────────────────────────────────────────────────
+// 🛠️ ADMIN — Operator views (X-Admin-Token)
+// ──────────────────────────────────────────────────────────
+
+function requireAdmin(req, res, next) {
+  const token = req.headers['x-admin-token'] || '';
+  const expected = config.admin.token;
+  if (
+    !expected ||
+    token.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))
+  ) {
+    return res.status(401).json({
+      error: 'unauthorized',
+      message: expected ? 'Invalid admin token' : 'Admin endpoints are disabled (set ADMIN_TOKEN)',
+    });
+  }
+  next();
+}
+
+app.get('/admin/payouts', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100'), 500);
+  const payouts = getStuckPayouts(limit);
+  res.json({
+    stuck_payouts: payouts,
+    count: payouts.length,
+    owed_sats: payouts.reduce((sum, p) => sum + p.payout_sats, 0),
+  });
+});
+
+app.post('/admin/payouts/:gameId/retry', requireAdmin, async (req, res) => {
+  if (!requeuePayout(req.params.gameId)) {
+    return res.status(404).json({
+      error: 'not_found',
+      message: `No unpaid winning game or batch ${req.params.gameId}`,
+    });
+  }
+  publishPayout(getPayout(req.params.gameId));
+  const result = await payGame(req.params.gameId);
+  res.json({
+    game_id: req.params.gameId,
+    payout_status: getPayout(req.params.gameId).payout_status,
+    payout_error: result?.status === 'failed' ? result.error : null,
+  });
+});
+
+// Open a tournament: { name, entry_fee_sats, rounds, targets?, starts_at?,
+// ends_at | duration_seconds, rake?, prize_split? }
+app.post('/admin/tournaments', requireAdmin, (req, res) => {
+  const parsed = parseTournamentRequest(req.body || {});
+  if (parsed.error) return res.status(400).json(parsed.error);
+  const tournament = saveTournament(parsed.tournament);
+  res.status(201).json(tournamentInfo(tournament, 0));
+});
+
+app.get('/admin/bankroll', requireAdmin, (req, res) => {
+  const state = getPauseState();
+  res.json({
+    bankroll_sats: state.bankrollSats,
+    pause_threshold_sats: config.bankroll.pauseThreshold,
+    paused: state.paused,
+    limits: getLimits(),
+    log: getBankrollLog(Math.min(parseInt(req.query.limit || '50'), 500)),
+  });
+});
+
+app.post('/admin/bankroll', requireAdmin, (req, res) => {
+  const { event, amount_sats: amount } = req.body || {};
+  const amountSats = parseInt(amount);
+  if (!['deposit', 'withdrawal'].includes(event) || !(amountSats > 0)) {
+    return res.status(400).json({
+      error: 'invalid_adjustment',
+      message: 'Body must be { event: "deposit" | "withdrawal", amount_sats: <positive int> }',
+    });
+  }
+
+  const state = adjustBankroll({ event, amountSats: event === 'deposit' ? amountSats : -amountSats });
+  res.json({ bankroll_sats: state.bankrollSats, paused: state.paused });
+});
+
+app.get('/admin/abuse', requireAdmin, (req, res) => {
+  const hours = Math.min(parseInt(req.query.hours || '24'), 24 * 30);
+  res.json({
+    offenders: getAbuseOffenders(hours),
+    events: getAbuseEvents(Math.min(parseInt(req.query.limit || '100'), 500)),
+    blocked: getBlockedClients(),
+  });
+});
+
+// Block a client key: { type: 'ip' | 'pubkey' | 'macaroon', value, reason?, duration_seconds? }
+app.post('/admin/blocks', requireAdmin, (req, res) => {
+  const { type, value, reason = null, duration_seconds: duration } = req.body || {};
+  const durationSeconds = duration === undefined ? null : parseInt(duration);
+  if (!CLIENT_KEY_TYPES.includes(type) || !value || (durationSeconds !== null && !(durationSeconds > 0))) {
+    return res.status(400).json({
+      error: 'invalid_block',
+      message: 'Body must be { type: "ip" | "pubkey" | "macaroon", value, reason?, duration_seconds? }',
+    });
+  }
+
+  const clientKey = `${type}:${value}`;
+  const expiresAt = durationSeconds ? new Date(Date.now() + durationSeconds * 1000).toISOString() : null;
+  blockClient(clientKey, { reason, expiresAt });
+  res.json({ client_key: clientKey, reason, expires_at: expiresAt });
+});
+
+// Recompute the audit log from the games and tournament rounds: edited or deleted rows, broken chain, bad roots
+app.get('/admin/audit', requireAdmin, (req, res) => {
+  res.json(verifyAuditLog());
+});
+
+app.delete('/admin/blocks/:type/:value', requireAdmin, (req, res) => {
+  const clientKey = `${req.params.type}:${req.params.value}`;
+  if (!unblockClient(clientKey)) {
+    return res.status(404).json({ error: 'not_found', message: `${clientKey} is not blocked` });
+  }
+  res.json({ client_key: clientKey, unblocked: true });
+});
+
 // ──────────────────────────────────────────────────────────
 // 🚀 START
 // ──────────────────────────────────────────────────────────
 
-async function start() {
-  await initDb();
+// The HTTP server: the app, plus WebSocket upgrades for the live feed.
+// Upgrades bypass Express, so they get its request prototype (for req.ip
+// behind 'trust proxy') and the block list and read limit by hand.
+export function createServer() {
+  const server = http.createServer(app);
+  server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+      return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    }
+    Object.setPrototypeOf(req, app.request);
+    req.app = app;
+    const { status, headers, body } = admit('read', clientOf(req));
+    if (status !== 200) {
+      const json = JSON.stringify(body);
+      const fields = { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) };
+      return socket.end(
+        `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+          Object.entries(fields).map(([name, value]) => `${name}: ${value}\r\n`).join('') +
+          `Connection: close\r\n\r\n${json}`
+      );
+    }
+    upgradeFeed(req, socket);
+  });
+  return server;
+}
+
+export async function start() {
+  if (config.l402.enabled && !config.l402.rootKey) {
+    throw new Error('L402_VERIFY=true needs L402_ROOT_KEY — without it a token cannot be checked against a payment');
+  }
+  const storage = await initDb();
+  startPayoutWorker();
+  startTournamentWorker();
+  startAuditWorker();
+  startFairnessMonitor();
+  startCommitmentSweeper();
 
-  app.listen(config.port, config.host, () => {
+  const server = createServer();
+  server.listen(config.port, config.host, () => {
     console.log('');
     console.log('  🦞🎲⚡ ClawDice is live!');
     console.log('');
     console.log(`  → http://${config.host === '0.0.0.0' ? 'localhost' : config.host}:${config.port}`);
     console.log(`  → Mode: ${config.devMode ? 'DEVELOPMENT (no real payments)' : 'PRODUCTION'}`);
+    console.log(`  → Storage: ${storage.driver}`);
     console.log(`  → House edge: ${config.game.houseEdge * 100}%`);
     console.log(`  → Bet range: ${config.game.minBet}–${config.game.maxBet} sats`);
+    if (config.seedChain.enabled) {
+      console.log(`  → Seed chains: one per proven pubkey, ${config.seedChain.length} seeds each`);
+    }
     console.log('');
     console.log('  Endpoints:');
     console.log('    GET /          → info & docs');
+    console.log('    GET /commit    → server seed commitment');
     console.log('    GET /roll      → play a round');
+    console.log('    POST /seed     → set client seed');
+    console.log('    GET /balance   → credit balance');
+    console.log('    POST /withdraw → withdraw credit');
     console.log('    GET /odds      → payout table');
     console.log('    GET /verify/:id → verify a game');
+    console.log('    GET /chain     → seed hash chain');
     console.log('    GET /stats     → aggregate stats');
+    console.log('    GET /stats/fairness → roll distribution checks');
     console.log('    GET /leaderboard → top players');
-    console.log('    GET /recent    → live game feed');
+    console.log('    GET /player/:pubkey → player profile & stats');
+    console.log('    GET /tournaments → tournaments & standings');
+    console.log('    GET /audit/root → published game log roots');
+    console.log('    GET /recent    → recent games');
+    console.log('    GET /stream    → live feed (SSE)');
+    console.log('    GET /ws        → live feed (WebSocket)');
     console.log('');
   });
+  return server;
 }
 
-start().catch(console.error);
+// `node server.js` starts the server; importing it (e.g. from the tests) only builds the app
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  start().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
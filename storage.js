@@ -0,0 +1,238 @@
+import fs from 'fs';
+
+/**
+ * ClawDice — Storage drivers
+ *
+ * db.js talks to the database only through the interface below, so the same
+ * queries run on any driver:
+ *
+ *   run(sql, params)  → rows changed       get(sql, params) → first row or null
+ *   all(sql, params)  → rows               transaction(fn)  → fn's result, atomically
+ *   columns(table)    → column names       tables()         → table names
+ *   close()
+ *
+ * Drivers (DB_DRIVER):
+ *   sqlite   — native file-backed SQLite (better-sqlite3) in WAL mode. Every
+ *              write goes straight to the file, one transaction at a time.
+ *   sqljs    — SQLite compiled to WebAssembly, held in memory and written out
+ *              whole (to a temp file, then renamed) after each committed write.
+ *              No native build needed, but each write costs the size of the db.
+ *   auto     — sqlite when better-sqlite3 is installed, otherwise sqljs.
+ *
+ * Queries stay synchronous on every driver: callers rely on claiming a
+ * commitment or token before any await, so nothing else runs in between.
+ */
+
+export const DRIVERS = ['sqlite', 'sqljs'];
+
+// Statements that change nothing, so sql.js needn't write the file after them
+const READ_ONLY = /^\s*(SELECT|PRAGMA|WITH)\b/i;
+
+// sqlite and sql.js can't bind undefined or booleans
+function bindable(params) {
+  return params.map((value) => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  });
+}
+
+// The common interface on top of a driver's { execute, query, exec, persist? }
+function wrap(driver) {
+  let depth = 0;
+  let dirty = false;
+
+  function written() {
+    dirty = true;
+    if (depth === 0) flush();
+  }
+
+  function flush() {
+    if (dirty && driver.persist) driver.persist();
+    dirty = false;
+  }
+
+  return {
+    driver: driver.name,
+
+    run(sql, params = []) {
+      const changes = driver.execute(sql, bindable(params));
+      written();
+      return changes;
+    },
+
+    get(sql, params = []) {
+      return this.all(sql, params)[0] ?? null;
+    },
+
+    all(sql, params = []) {
+      const rows = driver.query(sql, bindable(params));
+      if (!READ_ONLY.test(sql)) written();
+      return rows;
+    },
+
+    // Nested calls run as savepoints inside the outer transaction
+    transaction(fn) {
+      const savepoint = `sp_${depth}`;
+      driver.exec(depth === 0 ? 'BEGIN' : `SAVEPOINT ${savepoint}`);
+      depth++;
+      try {
+        const result = fn();
+        depth--;
+        driver.exec(depth === 0 ? 'COMMIT' : `RELEASE SAVEPOINT ${savepoint}`);
+        if (depth === 0) flush();
+        return result;
+      } catch (err) {
+        depth--;
+        if (depth === 0) {
+          driver.exec('ROLLBACK');
+          dirty = false;
+        } else {
+          driver.exec(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+          driver.exec(`RELEASE SAVEPOINT ${savepoint}`);
+        }
+        throw err;
+      }
+    },
+
+    columns: (table) => driver.columns(table),
+    tables: () => driver.tables(),
+
+    close() {
+      flush();
+      driver.close();
+    },
+  };
+}
+
+function sqliteTables(query) {
+  return query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name", []).map(
+    (row) => row.name
+  );
+}
+
+async function openSqlJs({ path, readonly = false }) {
+  const { default: initSqlJs } = await import('sql.js');
+  const SQL = await initSqlJs();
+  const db = fs.existsSync(path) ? new SQL.Database(fs.readFileSync(path)) : new SQL.Database();
+
+  function query(sql, params) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    stmt.free();
+    return rows;
+  }
+
+  return {
+    name: 'sqljs',
+    execute(sql, params) {
+      db.run(sql, params);
+      return db.getRowsModified();
+    },
+    query,
+    exec: (sql) => db.exec(sql),
+    // A crash mid-write leaves the previous file intact
+    persist() {
+      if (readonly) return;
+      fs.writeFileSync(`${path}.tmp`, Buffer.from(db.export()));
+      fs.renameSync(`${path}.tmp`, path);
+    },
+    columns: (table) => query(`PRAGMA table_info(${table})`, []).map((c) => c.name),
+    tables: () => sqliteTables(query),
+    close: () => db.close(),
+  };
+}
+
+async function loadBetterSqlite() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function openSqlite({ path, readonly = false }, Database = null) {
+  Database = Database || (await loadBetterSqlite());
+  if (!Database) {
+    throw new Error('DB_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3), or use DB_DRIVER=sqljs');
+  }
+  const db = new Database(path, { readonly, fileMustExist: readonly });
+  if (!readonly) {
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+  }
+  db.pragma('busy_timeout = 5000');
+
+  // Prepared statements are reused: db.js runs the same few dozen queries over and over
+  const statements = new Map();
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = db.prepare(sql);
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+  const query = (sql, params) => prepare(sql).all(params);
+
+  return {
+    name: 'sqlite',
+    execute: (sql, params) => prepare(sql).run(params).changes,
+    query,
+    exec: (sql) => db.exec(sql),
+    columns: (table) => db.pragma(`table_info(${table})`).map((c) => c.name),
+    tables: () => sqliteTables(query),
+    close: () => db.close(),
+  };
+}
+
+/**
+ * Open a database: { driver, path, readonly }. Returns the storage interface
+ * described above.
+ */
+export async function openStorage({ driver = 'auto', path, readonly = false }) {
+  if (driver === 'auto') {
+    const Database = await loadBetterSqlite();
+    if (Database) return wrap(await openSqlite({ path, readonly }, Database));
+    console.warn('  better-sqlite3 is not installed — using the sql.js driver (whole-file writes)');
+    return wrap(await openSqlJs({ path, readonly }));
+  }
+  if (driver === 'sqlite') return wrap(await openSqlite({ path, readonly }));
+  if (driver === 'sqljs') return wrap(await openSqlJs({ path, readonly }));
+  throw new Error(`Unknown DB_DRIVER ${driver} — use one of: auto, ${DRIVERS.join(', ')}`);
+}
+
+// Whether a driver can be opened here (its package is installed)
+export async function driverAvailable(driver) {
+  if (driver === 'sqljs') return true;
+  if (driver === 'sqlite') return (await loadBetterSqlite()) !== null;
+  return false;
+}
+
+/**
+ * Copy every table `source` and `target` share, in insertion order, as one
+ * transaction. Rows already in the target are left alone (ON CONFLICT DO
+ * NOTHING), so an interrupted import can simply be rerun. Returns
+ * { table: rows copied }.
+ */
+export function copyTables(source, target) {
+  const targetTables = new Set(target.tables());
+  const copied = {};
+  target.transaction(() => {
+    for (const table of source.tables()) {
+      if (!targetTables.has(table)) continue;
+      const targetColumns = new Set(target.columns(table));
+      const columns = source.columns(table).filter((c) => targetColumns.has(c));
+      const insert = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+        ON CONFLICT DO NOTHING`;
+
+      copied[table] = 0;
+      for (const row of source.all(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY rowid`)) {
+        copied[table] += target.run(insert, columns.map((name) => row[name]));
+      }
+    }
+  });
+  return copied;
+}
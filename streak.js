@@ -0,0 +1,128 @@
+import config from './config.js';
+import { getStreakGameBefore } from './db.js';
+
+/**
+ * ClawDice — Win-streak bonuses
+ *
+ * Optional mode (STREAKS=true). A player's streak is the number of
+ * consecutive qualifying wins among their games (by pubkey), in the order
+ * they were played. The server only plays a streak for a pubkey the request
+ * has proven; games under an unproven pubkey carry no streak and are skipped.
+ * A bet qualifies when it wins at most STREAK_MAX_WIN_PROBABILITY of the
+ * time; anything else — a loss or a safer bet — ends the streak.
+ *
+ * Once the streak before a game reaches a tier of STREAK_BONUSES
+ * ('length:multiplier', e.g. 3:1.05), a qualifying win on that game pays
+ * payout × multiplier instead (the extra rounded down to whole sats, counted
+ * from the multiplier in basis points). Games store the streak after them,
+ * the bonus they got and the rule they were played under, so /verify can
+ * recompute every bonus from the player's previous game.
+ */
+
+// The rule new games are played under, as stored on the game
+export function currentStreakRule() {
+  return { max_win_probability: config.streak.maxWinProbability, bonuses: config.streak.bonuses };
+}
+
+// Bonus multiplier a streak of `length` earns under `rule` (1 below the first tier)
+export function bonusMultiplier(length, rule) {
+  let multiplier = 1;
+  for (const tier of rule.bonuses) {
+    if (length >= tier.streak) multiplier = tier.multiplier;
+  }
+  return multiplier;
+}
+
+/**
+ * Apply a streak rule to one game: { previousStreak, winProbability, result,
+ * payoutSats } → { qualifying, bonusMultiplier, bonusSats, streak }, where
+ * streak is the player's streak after the game. Deterministic — /verify
+ * runs the same function on the stored inputs.
+ */
+export function applyStreakRule({ previousStreak, winProbability, result, payoutSats }, rule) {
+  const qualifying = winProbability <= rule.max_win_probability;
+  const won = qualifying && result === 'win' && payoutSats > 0;
+  const multiplier = won ? bonusMultiplier(previousStreak, rule) : 1;
+  const bonusBasisPoints = Math.round((multiplier - 1) * 10000);
+  return {
+    qualifying,
+    bonusMultiplier: multiplier,
+    bonusSats: Math.floor((payoutSats * bonusBasisPoints) / 10000),
+    streak: won ? previousStreak + 1 : 0,
+  };
+}
+
+// A player's streak right now (0 for players without streak-tracked games)
+export function currentStreak(playerPubkey) {
+  return getStreakGameBefore(playerPubkey)?.streak ?? 0;
+}
+
+/**
+ * Run the streak rule for a resolved game. Returns null when streaks are off
+ * or the player has no pubkey; otherwise the applied rule plus the game
+ * fields to store ({ streak, streakBonus, bonusSats, streakRule }). Pass
+ * `previousStreak` for games not yet saved in order (batch rounds).
+ */
+export function playStreak({ playerPubkey, winProbability, gameResult, previousStreak = null }) {
+  if (!config.streak.enabled || !playerPubkey) return null;
+  const rule = currentStreakRule();
+  const before = previousStreak ?? currentStreak(playerPubkey);
+  const applied = applyStreakRule(
+    { previousStreak: before, winProbability, result: gameResult.result, payoutSats: gameResult.payoutSats },
+    rule
+  );
+  return {
+    previousStreak: before,
+    ...applied,
+    record: {
+      streak: applied.streak,
+      streakBonus: applied.bonusMultiplier,
+      bonusSats: applied.bonusSats,
+      streakRule: rule,
+    },
+  };
+}
+
+// The bonus a win would collect right now — for checking fixed-amount payout invoices
+export function pendingStreakBonus(playerPubkey, winProbability, payoutSats) {
+  return playStreak({ playerPubkey, winProbability, gameResult: { result: 'win', payoutSats } })?.bonusSats || 0;
+}
+
+// The streak part of a /roll response
+export function streakSummary(streak) {
+  return {
+    previous: streak.previousStreak,
+    current: streak.streak,
+    qualifying: streak.qualifying,
+    bonus_multiplier: streak.bonusMultiplier,
+    bonus_sats: streak.bonusSats,
+  };
+}
+
+/**
+ * Re-run the streak rule for a stored game from the player's previous game,
+ * under the rule stored with it. Returns null for games without one.
+ */
+export function getStreakProof(game, winProbability) {
+  if (!game.streak_rule || !game.player_pubkey) return null;
+  const rule = JSON.parse(game.streak_rule);
+  const previous = getStreakGameBefore(game.player_pubkey, game.id);
+  const previousStreak = previous?.streak ?? 0;
+  const basePayout = game.payout_sats - game.bonus_sats;
+  const expected = applyStreakRule({ previousStreak, winProbability, result: game.result, payoutSats: basePayout }, rule);
+  return {
+    verified:
+      expected.streak === game.streak &&
+      expected.bonusSats === game.bonus_sats &&
+      expected.bonusMultiplier === game.streak_bonus,
+    rule,
+    previous_game_id: previous?.id ?? null,
+    previous_streak: previousStreak,
+    win_probability: winProbability,
+    qualifying: expected.qualifying,
+    base_payout_sats: basePayout,
+    bonus_multiplier: expected.bonusMultiplier,
+    bonus_sats: expected.bonusSats,
+    streak: expected.streak,
+  };
+}
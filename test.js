@@ -6,7 +6,132 @@ import {
   verifyGame,
   generateDevEntropy,
   getMultiplier,
+  chanceToTarget,
+  ROLL_ALGORITHMS,
+  generateDice,
+  generateJackpotRoll,
+  checkModeParams,
+  getModeOdds,
+  parseModeParams,
 } from './dice.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from './config.js';
+import crypto from 'crypto';
+import http from 'http';
+import net from 'net';
+import express from 'express';
+import { mintMacaroon, decodeMacaroon, verifyL402Token, boundPubkey } from './l402.js';
+import { sendPayout } from './payout.js';
+import { startFakeLnd } from './fake-lnd.js';
+import { mapLndError } from './lnd.js';
+import { decodeInvoice, validatePayoutInvoice } from './bolt11.js';
+import {
+  initDb,
+  closeDb,
+  saveCommitment,
+  getCommitment,
+  checkCommitment,
+  deleteExpiredCommitments,
+  claimCommitment,
+  getSpentToken,
+  spendToken,
+  createCreditAccount,
+  getCreditAccountByToken,
+  getCreditBalance,
+  debitCreditBet,
+  creditWinnings,
+  debitWithdrawal,
+  reverseWithdrawal,
+  createWithdrawal,
+  getPayout,
+  getRetryablePayouts,
+  useCreditNonce,
+  HOUSE_ACCOUNT,
+  WITHDRAWALS_ACCOUNT,
+  saveGame,
+  getGame,
+  saveBatch,
+  getBatch,
+  getBatchGames,
+  getOpenExposure,
+  getJackpotPot,
+  getJackpotWin,
+  getStuckPayouts,
+  requeuePayout,
+  getBankrollBalance,
+  getBankrollLog,
+  getAbuseEvents,
+  getActiveSeedChain,
+  getSeedChain,
+  getPlayerSeed,
+  setPlayerSeed,
+  usePlayerNonce,
+  blockClient,
+  unblockClient,
+  saveTournament,
+  getTournament,
+  createTournamentEntry,
+  getTournamentEntry,
+  getTournamentEntryByToken,
+  takeTournamentRound,
+  generateTournamentRollId,
+  saveTournamentRoll,
+  getTournamentRoll,
+  getTournamentStandings,
+  getTournamentPrizes,
+  getPlayerStats,
+  getPlayerWinStreak,
+  getLeaderboard,
+  getRecentGames,
+  getAuditLogSize,
+  getAuditEntry,
+  logUnauditedGames,
+} from './db.js';
+import { payGame, retryDuePayouts, getRetryDelaySeconds } from './payout-queue.js';
+import { getPauseState, recordRoll, adjustBankroll } from './bankroll.js';
+import { getBetLimits, getKellyMaxBet, getMaxBet } from './risk.js';
+import { hit, rateLimit, resetRateLimits } from './ratelimit.js';
+import { publish, publishGame, subscribe, streamFeed, upgradeFeed } from './feed.js';
+import { encodeFrame, decodeFrames, OPCODES } from './websocket.js';
+import { chainLink, hashChain, createSeedChain, takeChainSeed, getChainProof } from './chain.js';
+import { jackpotTerms, rollJackpot, playJackpot, getJackpotProof } from './jackpot.js';
+import {
+  bonusMultiplier,
+  applyStreakRule,
+  playStreak,
+  currentStreak,
+  pendingStreakBonus,
+  getStreakProof,
+} from './streak.js';
+import {
+  parseTournamentRequest,
+  tournamentStatus,
+  allowsTarget,
+  playTournamentRound,
+  roundPoints,
+  prizePool,
+  splitPrizePool,
+  settleTournament,
+  settleEndedTournaments,
+} from './tournament.js';
+import { encodeZbase32, decodeZbase32, messageDigest, verifyMessage } from './signmessage.js';
+import { issueProfileChallenge, registerProfile, ProfileError } from './profile.js';
+import { openStorage, copyTables, driverAvailable, DRIVERS } from './storage.js';
+import { loadMigrations, getSchemaVersion, migrationStatus, migrate } from './migrate.js';
+import { auditLeaf, leafHash, merkleRoot, merkleProof, verifyMerkleProof } from './merkle.js';
+import { verifyRecord, verifyRecords, formatReport } from './verifier.js';
+import { chiSquarePValue, normalPValue, chiSquareTest, runsTest, fairnessReport, checkFairness } from './fairness.js';
+import {
+  sealPendingGames,
+  getInclusionProof,
+  checkInclusionProof,
+  exportRoots,
+  checkPinnedRoots,
+  verifyAuditLog,
+} from './audit.js';
+import { createServer, start } from './server.js';
 
 let passed = 0;
 let failed = 0;
@@ -25,6 +150,18 @@ console.log('');
 console.log('🦞🎲 ClawDice — Test Suite');
 console.log('═══════════════════════════════════════');
 
+// Database tests run on one storage driver: node test.js [sqlite|sqljs]
+const testDriver = process.argv[2] || config.db.driver;
+if (testDriver !== 'auto' && !DRIVERS.includes(testDriver)) {
+  console.log(`  ❌ Unknown storage driver ${testDriver} — use one of: ${DRIVERS.join(', ')}`);
+  process.exit(1);
+}
+if (testDriver !== 'auto' && !(await driverAvailable(testDriver))) {
+  console.log(`  ⏭️  ${testDriver}: driver not installed, skipped`);
+  process.exit(0);
+}
+console.log(`  Storage driver: ${testDriver}`);
+
 // ── Seed Generation ──────────────────────────────────────
 console.log('\n📌 Seed Generation');
 
@@ -172,9 +309,2447 @@ console.log(`  → Wagered: ${totalWagered.toLocaleString()} sats`);
 console.log(`  → Paid out: ${totalPaidOut.toLocaleString()} sats`);
 console.log(`  → House profit: ${(totalWagered - totalPaidOut).toLocaleString()} sats`);
 
+// ── Commitments ──────────────────────────────────────────
+console.log('\n🔐 Commitments');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdice-test-'));
+config.db.path = path.join(tmpDir, 'test.db');
+config.db.driver = testDriver;
+const storage = await initDb();
+
+const committedSeed = generateServerSeed();
+const commitment = saveCommitment({ serverSeed: committedSeed, serverSeedHash: commitSeed(committedSeed) });
+assert(commitment.status === 'pending', 'New commitment is pending');
+assert(checkCommitment(commitment) === null, 'Pending commitment can be used');
+assert(checkCommitment(getCommitment('nope')) === 'not_found', 'Unknown commitment is rejected');
+assert(claimCommitment(commitment.server_seed_hash, 'g_test0001') === true, 'Commitment can be claimed once');
+assert(claimCommitment(commitment.server_seed_hash, 'g_test0002') === false, 'Commitment cannot be claimed twice');
+assert(
+  checkCommitment(getCommitment(commitment.server_seed_hash)) === 'already_used',
+  'Used commitment is rejected'
+);
+
+const boundSeed = generateServerSeed();
+const bound = saveCommitment({
+  serverSeed: boundSeed,
+  serverSeedHash: commitSeed(boundSeed),
+  paymentHash: 'aa'.repeat(32),
+});
+assert(
+  checkCommitment(bound, 'bb'.repeat(32)) === 'bound_to_other_payment',
+  'Commitment bound to one payment rejects another'
+);
+assert(checkCommitment(bound, 'aa'.repeat(32)) === null, 'Commitment accepts its own payment');
+assert(
+  checkCommitment({ ...bound, expires_at: new Date(Date.now() - 1000).toISOString() }) === 'expired',
+  'Expired commitment is rejected'
+);
+
+const savedCommitmentTtl = config.commitments.ttlSeconds;
+config.commitments.ttlSeconds = 0;
+const staleSeed = generateServerSeed();
+saveCommitment({ serverSeed: staleSeed, serverSeedHash: commitSeed(staleSeed) });
+config.commitments.ttlSeconds = savedCommitmentTtl;
+assert(
+  deleteExpiredCommitments(new Date(Date.now() + 1)) === 1 &&
+    getCommitment(commitSeed(staleSeed)) === null &&
+    getCommitment(commitment.server_seed_hash) !== null,
+  'Commitments that expired unused are swept; used ones are kept'
+);
+
+// ── Client Seed + Nonce ──────────────────────────────────
+console.log('\n🌱 Client Seed + Nonce');
+
+const v2Seed = generateServerSeed();
+const v2Preimage = generateDevEntropy();
+const v2Game = resolveGame({
+  target: 32768,
+  betSats: 100,
+  serverSeed: v2Seed,
+  clientEntropy: v2Preimage,
+  clientSeed: 'lucky-claw',
+  nonce: 7,
+});
+assert(v2Game.rollVersion === 2, 'A client seed selects roll v2');
+assert(
+  v2Game.roll === generateRoll(v2Seed, `lucky-claw:7:${v2Preimage}`),
+  'v2 roll = HMAC(server_seed, client_seed:nonce:preimage)'
+);
+assert(
+  resolveGame({ target: 32768, betSats: 100, serverSeed: v2Seed, clientEntropy: v2Preimage }).rollVersion === 1,
+  'No client seed → v1'
+);
+
+const v2Verify = (overrides) =>
+  verifyGame({
+    serverSeed: v2Seed,
+    serverSeedHash: v2Game.serverSeedHash,
+    clientEntropy: v2Preimage,
+    roll: v2Game.roll,
+    target: 32768,
+    rollVersion: 2,
+    clientSeed: 'lucky-claw',
+    nonce: 7,
+    ...overrides,
+  });
+assert(v2Verify({}).verified && v2Verify({}).nonce === 7, 'v2 game verifies with its client seed and nonce');
+assert(!v2Verify({ nonce: 8 }).verified, 'Wrong nonce fails v2 verification');
+assert(!v2Verify({ rollVersion: 9 }).verified, 'Unknown roll version fails verification');
+assert(verification.rollVersion === 1, 'Games without a version verify as v1');
+
+assert(getPlayerSeed('02seed') === null, 'No client seed until the player sets one');
+setPlayerSeed('02seed', 'first');
+assert(usePlayerNonce('02seed').nonce === 0 && usePlayerNonce('02seed').nonce === 1, 'Nonce counts up per roll');
+setPlayerSeed('02seed', 'second');
+const rotated = usePlayerNonce('02seed');
+assert(rotated.clientSeed === 'second' && rotated.nonce === 0, 'Rotating the client seed restarts the nonce');
+assert(usePlayerNonce('02nobody') === null, 'Players without a client seed get no nonce');
+
+// ── High-Resolution Rolls ────────────────────────────────
+console.log('\n🔬 High-Resolution Rolls');
+
+const hiSeed = generateServerSeed();
+const hiRolls = Array.from({ length: 2000 }, (_, i) => generateRoll(hiSeed, `entropy-${i}`, 'u32'));
+assert(
+  hiRolls.every((r) => Number.isInteger(r) && r >= 0 && r < ROLL_ALGORITHMS.u32.range),
+  'u32 rolls are integers in 0–999999'
+);
+assert(new Set(hiRolls).size > 1990, 'u32 rolls use the full range');
+assert(generateRoll(hiSeed, 'entropy-0', 'u32') === hiRolls[0], 'u32 rolls are deterministic');
+
+// Find a message whose first word falls in the biased tail, so the next word is used
+const u32Limit = 2 ** 32 - (2 ** 32 % ROLL_ALGORITHMS.u32.range);
+const hmacOf = (msg) => crypto.createHmac('sha256', hiSeed).update(msg).digest();
+let rejectedMsg = null;
+for (let i = 0; rejectedMsg === null; i++) {
+  if (hmacOf(`reject-${i}`).readUInt32BE(0) >= u32Limit) rejectedMsg = `reject-${i}`;
+}
+const rejectedHmac = hmacOf(rejectedMsg);
+const fallbackWord = [4, 8, 12, 16, 20, 24, 28]
+  .map((offset) => rejectedHmac.readUInt32BE(offset))
+  .find((word) => word < u32Limit);
+assert(
+  generateRoll(hiSeed, rejectedMsg, 'u32') === fallbackWord % ROLL_ALGORITHMS.u32.range,
+  'Words in the biased tail are rejected'
+);
+assert(
+  hmacOf('accepted').readUInt32BE(0) >= u32Limit ||
+    generateRoll(hiSeed, 'accepted', 'u32') === hmacOf('accepted').readUInt32BE(0) % 1_000_000,
+  'An accepted word gives roll = word mod 1,000,000'
+);
+
+assert(chanceToTarget('49.5') === 495000, 'Chance 49.5% → target 495000');
+assert(chanceToTarget('0.01') === 100 && chanceToTarget('99.99') === 999900, 'Chance bounds are 0.01% and 99.99%');
+assert(
+  ['0', '100', '49.555', '-1', 'abc', ''].every((c) => chanceToTarget(c) === null),
+  'Invalid chances are rejected'
+);
+
+const hiGame = resolveGame({
+  target: chanceToTarget('49.5'),
+  betSats: 100,
+  serverSeed: hiSeed,
+  clientEntropy: 'hi-entropy',
+  rollAlgorithm: 'u32',
+});
+assert(hiGame.rollAlgorithm === 'u32' && hiGame.roll === generateRoll(hiSeed, 'hi-entropy', 'u32'), 'Game rolls u32');
+assert(hiGame.multiplier === 1.99, 'Chance 49.5% pays 1.99x');
+assert(hiGame.result === (hiGame.roll < 495000 ? 'win' : 'loss'), 'u32 win/loss matches roll < target');
+
+const hiVerify = (overrides) =>
+  verifyGame({
+    serverSeed: hiSeed,
+    serverSeedHash: hiGame.serverSeedHash,
+    clientEntropy: 'hi-entropy',
+    roll: hiGame.roll,
+    target: 495000,
+    rollAlgorithm: 'u32',
+    ...overrides,
+  });
+assert(hiVerify({}).verified && hiVerify({}).rollAlgorithm === 'u32', 'u32 game verifies with its algorithm');
+assert(!hiVerify({ rollAlgorithm: 'u16' }).verified, 'u32 game fails verification as u16');
+assert(!hiVerify({ rollAlgorithm: 'u64' }).verified, 'Unknown roll algorithm fails verification');
+assert(verification.rollAlgorithm === 'u16', 'Games without an algorithm verify as u16');
+
+const u16Game = resolveGame({ target: 32768, betSats: 100, serverSeed: hiSeed, clientEntropy: 'old' });
+saveGame({ id: 'g_u16old', ...u16Game, payoutStatus: 'n/a' });
+saveGame({ id: 'g_u32new', ...hiGame, payoutStatus: 'n/a' });
+assert(getGame('g_u16old').roll_algorithm === 'u16', 'Stored games record u16');
+assert(getGame('g_u32new').roll_algorithm === 'u32', 'Stored games record u32');
+
+// ── Game Modes ───────────────────────────────────────────
+console.log('\n🎯 Game Modes');
+
+const modeSeed = generateServerSeed();
+const playMode = (mode, params, entropy = 'mode-entropy') =>
+  resolveGame({ betSats: 100, serverSeed: modeSeed, clientEntropy: entropy, mode, params });
+
+const overGame = playMode('over', { target: 32767 });
+assert(overGame.result === (overGame.roll > 32767 ? 'win' : 'loss'), 'Roll-over wins if roll > target');
+assert(
+  overGame.multiplier === playMode('under', { target: 32768 }).multiplier,
+  'Roll-over 32767 pays the same as roll-under 32768'
+);
+
+const insideGame = playMode('inside', { low: 16384, high: 49151 });
+assert(
+  insideGame.result === (insideGame.roll >= 16384 && insideGame.roll <= 49151 ? 'win' : 'loss'),
+  'Inside wins if low <= roll <= high'
+);
+const outsideGame = playMode('outside', { low: 16384, high: 49151 });
+assert(outsideGame.result !== insideGame.result, 'Outside wins exactly when inside loses');
+assert(getModeOdds('inside', { low: 100, high: 199 }).winningOutcomes === 100, 'Inside counts high − low + 1 outcomes');
+assert(getModeOdds('outside', { low: 100, high: 199 }).winningOutcomes === 65436, 'Outside counts the rest');
+
+const twoDice = getModeOdds('dice', { dice: 2, sides: 6, target: 7 });
+assert(twoDice.winningOutcomes === 21 && twoDice.totalOutcomes === 36, '2d6 sum >= 7 wins 21 of 36');
+assert(twoDice.multiplier === config.game.getMultiplier(21, 36), 'Dice multiplier comes from config.game.getMultiplier');
+assert(getModeOdds('dice', { dice: 3, sides: 6, target: 4 }).winningOutcomes === 215, '3d6 sum >= 4 wins 215 of 216');
+
+const diceGame = playMode('dice', { dice: 3, sides: 6, target: 11 });
+assert(
+  diceGame.faces.length === 3 && diceGame.faces.every((d) => d >= 1 && d <= 6),
+  'Dice mode rolls one face per die'
+);
+assert(diceGame.roll === diceGame.faces.reduce((a, b) => a + b, 0) && diceGame.rollAlgorithm === 'dice', 'Dice roll is the sum');
+assert(
+  JSON.stringify(generateDice(modeSeed, 'mode-entropy', 3, 6)) === JSON.stringify(diceGame.faces),
+  'Dice are deterministic'
+);
+const faceCounts = new Array(7).fill(0);
+generateDice(modeSeed, 'spread', 600, 6).forEach((d) => faceCounts[d]++);
+assert(faceCounts.slice(1).every((c) => c > 60 && c < 140), 'Faces are spread evenly');
+
+assert(checkModeParams('inside', { low: 100, high: NaN }) !== null, 'Range bets need low and high');
+assert(checkModeParams('inside', { low: 200, high: 100 }) !== null, 'Range bets need low <= high');
+assert(checkModeParams('outside', { low: 0, high: 65535 }) !== null, 'A bet that cannot win is rejected');
+assert(checkModeParams('over', { target: 65535 }) !== null, 'Roll-over 65535 is rejected');
+assert(checkModeParams('dice', { dice: 2, sides: 6, target: 2 }) !== null, 'A dice bet that cannot lose is rejected');
+assert(checkModeParams('dice', { dice: 11, sides: 6, target: 20 }) !== null, 'At most 10 dice');
+assert(checkModeParams('roulette', {}) !== null, 'Unknown modes are rejected');
+assert(
+  ['__proto__', 'toString', 'constructor'].every(
+    (mode) =>
+      parseModeParams(mode, {}) === null &&
+      checkModeParams(mode, {}) !== null &&
+      verifyGame({ mode, params: {} }).reason === `Unknown game mode ${mode}`
+  ),
+  'Inherited object keys are not modes'
+);
+assert(checkModeParams('dice', { dice: 2, sides: 6, target: 7 }) === null, 'Valid dice bet passes');
+
+const verifyMode = (game, overrides = {}) =>
+  verifyGame({
+    serverSeed: modeSeed,
+    serverSeedHash: game.serverSeedHash,
+    clientEntropy: 'mode-entropy',
+    roll: game.roll,
+    target: game.target,
+    rollAlgorithm: game.rollAlgorithm,
+    mode: game.mode,
+    params: game.modeParams,
+    ...overrides,
+  });
+assert(
+  [overGame, insideGame, outsideGame, diceGame].every((g) => {
+    const v = verifyMode(g);
+    return v.verified && v.result === g.result;
+  }),
+  'Every mode verifies with its own rule'
+);
+assert(!verifyMode(diceGame, { roll: diceGame.roll + 1 }).verified, 'Tampered dice sum fails verification');
+assert(!verifyMode(overGame, { mode: 'sideways' }).verified, 'Unknown mode fails verification');
+
+saveGame({ id: 'g_mode_dice', ...diceGame, payoutStatus: 'n/a' });
+const storedDice = getGame('g_mode_dice');
+assert(
+  storedDice.mode === 'dice' && JSON.parse(storedDice.mode_params).sides === 6 && storedDice.target === 11,
+  'Stored games record their mode and params'
+);
+assert(getGame('g_u16old').mode === 'under' && getGame('g_u16old').mode_params === null, 'Roll-under games need no params');
+
+// ── Token Replay Protection ──────────────────────────────
+console.log('\n🔁 Token Replay Protection');
+
+const tokenHash = commitSeed(generateDevEntropy());
+assert(getSpentToken(tokenHash) === null, 'Unspent token is not in the registry');
+assert(spendToken(tokenHash, 'g_first001') === true, 'First use of a token is accepted');
+assert(spendToken(tokenHash, 'g_second01') === false, 'Replayed token is rejected');
+assert(getSpentToken(tokenHash).game_id === 'g_first001', 'Replay points at the original game');
+
+// ── L402 Verification ────────────────────────────────────
+console.log('\n🎫 L402 Verification');
+
+function l402Error(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.reason || err.message;
+  }
+}
+
+const rootKey = crypto.randomBytes(32).toString('hex');
+const preimage = crypto.randomBytes(32).toString('hex');
+const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+const seedHash = commitSeed(generateServerSeed());
+const macaroon = mintMacaroon({
+  rootKey,
+  paymentHash,
+  caveats: ['bet=100', 'target=32768', `server_seed_hash=${seedHash}`, `expires_at=${Math.floor(Date.now() / 1000) + 600}`],
+});
+const underBet = { mode: 'under', params: { target: 32768 }, chance: null };
+const rollCtx = { betSats: 100, bet: underBet, serverSeedHash: seedHash, rootKey };
+
+assert(decodeMacaroon(macaroon).caveats.length === 4, 'Minted macaroon decodes with its caveats');
+assert(verifyL402Token({ macaroon, preimage }, rollCtx).paymentHash === paymentHash, 'Valid token verifies');
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage: generateDevEntropy() }, rollCtx)) === 'preimage_mismatch',
+  'Preimage that does not hash to the payment hash is rejected'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, rootKey: crypto.randomBytes(32).toString('hex') })) ===
+    'invalid_signature',
+  'Macaroon signed with another root key is rejected'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, betSats: 5000 })) === 'unsatisfied_caveat',
+  'Bet that differs from the paid amount is rejected'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, bet: { ...underBet, params: { target: 1000 } } })) ===
+    'unsatisfied_caveat',
+  'Target caveat is enforced'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, bet: { ...underBet, mode: 'over' } })) ===
+    'unsatisfied_caveat',
+  'A target caveat without a mode caveat only pays for roll-under'
+);
+const insideBet = { mode: 'inside', params: { low: 1000, high: 2000 }, chance: null };
+const insideMacaroon = mintMacaroon({ rootKey, paymentHash, caveats: ['bet=100', 'mode=inside', 'low=1000', 'high=2000'] });
+assert(
+  verifyL402Token({ macaroon: insideMacaroon, preimage }, { ...rollCtx, bet: insideBet }).paymentHash === paymentHash,
+  'Mode and param caveats bind a range bet'
+);
+assert(
+  l402Error(() =>
+    verifyL402Token({ macaroon: insideMacaroon, preimage }, { ...rollCtx, bet: { ...insideBet, mode: 'outside' } })
+  ) === 'unsatisfied_caveat',
+  'Mode caveat is enforced'
+);
+const halfBoundMacaroon = mintMacaroon({ rootKey, paymentHash, caveats: ['bet=100', 'mode=inside', 'low=1000'] });
+assert(
+  l402Error(() => verifyL402Token({ macaroon: halfBoundMacaroon, preimage }, { ...rollCtx, bet: insideBet })) ===
+    'unsatisfied_caveat',
+  'A macaroon that binds part of the bet must bind all of it'
+);
+const chanceMacaroon = mintMacaroon({ rootKey, paymentHash, caveats: ['bet=100', 'chance=49.5'] });
+const chanceBet = { mode: 'under', params: { target: 495000 }, chance: '49.5' };
+assert(
+  verifyL402Token({ macaroon: chanceMacaroon, preimage }, { ...rollCtx, bet: chanceBet }).paymentHash === paymentHash &&
+    l402Error(() => verifyL402Token({ macaroon: chanceMacaroon, preimage }, rollCtx)) === 'unsatisfied_caveat',
+  'Chance caveat binds a ?chance= bet and nothing else'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, bet: null })) === 'unsatisfied_caveat',
+  'A bet-shape caveat fails where no single bet is paid for'
+);
+const apertureMacaroon = mintMacaroon({
+  rootKey,
+  paymentHash,
+  caveats: ['bet=100', 'othersvc_capabilities=read', 'clawdice_capabilities=roll'],
+});
+assert(
+  verifyL402Token({ macaroon: apertureMacaroon, preimage }, rollCtx).paymentHash === paymentHash,
+  "Aperture service caveats are accepted, other services' ignored"
+);
+const lapsedMacaroon = mintMacaroon({
+  rootKey,
+  paymentHash,
+  caveats: ['bet=100', `clawdice_valid_until=${Math.floor(Date.now() / 1000) - 60}`],
+});
+assert(
+  l402Error(() => verifyL402Token({ macaroon: lapsedMacaroon, preimage }, rollCtx)) === 'unsatisfied_caveat',
+  'Our own service validity caveat is enforced'
+);
+assert(
+  l402Error(() =>
+    verifyL402Token({ macaroon: mintMacaroon({ rootKey, paymentHash, caveats: ['bet=100', 'colour=red'] }), preimage }, rollCtx)
+  ) === 'unsatisfied_caveat',
+  'Unknown caveats are still rejected'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, now: Date.now() + 3600 * 1000 })) ===
+    'unsatisfied_caveat',
+  'Expired macaroon is rejected'
+);
+const unboundMacaroon = mintMacaroon({ rootKey, paymentHash, caveats: ['target=32768'] });
+assert(
+  l402Error(() => verifyL402Token({ macaroon: unboundMacaroon, preimage }, rollCtx)) === 'unsatisfied_caveat',
+  'Macaroon without a bet caveat is rejected'
+);
+
+// Anyone can hash a preimage of their own and wrap a macaroon around the hash
+const forgedPreimage = crypto.randomBytes(32).toString('hex');
+const forgedMacaroon = mintMacaroon({
+  rootKey: crypto.randomBytes(32).toString('hex'),
+  paymentHash: crypto.createHash('sha256').update(Buffer.from(forgedPreimage, 'hex')).digest('hex'),
+  caveats: ['bet=100'],
+});
+assert(
+  l402Error(() => verifyL402Token({ macaroon: forgedMacaroon, preimage: forgedPreimage }, rollCtx)) === 'invalid_signature',
+  'Forged macaroon around a self-chosen preimage is rejected'
+);
+assert(
+  l402Error(() => verifyL402Token({ macaroon, preimage }, { ...rollCtx, rootKey: '' })) === 'no_root_key',
+  'Without a root key no token verifies'
+);
+assert(l402Error(() => decodeMacaroon('AQID')) === 'malformed_macaroon', 'Garbage macaroon is rejected');
+
+const boundKey = '03' + 'ab'.repeat(32);
+const boundMacaroon = mintMacaroon({ rootKey, paymentHash, caveats: ['bet=100', `pubkey=${boundKey.toUpperCase()}`] });
+assert(
+  verifyL402Token({ macaroon: boundMacaroon, preimage }, rollCtx) && boundPubkey(boundMacaroon, rootKey) === boundKey,
+  'A pubkey caveat binds the token to a player'
+);
+assert(
+  boundPubkey(boundMacaroon, crypto.randomBytes(32).toString('hex')) === null &&
+    boundPubkey(boundMacaroon, '') === null &&
+    boundPubkey(macaroon, rootKey) === null &&
+    boundPubkey('AQID', rootKey) === null,
+  'No bound pubkey without a valid signature or a pubkey caveat'
+);
+
+// ── Credit Accounts ──────────────────────────────────────
+console.log('\n💳 Credit Accounts');
+
+const { account: creditAccount, token: creditToken } = createCreditAccount();
+assert(getCreditAccountByToken(creditToken)?.id === creditAccount.id, 'Account is found by its bearer token');
+assert(getCreditAccountByToken('cdt_wrong') === null, 'Unknown token finds no account');
+assert(getCreditBalance(creditAccount.id) === 0, 'New account starts at zero');
+
+creditWinnings(creditAccount.id, 197, 'g_credit01');
+assert(getCreditBalance(creditAccount.id) === 197, 'Winnings are credited');
+assert(debitCreditBet(creditAccount.id, 500, 'g_credit02') === null, 'Bet larger than balance is refused');
+assert(debitCreditBet(creditAccount.id, 100, 'g_credit02') !== null, 'Bet within balance is debited');
+assert(getCreditBalance(creditAccount.id) === 97, 'Balance reflects the bet');
+
+debitWithdrawal(creditAccount.id, 90);
+reverseWithdrawal(creditAccount.id, 90);
+assert(getCreditBalance(creditAccount.id) === 97, 'Reversed withdrawal restores the balance');
+assert(
+  getCreditBalance(creditAccount.id) + getCreditBalance(HOUSE_ACCOUNT) + getCreditBalance(WITHDRAWALS_ACCOUNT) === 0,
+  'Ledger balances to zero (double entry)'
+);
+
+const firstNonce = useCreditNonce(creditAccount.id);
+const secondNonce = useCreditNonce(creditAccount.id, 'my-seed');
+assert(firstNonce.nonce === 0 && secondNonce.nonce === 1, 'Nonce increments per roll');
+assert(secondNonce.clientSeed === 'my-seed', 'Client seed can be changed');
+
+// ── Bankroll ─────────────────────────────────────────────
+console.log('\n🏦 Bankroll');
+
+const startingBankroll = getBankrollBalance();
+assert(startingBankroll === config.bankroll.initial, 'Bankroll starts at the configured initial amount');
+recordRoll({ gameId: 'g_bank0001', betSats: 100, payoutSats: 0 });
+recordRoll({ gameId: 'g_bank0002', betSats: 100, payoutSats: 197 });
+assert(getBankrollBalance() === startingBankroll + 3, 'Bets and payouts move the running balance');
+assert(getBankrollLog(1)[0].event === 'payout' && getBankrollLog(1)[0].amount_sats === -197, 'Payouts are logged');
+
+assert(getMaxBet(1000) < getMaxBet(16384), 'Max bet is sized by the target multiplier');
+assert(
+  config.game.getDynamicMaxBet(getBankrollBalance(), 1000) ===
+    Math.floor(getBankrollBalance() / getMultiplier(1000) / config.bankroll.safetyFactor),
+  'Bankroll limit = bankroll / multiplier / safety factor'
+);
+assert(getMaxBet(65000) === config.game.maxBet, 'Max bet never exceeds the configured cap');
+
+adjustBankroll({ event: 'withdrawal', amountSats: -(getBankrollBalance() - config.bankroll.pauseThreshold + 1) });
+assert(getPauseState().paused === true, 'Game pauses below the threshold');
+assert(getBankrollLog(1)[0].event === 'pause', 'Pause is logged');
+adjustBankroll({ event: 'deposit', amountSats: startingBankroll });
+assert(getPauseState().paused === false && getBankrollLog(1)[0].event === 'resume', 'Deposit resumes the game');
+
+// ── Risk Engine ──────────────────────────────────────────
+console.log('\n⚖️  Risk Engine');
+
+const kelly50 = getKellyMaxBet(1_000_000, getMultiplier(32768));
+assert(
+  Math.abs(kelly50 * (getMultiplier(32768) - 1) - 0.015 * 1_000_000) < getMultiplier(32768),
+  `Kelly risk at 50/50 ≈ edge × bankroll (max bet ${kelly50})`
+);
+assert(
+  getKellyMaxBet(1_000_000, getMultiplier(1000)) < getKellyMaxBet(1_000_000, getMultiplier(49152)),
+  'Kelly allows less on long shots'
+);
+assert(getBetLimits(1000).limitedBy === 'kelly', 'Long-shot bets are Kelly-limited');
+assert(
+  getBetLimits(1000).maxBet === getKellyMaxBet(getBankrollBalance(), getMultiplier(1000)),
+  'Kelly limit is applied to the live bankroll'
+);
+
+const savedKellyFraction = config.risk.kellyFraction;
+config.risk.kellyFraction = 0.5;
+assert(
+  getKellyMaxBet(1_000_000, getMultiplier(32768)) === Math.floor(kelly50 / 2) ||
+    getKellyMaxBet(1_000_000, getMultiplier(32768)) === Math.ceil(kelly50 / 2) - 1,
+  'Half Kelly halves the limit'
+);
+config.risk.kellyFraction = savedKellyFraction;
+
+const savedOpenExposure = config.risk.maxOpenExposure;
+config.risk.maxOpenExposure = 0.0001;
+assert(getBetLimits(32768).limitedBy === 'open_exposure', 'Open exposure cap limits bets');
+assert(
+  getBetLimits(32768).exposureMaxBet ===
+    Math.floor((0.0001 * getBankrollBalance() - getBetLimits(32768).openExposureSats) / getMultiplier(32768)),
+  'Exposure limit leaves room for the full payout'
+);
+config.risk.maxOpenExposure = savedOpenExposure;
+
+// ── Seed Hash Chains ─────────────────────────────────────
+console.log('\n⛓️  Seed Hash Chains');
+
+const savedChainLength = config.seedChain.length;
+config.seedChain.length = 5;
+const chain = createSeedChain();
+assert(hashChain(chain.root_seed, 5) === chain.terminal_hash, 'Terminal hash is the root hashed length times');
+
+function saveChainCommitment() {
+  const { serverSeed, chainId, chainIndex } = takeChainSeed();
+  return saveCommitment({ serverSeed, serverSeedHash: commitSeed(serverSeed), chainId, chainIndex });
+}
+
+const chainCommits = [saveChainCommitment(), saveChainCommitment(), saveChainCommitment()];
+assert(
+  chainCommits.map((c) => c.chain_index).join() === '4,3,2' && chainCommits.every((c) => c.chain_id === chain.id),
+  'Seeds are issued from the top of the chain down'
+);
+assert(chainLink(chainCommits[0].server_seed) === chain.terminal_hash, 'First seed hashes to the terminal hash');
+assert(chainLink(chainCommits[1].server_seed) === chainCommits[0].server_seed, 'Each seed is the SHA256 of the next');
+assert(
+  chainCommits[0].server_seed_hash === commitSeed(chainCommits[0].server_seed) &&
+    chainCommits[0].server_seed_hash !== chainLink(chainCommits[0].server_seed),
+  "A commitment doesn't reveal the link to the previous seed"
+);
+
+claimCommitment(chainCommits[0].server_seed_hash, 'g_chain001');
+const proof = getChainProof(getCommitment(chainCommits[0].server_seed_hash));
+assert(proof.links_to_terminal && proof.position === 1, 'Chain proof links the played seed to the terminal hash');
+
+claimCommitment(chainCommits[2].server_seed_hash, 'g_chain003');
+assert(
+  checkCommitment(getCommitment(chainCommits[1].server_seed_hash)) === 'superseded',
+  'Playing a lower seed supersedes a pending higher one (its seed is now derivable)'
+);
+assert(getChainProof(getCommitment(chainCommits[2].server_seed_hash)).position === 3, 'Positions follow play order');
+
+saveChainCommitment();
+saveChainCommitment();
+assert(getActiveSeedChain() === null, 'Chain is exhausted after its last seed');
+const nextChainSeed = saveChainCommitment();
+assert(nextChainSeed.chain_id !== chain.id && nextChainSeed.chain_index === 4, 'A new chain starts when the last runs out');
+
+// Two players interleaving: each draws from a chain of their own
+const ownerSeed = (owner) => {
+  const { serverSeed, chainId, chainIndex } = takeChainSeed(owner);
+  return saveCommitment({ serverSeed, serverSeedHash: commitSeed(serverSeed), chainId, chainIndex });
+};
+const aliceCommit = ownerSeed('pubkey:02aa');
+const bobCommit = ownerSeed('ip:10.0.0.9');
+assert(aliceCommit.chain_id !== bobCommit.chain_id, 'Each requester gets its own chain');
+claimCommitment(bobCommit.server_seed_hash, 'g_chainbob');
+assert(
+  checkCommitment(getCommitment(aliceCommit.server_seed_hash)) === null &&
+    claimCommitment(aliceCommit.server_seed_hash, 'g_chainalice'),
+  "Another player's roll doesn't supersede an earlier commitment"
+);
+assert(ownerSeed('pubkey:02aa').chain_id === aliceCommit.chain_id, 'A requester keeps drawing from its chain');
+
+// Long chains: seeds come from the nearest checkpoint, not the root
+config.seedChain.length = 250;
+const longChain = createSeedChain(250, 'pubkey:02dd');
+assert(JSON.parse(longChain.checkpoints).length === 3, 'A chain keeps every 100th seed as a checkpoint');
+const longSeeds = [ownerSeed('pubkey:02dd'), ownerSeed('pubkey:02dd')];
+assert(
+  longSeeds[0].chain_index === 249 &&
+    longSeeds[0].server_seed === hashChain(longChain.root_seed, 249) &&
+    longSeeds[1].server_seed === hashChain(longChain.root_seed, 248),
+  'Seeds derived from a checkpoint match seeds hashed from the root'
+);
+claimCommitment(longSeeds[0].server_seed_hash, 'g_chainlong');
+assert(
+  getChainProof(getCommitment(longSeeds[0].server_seed_hash)).links_to_terminal &&
+    !getChainProof({ ...getCommitment(longSeeds[1].server_seed_hash), chain_index: 149 }).links_to_terminal,
+  'Chain proofs check a seed against the next checkpoint or the terminal hash'
+);
+storage.run('UPDATE seed_chains SET checkpoints = NULL WHERE id = ?', [longChain.id]);
+const oldChainSeed = ownerSeed('pubkey:02dd');
+assert(
+  oldChainSeed.server_seed === hashChain(longChain.root_seed, 247) &&
+    JSON.parse(getSeedChain(longChain.id).checkpoints).length === 3,
+  'A chain created before checkpoints gets them on first use'
+);
+config.seedChain.length = savedChainLength;
+
+// ── Rate Limiting ────────────────────────────────────────
+console.log('\n🚦 Rate Limiting');
+
+const savedRollLimit = { ...config.rateLimit.roll };
+config.rateLimit.roll = { windowSeconds: 60, max: 3 };
+resetRateLimits();
+
+const t0 = 1_800_000_000_000; // start of a 60s window
+const keysA = ['pubkey:02aa', 'ip:10.0.0.1'];
+const hits = [0, 1, 2, 3].map((i) => hit('roll', keysA, t0 + i * 1000));
+assert(hits.slice(0, 3).every((h) => h.allowed), 'Requests within the limit pass');
+assert(hits[2].remaining === 0, 'Remaining counts down to 0');
+assert(!hits[3].allowed && hits[3].retryAfterSeconds === 57, 'Over the limit → rejected until the window ends');
+assert(hits[3].firstRejection && !hit('roll', keysA, t0 + 5000).firstRejection, 'Only the first rejection per window is flagged');
+assert(!hit('roll', ['pubkey:02bb', 'ip:10.0.0.1'], t0 + 5000).allowed, 'A new pubkey on the same IP is still limited');
+assert(hit('roll', ['pubkey:02aa', 'ip:10.0.0.2'], t0 + 5000).allowed === false, 'A new IP for the same pubkey is still limited');
+assert(hit('roll', ['pubkey:02cc', 'ip:10.0.0.3'], t0 + 5000).allowed, 'Other clients are unaffected');
+assert(
+  hit('roll', keysA, t0 + 61_000).remaining === 0 && !hit('roll', keysA, t0 + 62_000).allowed,
+  'The previous window still weighs in early in the next'
+);
+assert(hit('roll', keysA, t0 + 90_000).allowed, 'Quota frees up as the previous window slides out');
+
+// Middleware against a fake request / response
+function runLimiter(middleware, client) {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (name, value) => (res.headers[name] = value);
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  let nextCalled = false;
+  middleware({}, res, () => (nextCalled = true));
+  return { res, nextCalled };
+}
+
+resetRateLimits();
+const limitTest = rateLimit('roll', () => ({ ip: '10.9.9.9', pubkey: '02dd', macaroon: null }));
+const first = runLimiter(limitTest);
+assert(first.nextCalled && first.res.headers['RateLimit-Limit'] === '3', 'Middleware passes and sets RateLimit-Limit');
+assert(first.res.headers['RateLimit-Remaining'] === '2', 'Middleware sets RateLimit-Remaining');
+runLimiter(limitTest);
+runLimiter(limitTest);
+const abuseBefore = getAbuseEvents(500).length;
+const limited = runLimiter(limitTest);
+assert(limited.res.statusCode === 429 && limited.res.body.error === 'rate_limited', '429 rate_limited over the limit');
+assert(parseInt(limited.res.headers['Retry-After']) > 0, '429 carries Retry-After');
+assert(
+  getAbuseEvents(500).length === abuseBefore + 1 && getAbuseEvents(1)[0].ip === '10.9.9.9',
+  'Rate limit hit is logged as an abuse event'
+);
+
+blockClient('pubkey:02dd', { reason: 'spam' });
+const blocked = runLimiter(limitTest);
+assert(blocked.res.statusCode === 403 && blocked.res.body.reason === 'spam', 'Blocked client gets 403 with the reason');
+assert(unblockClient('pubkey:02dd') && !unblockClient('pubkey:02dd'), 'Unblock removes the block once');
+blockClient('ip:10.9.9.9', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+assert(runLimiter(limitTest).res.statusCode !== 403, 'Expired blocks no longer apply');
+
+config.rateLimit.roll = savedRollLimit;
+resetRateLimits();
+
+// ── LND Payouts (against fake LND) ───────────────────────
+console.log('\n⚡ LND Payouts (fake LND)');
+
+const lndMacaroon = crypto.randomBytes(32).toString('hex');
+const fakeLnd = await startFakeLnd({ macaroon: lndMacaroon });
+fs.writeFileSync(path.join(tmpDir, 'admin.macaroon'), Buffer.from(lndMacaroon, 'hex'));
+const savedLnd = { ...config.lnd };
+const savedBackend = config.payout.backend;
+Object.assign(config.lnd, {
+  restUrl: fakeLnd.url,
+  macaroonPath: path.join(tmpDir, 'admin.macaroon'),
+  timeoutSeconds: 1,
+});
+config.payout.backend = 'lnd';
+
+const winnerPubkey = '03' + crypto.randomBytes(32).toString('hex');
+const paid = await sendPayout({ pubkey: winnerPubkey, amountSats: 197, gameId: 'g_lnd00001' });
+assert(paid.status === 'sent', 'Keysend payout succeeds');
+assert(
+  paid.paymentHash === crypto.createHash('sha256').update(Buffer.from(paid.preimage, 'hex')).digest('hex'),
+  'Payout returns payment hash and matching preimage'
+);
+assert(paid.feeSats === 1 && paid.feeLimitSats === 10, 'Payout reports fee and fee limit');
+const lastPayment = fakeLnd.payments[fakeLnd.payments.length - 1];
+assert(
+  lastPayment.dest === winnerPubkey &&
+    lastPayment.amountSats === 197 &&
+    Buffer.from(lastPayment.customRecords['7629168'], 'base64').toString() === 'g_lnd00001',
+  'Keysend goes to the winner with the game ID record'
+);
+
+const repaid = await sendPayout({ pubkey: winnerPubkey, amountSats: 197, gameId: 'g_lnd00001', preimage: paid.preimage });
+assert(repaid.status === 'failed' && repaid.error === 'already_paid', 'Retrying a paid hash does not pay twice');
+
+assert(
+  mapLndError('invalid vertex length of 32, want 33') === 'invalid_destination' &&
+    mapLndError('malformed public key: invalid length: 32') === 'invalid_destination' &&
+    mapLndError('unable to parse response from htlcswitch') === 'lnd_error' &&
+    mapLndError('unable to parse keysend request') === 'lnd_error',
+  "Only LND's bad-destination messages count as invalid_destination"
+);
+
+const noPubkey = await sendPayout({ pubkey: null, amountSats: 197, gameId: 'g_lnd00002' });
+assert(noPubkey.status === 'failed' && noPubkey.error === 'missing_pubkey', 'Missing pubkey → missing_pubkey');
+
+fakeLnd.failNext('no_route');
+const noRoute = await sendPayout({ pubkey: winnerPubkey, amountSats: 197, gameId: 'g_lnd00003' });
+assert(noRoute.status === 'failed' && noRoute.error === 'no_route', 'No route → no_route');
+
+fakeLnd.balanceSats = 100;
+const broke = await sendPayout({ pubkey: winnerPubkey, amountSats: 197, gameId: 'g_lnd00004' });
+assert(broke.status === 'failed' && broke.error === 'insufficient_balance', 'Low balance → insufficient_balance');
+fakeLnd.balanceSats = 1_000_000;
+
+fakeLnd.failNext('timeout');
+const slow = await sendPayout({ pubkey: winnerPubkey, amountSats: 197, gameId: 'g_lnd00005' });
+assert(slow.status === 'failed' && slow.error === 'timeout', 'Hung payment → timeout');
+
+config.lnd.macaroonPath = '';
+const unauthorized = await sendPayout({ pubkey: winnerPubkey, amountSats: 197, gameId: 'g_lnd00006' });
+assert(unauthorized.status === 'failed' && unauthorized.error === 'lnd_error', 'Rejected macaroon → lnd_error');
+
+config.lnd.macaroonPath = path.join(tmpDir, 'admin.macaroon');
+
+// ── BOLT11 Invoice Payouts ───────────────────────────────
+console.log('\n🧾 BOLT11 Invoice Payouts');
+
+function bolt11Error(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.reason || err.message;
+  }
+}
+
+const fixedInvoice = fakeLnd.createInvoice({ amountSats: 197, expiry: 600 });
+const decodedInvoice = decodeInvoice(fixedInvoice);
+assert(
+  decodedInvoice.network === 'mainnet' && decodedInvoice.amountSats === 197 && decodedInvoice.expiry === 600,
+  'Invoice decodes network, amount and expiry'
+);
+assert(/^[0-9a-f]{64}$/.test(decodedInvoice.paymentHash), 'Invoice decodes payment hash');
+assert(decodeInvoice(fakeLnd.createInvoice()).amountSats === null, 'Amountless invoice has no amount');
+
+assert(bolt11Error(() => validatePayoutInvoice(fixedInvoice, { amountSats: 197 })) === null, 'Exact-amount invoice is accepted');
+assert(
+  bolt11Error(() => validatePayoutInvoice(fakeLnd.createInvoice(), { amountSats: 197 })) === null,
+  'Amountless invoice is accepted'
+);
+assert(
+  bolt11Error(() => validatePayoutInvoice(fixedInvoice, { amountSats: 500 })) === 'amount_mismatch',
+  'Invoice for a different amount is rejected'
+);
+assert(
+  bolt11Error(() => validatePayoutInvoice(fixedInvoice, { amountSats: null })) === 'amount_mismatch' &&
+    bolt11Error(() => validatePayoutInvoice(fakeLnd.createInvoice(), { amountSats: null })) === null,
+  'Batch payouts (amount unknown) need an amountless invoice'
+);
+assert(
+  bolt11Error(() => validatePayoutInvoice(fakeLnd.createInvoice({ network: 'testnet' }), { amountSats: 197 })) ===
+    'wrong_network',
+  'Invoice for another network is rejected'
+);
+assert(
+  bolt11Error(() =>
+    validatePayoutInvoice(fakeLnd.createInvoice({ timestamp: Math.floor(Date.now() / 1000) - 7200 }), { amountSats: 197 })
+  ) === 'expired',
+  'Expired invoice is rejected'
+);
+assert(
+  bolt11Error(() => validatePayoutInvoice(fakeLnd.createInvoice({ expiry: 30 }), { amountSats: 197 })) === 'expired',
+  'Invoice about to expire is rejected'
+);
+assert(
+  bolt11Error(() => decodeInvoice(fixedInvoice.slice(0, -1) + (fixedInvoice.endsWith('q') ? 'p' : 'q'))) ===
+    'malformed_invoice',
+  'Invoice with a bad checksum is rejected'
+);
+
+const amountlessInvoice = fakeLnd.createInvoice();
+const invoicePaid = await sendPayout({ method: 'invoice', invoice: amountlessInvoice, amountSats: 197, gameId: 'g_inv00001' });
+assert(invoicePaid.status === 'sent', 'Amountless invoice payout succeeds');
+assert(
+  fakeLnd.payments[fakeLnd.payments.length - 1].amountSats === 197 &&
+    invoicePaid.paymentHash === decodeInvoice(amountlessInvoice).paymentHash,
+  'Amountless invoice is paid the payout amount'
+);
+const fixedPaid = await sendPayout({ method: 'invoice', invoice: fixedInvoice, amountSats: 197, gameId: 'g_inv00002' });
+assert(fixedPaid.status === 'sent', 'Exact-amount invoice payout succeeds');
+
+// ── Payout Queue ─────────────────────────────────────────
+console.log('\n🔄 Payout Queue');
+
+function saveWinningGame(id, overrides = {}) {
+  const s = generateServerSeed();
+  saveGame({
+    id,
+    roll: 100,
+    target: 32768,
+    result: 'win',
+    betSats: 100,
+    multiplier: 1.97,
+    payoutSats: 197,
+    payoutMethod: 'keysend',
+    serverSeed: s,
+    serverSeedHash: commitSeed(s),
+    clientEntropy: generateDevEntropy(),
+    playerPubkey: winnerPubkey,
+    ...overrides,
+  });
+}
+
+saveWinningGame('g_queue001');
+fakeLnd.failNext('no_route');
+await payGame('g_queue001');
+let queued = getGame('g_queue001');
+assert(queued.payout_status === 'failed' && queued.payout_error === 'no_route', 'Failed payout is persisted with its error');
+assert(queued.payout_attempts === 1 && queued.payout_next_attempt_at !== null, 'Failed payout is scheduled for retry');
+assert(getStuckPayouts().some((p) => p.id === 'g_queue001'), 'Failed payout shows up as stuck');
+assert((await retryDuePayouts()).attempted === 0, 'Worker waits for the backoff delay');
+assert(getRetryDelaySeconds(1) === 30 && getRetryDelaySeconds(4) === 240, 'Backoff doubles per attempt');
+assert(getRetryDelaySeconds(20) === config.payout.retry.maxDelaySeconds, 'Backoff is capped');
+
+requeuePayout('g_queue001');
+const retried = await retryDuePayouts();
+queued = getGame('g_queue001');
+assert(retried.sent === 1 && queued.payout_status === 'sent', 'Worker retries the payout until it is sent');
+assert(queued.paid_at !== null && queued.payout_fee_sats === 1, 'Sent payout records time and fee');
+assert(
+  queued.payout_payment_hash ===
+    crypto.createHash('sha256').update(Buffer.from(queued.payout_preimage, 'hex')).digest('hex'),
+  'Retry reuses the preimage from the first attempt'
+);
+assert(!getStuckPayouts().some((p) => p.id === 'g_queue001'), 'Paid game is no longer stuck');
+assert((await payGame('g_queue001')) === null, 'A paid game is never paid again');
+
+const savedMaxAttempts = config.payout.retry.maxAttempts;
+config.payout.retry.maxAttempts = 1;
+saveWinningGame('g_queue002', { playerPubkey: null });
+await payGame('g_queue002');
+assert(getGame('g_queue002').payout_status === 'abandoned', 'Payout is abandoned after the attempt cap');
+assert(getStuckPayouts().some((p) => p.id === 'g_queue002'), 'Abandoned payout stays visible to operators');
+config.payout.retry.maxAttempts = savedMaxAttempts;
+
+saveBatch({
+  id: 'b_queue001',
+  rounds: 3,
+  betSats: 300,
+  payoutSats: 394,
+  serverSeedHash: commitSeed('batch'),
+  clientEntropy: generateDevEntropy(),
+  playerPubkey: winnerPubkey,
+  payoutMethod: 'keysend',
+  payoutStatus: 'pending',
+});
+saveWinningGame('g_batch001', { batchId: 'b_queue001', batchIndex: 0, payoutStatus: 'batched' });
+saveWinningGame('g_batch002', { batchId: 'b_queue001', batchIndex: 1, payoutStatus: 'batched' });
+saveWinningGame('g_batch003', {
+  batchId: 'b_queue001',
+  batchIndex: 2,
+  result: 'loss',
+  payoutSats: 0,
+  payoutStatus: 'n/a',
+});
+assert(
+  getBatchGames('b_queue001').map((g) => g.id).join() === 'g_batch001,g_batch002,g_batch003',
+  'Batch rounds are stored in order'
+);
+const stuckIds = getStuckPayouts().map((p) => p.id);
+assert(stuckIds.includes('b_queue001') && !stuckIds.includes('g_batch001'), 'A batch owes one payout, not one per win');
+const exposureWithBatch = getOpenExposure();
+const batchPayout = await payGame('b_queue001');
+assert(batchPayout.status === 'sent' && batchPayout.amountSats === 394, 'Batch wins are paid as one combined payout');
+assert(
+  getBatch('b_queue001').payout_status === 'sent' && getBatch('b_queue001').paid_at !== null,
+  'Batch payout is recorded on the batch'
+);
+assert(exposureWithBatch - getOpenExposure() === 394, 'Unpaid batch payouts count toward open exposure');
+assert(getGame('g_batch001').payout_status === 'batched', 'Winning rounds leave the payout to their batch');
+assert((await payGame('b_queue001')) === null, 'A paid batch is never paid again');
+
+const { account: withdrawer } = createCreditAccount({ playerPubkey: winnerPubkey });
+creditWinnings(withdrawer.id, 1000, 'g_wdraw001');
+const hungWithdrawal = createWithdrawal({ accountId: withdrawer.id, amountSats: 400, method: 'keysend', pubkey: winnerPubkey });
+fakeLnd.failNext('timeout');
+await payGame(hungWithdrawal.id);
+assert(
+  getPayout(hungWithdrawal.id).payout_status === 'failed' && getCreditBalance(withdrawer.id) === 600,
+  'A timed-out withdrawal stays debited and queued, since it may have paid'
+);
+requeuePayout(hungWithdrawal.id);
+await retryDuePayouts();
+const retriedWithdrawal = getPayout(hungWithdrawal.id);
+assert(
+  retriedWithdrawal.payout_status === 'sent' &&
+    retriedWithdrawal.payout_payment_hash ===
+      crypto.createHash('sha256').update(Buffer.from(retriedWithdrawal.payout_preimage, 'hex')).digest('hex') &&
+    getCreditBalance(withdrawer.id) === 600,
+  'The withdrawal is retried under its stored preimage until sent'
+);
+const unroutable = createWithdrawal({ accountId: withdrawer.id, amountSats: 300, method: 'keysend', pubkey: winnerPubkey });
+fakeLnd.failNext('no_route');
+await payGame(unroutable.id);
+assert(
+  getPayout(unroutable.id).payout_status === 'reversed' &&
+    getCreditBalance(withdrawer.id) === 600 &&
+    !getRetryablePayouts().some((p) => p.id === unroutable.id) &&
+    !getStuckPayouts().some((p) => p.id === unroutable.id),
+  'A withdrawal that definitely failed is refunded instead of retried'
+);
+assert(createWithdrawal({ accountId: withdrawer.id, amountSats: 601, method: 'keysend' }) === null, 'A withdrawal cannot overdraw');
+
+const reusedInvoice = fakeLnd.createInvoice();
+saveWinningGame('g_queue003', { payoutMethod: 'invoice', payoutInvoice: reusedInvoice });
+saveWinningGame('g_queue004', { payoutMethod: 'invoice', payoutInvoice: reusedInvoice });
+await payGame('g_queue003');
+const reusedPayout = await payGame('g_queue004');
+assert(
+  getGame('g_queue003').payout_status === 'sent' &&
+    reusedPayout.error === 'invoice_already_paid' &&
+    getGame('g_queue004').payout_status === 'abandoned' &&
+    !getRetryablePayouts().some((p) => p.id === 'g_queue004'),
+  'A win paid to an invoice another win already paid is abandoned, not marked sent'
+);
+saveWinningGame('g_queue005', { payoutMethod: 'invoice', payoutInvoice: amountlessInvoice });
+await payGame('g_queue005');
+assert(
+  getGame('g_queue005').payout_status === 'abandoned' && getGame('g_queue005').payout_error === 'invoice_already_paid',
+  'An invoice paid before the first attempt was paid by someone else'
+);
+const landedInvoice = fakeLnd.createInvoice();
+saveWinningGame('g_queue006', { payoutMethod: 'invoice', payoutInvoice: landedInvoice });
+fakeLnd.failNext('timeout');
+await payGame('g_queue006');
+await sendPayout({ method: 'invoice', invoice: landedInvoice, amountSats: 197, gameId: 'g_queue006' });
+requeuePayout('g_queue006');
+await retryDuePayouts();
+assert(getGame('g_queue006').payout_status === 'sent', "A timed-out attempt that went through is the payout's own");
+const reusedWithdrawal = createWithdrawal({ accountId: withdrawer.id, amountSats: 200, method: 'invoice', invoice: reusedInvoice });
+await payGame(reusedWithdrawal.id);
+assert(
+  getPayout(reusedWithdrawal.id).payout_status === 'reversed' && getCreditBalance(withdrawer.id) === 600,
+  'A withdrawal to an invoice that was already paid is refunded'
+);
+
+// ── Jackpot ──────────────────────────────────────────────
+console.log('\n🎰 Jackpot');
+
+const jackpotSeed = generateServerSeed();
+const jackpotRoll = rollJackpot({ serverSeed: jackpotSeed, rollVersion: 1, clientEntropy: 'entropy' }, 1000);
+const taggedWord = crypto.createHmac('sha256', jackpotSeed).update('clawdice:jackpot:entropy').digest().readUInt32BE(0);
+assert(jackpotRoll.roll >= 0 && jackpotRoll.roll < 1000, 'Jackpot roll is within the odds');
+assert(jackpotRoll.roll === taggedWord % 1000, 'Jackpot roll uses the game message under its domain tag');
+assert(jackpotRoll.hit === (jackpotRoll.roll === 0), 'Only a jackpot roll of 0 hits');
+assert(
+  rollJackpot({ serverSeed: jackpotSeed, rollVersion: 2, clientEntropy: 'entropy', clientSeed: 's', nonce: 3 }, 1000)
+    .roll === generateJackpotRoll(jackpotSeed, 's:3:entropy', 1000),
+  'Roll v2 games roll the jackpot on their v2 message'
+);
+
+const savedJackpot = { ...config.jackpot };
+assert(Object.keys(jackpotTerms(1000)).length === 0, 'No jackpot terms while the jackpot is off');
+Object.assign(config.jackpot, { enabled: true, contribution: 0.05, odds: 1 });
+assert(jackpotTerms(1000).jackpotContributionSats === 50 && jackpotTerms(1000).jackpotOdds === 1, 'Terms carry the contribution and odds');
+
+function jackpotGame(id, overrides = {}) {
+  const s = generateServerSeed();
+  const game = {
+    id,
+    roll: 40000,
+    target: 32768,
+    result: 'loss',
+    betSats: 1000,
+    multiplier: 1.97,
+    payoutSats: 0,
+    payoutMethod: 'keysend',
+    payoutStatus: 'n/a',
+    serverSeed: s,
+    serverSeedHash: commitSeed(s),
+    clientEntropy: generateDevEntropy(),
+    playerPubkey: winnerPubkey,
+    ...jackpotTerms(1000),
+    ...overrides,
+  };
+  saveGame(game);
+  return game;
+}
+
+// Odds of 1 in 1 always hit
+const potBefore = getJackpotPot();
+const keysendJackpot = playJackpot(jackpotGame('g_jackpot01'));
+assert(keysendJackpot.hit && keysendJackpot.contributionSats === 50, 'Game contributes and rolls the jackpot');
+assert(keysendJackpot.win.payout_sats === potBefore + 50, 'A hit wins the whole pot, its own share included');
+assert(keysendJackpot.win.payout_method === 'keysend' && keysendJackpot.win.payout_status === 'pending', 'Players with a pubkey are paid by keysend');
+assert(getJackpotPot() === 0, 'The pot is emptied by a win');
+assert(getStuckPayouts().some((p) => p.id === keysendJackpot.win.id), 'Unpaid jackpot wins show up as stuck');
+const jackpotPayout = await payGame(keysendJackpot.win.id);
+assert(jackpotPayout.status === 'sent' && jackpotPayout.amountSats === potBefore + 50, 'Jackpot win is paid through the payout queue');
+assert(getJackpotWin(keysendJackpot.win.id).paid_at !== null, 'Jackpot payout is recorded on the win');
+
+const jackpotProof = getJackpotProof(getGame('g_jackpot01'));
+assert(jackpotProof.could_win && jackpotProof.won && jackpotProof.jackpot_id === keysendJackpot.win.id, 'Proof shows the game won the jackpot');
+
+const creditJackpot = playJackpot(jackpotGame('g_jackpot02', { playerPubkey: null }));
+assert(creditJackpot.win.payout_status === 'credited' && creditJackpot.creditToken, 'Without a pubkey the pot opens a credit account');
+assert(getCreditBalance(creditJackpot.creditAccount.id) === 50, 'The pot is credited to the new account');
+
+config.jackpot.odds = 2 ** 31;
+const missedJackpot = playJackpot(jackpotGame('g_jackpot03'));
+const missedProof = getJackpotProof(getGame('g_jackpot03'));
+assert(missedJackpot.win === null && getJackpotPot() === 50, 'A miss leaves its contribution in the pot');
+assert(!missedProof.could_win && !missedProof.won && missedProof.odds === 2 ** 31, 'Proof uses the odds the game was played at');
+assert(getJackpotProof(getGame('g_queue001')) === null, 'Games played without a jackpot have no proof');
+
+recordRoll({ gameId: 'g_jackpot03', betSats: 1000, payoutSats: 0, jackpotSats: 50 });
+assert(getBankrollLog(1)[0].event === 'jackpot' && getBankrollLog(1)[0].amount_sats === -50, 'Contributions leave the bankroll');
+Object.assign(config.jackpot, savedJackpot);
+
+// ── Win Streaks ──────────────────────────────────────────
+console.log('\n🔥 Win Streaks');
+
+const streakRule = { max_win_probability: 0.5, bonuses: [{ streak: 2, multiplier: 1.05 }, { streak: 4, multiplier: 1.15 }] };
+assert(
+  bonusMultiplier(1, streakRule) === 1 && bonusMultiplier(3, streakRule) === 1.05 && bonusMultiplier(9, streakRule) === 1.15,
+  'Bonus is the highest tier the streak reaches'
+);
+const streakWin = applyStreakRule({ previousStreak: 4, winProbability: 0.25, result: 'win', payoutSats: 100 }, streakRule);
+assert(streakWin.streak === 5 && streakWin.bonusSats === 15, 'A qualifying win collects the bonus and extends the streak');
+assert(
+  applyStreakRule({ previousStreak: 2, winProbability: 0.5, result: 'win', payoutSats: 197 }, streakRule).bonusSats === 9,
+  'Bonus sats are rounded down'
+);
+const safeWin = applyStreakRule({ previousStreak: 4, winProbability: 0.75, result: 'win', payoutSats: 131 }, streakRule);
+assert(!safeWin.qualifying && safeWin.bonusSats === 0 && safeWin.streak === 0, 'A safer bet gets no bonus and ends the streak');
+assert(
+  applyStreakRule({ previousStreak: 4, winProbability: 0.25, result: 'loss', payoutSats: 0 }, streakRule).streak === 0,
+  'A loss ends the streak'
+);
+
+const savedStreak = { ...config.streak };
+const streakPubkey = '03' + 'c'.repeat(64);
+assert(playStreak({ playerPubkey: streakPubkey, winProbability: 0.25, gameResult: { result: 'win', payoutSats: 100 } }) === null, 'No streaks while they are off');
+Object.assign(config.streak, { enabled: true, maxWinProbability: 0.5, bonuses: streakRule.bonuses });
+
+function playStreakGame(id, { target, result }) {
+  const s = generateServerSeed();
+  const gameResult = { result, payoutSats: result === 'win' ? Math.floor(100 * getMultiplier(target)) : 0 };
+  const streak = playStreak({ playerPubkey: streakPubkey, winProbability: target / 65536, gameResult });
+  saveGame({
+    id,
+    roll: result === 'win' ? 0 : 65535,
+    target,
+    result,
+    betSats: 100,
+    multiplier: getMultiplier(target),
+    payoutSats: gameResult.payoutSats + streak.bonusSats,
+    payoutMethod: 'keysend',
+    payoutStatus: 'n/a',
+    serverSeed: s,
+    serverSeedHash: commitSeed(s),
+    clientEntropy: generateDevEntropy(),
+    playerPubkey: streakPubkey,
+    ...streak.record,
+  });
+  return streak;
+}
+
+playStreakGame('g_streak01', { target: 32768, result: 'win' });
+playStreakGame('g_streak02', { target: 16384, result: 'win' });
+const bonusStreak = playStreakGame('g_streak03', { target: 32768, result: 'win' });
+assert(currentStreak(streakPubkey) === 3, 'Streak counts consecutive qualifying wins');
+assert(bonusStreak.previousStreak === 2 && bonusStreak.bonusSats === 9, 'Third win in a row pays the first tier bonus');
+assert(getGame('g_streak03').payout_sats === 197 + 9 && getGame('g_streak03').bonus_sats === 9, 'Bonus is stored with the payout');
+assert(pendingStreakBonus(streakPubkey, 0.5, 197) === 9, 'Pending bonus is known before the roll');
+
+const streakProof = getStreakProof(getGame('g_streak03'), 0.5);
+assert(streakProof.verified && streakProof.previous_game_id === 'g_streak02', 'Proof recomputes the bonus from the previous game');
+assert(streakProof.rule.max_win_probability === 0.5 && streakProof.base_payout_sats === 197, 'Proof carries the rule and base payout');
+
+playStreakGame('g_streak04', { target: 60000, result: 'win' });
+assert(currentStreak(streakPubkey) === 0, 'A safe win resets the streak');
+assert(getStreakProof(getGame('g_streak04'), 60000 / 65536).verified, 'Resets verify too');
+const tamperedSeed = generateServerSeed();
+saveGame({
+  id: 'g_streak05',
+  roll: 0,
+  target: 32768,
+  result: 'win',
+  betSats: 100,
+  multiplier: getMultiplier(32768),
+  payoutSats: 247,
+  payoutStatus: 'n/a',
+  serverSeed: tamperedSeed,
+  serverSeedHash: commitSeed(tamperedSeed),
+  clientEntropy: generateDevEntropy(),
+  playerPubkey: streakPubkey,
+  streak: 1,
+  streakBonus: 1.25,
+  bonusSats: 50,
+  streakRule,
+});
+assert(!getStreakProof(getGame('g_streak05'), 0.5).verified, 'A bonus the rule does not allow fails verification');
+assert(getStreakProof(getGame('g_queue001'), 0.5) === null, 'Games without streak tracking have no proof');
+
+recordRoll({ gameId: 'g_streak03', betSats: 100, payoutSats: 197, bonusSats: 9 });
+assert(getBankrollLog(1)[0].event === 'streak_bonus' && getBankrollLog(1)[0].amount_sats === -9, 'Bonuses go through the bankroll log');
+Object.assign(config.streak, savedStreak);
+
+// ── Tournaments ──────────────────────────────────────────
+console.log('\n🏆 Tournaments');
+
+assert(splitPrizePool(1000, [0.5, 0.3, 0.2], 5).join() === '500,300,200', 'Pool is split by rank');
+assert(splitPrizePool(1000, [0.5, 0.3, 0.2], 2).join() === '625,375', 'Unused shares are spread over the ranks that are paid');
+assert(splitPrizePool(101, [0.5, 0.3, 0.2], 3).join() === '51,30,20', 'Rounding leftovers go to first place');
+assert(roundPoints('win', 1.97) === 197 && roundPoints('loss', 1.97) === 0, 'A round scores its stake times the multiplier');
+
+assert(
+  parseTournamentRequest({ name: 'Cup', entry_fee_sats: 100, rounds: 0, duration_seconds: 60 }).error.error ===
+    'invalid_tournament',
+  'Tournament needs at least one round'
+);
+assert(
+  parseTournamentRequest({ name: 'Cup', entry_fee_sats: 100, rounds: 5, ends_at: '2000-01-01T00:00:00Z' }).error,
+  'Tournament must end in the future'
+);
+assert(
+  parseTournamentRequest({ name: 'Cup', entry_fee_sats: 100, rounds: 5, duration_seconds: 60, prize_split: [0.5, 0.3] })
+    .error,
+  'Prize split must add up to the whole pool'
+);
+const parsedCup = parseTournamentRequest({
+  name: ' Cup ',
+  entry_fee_sats: 100,
+  rounds: 3,
+  targets: [32768, 16384, 32768],
+  duration_seconds: 3600,
+}).tournament;
+assert(parsedCup.name === 'Cup' && parsedCup.targets.join() === '16384,32768', 'Targets are deduplicated and sorted');
+assert(parsedCup.rake === config.tournament.rake && parsedCup.prizeSplit === config.tournament.prizeSplit, 'Rake and split default to config');
+
+const cup = saveTournament(parsedCup);
+assert(tournamentStatus(cup) === 'running' && cup.status === 'open', 'New tournament is running');
+assert(allowsTarget(cup, 16384) && !allowsTarget(cup, 100), 'Only the allowed targets can be played');
+
+const cupPlayers = [winnerPubkey, '02' + 'a'.repeat(64), '02' + 'b'.repeat(64)];
+const cupEntries = cupPlayers.map(
+  (playerPubkey, i) =>
+    createTournamentEntry({ tournamentId: cup.id, playerPubkey, clientSeed: `seed${i}`, paidWith: 'lightning' }).entry
+);
+const cupToken = createTournamentEntry({ tournamentId: cup.id, playerPubkey: '02' + 'd'.repeat(64), clientSeed: 's', paidWith: 'credit' });
+assert(getTournamentEntryByToken(cupToken.token).id === cupToken.entry.id, 'Entry token finds its entry');
+assert(
+  createTournamentEntry({ tournamentId: cup.id, playerPubkey: winnerPubkey, clientSeed: 'again', paidWith: 'lightning' }) === null,
+  'A player can only join once'
+);
+
+function playCupRound(entry, target) {
+  const round = takeTournamentRound(entry.id, cup.rounds);
+  if (round === null) return null;
+  const outcome = playTournamentRound({ entry, round, target, serverSeed: generateServerSeed() });
+  return saveTournamentRoll({
+    id: generateTournamentRollId(),
+    tournamentId: cup.id,
+    entryId: entry.id,
+    playerPubkey: entry.player_pubkey,
+    round,
+    roll: outcome.roll,
+    target,
+    result: outcome.result,
+    multiplier: outcome.multiplier,
+    points: outcome.points,
+    serverSeed: outcome.serverSeed,
+    serverSeedHash: outcome.serverSeedHash,
+    clientEntropy: outcome.clientEntropy,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+const cupRolls = [0, 1, 2].map(() => playCupRound(cupEntries[1], 32768));
+assert(cupRolls.map((r) => r.round).join() === '0,1,2', 'Rounds are numbered in order');
+assert(cupRolls[1].client_entropy === 'seed1:1', 'Round entropy is the client seed and round index');
+assert(playCupRound(cupEntries[1], 32768) === null, 'No rounds past the tournament limit');
+assert(
+  verifyGame({
+    serverSeed: cupRolls[0].server_seed,
+    serverSeedHash: cupRolls[0].server_seed_hash,
+    clientEntropy: cupRolls[0].client_entropy,
+    roll: cupRolls[0].roll,
+    target: 32768,
+  }).result === cupRolls[0].result,
+  'Tournament rounds verify like games'
+);
+const cupScore = cupRolls.reduce((sum, r) => sum + r.points, 0);
+assert(getTournamentEntry(cup.id, cupPlayers[1]).score === cupScore, 'Points add up to the entry score');
+
+playCupRound(cupEntries[0], 16384);
+const cupStandings = getTournamentStandings(cup.id);
+assert(
+  cupStandings.every((e, i) => i === 0 || cupStandings[i - 1].score >= e.score),
+  'Standings are ordered by score'
+);
+assert(getGame(cupRolls[0].id) === null, 'Tournament rolls are not games');
+
+// Settlement: pool is the fees less the rake, split over the ranks
+const endedCup = saveTournament({
+  ...parsedCup,
+  startsAt: new Date(Date.now() - 7200 * 1000).toISOString(),
+  endsAt: new Date(Date.now() - 1000).toISOString(),
+  rake: 0.1,
+  prizeSplit: [0.7, 0.3],
+});
+for (const [i, playerPubkey] of cupPlayers.entries()) {
+  const { entry } = createTournamentEntry({ tournamentId: endedCup.id, playerPubkey, clientSeed: `e${i}`, paidWith: 'lightning' });
+  saveTournamentRoll({
+    id: generateTournamentRollId(),
+    tournamentId: endedCup.id,
+    entryId: entry.id,
+    playerPubkey,
+    round: 0,
+    roll: 0,
+    target: 32768,
+    result: 'win',
+    multiplier: 1.97,
+    points: [150, 300, 150][i],
+    serverSeed: 'x',
+    serverSeedHash: commitSeed('x'),
+    clientEntropy: `e${i}:0`,
+    createdAt: new Date().toISOString(),
+  });
+}
+assert(tournamentStatus(endedCup) === 'ended', 'Tournament past its window is waiting to settle');
+assert(prizePool(endedCup, 3) === 270, 'Prize pool is the entry fees less the rake');
+const bankrollBeforePrizes = getBankrollBalance();
+const { settled } = await settleEndedTournaments();
+const prizes = getTournamentPrizes(endedCup.id);
+assert(settled >= 1 && getTournament(endedCup.id).status === 'finished', 'Worker settles ended tournaments');
+assert(
+  prizes.map((p) => `${p.rank}:${p.player_pubkey.slice(0, 4)}:${p.payout_sats}`).join() === '1:02aa:189,2:' + winnerPubkey.slice(0, 4) + ':81',
+  'Top scorers are paid the split, ties going to whoever scored first'
+);
+assert(prizes.every((p) => p.payout_status === 'sent'), 'Prizes are paid through the payout queue');
+assert(getBankrollBalance() === bankrollBeforePrizes - 270, 'Prizes leave the bankroll');
+assert(getTournamentStandings(endedCup.id).map((e) => e.rank).join() === '1,2,3', 'Final ranks are recorded');
+assert(settleTournament(getTournament(endedCup.id)) === null, 'A tournament is settled only once');
+assert(!getStuckPayouts().some((p) => p.id === prizes[0].id), 'Paid prizes are not stuck');
+
+Object.assign(config.lnd, savedLnd);
+config.payout.backend = savedBackend;
+await fakeLnd.close();
+
+// ── Player Profiles ──────────────────────────────────────
+console.log('\n👤 Player Profiles');
+
+// A node key, signing the way `lncli signmessage` does
+function nodeKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const prefix = Buffer.from(y, 'base64url')[31] & 1 ? '03' : '02';
+  return { privateKey, pubkey: prefix + Buffer.from(x, 'base64url').toString('hex') };
+}
+function signMessage(message, privateKey) {
+  const signature = crypto.sign('sha256', messageDigest(message), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return encodeZbase32(Buffer.concat([Buffer.from([31]), signature]));
+}
+
+const zbytes = crypto.randomBytes(65);
+assert(decodeZbase32(encodeZbase32(zbytes)).equals(zbytes) && encodeZbase32(zbytes).length === 104, 'zbase32 round-trips a signature');
+const alice = nodeKey();
+const bob = nodeKey();
+const aliceSignature = signMessage('hello', alice.privateKey);
+assert(verifyMessage('hello', aliceSignature, alice.pubkey), 'Signature verifies under the signing node key');
+assert(!verifyMessage('hello!', aliceSignature, alice.pubkey), 'Signature does not verify for another message');
+assert(!verifyMessage('hello', aliceSignature, bob.pubkey), 'Signature does not verify for another key');
+assert(!verifyMessage('hello', 'not-zbase32!', alice.pubkey) && !verifyMessage('hello', aliceSignature, 'xyz'), 'Malformed input never verifies');
+
+function profileThrows(fn, reason) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err instanceof ProfileError && err.reason === reason;
+  }
+}
+assert(profileThrows(() => issueProfileChallenge({ playerPubkey: alice.pubkey, alias: 'a b' }), 'invalid_alias'), 'Aliases are checked');
+assert(
+  profileThrows(() => issueProfileChallenge({ playerPubkey: alice.pubkey, alias: 'alice', metadata: { bio: 5 } }), 'invalid_metadata'),
+  'Metadata must be short strings'
+);
+assert(profileThrows(() => issueProfileChallenge({ playerPubkey: 'abc', alias: 'alice' }), 'invalid_pubkey'), 'Pubkey must be a node key');
+
+const aliceChallenge = issueProfileChallenge({ playerPubkey: alice.pubkey, alias: 'Alice', metadata: { url: 'https://a.example', bio: 'dice' } });
+assert(
+  aliceChallenge.challenge.startsWith(`clawdice:profile:${alice.pubkey}:Alice:`) &&
+    Object.keys(aliceChallenge.metadata).join() === 'bio,url',
+  'Challenge names the pubkey, alias and metadata'
+);
+assert(
+  profileThrows(() => registerProfile({ challenge: aliceChallenge.challenge, signature: signMessage(aliceChallenge.challenge, bob.privateKey) }), 'invalid_signature'),
+  'A challenge signed by another node is rejected'
+);
+const aliceProfile = registerProfile({
+  challenge: aliceChallenge.challenge,
+  signature: signMessage(aliceChallenge.challenge, alice.privateKey),
+});
+assert(aliceProfile.alias === 'Alice' && aliceProfile.metadata.url === 'https://a.example', 'Signed challenge registers the profile');
+assert(
+  profileThrows(() => registerProfile({ challenge: aliceChallenge.challenge, signature: signMessage(aliceChallenge.challenge, alice.privateKey) }), 'challenge_expired'),
+  'A challenge is used only once'
+);
+assert(profileThrows(() => issueProfileChallenge({ playerPubkey: bob.pubkey, alias: 'ALICE' }), 'alias_taken'), 'Aliases are unique regardless of case');
+
+const savedProfileTtl = config.profile.challengeTtlSeconds;
+config.profile.challengeTtlSeconds = -1;
+const staleChallenge = issueProfileChallenge({ playerPubkey: bob.pubkey, alias: 'bob' });
+assert(
+  profileThrows(() => registerProfile({ challenge: staleChallenge.challenge, signature: signMessage(staleChallenge.challenge, bob.privateKey) }), 'challenge_expired'),
+  'Expired challenges are rejected'
+);
+config.profile.challengeTtlSeconds = savedProfileTtl;
+
+for (const [i, result] of ['loss', 'win', 'win'].entries()) {
+  const s = generateServerSeed();
+  saveGame({
+    id: `g_profile0${i}`,
+    roll: result === 'win' ? 0 : 65535,
+    target: 32768,
+    result,
+    betSats: 100,
+    multiplier: 1.97,
+    payoutSats: result === 'win' ? 197 : 0,
+    payoutStatus: 'n/a',
+    serverSeed: s,
+    serverSeedHash: commitSeed(s),
+    clientEntropy: generateDevEntropy(),
+    playerPubkey: alice.pubkey,
+  });
+}
+const aliceStats = getPlayerStats(alice.pubkey);
+assert(aliceStats.games === 3 && aliceStats.wins === 2 && aliceStats.net_profit === 94, 'Player stats cover every game');
+assert(getPlayerWinStreak(alice.pubkey) === 2, 'Win streak counts wins since the last loss');
+assert(getLeaderboard(1000).find((p) => p.player_pubkey === alice.pubkey).alias === 'Alice', 'Leaderboard shows the alias');
+assert(getRecentGames(1)[0].alias === 'Alice', 'Recent games show the alias');
+
+// ── Live Feed ────────────────────────────────────────────
+console.log('\n📡 Live Feed');
+
+const feedStart = publish('bankroll', { paused: false, reason: null }).seq;
+const liveEvents = [];
+const unsubscribeLive = subscribe({ pubkey: '02feed', minBet: 100 }, (e) => liveEvents.push(e));
+publishGame({ ...getGame('g_queue001'), id: 'g_feed001', player_pubkey: '02feed', bet_sats: 500 });
+publishGame({ ...getGame('g_queue001'), id: 'g_feed002', player_pubkey: '02other', bet_sats: 500 });
+publishGame({ ...getGame('g_queue001'), id: 'g_feed003', player_pubkey: '02feed', bet_sats: 50 });
+publish('bankroll', { paused: true, reason: 'bankroll_below_threshold' });
+unsubscribeLive();
+assert(
+  liveEvents.map((e) => e.data.game_id || e.type).join() === 'g_feed001,bankroll',
+  'Live events are filtered by pubkey and min bet (bankroll events always pass)'
+);
+assert(liveEvents[1].seq > liveEvents[0].seq, 'Event sequence is monotonic');
+
+const replayed = [];
+subscribe({ pubkey: null, minBet: 0 }, (e) => replayed.push(e), feedStart)();
+assert(
+  replayed.length === 4 && replayed.every((e, i) => e.seq === feedStart + i + 1),
+  'Subscribing with a last event ID replays everything after it, in order'
+);
+
+const savedRetain = config.feed.retainEvents;
+config.feed.retainEvents = 2;
+publish('bankroll', { paused: false, reason: null });
+const afterPrune = [];
+subscribe({ pubkey: null, minBet: 0 }, (e) => afterPrune.push(e), feedStart)();
+assert(afterPrune[0].type === 'reset' && afterPrune.length === 3, 'Resuming past the retained history sends a reset first');
+config.feed.retainEvents = savedRetain;
+
+// SSE and WebSocket over a real socket
+const feedApp = express();
+feedApp.get('/stream', streamFeed);
+const feedServer = http.createServer(feedApp);
+feedServer.on('upgrade', upgradeFeed);
+await new Promise((resolve) => feedServer.listen(0, '127.0.0.1', resolve));
+const feedPort = feedServer.address().port;
+
+function readUntil(stream, done) {
+  return new Promise((resolve) => {
+    let text = '';
+    const onData = (chunk) => {
+      text += chunk.toString('latin1');
+      if (done(text)) {
+        stream.off('data', onData);
+        resolve(text);
+      }
+    };
+    stream.on('data', onData);
+  });
+}
+
+const lastSeq = afterPrune[afterPrune.length - 1].seq;
+const sseText = await new Promise((resolve) => {
+  http.get(
+    { port: feedPort, host: '127.0.0.1', path: '/stream', headers: { 'Last-Event-ID': String(lastSeq - 1) } },
+    (res) => {
+      readUntil(res, (t) => t.includes('g_feed_sse')).then((text) => {
+        res.destroy();
+        resolve({ status: res.statusCode, type: res.headers['content-type'], text });
+      });
+      setTimeout(() => publishGame({ ...getGame('g_queue001'), id: 'g_feed_sse' }), 50);
+    }
+  );
+});
+assert(sseText.status === 200 && sseText.type === 'text/event-stream', 'GET /stream is an event stream');
+assert(sseText.text.includes(`id: ${lastSeq}\nevent: bankroll`), 'SSE resumes from Last-Event-ID');
+assert(/id: \d+\nevent: game\ndata: \{.*"g_feed_sse"/.test(sseText.text), 'SSE pushes new games live');
+
+const wsKey = crypto.randomBytes(16).toString('base64');
+const socket = net.connect(feedPort, '127.0.0.1');
+socket.write(
+  `GET /ws?min_bet=1 HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+    `Sec-WebSocket-Key: ${wsKey}\r\nSec-WebSocket-Version: 13\r\n\r\n`
+);
+const handshake = await readUntil(socket, (t) => t.includes('\r\n\r\n'));
+const expectedAccept = crypto.createHash('sha1').update(wsKey + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+assert(handshake.startsWith('HTTP/1.1 101') && handshake.includes(expectedAccept), 'WebSocket handshake completes');
+
+const wsFrame = readUntil(socket, (t) => t.includes('g_feed_ws'));
+publishGame({ ...getGame('g_queue001'), id: 'g_feed_ws' });
+const wsText = await wsFrame;
+const wsMessage = JSON.parse(wsText.slice(wsText.indexOf('{')));
+assert(
+  wsMessage.type === 'game' && wsMessage.data.game_id === 'g_feed_ws' && wsMessage.id > lastSeq,
+  'WebSocket pushes new games with their sequence ID'
+);
+socket.destroy();
+feedServer.closeAllConnections();
+await new Promise((resolve) => feedServer.close(resolve));
+
+const clientFrame = Buffer.concat([Buffer.from([0x89, 0x84]), Buffer.from([1, 2, 3, 4]), Buffer.from([0x71, 0x6b, 0x6d, 0x63])]);
+const decodedFrames = decodeFrames(clientFrame);
+assert(
+  decodedFrames.frames[0].opcode === OPCODES.ping && decodedFrames.frames[0].payload.toString() === 'ping',
+  'Masked client frames are decoded'
+);
+assert(decodeFrames(encodeFrame(OPCODES.text, 'hi')).error === 1002, 'Unmasked client frames are refused');
+assert(encodeFrame(OPCODES.text, 'x'.repeat(300)).readUInt16BE(2) === 300, 'Long frames use the 16-bit length');
+
+// ── Storage ──────────────────────────────────────────────
+console.log(`\n🗄️ Storage (${storage.driver})`);
+
+storage.run('CREATE TABLE storage_check (id TEXT PRIMARY KEY, n INTEGER NOT NULL)');
+const insertCheck = 'INSERT INTO storage_check (id, n) VALUES (?, ?) ON CONFLICT DO NOTHING';
+assert(storage.run(insertCheck, ['a', 1]) === 1, 'Writes report the rows they changed');
+assert(storage.run(insertCheck, ['a', 2]) === 0, 'Ignored conflicts change nothing');
+
+let rolledBack = false;
+try {
+  storage.transaction(() => {
+    storage.run(insertCheck, ['b', 1]);
+    throw new Error('abort');
+  });
+} catch (err) {
+  rolledBack = err.message === 'abort';
+}
+assert(rolledBack && !storage.get("SELECT * FROM storage_check WHERE id = 'b'"), 'A failed transaction leaves nothing behind');
+
+storage.transaction(() => {
+  storage.run(insertCheck, ['c', 1]);
+  try {
+    storage.transaction(() => {
+      storage.run(insertCheck, ['d', 1]);
+      throw new Error('inner');
+    });
+  } catch (err) {
+    // Only the inner transaction is undone
+  }
+});
+assert(
+  storage.all('SELECT id FROM storage_check ORDER BY id').map((row) => row.id).join() === 'a,c',
+  'A failed nested transaction undoes only its own writes'
+);
+
+const reader = await openStorage({ driver: storage.driver, path: config.db.path, readonly: true });
+assert(reader.get("SELECT n FROM storage_check WHERE id = 'c'")?.n === 1, 'Committed writes are on disk straight away');
+reader.close();
+if (storage.driver === 'sqlite') {
+  assert(storage.get('PRAGMA journal_mode').journal_mode === 'wal', 'Native SQLite runs in WAL mode');
+}
+storage.run('DROP TABLE storage_check');
+
+// Import: a database from before most columns existed
+const legacyPath = path.join(tmpDir, 'legacy.db');
+const legacy = await openStorage({ driver: 'sqljs', path: legacyPath });
+legacy.run(`CREATE TABLE games (id TEXT PRIMARY KEY, roll INTEGER NOT NULL, target INTEGER NOT NULL,
+  result TEXT NOT NULL, bet_sats INTEGER NOT NULL, multiplier REAL NOT NULL, payout_sats INTEGER NOT NULL,
+  payout_method TEXT DEFAULT 'keysend', payout_status TEXT DEFAULT 'pending', server_seed TEXT NOT NULL,
+  server_seed_hash TEXT NOT NULL, client_entropy TEXT NOT NULL, player_pubkey TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')))`);
+legacy.run(`CREATE TABLE spent_tokens (token_hash TEXT PRIMARY KEY, game_id TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')))`);
+for (const id of ['g_legacy01', 'g_legacy02']) {
+  legacy.run(
+    `INSERT INTO games (id, roll, target, result, bet_sats, multiplier, payout_sats, payout_status,
+      server_seed, server_seed_hash, client_entropy)
+     VALUES (?, 40000, 32768, 'loss', 100, 1.97, 0, 'n/a', 'x', ?, 'legacy')`,
+    [id, commitSeed('x')]
+  );
+}
+legacy.run('INSERT INTO spent_tokens (token_hash, game_id) VALUES (?, ?)', ['ab'.repeat(32), 'g_legacy01']);
+legacy.close();
+
+const legacySource = await openStorage({ driver: 'sqljs', path: legacyPath, readonly: true });
+const imported = copyTables(legacySource, storage);
+assert(imported.games === 2 && imported.spent_tokens === 1, 'An existing database is imported table by table');
+assert(
+  getGame('g_legacy02')?.roll_version === 1 && getSpentToken('ab'.repeat(32))?.game_id === 'g_legacy01',
+  'Imported rows pick up the columns added since'
+);
+assert(
+  Object.values(copyTables(legacySource, storage)).every((rows) => rows === 0),
+  'Importing again copies nothing twice'
+);
+legacySource.close();
+
+// ── Schema Migrations ────────────────────────────────────
+console.log('\n🧱 Schema Migrations');
+
+const migrations = await loadMigrations();
+assert(migrations[0].version === 1 && migrations[0].name === 'baseline', 'Migrations load in order from migrations/');
+assert(getSchemaVersion(storage) === migrations.length, 'Startup migrates the database to the latest version');
+
+// A database file as the server wrote it before versioned migrations: today's
+// tables and some games, but no schema_version
+const unversionedPath = path.join(tmpDir, 'unversioned.db');
+let unversioned = await openStorage({ driver: storage.driver, path: unversionedPath });
+unversioned.transaction(() => migrations[0].up(unversioned));
+unversioned.run(
+  `INSERT INTO games (id, roll, target, result, bet_sats, multiplier, payout_sats, server_seed, server_seed_hash, client_entropy)
+   VALUES ('g_unver001', 100, 32768, 'win', 1000, 1.97, 1970, 'x', ?, 'e')`,
+  [commitSeed('x')]
+);
+unversioned.close();
+
+unversioned = await openStorage({ driver: storage.driver, path: unversionedPath });
+const unversionedStatus = await migrationStatus(unversioned);
+assert(
+  unversionedStatus.version === 0 && unversionedStatus.pending.length === migrations.length,
+  'A database from before migrations starts at version 0 with every migration pending'
+);
+const dryRun = await migrate(unversioned, { dryRun: true });
+assert(
+  dryRun.dryRun &&
+    dryRun.applied.length === migrations.length &&
+    getSchemaVersion(unversioned) === 0 &&
+    !unversioned.tables().includes('schema_version') &&
+    !unversioned.tables().includes('audit_log'),
+  'A dry run reports what would be applied and changes nothing'
+);
+const baselined = await migrate(unversioned);
+assert(
+  baselined.from === 0 && baselined.to === migrations.length && getSchemaVersion(unversioned) === migrations.length,
+  'The migrations apply to an existing database'
+);
+assert(
+  unversioned.get("SELECT payout_sats FROM games WHERE id = 'g_unver001'")?.payout_sats === 1970,
+  'Existing rows survive the migration'
+);
+assert(
+  unversioned.get("SELECT leaf_hash FROM audit_log WHERE game_id = 'g_unver001'")?.leaf_hash ===
+    leafHash(auditLeaf(unversioned.get("SELECT * FROM games WHERE id = 'g_unver001'"))),
+  'Existing games are backfilled into the audit log'
+);
+assert((await migrate(unversioned)).applied.length === 0, 'Migrating an up-to-date database does nothing');
+
+const addNote = {
+  version: migrations.length + 1,
+  name: 'add_note',
+  up: (db) => db.run('ALTER TABLE games ADD COLUMN note TEXT'),
+};
+const broken = {
+  version: migrations.length + 2,
+  name: 'broken',
+  up: (db) => {
+    db.run("UPDATE games SET note = 'half done'");
+    throw new Error('boom');
+  },
+};
+await migrate(unversioned, { migrations: [...migrations, addNote] });
+assert(
+  unversioned.columns('games').includes('note') && getSchemaVersion(unversioned) === addNote.version,
+  'A new migration adds its column to an existing database'
+);
+let migrationError = null;
+try {
+  await migrate(unversioned, { migrations: [...migrations, addNote, broken] });
+} catch (err) {
+  migrationError = err;
+}
+assert(
+  new RegExp(`Migration ${broken.version} \\(broken\\) failed: boom`).test(migrationError?.message) &&
+    getSchemaVersion(unversioned) === addNote.version &&
+    unversioned.get("SELECT note FROM games WHERE id = 'g_unver001'")?.note === null,
+  'A failed migration is rolled back and leaves the version alone'
+);
+let newerError = null;
+try {
+  await migrate(unversioned, { migrations });
+} catch (err) {
+  newerError = err;
+}
+assert(/newer than this release/.test(newerError?.message), 'A database from a newer release is refused');
+unversioned.close();
+
+// ── Audit Log ────────────────────────────────────────────
+console.log('\n🧾 Audit Log');
+
+const testLeaves = Array.from({ length: 7 }, (_, i) => leafHash({ n: i }));
+const node = (left, right) =>
+  crypto
+    .createHash('sha256')
+    .update(Buffer.from([1]))
+    .update(Buffer.from(left, 'hex'))
+    .update(Buffer.from(right, 'hex'))
+    .digest('hex');
+assert(merkleRoot(testLeaves.slice(0, 1)) === testLeaves[0], "A one-game tree's root is its leaf");
+assert(
+  merkleRoot(testLeaves.slice(0, 3)) === node(node(testLeaves[0], testLeaves[1]), testLeaves[2]),
+  'Trees are shaped as in RFC 6962'
+);
+let proofsHold = true;
+for (let n = 1; n <= testLeaves.length; n++) {
+  const leaves = testLeaves.slice(0, n);
+  for (let i = 0; i < n; i++) proofsHold &&= verifyMerkleProof(leaves[i], merkleProof(leaves, i), merkleRoot(leaves));
+}
+assert(proofsHold, "Every leaf's proof leads to the root, in trees of 1 to 7 leaves");
+assert(
+  !verifyMerkleProof(testLeaves[1], merkleProof(testLeaves.slice(0, 5), 0), merkleRoot(testLeaves.slice(0, 5))),
+  'A proof does not fit another leaf'
+);
+
+// The legacy games copied in above bypassed saveGame, as import-db.js does
+assert(getAuditLogSize().unlogged === 2, 'Games stored without the log are counted');
+assert(!verifyAuditLog().ok, 'A full check flags games missing from the log');
+assert(logUnauditedGames() === 2 && getAuditLogSize().unlogged === 0, 'Imported games are appended to the log');
+
+const loggedCount =
+  storage.get('SELECT COUNT(*) AS n FROM games').n + storage.get('SELECT COUNT(*) AS n FROM tournament_rolls').n;
+assert(getAuditLogSize().entries === loggedCount, 'Every stored game and tournament round is in the audit log');
+
+const savedBatchSize = config.audit.batchSize;
+config.audit.batchSize = 5;
+const sealedRoots = sealPendingGames();
+config.audit.batchSize = savedBatchSize;
+assert(
+  sealedRoots.length === Math.ceil(loggedCount / 5) && sealedRoots.every((root) => root.size <= 5),
+  'Pending games are sealed in batches of AUDIT_BATCH_SIZE'
+);
+assert(getAuditLogSize().unsealed === 0 && sealPendingGames().length === 0, 'Nothing is left to seal');
+
+const inclusion = getInclusionProof('g_u16old');
+assert(
+  inclusion.proof?.leaf.id === 'g_u16old' && checkInclusionProof(inclusion.proof),
+  'A sealed game has an inclusion proof under its root'
+);
+assert(getInclusionProof('g_nope').error === 'not_found', 'Games not in the log have no proof');
+const roundInclusion = getInclusionProof(cupRolls[0].id);
+assert(
+  roundInclusion.proof?.leaf.entry_id === cupEntries[1].id &&
+    roundInclusion.proof.leaf.points === cupRolls[0].points &&
+    checkInclusionProof(roundInclusion.proof),
+  'A sealed tournament round has an inclusion proof under its root'
+);
+saveGame({ id: 'g_audit_new', ...u16Game, payoutStatus: 'n/a' });
+assert(getInclusionProof('g_audit_new').error === 'not_sealed', 'New games wait for the next root');
+
+const pinned = JSON.parse(JSON.stringify(exportRoots()));
+assert(pinned.roots.length === sealedRoots.length && verifyAuditLog().ok, 'The log checks out from the games table');
+sealPendingGames();
+const pinCheck = checkPinnedRoots(pinned);
+assert(pinCheck.ok && pinCheck.checked === sealedRoots.length, 'Pinned roots still match after new roots are published');
+assert(checkInclusionProof(getInclusionProof('g_audit_new').proof), 'The new game is proven once sealed');
+
+// Tampering: edit a sealed game, delete one, and rewrite a root
+storage.run("UPDATE games SET roll = roll + 1 WHERE id = 'g_u16old'");
+const edited = verifyAuditLog();
+assert(
+  !edited.ok && edited.problems.some((p) => p.game_id === 'g_u16old' && p.problem === 'game edited'),
+  'An edited game is detected'
+);
+assert(!checkInclusionProof(getInclusionProof('g_u16old').proof), 'An edited game no longer matches its proof');
+storage.run("UPDATE games SET roll = roll - 1 WHERE id = 'g_u16old'");
+
+storage.run('UPDATE tournament_rolls SET points = points + 1000 WHERE id = ?', [cupRolls[0].id]);
+assert(
+  verifyAuditLog().problems.some((p) => p.game_id === cupRolls[0].id && p.problem === 'game edited'),
+  'A tournament round edited after the fact is detected'
+);
+storage.run('UPDATE tournament_rolls SET points = points - 1000 WHERE id = ?', [cupRolls[0].id]);
+
+const deletedRow = getGame('g_u32new');
+storage.run("DELETE FROM games WHERE id = 'g_u32new'");
+const deleted = verifyAuditLog();
+assert(
+  deleted.problems.some((p) => p.game_id === 'g_u32new' && p.problem === 'game deleted') &&
+    getInclusionProof('g_u32new').proof.leaf === null,
+  'A deleted game is detected'
+);
+const deletedColumns = Object.keys(deletedRow);
+storage.run(
+  `INSERT INTO games (${deletedColumns.join(', ')}) VALUES (${deletedColumns.map(() => '?').join(', ')})`,
+  deletedColumns.map((column) => deletedRow[column])
+);
+
+const rewritten = sealedRoots[0];
+storage.run('UPDATE audit_roots SET merkle_root = ? WHERE id = ?', ['00'.repeat(32), rewritten.id]);
+const rewrittenCheck = checkPinnedRoots(pinned);
+assert(
+  !rewrittenCheck.ok && rewrittenCheck.mismatches.some((m) => m.root_id === rewritten.id && m.problem === 'merkle_root changed'),
+  'A rewritten root is caught by a pinned roots file'
+);
+assert(verifyAuditLog().problems.some((p) => p.root_id === rewritten.id), 'A rewritten root is caught by a full check');
+storage.run('UPDATE audit_roots SET merkle_root = ? WHERE id = ?', [rewritten.merkle_root, rewritten.id]);
+
+const missingCheck = checkPinnedRoots({ roots: [...pinned.roots, { ...pinned.roots[0], root_id: 999999 }] });
+assert(missingCheck.mismatches.some((m) => m.root_id === 999999 && m.problem === 'missing'), 'A removed root is caught');
+assert(verifyAuditLog().ok && checkPinnedRoots(pinned).ok, 'The log checks out again once restored');
+
+// ── Offline Verifier ─────────────────────────────────────
+console.log('\n🧮 Offline Verifier');
+
+const payoutSeed = generateServerSeed();
+const payoutGame = resolveGame({ target: 16384, betSats: 1000, serverSeed: payoutSeed, clientEntropy: 'payout' });
+const payoutFields = {
+  serverSeed: payoutSeed,
+  serverSeedHash: payoutGame.serverSeedHash,
+  clientEntropy: 'payout',
+  roll: payoutGame.roll,
+  target: 16384,
+  result: payoutGame.result,
+  betSats: 1000,
+  multiplier: payoutGame.multiplier,
+};
+assert(verifyGame({ ...payoutFields, payoutSats: payoutGame.payoutSats }).verified, 'verifyGame accepts the right payout');
+const overpaid = verifyGame({ ...payoutFields, payoutSats: payoutGame.payoutSats + 1000 });
+assert(!overpaid.verified && /Payout should be/.test(overpaid.reason), 'verifyGame catches a wrong payout');
+assert(
+  !verifyGame({ ...payoutFields, payoutSats: payoutGame.payoutSats, houseEdge: 0.01 }).verified,
+  'verifyGame checks the multiplier against the house edge'
+);
+
+assert(verifyRecord(payoutGame).status === 'verified', 'A game as resolveGame returns it verifies');
+for (const id of ['g_u16old', 'g_u32new', 'g_mode_dice']) {
+  const report = verifyRecord(getGame(id));
+  assert(report.status === 'verified' && Object.values(report.checks).every((c) => c === 'pass'), `Exported row ${id} verifies`);
+}
+
+const recentReport = verifyRecord(getRecentGames(100).find((game) => game.id === 'g_mode_dice'));
+assert(
+  recentReport.status === 'incomplete' &&
+    recentReport.checks.commitment === 'skip' &&
+    recentReport.checks.roll === 'skip' &&
+    recentReport.checks.payout === 'pass',
+  'A /recent entry has its outcome checked, its seeds skipped'
+);
+// Its roll was made up for the streak tests, so leave the seed out
+const bonusRow = { ...getGame('g_streak03'), server_seed: undefined };
+assert(verifyRecord(bonusRow).checks.payout === 'pass', 'Streak bonuses count towards the expected payout');
+
+const exportRow = getGame('g_u16old');
+const tampered = [
+  { ...exportRow, id: 'g_t_payout', payout_sats: exportRow.payout_sats + 1 },
+  { ...exportRow, id: 'g_t_roll', roll: (exportRow.roll + 1) % 65536 },
+  { ...exportRow, id: 'g_t_seed', server_seed: generateServerSeed() },
+  { ...exportRow, id: 'g_t_result', result: exportRow.result === 'win' ? 'loss' : 'win' },
+];
+const tamperedReport = verifyRecords({ games: [exportRow, ...tampered] });
+const failedCheck = (id, check) => tamperedReport.games.find((game) => game.game_id === id).checks[check] === 'fail';
+assert(
+  failedCheck('g_t_payout', 'payout') &&
+    failedCheck('g_t_roll', 'roll') &&
+    failedCheck('g_t_seed', 'commitment') &&
+    failedCheck('g_t_result', 'result'),
+  'Edited payouts, rolls, seeds and results are each caught'
+);
+assert(
+  tamperedReport.summary.games === 5 && tamperedReport.summary.verified === 1 && tamperedReport.summary.failed === 4,
+  'The summary counts verified and failed games'
+);
+assert(
+  verifyRecords([{ ...exportRow, house_edge: null }], { houseEdge: 0.02 }).games[0].checks.multiplier === 'fail',
+  'Multipliers of games without a recorded edge are checked against the given house edge'
+);
+const edgeReport = verifyRecords([exportRow], { houseEdge: 0.02 });
+assert(
+  edgeReport.games[0].checks.multiplier === 'pass' && edgeReport.summary.house_edge === exportRow.house_edge,
+  "A game's recorded house edge wins over the given one"
+);
+assert(
+  /1 game\(s\): 1 verified/.test(formatReport(verifyRecords(exportRow))) &&
+    formatReport(tamperedReport).includes('❌ g_t_payout'),
+  'The report has a line per game and a summary'
+);
+
+// ── Fairness Monitor ─────────────────────────────────────
+console.log('\n⚖️  Fairness Monitor');
+
+assert(
+  Math.abs(chiSquarePValue(18.307, 10) - 0.05) < 1e-4 && Math.abs(normalPValue(1.96) - 0.05) < 1e-3,
+  'p-values match the chi-square and normal tables'
+);
+assert(
+  chiSquareTest([250, 250, 250, 250]).p_value === 1 && chiSquareTest([400, 200, 200, 200]).p_value < 1e-6,
+  'Chi-square tells even buckets from skewed ones'
+);
+const alternating = runsTest(Array.from({ length: 1000 }, (_, i) => i % 2 === 0));
+const clumped = runsTest(Array.from({ length: 1000 }, (_, i) => i < 500));
+assert(
+  alternating.p_value < 1e-6 && alternating.z > 0 && clumped.p_value < 1e-6 && clumped.z < 0,
+  'The runs test catches alternating and streaky sequences'
+);
+
+// Games rolled from a fixed seed, so the honest sample is the same on every run
+const fairnessTargets = [6000, 16384, 32768, 49152, 60000];
+function fairnessGames(count, { rerollWins = false } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const target = fairnessTargets[i % fairnessTargets.length];
+    const roll = (entropy) => resolveGame({ target, betSats: 100, serverSeed: 'fairness', clientEntropy: entropy });
+    let game = roll(`e${i}`);
+    // A crooked house that quietly rolls every win once more
+    if (rerollWins && game.result === 'win') game = roll(`e${i}:again`);
+    return {
+      id: `g_fair${i}`,
+      roll: game.roll,
+      roll_algorithm: 'u16',
+      mode: 'under',
+      target,
+      mode_params: null,
+      result: game.result,
+      bet_sats: 100,
+      payout_sats: game.payoutSats,
+      bonus_sats: 0,
+      house_edge: config.game.houseEdge,
+    };
+  });
+}
+const honestGames = fairnessGames(3000);
+const crookedGames = fairnessGames(3000, { rerollWins: true });
+
+const honest = fairnessReport(honestGames);
+assert(
+  honest.alerts.length === 0 && honest.uniformity.u16.games === 3000 && honest.win_rates.length === 4,
+  'Honest rolls raise no alerts'
+);
+assert(
+  honest.house_edge.confidence_95[0] < honest.house_edge.expected &&
+    honest.house_edge.confidence_95[1] > honest.house_edge.expected &&
+    honest.house_edge.expected >= config.game.houseEdge,
+  'The realized edge has a confidence interval around the expected one'
+);
+const crooked = fairnessReport(crookedGames);
+const crookedTests = crooked.alerts.map((alert) => alert.test);
+assert(
+  crookedTests.includes('uniformity:u16') && crookedTests.includes('house_edge') && crookedTests.some((t) => t.startsWith('win_rate:')),
+  'Re-rolled wins are caught by uniformity, win rate and house edge'
+);
+assert(fairnessReport(crookedGames.slice(0, 100)).alerts.length === 0, 'Too few games raise no alerts');
+const savedFairness = { ...config.fairness };
+config.fairness.edgeTolerance = 1;
+assert(!fairnessReport(crookedGames).alerts.some((a) => a.test === 'house_edge'), 'The house edge alerts only past its tolerance');
+Object.assign(config.fairness, savedFairness);
+
+const earlierEdge = config.game.houseEdge;
+config.game.houseEdge = 0.03;
+const widerEdgeGames = fairnessGames(3000);
+config.game.houseEdge = earlierEdge;
+const widerEdge = fairnessReport(widerEdgeGames).house_edge;
+assert(
+  widerEdge.expected >= 0.03 && widerEdge.confidence_95[0] < widerEdge.expected && widerEdge.confidence_95[1] > widerEdge.expected,
+  'Games are held to the house edge they were played at, not the one configured now'
+);
+
+const fairnessEvents = [];
+const unsubscribeFairness = subscribe({ pubkey: '02someone', minBet: 1000 }, (e) => fairnessEvents.push(e));
+checkFairness(crookedGames);
+checkFairness(crookedGames);
+checkFairness(honestGames);
+unsubscribeFairness();
+assert(
+  fairnessEvents.length === 2 &&
+    fairnessEvents[0].type === 'fairness' &&
+    fairnessEvents[0].data.raised.includes('house_edge') &&
+    fairnessEvents[1].data.cleared.includes('house_edge') &&
+    fairnessEvents[1].data.alerts.length === 0,
+  'Alerts are published once when raised and once when cleared, to every subscriber'
+);
+const storedFairness = fairnessReport();
+assert(storedFairness.games === Math.min(config.fairness.window, storage.get('SELECT COUNT(*) AS n FROM games').n), 'The report reads the most recent games');
+
+// ── HTTP API ─────────────────────────────────────────────
+console.log('\n🌐 HTTP API');
+
+resetRateLimits();
+const apiServer = createServer();
+await new Promise((resolve) => apiServer.listen(0, '127.0.0.1', resolve));
+const apiBase = `http://127.0.0.1:${apiServer.address().port}`;
+
+// Call the running app: resolves with { status, headers, body }
+async function api(method, urlPath, { headers = {}, body } = {}) {
+  const res = await fetch(apiBase + urlPath, {
+    method,
+    headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Not every response is JSON (e.g. a body the server refused to read)
+  }
+  return { status: res.status, headers: res.headers, body: json };
+}
+
+const issued = await api('GET', '/commit');
+assert(
+  issued.status === 200 &&
+    issued.headers.get('x-server-seed-hash') === issued.body.server_seed_hash &&
+    getCommitment(issued.body.server_seed_hash)?.status === 'pending',
+  'GET /commit stores a pending commitment and returns its hash'
+);
+assert(issued.headers.get('ratelimit-limit') === String(config.rateLimit.roll.max), 'GET /commit counts against the roll limit');
+assert((await api('GET', '/commit?payment_hash=nothex')).body?.error === 'invalid_payment_hash', 'GET /commit rejects a bad payment hash');
+
+const noCommitment = await api('GET', '/roll?target=32768&bet=100');
+assert(
+  noCommitment.status === 428 &&
+    noCommitment.body.error === 'commitment_required' &&
+    noCommitment.headers.get('x-server-seed-hash') === noCommitment.body.commitment.server_seed_hash,
+  'A roll without a commitment gets 428 with a fresh one'
+);
+const unknownCommitment = await api('GET', '/roll?target=32768&bet=100', {
+  headers: { 'X-Server-Seed-Hash': commitSeed(generateServerSeed()) },
+});
+assert(
+  unknownCommitment.status === 409 && unknownCommitment.body.reason === 'not_found',
+  'A roll against an unknown commitment is refused'
+);
+const committedRoll = await api('GET', '/roll?target=32768&bet=100', {
+  headers: { 'X-Server-Seed-Hash': issued.body.server_seed_hash },
+});
+assert(
+  committedRoll.status === 200 && committedRoll.body.server_seed_hash === issued.body.server_seed_hash,
+  'A roll against its commitment is played'
+);
+const playedEdge = config.game.houseEdge;
+config.game.houseEdge = 0.03;
+const reverified = await api('GET', `/verify/${committedRoll.body.game_id}`);
+const reverifiedOffline = verifyRecord(reverified.body);
+config.game.houseEdge = playedEdge;
+assert(
+  reverified.body.verified === true &&
+    reverified.body.house_edge === playedEdge &&
+    reverifiedOffline.status === 'verified',
+  'A game still verifies at the house edge it was played at after HOUSE_EDGE changes'
+);
+const reusedCommitment = await api('GET', '/roll?target=32768&bet=100', {
+  headers: { 'X-Server-Seed-Hash': issued.body.server_seed_hash },
+});
+assert(
+  reusedCommitment.status === 409 && reusedCommitment.body.reason === 'already_used',
+  'A commitment cannot be rolled against twice'
+);
+
+const savedApiRollLimit = { ...config.rateLimit.roll };
+config.rateLimit.roll = { windowSeconds: 60, max: 2 };
+resetRateLimits();
+const commitFlood = [];
+for (let i = 0; i < 3; i++) commitFlood.push((await api('GET', '/commit')).status);
+assert(commitFlood.join() === '200,200,429', 'GET /commit is rate limited');
+config.rateLimit.roll = savedApiRollLimit;
+resetRateLimits();
+
+const savedL402 = { ...config.l402 };
+config.l402.enabled = true;
+config.l402.rootKey = '';
+assert(
+  /L402_ROOT_KEY/.test(await start().then(() => '', (err) => err.message)),
+  'The server refuses to start with L402 verification on and no root key'
+);
+config.l402.rootKey = rootKey;
+const l402Commitment = (await api('GET', '/commit')).body.server_seed_hash;
+const forgedRoll = await api('GET', '/roll?target=32768&bet=100', {
+  headers: { Authorization: `L402 ${forgedMacaroon}:${forgedPreimage}`, 'X-Server-Seed-Hash': l402Commitment },
+});
+assert(
+  forgedRoll.status === 401 && forgedRoll.body.reason === 'invalid_signature' && getCommitment(l402Commitment).status === 'pending',
+  'A roll paid with a forged macaroon is refused'
+);
+const paidPreimage = crypto.randomBytes(32).toString('hex');
+const paidMacaroon = mintMacaroon({
+  rootKey,
+  paymentHash: crypto.createHash('sha256').update(Buffer.from(paidPreimage, 'hex')).digest('hex'),
+  caveats: ['bet=100', `server_seed_hash=${l402Commitment}`],
+});
+const paidRoll = await api('GET', '/roll?target=32768&bet=100', {
+  headers: { Authorization: `L402 ${paidMacaroon}:${paidPreimage}`, 'X-Server-Seed-Hash': l402Commitment },
+});
+assert(paidRoll.status === 200 && paidRoll.body.client_entropy === paidPreimage, 'A roll paid with a minted macaroon is played');
+Object.assign(config.l402, savedL402);
+
+const apiLnd = await startFakeLnd({ macaroon: lndMacaroon });
+Object.assign(config.lnd, { restUrl: apiLnd.url, macaroonPath: path.join(tmpDir, 'admin.macaroon'), timeoutSeconds: 1 });
+config.payout.backend = 'lnd';
+const { account: apiAccount, token: apiCreditToken } = createCreditAccount({ playerPubkey: winnerPubkey });
+creditWinnings(apiAccount.id, 1000, 'g_apiwd001');
+const withdraw = (amount) =>
+  api('POST', '/withdraw', { headers: { 'X-Credit-Token': apiCreditToken }, body: { amount_sats: amount } });
+assert((await api('POST', '/withdraw', { body: { amount_sats: 10 } })).status === 401, 'POST /withdraw needs a credit token');
+assert((await withdraw(5000)).body.error === 'invalid_amount', 'POST /withdraw refuses more than the balance');
+apiLnd.failNext('no_route');
+const refunded = await withdraw(300);
+assert(
+  refunded.status === 502 && refunded.body.reason === 'no_route' && refunded.body.balance_sats === 1000,
+  'A withdrawal that definitely failed answers 502 and refunds the balance'
+);
+apiLnd.failNext('timeout');
+const inFlight = await withdraw(300);
+assert(
+  inFlight.status === 202 &&
+    inFlight.body.status === 'pending' &&
+    inFlight.body.reason === 'timeout' &&
+    inFlight.body.balance_sats === 700 &&
+    getPayout(inFlight.body.withdrawal_id).payout_preimage !== null,
+  'A timed-out withdrawal answers 202 pending and keeps the balance debited'
+);
+const withdrawn = await withdraw(200);
+assert(
+  withdrawn.status === 200 && withdrawn.body.status === 'sent' && withdrawn.body.balance_sats === 500,
+  'A withdrawal that goes through answers 200 sent'
+);
+const withdrawals = (await api('GET', '/balance', { headers: { 'X-Credit-Token': apiCreditToken } })).body.withdrawals;
+assert(
+  withdrawals.map((w) => w.payout_status).join() === 'sent,failed,reversed',
+  'GET /balance lists the withdrawals and their status'
+);
+Object.assign(config.lnd, savedLnd);
+config.payout.backend = savedBackend;
+await apiLnd.close();
+
+// /roll/batch error paths
+const batch = (body, headers = {}) => api('POST', '/roll/batch', { headers, body });
+const twoRounds = [
+  { bet: 100, target: 32768 },
+  { bet: 100, target: 32768 },
+];
+assert((await batch({ rounds: [] })).body.error === 'invalid_batch', 'POST /roll/batch refuses an empty batch');
+const badRound = await batch({ rounds: [{ bet: 100, target: 32768 }, { bet: 100, target: 70000 }] });
+assert(badRound.status === 400 && badRound.body.round === 1, 'A bad round is reported with its index');
+const inheritedModes = await Promise.all(
+  ['__proto__', 'toString'].flatMap((mode) => [
+    api('GET', `/roll?mode=${mode}&target=32768&bet=100`),
+    api('GET', `/odds?mode=${mode}&target=32768`),
+    batch({ rounds: [{ bet: 100, target: 32768, mode }] }),
+  ])
+);
+assert(
+  inheritedModes.every((r) => r.status === 400 && r.body.error === 'invalid_mode'),
+  '?mode=__proto__ and ?mode=toString are invalid modes on /roll, /odds and /roll/batch'
+);
+const savedBatchExposure = config.risk.maxOpenExposure;
+config.risk.maxOpenExposure = (getBetLimits(32768).openExposureSats + 300) / getBankrollBalance();
+assert(
+  (await batch({ rounds: twoRounds, payout: 'carrier_pigeon' })).body.error === 'invalid_payout_method',
+  'An unknown payout method is refused before the exposure check'
+);
+assert(
+  (await batch({ rounds: twoRounds, client_seed: 'not a seed!' })).body.error === 'invalid_client_seed',
+  'A malformed client seed is refused before the exposure check'
+);
+const overExposed = await batch({ rounds: twoRounds });
+assert(
+  overExposed.body.error === 'over_exposure' && overExposed.body.max_payout_sats > 300,
+  'A batch the house could not cover if every round won is refused'
+);
+config.risk.maxOpenExposure = savedBatchExposure;
+assert(
+  (await batch({ rounds: twoRounds, payout: 'invoice' })).body.error === 'missing_payout_invoice',
+  'payout=invoice needs X-Payout-Invoice'
+);
+assert(
+  (await batch({ rounds: twoRounds }, { 'X-Credit-Token': 'cdt_wrong' })).status === 401,
+  'An unknown credit token is refused'
+);
+const uncommittedBatch = await batch({ rounds: twoRounds });
+assert(
+  uncommittedBatch.status === 428 && uncommittedBatch.body.error === 'commitment_required',
+  'A batch without a commitment gets 428 and a fresh commitment'
+);
+const batchCommitment = { 'X-Server-Seed-Hash': uncommittedBatch.body.commitment.server_seed_hash };
+const playedBatch = await batch({ rounds: twoRounds }, batchCommitment);
+assert(playedBatch.status === 200 && playedBatch.body.rounds.length === 2, 'A committed batch plays every round');
+const replayedBatch = await batch({ rounds: twoRounds }, batchCommitment);
+assert(
+  replayedBatch.status === 409 && replayedBatch.body.reason === 'already_used',
+  'A batch cannot reuse a commitment'
+);
+
+// Tournament join and round error paths, and /verify for a round
+const apiCup = saveTournament(
+  parseTournamentRequest({ name: 'API Cup', entry_fee_sats: 100, rounds: 1, duration_seconds: 3600 }).tournament
+);
+const upcomingCup = saveTournament(
+  parseTournamentRequest({
+    name: 'Later Cup',
+    entry_fee_sats: 100,
+    rounds: 1,
+    starts_at: new Date(Date.now() + 3600_000).toISOString(),
+    duration_seconds: 3600,
+  }).tournament
+);
+const cupPlayer = nodeKey().pubkey;
+const { token: cupPlayerToken } = createCreditAccount({ playerPubkey: cupPlayer, pubkeyProven: true });
+const cupPlayerHeaders = { 'X-Player-Pubkey': cupPlayer, 'X-Credit-Token': cupPlayerToken };
+const join = (cupId, headers = {}, body = {}) => api('POST', `/tournaments/${cupId}/join`, { headers, body });
+assert((await join('t_missing', cupPlayerHeaders)).status === 404, 'Joining an unknown tournament is 404');
+assert((await join(apiCup.id)).body.error === 'pubkey_required', 'Joining needs X-Player-Pubkey');
+assert(
+  (await join(apiCup.id, cupPlayerHeaders, { source: 'iou' })).body.error === 'invalid_source',
+  'Joining refuses an unknown fee source'
+);
+assert(
+  (await join(apiCup.id, { 'X-Player-Pubkey': cupPlayer }, { source: 'credit' })).status === 401,
+  'Joining from credit needs a credit token'
+);
+const unprovenJoin = await join(apiCup.id, { 'X-Player-Pubkey': cupPlayer }, { client_seed: 'mine' });
+assert(
+  unprovenJoin.status === 403 && unprovenJoin.body.error === 'pubkey_not_proven',
+  "Joining as a pubkey the request hasn't proven is refused"
+);
+const { token: unprovenCupToken } = createCreditAccount({ playerPubkey: cupPlayer });
+assert(
+  (await join(apiCup.id, { 'X-Player-Pubkey': cupPlayer, 'X-Credit-Token': unprovenCupToken }, { client_seed: 'mine' }))
+    .status === 403,
+  'An account pubkey taken from the header does not prove it either'
+);
+const seedlessJoin = await join(apiCup.id, cupPlayerHeaders);
+assert(
+  seedlessJoin.status === 400 && seedlessJoin.body.error === 'client_seed_required',
+  'Joining needs a client seed from the player'
+);
+const joined = await join(apiCup.id, cupPlayerHeaders, { client_seed: 'cup-seed' });
+assert(
+  joined.status === 201 && joined.body.tournament_token && joined.body.client_seed === 'cup-seed',
+  "Joining answers 201 with a tournament token, rolling the player's client seed"
+);
+const rejoined = await join(apiCup.id, cupPlayerHeaders, { client_seed: 'cup-seed' });
+assert(rejoined.status === 409 && rejoined.body.error === 'already_joined', 'Joining twice answers 409');
+const lateEntry = await join(upcomingCup.id, cupPlayerHeaders, { client_seed: 'cup-seed' });
+
+const cupRoll = (cupId, token, query, headers = {}) =>
+  api('GET', `/tournaments/${cupId}/roll?${query}`, { headers: { 'X-Tournament-Token': token, ...headers } });
+const apiCupToken = joined.body.tournament_token;
+assert(
+  (await cupRoll(apiCup.id, 'tnt_wrong', 'target=32768')).body.error === 'invalid_tournament_token',
+  'A round needs a valid tournament token'
+);
+assert(
+  (await cupRoll(upcomingCup.id, apiCupToken, 'target=32768')).status === 401,
+  "A token doesn't play in another tournament"
+);
+assert(
+  (await cupRoll(upcomingCup.id, lateEntry.body.tournament_token, 'target=32768')).body.error ===
+    'tournament_not_started',
+  "Rounds can't be played before the tournament starts"
+);
+assert((await cupRoll(apiCup.id, apiCupToken, 'target=0')).body.error === 'invalid_target', 'A round needs a valid target');
+const uncommittedRound = await cupRoll(apiCup.id, apiCupToken, 'target=32768');
+assert(uncommittedRound.status === 428, 'A round without a commitment gets 428 and a fresh commitment');
+const roundCommitment = { 'X-Server-Seed-Hash': uncommittedRound.body.commitment.server_seed_hash };
+const playedRound = await cupRoll(apiCup.id, apiCupToken, 'target=32768', roundCommitment);
+assert(playedRound.status === 200 && playedRound.body.rounds_left === 0, 'A committed round is played');
+assert(
+  (await cupRoll(apiCup.id, apiCupToken, 'target=32768', roundCommitment)).body.error === 'no_rounds_left',
+  'An entry plays no more than its rounds'
+);
+const verifiedRound = await api('GET', playedRound.body.verify_url);
+assert(
+  verifiedRound.status === 200 &&
+    verifiedRound.body.verified === true &&
+    verifiedRound.body.tournament_id === apiCup.id &&
+    verifiedRound.body.client_seed === joined.body.client_seed,
+  'GET /verify checks a tournament round'
+);
+const loggedRound = getAuditEntry(playedRound.body.roll_id);
+assert(
+  loggedRound?.leaf_hash === leafHash(auditLeaf(getTournamentRoll(playedRound.body.roll_id))) &&
+    verifiedRound.body.audit_proof_url === `/audit/proof/${playedRound.body.roll_id}`,
+  'A played round is appended to the audit log'
+);
+
+// Interleaved commitments from two clients in chain mode: both can be played
+const savedChainMode = config.seedChain.enabled;
+config.seedChain.enabled = true;
+const chainCount = () => storage.get('SELECT COUNT(*) AS n FROM seed_chains').n;
+const { token: chainOwnerToken } = createCreditAccount({ playerPubkey: nodeKey().pubkey, pubkeyProven: true });
+const { token: otherOwnerToken } = createCreditAccount({ playerPubkey: nodeKey().pubkey, pubkeyProven: true });
+const chainsBeforeRead = chainCount();
+const unreadChain = await api('GET', '/chain', { headers: { 'X-Credit-Token': chainOwnerToken } });
+assert(
+  unreadChain.status === 200 && unreadChain.body.active === null && chainCount() === chainsBeforeRead,
+  'GET /chain shows no active chain before the first commitment, and creates none'
+);
+const firstCommit = await api('GET', '/commit', { headers: { 'X-Credit-Token': chainOwnerToken } });
+const secondCommit = await api('GET', '/commit', { headers: { 'X-Credit-Token': otherOwnerToken } });
+const anonymousCommit = await api('GET', '/commit');
+const rollOn = (commit) =>
+  api('GET', '/roll?target=32768&bet=100', { headers: { 'X-Server-Seed-Hash': commit.body.server_seed_hash } });
+assert(
+  firstCommit.body.chain.chain_id !== secondCommit.body.chain.chain_id &&
+    (await rollOn(secondCommit)).status === 200 &&
+    (await rollOn(firstCommit)).status === 200,
+  'Interleaved chain commitments from two clients are both playable'
+);
+assert(
+  anonymousCommit.body.chain === undefined && (await rollOn(anonymousCommit)).status === 200,
+  'A requester without a proven pubkey gets a standalone seed, not a chain shared by its IP'
+);
+assert(
+  (await api('GET', '/chain', { headers: { 'X-Credit-Token': chainOwnerToken } })).body.active?.chain_id ===
+    firstCommit.body.chain.chain_id,
+  "GET /chain shows the requester's own active chain"
+);
+config.seedChain.enabled = savedChainMode;
+
+// Pubkeys are matched in lowercase, as profiles store them
+const mixedCasePubkey = '03' + 'Ab'.repeat(32);
+const mixedCaseCommit = await api('GET', '/commit');
+const mixedCaseRoll = await api('GET', '/roll?target=32768&bet=100', {
+  headers: { 'X-Server-Seed-Hash': mixedCaseCommit.body.server_seed_hash, 'X-Player-Pubkey': mixedCasePubkey },
+});
+assert(
+  getGame(mixedCaseRoll.body.game_id).player_pubkey === mixedCasePubkey.toLowerCase(),
+  'X-Player-Pubkey is stored in lowercase'
+);
+assert(
+  (await api('GET', `/player/${mixedCasePubkey.toUpperCase()}`)).body.stats?.games === 1,
+  "GET /player/:pubkey finds a player's games whatever the case"
+);
+
+// /audit/check: a roots file in, bounded in size and rate-limited before parsing
+const pinnedRoots = await api('GET', '/audit/roots');
+const checkedRoots = await api('POST', '/audit/check', { body: pinnedRoots.body });
+assert(checkedRoots.status === 200 && checkedRoots.body.ok, 'POST /audit/check accepts a pinned roots file');
+assert(
+  (await api('POST', '/audit/check', { body: { roots: 'nope' } })).body.error === 'invalid_roots_file',
+  'POST /audit/check refuses a body that is not a roots file'
+);
+const oversizedRoots = JSON.stringify({ ...pinnedRoots.body, padding: 'x'.repeat(600 * 1024) });
+const tooLarge = await api('POST', '/audit/check', { body: oversizedRoots });
+assert(
+  tooLarge.status === 413 && tooLarge.body.error === 'roots_file_too_large',
+  'POST /audit/check refuses a body over AUDIT_CHECK_BODY_LIMIT'
+);
+const savedAuditReadLimit = { ...config.rateLimit.read };
+config.rateLimit.read = { windowSeconds: 60, max: 1 };
+resetRateLimits();
+await api('POST', '/audit/check', { body: pinnedRoots.body });
+assert(
+  (await api('POST', '/audit/check', { body: oversizedRoots })).status === 429,
+  'POST /audit/check is rate-limited before its body is read'
+);
+config.rateLimit.read = savedAuditReadLimit;
+resetRateLimits();
+
+// A credit account's pubkey counts only once a signature proved it: the one
+// from the header of the roll that opened the account proves nothing
+const carol = nodeKey();
+const { token: carolToken } = createCreditAccount({ playerPubkey: carol.pubkey });
+const carolChallenge = await api('POST', '/profile/challenge', {
+  headers: { 'X-Player-Pubkey': carol.pubkey },
+  body: { alias: 'carol_api' },
+});
+const provenProfile = (token) =>
+  api('POST', '/profile', {
+    headers: { 'X-Credit-Token': token },
+    body: { challenge: carolChallenge.body.challenge, signature: signMessage(carolChallenge.body.challenge, carol.privateKey) },
+  });
+assert(
+  (await provenProfile('cdt_wrong')).body.error === 'invalid_credit_token',
+  'POST /profile refuses an unknown credit token'
+);
+
+// Streaks only follow a pubkey the player has proven
+const savedStreakMode = config.streak.enabled;
+config.streak.enabled = true;
+const streakRoll = async (headers) => {
+  const commit = await api('GET', '/commit');
+  return api('GET', '/roll?target=32768&bet=100', {
+    headers: { 'X-Server-Seed-Hash': commit.body.server_seed_hash, ...headers },
+  });
+};
+const spoofedStreak = await streakRoll({ 'X-Player-Pubkey': winnerPubkey });
+assert(
+  spoofedStreak.status === 200 && spoofedStreak.body.streak === undefined,
+  "A bare X-Player-Pubkey header doesn't play under that player's streak"
+);
+const unprovenStreak = await streakRoll({ 'X-Player-Pubkey': carol.pubkey, 'X-Credit-Token': carolToken });
+assert(
+  unprovenStreak.status === 200 && unprovenStreak.body.streak === undefined,
+  "An account pubkey that came from a header doesn't play under that player's streak"
+);
+const proven = await provenProfile(carolToken);
+assert(
+  proven.status === 200 && proven.body.credit_pubkey_proven === true,
+  'A signed profile challenge sent with X-Credit-Token proves the account pubkey'
+);
+const provenStreak = await streakRoll({ 'X-Player-Pubkey': carol.pubkey, 'X-Credit-Token': carolToken });
+assert(
+  provenStreak.status === 200 && provenStreak.body.streak !== undefined,
+  "A credit account's proven pubkey builds its streak"
+);
+config.streak.enabled = savedStreakMode;
+
+// Rate limits and blocks only key on a pubkey the client has proven
+blockClient(`pubkey:${winnerPubkey}`, { reason: 'spam' });
+assert(
+  (await api('GET', '/chain', { headers: { 'X-Player-Pubkey': winnerPubkey } })).status !== 403,
+  "A bare X-Player-Pubkey header can't run into another player's block"
+);
+assert(
+  (await api('GET', '/chain', { headers: { 'X-Credit-Token': apiCreditToken } })).status !== 403,
+  "An account opened under another player's pubkey can't run into their block"
+);
+unblockClient(`pubkey:${winnerPubkey}`);
+blockClient(`pubkey:${carol.pubkey}`, { reason: 'spam' });
+assert(
+  (await api('GET', '/chain', { headers: { 'X-Credit-Token': carolToken } })).status === 403,
+  "A credit account's proven pubkey is blocked"
+);
+unblockClient(`pubkey:${carol.pubkey}`);
+const { token: spoofedCarolToken } = createCreditAccount({ playerPubkey: carol.pubkey });
+const savedLimitKeys = config.rateLimit.keys;
+const savedPubkeyReadLimit = { ...config.rateLimit.read };
+Object.assign(config.rateLimit, { keys: ['pubkey'], read: { windowSeconds: 60, max: 1 } });
+resetRateLimits();
+const spoofedReads = await Promise.all(
+  [1, 2].map(() => api('GET', '/chain', { headers: { 'X-Credit-Token': spoofedCarolToken } }))
+);
+const carolReads = await Promise.all([1, 2].map(() => api('GET', '/chain', { headers: { 'X-Credit-Token': carolToken } })));
+assert(
+  spoofedReads.every((r) => r.status !== 429) && carolReads.map((r) => r.status).includes(429),
+  "An account opened under another player's pubkey doesn't spend their rate limit"
+);
+Object.assign(config.rateLimit, { keys: savedLimitKeys, read: savedPubkeyReadLimit });
+resetRateLimits();
+
+// Open a /ws upgrade: resolves with the response head (and body, if refused)
+async function upgradeWs() {
+  const wsSocket = net.connect(apiServer.address().port, '127.0.0.1');
+  wsSocket.write(
+    `GET /ws HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+      `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 13\r\n\r\n`
+  );
+  const head = await readUntil(wsSocket, (t) => (t.startsWith('HTTP/1.1 101') ? t.includes('\r\n\r\n') : t.includes('}')));
+  wsSocket.destroy();
+  return head;
+}
+
+blockClient('ip:127.0.0.1', { reason: 'flood' });
+const blockedWs = await upgradeWs();
+assert(
+  blockedWs.startsWith('HTTP/1.1 403') && blockedWs.includes('"reason":"flood"'),
+  'A blocked client is refused a /ws upgrade'
+);
+unblockClient('ip:127.0.0.1');
+const savedReadLimit = { ...config.rateLimit.read };
+config.rateLimit.read = { windowSeconds: 60, max: 1 };
+resetRateLimits();
+assert((await upgradeWs()).startsWith('HTTP/1.1 101'), 'A /ws upgrade within the read limit is accepted');
+const limitedWs = await upgradeWs();
+assert(
+  limitedWs.startsWith('HTTP/1.1 429') && /Retry-After: \d+/.test(limitedWs),
+  '/ws upgrades count against the read limit'
+);
+config.rateLimit.read = savedReadLimit;
+resetRateLimits();
+
+apiServer.closeAllConnections();
+await new Promise((resolve) => apiServer.close(resolve));
+
+// ── Legacy Payouts ───────────────────────────────────────
+console.log('\n🗄️  Legacy Payouts');
+
+// A database as the baseline server left it: wins saved 'pending' and paid on
+// the spot, with no record of whether the payment went out
+closeDb();
+const legacyPayoutsPath = path.join(tmpDir, 'legacy-payouts.db');
+const baselineDb = await openStorage({ driver: storage.driver, path: legacyPayoutsPath });
+baselineDb.run(`CREATE TABLE games (id TEXT PRIMARY KEY, roll INTEGER NOT NULL, target INTEGER NOT NULL,
+  result TEXT NOT NULL, bet_sats INTEGER NOT NULL, multiplier REAL NOT NULL, payout_sats INTEGER NOT NULL,
+  payout_method TEXT DEFAULT 'keysend', payout_status TEXT DEFAULT 'pending', server_seed TEXT NOT NULL,
+  server_seed_hash TEXT NOT NULL, client_entropy TEXT NOT NULL, player_pubkey TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')))`);
+for (const [id, roll, result, payoutSats] of [
+  ['g_base0001', 100, 'win', 197],
+  ['g_base0002', 40000, 'loss', 0],
+  ['g_base0003', 200, 'win', 197],
+]) {
+  baselineDb.run(
+    `INSERT INTO games (id, roll, target, result, bet_sats, multiplier, payout_sats, payout_status,
+       server_seed, server_seed_hash, client_entropy, player_pubkey)
+     VALUES (?, ?, 32768, ?, 100, 1.97, ?, ?, 'x', ?, 'e', ?)`,
+    [id, roll, result, payoutSats, result === 'win' ? 'pending' : 'n/a', commitSeed('x'), winnerPubkey]
+  );
+}
+// …and a tournament round played before rounds were logged
+baselineDb.run(`CREATE TABLE tournament_rolls (id TEXT PRIMARY KEY, tournament_id TEXT NOT NULL,
+  entry_id TEXT NOT NULL, player_pubkey TEXT NOT NULL, round INTEGER NOT NULL, roll INTEGER NOT NULL,
+  target INTEGER NOT NULL, result TEXT NOT NULL, multiplier REAL NOT NULL, points INTEGER NOT NULL,
+  server_seed TEXT NOT NULL, server_seed_hash TEXT NOT NULL, client_entropy TEXT NOT NULL, created_at TEXT NOT NULL)`);
+baselineDb.run(
+  `INSERT INTO tournament_rolls VALUES ('tr_base0001', 't_base', 'te_base', ?, 0, 100, 32768, 'win', 1.97, 197,
+     'x', ?, 's:0', '2024-01-01T00:00:00.000Z')`,
+  [winnerPubkey, commitSeed('x')]
+);
+baselineDb.close();
+
+Object.assign(config.db, { driver: storage.driver, path: legacyPayoutsPath });
+await initDb();
+const legacyRetry = await retryDuePayouts();
+assert(
+  legacyRetry.attempted === 0 &&
+    getGame('g_base0001').payout_status === 'legacy_unknown' &&
+    getGame('g_base0003').payout_status === 'legacy_unknown' &&
+    getGame('g_base0002').payout_status === 'n/a',
+  'Wins from before the payout queue are parked, not paid again'
+);
+assert(getGame('g_base0002').house_edge === config.game.houseEdge, 'Earlier games are given the configured house edge');
+assert(
+  getStuckPayouts().filter((p) => p.payout_status === 'legacy_unknown').length === 2,
+  'Parked wins are listed for an operator to review'
+);
+assert(
+  requeuePayout('g_base0001') && getRetryablePayouts().map((p) => p.id).join() === 'g_base0001',
+  'An operator can requeue a parked win'
+);
+const legacyRound = getAuditEntry('tr_base0001');
+assert(
+  legacyRound?.seq === 4 && legacyRound.leaf_hash === leafHash(auditLeaf(getTournamentRoll('tr_base0001'))),
+  'Rounds played before the log are appended after the games'
+);
+closeDb();
+
 // ── Summary ──────────────────────────────────────────────
 console.log('\n═══════════════════════════════════════');
 console.log(`  ${passed} passed, ${failed} failed`);
 console.log('');
 
+fs.rmSync(tmpDir, { recursive: true, force: true });
 process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,237 @@
+import config from './config.js';
+import { resolveGame } from './dice.js';
+import { getEndedTournaments, getTournamentStandings, settleTournamentRecord } from './db.js';
+import { recordTournament } from './bankroll.js';
+import { payGame } from './payout-queue.js';
+
+/**
+ * ClawDice — Tournaments
+ *
+ * An operator opens a tournament (POST /admin/tournaments) with an entry fee,
+ * a number of rounds, the targets players may pick and a time window. Players
+ * join by paying the fee (L402 or credit) and get a tournament token; each of
+ * their N rounds is a roll-under at a target of their choice, played against
+ * a committed server seed like any other roll:
+ *
+ *   roll   = HMAC-SHA256(server_seed, client_seed + ":" + round) → u16
+ *   points = floor(ROUND_STAKE × multiplier) on a win, 0 on a loss
+ *
+ * with the multiplier as shown on the roll (three decimals), so /verify can
+ * recompute the points even after the house edge changes.
+ *
+ * Tournament rolls stake no sats and count only toward the tournament's own
+ * leaderboard (most points, ties to whoever got there first). Once the window
+ * closes the worker settles it: the pool — the entry fees less the rake — is
+ * split by rank (prize_split) and each prize is paid by keysend through the
+ * payout queue as a 'p_…' payout.
+ */
+
+// Notional stake of every tournament round, in points
+export const ROUND_STAKE = 100;
+
+export const MAX_ROUNDS = 1000;
+
+let timer = null;
+let running = false;
+
+function invalid(message) {
+  return { error: { error: 'invalid_tournament', message } };
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate an admin request body: { name, entry_fee_sats, rounds, targets?,
+ * starts_at?, ends_at | duration_seconds, rake?, prize_split? }. Returns
+ * { tournament } ready for saveTournament, or { error } with a 400 body.
+ */
+export function parseTournamentRequest(body = {}) {
+  const { name, entry_fee_sats: entryFeeSats, rounds, targets = null } = body;
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+    return invalid('name must be 1–64 characters');
+  }
+  if (!Number.isInteger(entryFeeSats) || entryFeeSats < 1) {
+    return invalid('entry_fee_sats must be a positive whole number of sats');
+  }
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+    return invalid(`rounds must be between 1 and ${MAX_ROUNDS}`);
+  }
+  if (
+    targets !== null &&
+    (!Array.isArray(targets) ||
+      !targets.length ||
+      !targets.every((t) => Number.isInteger(t) && t >= 1 && t <= config.game.maxRoll))
+  ) {
+    return invalid(`targets must be a list of roll-under targets between 1 and ${config.game.maxRoll}`);
+  }
+
+  const startsAt = body.starts_at === undefined ? new Date() : parseDate(body.starts_at);
+  if (!startsAt) return invalid('starts_at must be an ISO 8601 date');
+  let endsAt;
+  if (body.ends_at !== undefined) {
+    endsAt = parseDate(body.ends_at);
+  } else if (Number.isInteger(body.duration_seconds) && body.duration_seconds > 0) {
+    endsAt = new Date(startsAt.getTime() + body.duration_seconds * 1000);
+  }
+  if (!endsAt) return invalid('Set ends_at (ISO 8601) or a positive duration_seconds');
+  if (endsAt <= startsAt || endsAt <= new Date()) {
+    return invalid('The tournament must end after it starts, and in the future');
+  }
+
+  const rake = body.rake ?? config.tournament.rake;
+  if (typeof rake !== 'number' || rake < 0 || rake >= 1) {
+    return invalid('rake must be a share of the entry fees, from 0 up to (not including) 1');
+  }
+  const prizeSplit = body.prize_split ?? config.tournament.prizeSplit;
+  if (
+    !Array.isArray(prizeSplit) ||
+    !prizeSplit.length ||
+    !prizeSplit.every((share) => typeof share === 'number' && share > 0) ||
+    Math.abs(prizeSplit.reduce((sum, share) => sum + share, 0) - 1) > 1e-9
+  ) {
+    return invalid('prize_split must be positive shares by rank that add up to 1, e.g. [0.5, 0.3, 0.2]');
+  }
+
+  return {
+    tournament: {
+      name: name.trim(),
+      entryFeeSats,
+      rounds,
+      targets: targets && [...new Set(targets)].sort((a, b) => a - b),
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      rake,
+      prizeSplit,
+    },
+  };
+}
+
+// 'upcoming' | 'running' | 'ended' (waiting to be settled) | 'finished'
+export function tournamentStatus(tournament, now = new Date().toISOString()) {
+  if (tournament.status === 'finished') return 'finished';
+  if (now < tournament.starts_at) return 'upcoming';
+  return now < tournament.ends_at ? 'running' : 'ended';
+}
+
+// Whether `target` may be played in this tournament
+export function allowsTarget(tournament, target) {
+  if (!Number.isInteger(target) || target < 1 || target > config.game.maxRoll) return false;
+  return !tournament.targets || tournament.targets.includes(target);
+}
+
+/**
+ * Resolve one tournament round. Entropy is the entry's client seed and the
+ * round index, so every round of an entry rolls differently under a fresh
+ * committed seed. Returns the resolved roll plus its points.
+ */
+export function playTournamentRound({ entry, round, target, serverSeed }) {
+  const gameResult = resolveGame({
+    target,
+    betSats: ROUND_STAKE,
+    serverSeed,
+    clientEntropy: `${entry.client_seed}:${round}`,
+  });
+  return { ...gameResult, points: roundPoints(gameResult.result, gameResult.multiplier) };
+}
+
+// Points a round scores from its result and (rounded) multiplier
+export function roundPoints(result, multiplier) {
+  if (result !== 'win') return 0;
+  return Math.floor((Math.round(multiplier * 1000) * ROUND_STAKE) / 1000);
+}
+
+// Prize pool: the entry fees less the rake, rounded down to whole sats
+export function prizePool(tournament, entrants) {
+  return Math.floor(entrants * tournament.entry_fee_sats * (1 - tournament.rake));
+}
+
+/**
+ * Split a pool among the top `entrants` ranks. With fewer entrants than
+ * paid ranks, the shares that are used are scaled up so the whole pool is
+ * still paid out; rounding leftovers go to first place.
+ */
+export function splitPrizePool(poolSats, split, entrants) {
+  const shares = split.slice(0, entrants);
+  const total = shares.reduce((sum, share) => sum + share, 0);
+  if (!shares.length || poolSats <= 0) return shares.map(() => 0);
+  const prizes = shares.map((share) => Math.floor((poolSats * share) / total));
+  prizes[0] += poolSats - prizes.reduce((sum, prize) => sum + prize, 0);
+  return prizes;
+}
+
+/**
+ * Rank the entries of an ended tournament, record the prizes and take them
+ * out of the bankroll. Returns the queued prize payouts, or null if the
+ * tournament was already settled.
+ */
+export function settleTournament(tournament) {
+  const standings = getTournamentStandings(tournament.id);
+  const prizePoolSats = prizePool(tournament, standings.length);
+  const amounts = splitPrizePool(prizePoolSats, tournament.prize_split, standings.length);
+  const prizes = standings.map((entry, i) => ({
+    entryId: entry.id,
+    rank: i + 1,
+    playerPubkey: entry.player_pubkey,
+    prizeSats: amounts[i] || 0,
+  }));
+
+  const saved = settleTournamentRecord(tournament.id, { prizePoolSats, prizes });
+  if (!saved) return null;
+  for (const prize of saved) {
+    recordTournament({ event: 'tournament_prize', amountSats: -prize.payout_sats, tournamentId: tournament.id });
+  }
+  return saved;
+}
+
+// One pass of the settle worker: settle every ended tournament and pay its prizes
+export async function settleEndedTournaments() {
+  if (running) return { settled: 0 };
+  running = true;
+  let settled = 0;
+  try {
+    for (const tournament of getEndedTournaments()) {
+      const prizes = settleTournament(tournament);
+      if (!prizes) continue;
+      settled++;
+      console.log(`  Tournament ${tournament.id} settled: ${prizes.length} prize(s)`);
+      for (const prize of prizes) await payGame(prize.id);
+    }
+  } finally {
+    running = false;
+  }
+  return { settled };
+}
+
+export function startTournamentWorker() {
+  timer = setInterval(() => {
+    settleEndedTournaments().catch((err) => console.error('Tournament worker error:', err));
+  }, config.tournament.settleIntervalSeconds * 1000);
+  timer.unref();
+}
+
+export function stopTournamentWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Public view of a tournament
+export function tournamentInfo(tournament, entrants) {
+  return {
+    tournament_id: tournament.id,
+    name: tournament.name,
+    status: tournamentStatus(tournament),
+    entry_fee_sats: tournament.entry_fee_sats,
+    rounds: tournament.rounds,
+    targets: tournament.targets || 'any',
+    starts_at: tournament.starts_at,
+    ends_at: tournament.ends_at,
+    rake: tournament.rake,
+    prize_split: tournament.prize_split,
+    entrants,
+    prize_pool_sats: tournament.prize_pool_sats ?? prizePool(tournament, entrants),
+    ...(tournament.settled_at && { settled_at: tournament.settled_at }),
+  };
+}
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import config from './config.js';
+import { GAME_MODES, isGameMode, ROLL_VERSIONS, ROLL_ALGORITHMS, commitSeed, recomputeRoll, checkOutcome } from './dice.js';
+
+/**
+ * ClawDice — Offline verifier
+ *
+ * Re-checks games from their JSON alone — no network, no database — doing
+ * every step of /verify's how_to_verify: the seed commitment, the HMAC roll,
+ * win / loss, the multiplier the odds pay at the house edge, and the payout
+ * rounding. It reads
+ *
+ *   a game           the body of GET /verify/:game_id, or a games row
+ *   a /recent dump   { games: [...] } — no seeds, so only the outcome is checked
+ *   a full export    an array of games rows, e.g.
+ *                    sqlite3 -json clawdice.db 'SELECT * FROM games'
+ *
+ * From the command line (exits 1 if any game fails, 2 on bad usage):
+ *
+ *   clawdice-verify games.json [more.json …] [--house-edge 0.015] [--json]
+ *   curl -s https://…/verify/g_4062ca42 | clawdice-verify -
+ *
+ * or import verifyRecord / verifyRecords. Each game is checked at the house
+ * edge it records (house_edge); for records without one it defaults to
+ * HOUSE_EDGE — pass the one the operator advertised.
+ */
+
+export const CHECKS = ['commitment', 'roll', 'result', 'multiplier', 'payout'];
+
+// The first of `names` that `record` has a value for
+function pick(record, ...names) {
+  for (const name of names) {
+    if (record[name] !== undefined && record[name] !== null) return record[name];
+  }
+  return undefined;
+}
+
+// A game in the shape dice.js takes, from a games row, a /verify body or a /recent entry
+export function normalizeGame(record) {
+  const mode = pick(record, 'mode') ?? 'under';
+  const target = pick(record, 'target');
+  let params = pick(record, 'mode_params', 'params', 'modeParams');
+  if (typeof params === 'string') params = JSON.parse(params);
+  // Roll-under and roll-over need nothing beyond the target column
+  if (!params && target !== undefined && (mode === 'under' || mode === 'over')) params = { target };
+
+  return {
+    id: pick(record, 'game_id', 'id') ?? null,
+    serverSeed: pick(record, 'server_seed', 'serverSeed'),
+    serverSeedHash: pick(record, 'server_seed_hash', 'serverSeedHash'),
+    clientEntropy: pick(record, 'client_entropy', 'clientEntropy'),
+    clientSeed: pick(record, 'client_seed', 'clientSeed') ?? null,
+    nonce: pick(record, 'nonce') ?? null,
+    rollVersion: pick(record, 'roll_version', 'rollVersion') ?? 1,
+    rollAlgorithm: pick(record, 'roll_algorithm', 'rollAlgorithm') ?? (isGameMode(mode) ? GAME_MODES[mode].rollAlgorithm : null) ?? 'u16',
+    mode,
+    params: params ?? null,
+    roll: pick(record, 'roll', 'computedRoll'),
+    result: pick(record, 'result'),
+    betSats: pick(record, 'bet_sats', 'betSats'),
+    multiplier: pick(record, 'multiplier'),
+    payoutSats: pick(record, 'payout_sats', 'payoutSats'),
+    // A games row stores the bonus; a /verify body shows it in its streak proof
+    bonusSats: pick(record, 'bonus_sats', 'bonusSats') ?? record.streak?.bonus_sats ?? 0,
+    houseEdge: pick(record, 'house_edge', 'houseEdge'),
+  };
+}
+
+/**
+ * Verify one game record. Each of CHECKS comes out 'pass', 'fail' or 'skip'
+ * (the record lacks what it needs, e.g. a /recent entry has no seeds). The
+ * game is 'verified' if every check passes, 'failed' if any fails, otherwise
+ * 'incomplete'. Returns { game_id, status, checks, problems, expected, … }.
+ */
+export function verifyRecord(record, { houseEdge: defaultEdge = config.game.houseEdge } = {}) {
+  const game = normalizeGame(record);
+  const houseEdge = game.houseEdge ?? defaultEdge;
+  const checks = Object.fromEntries(CHECKS.map((check) => [check, 'skip']));
+  const problems = [];
+  const check = (name, ok, problem) => {
+    checks[name] = ok ? 'pass' : 'fail';
+    if (!ok) problems.push(problem);
+  };
+  const report = (expected = null) => ({
+    game_id: game.id,
+    status: problems.length ? 'failed' : Object.values(checks).every((c) => c === 'pass') ? 'verified' : 'incomplete',
+    checks,
+    problems,
+    mode: game.mode,
+    roll: game.roll ?? null,
+    result: game.result ?? null,
+    bet_sats: game.betSats ?? null,
+    payout_sats: game.payoutSats ?? null,
+    bonus_sats: game.bonusSats,
+    house_edge: houseEdge,
+    expected,
+  });
+
+  if (!isGameMode(game.mode)) problems.push(`Unknown game mode ${game.mode}`);
+  if (!ROLL_VERSIONS[game.rollVersion]) problems.push(`Unknown roll version ${game.rollVersion}`);
+  if (!ROLL_ALGORITHMS[game.rollAlgorithm]) problems.push(`Unknown roll algorithm ${game.rollAlgorithm}`);
+  if (problems.length) return report();
+
+  if (game.serverSeed !== undefined && game.serverSeedHash !== undefined) {
+    check('commitment', commitSeed(game.serverSeed) === game.serverSeedHash, 'Server seed does not match its committed hash');
+  }
+  if (game.roll === undefined || !game.params) return report();
+
+  if (game.serverSeed !== undefined && game.clientEntropy !== undefined) {
+    const { roll } = recomputeRoll(game);
+    check('roll', roll === game.roll, `Roll should be ${roll} from the seeds, not ${game.roll}`);
+  }
+
+  const expected = checkOutcome({ ...game, result: undefined, multiplier: undefined, payoutSats: undefined, houseEdge });
+  if (game.result !== undefined) {
+    check('result', game.result === expected.result, `Result should be ${expected.result} for roll ${game.roll}`);
+  }
+  if (game.multiplier !== undefined) {
+    check(
+      'multiplier',
+      game.multiplier === expected.multiplier,
+      `Multiplier should be ${expected.multiplier} at a ${houseEdge * 100}% house edge, not ${game.multiplier}`
+    );
+  }
+  if (game.payoutSats !== undefined && expected.payoutSats !== undefined) {
+    check(
+      'payout',
+      game.payoutSats === expected.payoutSats,
+      `Payout should be ${expected.payoutSats} sats, not ${game.payoutSats}`
+    );
+  }
+  return report({ result: expected.result, multiplier: expected.multiplier, payout_sats: expected.payoutSats ?? null });
+}
+
+// The game records in a parsed JSON file: an array, { games: [...] } or a single game
+export function extractRecords(input) {
+  if (Array.isArray(input)) return input;
+  if (Array.isArray(input?.games)) return input.games;
+  if (input && typeof input === 'object') return [input];
+  throw new Error('Expected a game, an array of games or { games: [...] }');
+}
+
+/**
+ * Verify every game in `input` (see extractRecords). Returns { games: [report],
+ * summary: { games, verified, incomplete, failed, wagered_sats, paid_sats,
+ * bonus_sats, house_edge, observed_edge } } — house_edge is the games' own
+ * edges weighted by wager, observed_edge the share of the wagers the house
+ * kept, streak bonuses aside (noisy over few games).
+ */
+export function verifyRecords(input, { houseEdge = config.game.houseEdge } = {}) {
+  const games = extractRecords(input).map((record) => verifyRecord(record, { houseEdge }));
+  const count = (status) => games.filter((game) => game.status === status).length;
+  const settled = games.filter((game) => game.bet_sats !== null && game.payout_sats !== null);
+  const sum = (field) => settled.reduce((total, game) => total + game[field], 0);
+  const wagered = sum('bet_sats');
+  const paid = sum('payout_sats');
+  const bonus = sum('bonus_sats');
+  const edgeWagered = settled.reduce((total, game) => total + game.bet_sats * game.house_edge, 0);
+
+  return {
+    games,
+    summary: {
+      games: games.length,
+      verified: count('verified'),
+      incomplete: count('incomplete'),
+      failed: count('failed'),
+      wagered_sats: wagered,
+      paid_sats: paid,
+      bonus_sats: bonus,
+      house_edge: wagered ? Math.round((edgeWagered / wagered) * 1e6) / 1e6 : houseEdge,
+      observed_edge: wagered ? 1 - (paid - bonus) / wagered : null,
+    },
+  };
+}
+
+const STATUS_ICONS = { verified: '✅', incomplete: '⚠️ ', failed: '❌' };
+
+// Human-readable report: a line per game, then the summary
+export function formatReport({ games, summary }) {
+  const lines = games.map((game) => {
+    const outcome = `${game.mode} roll ${game.roll ?? '?'} ${game.result ?? '?'}, ${game.bet_sats ?? '?'} → ${game.payout_sats ?? '?'} sats`;
+    const skipped = CHECKS.filter((check) => game.checks[check] === 'skip');
+    const detail =
+      game.status === 'failed'
+        ? game.problems.join('; ')
+        : game.status === 'incomplete'
+          ? `${outcome} (not checked: ${skipped.join(', ')})`
+          : outcome;
+    return `  ${STATUS_ICONS[game.status]} ${game.game_id ?? '(no id)'}  ${detail}`;
+  });
+
+  lines.push('');
+  lines.push(
+    `  ${summary.games} game(s): ${summary.verified} verified, ${summary.incomplete} incomplete, ${summary.failed} failed`
+  );
+  if (summary.observed_edge !== null) {
+    const bonus = summary.bonus_sats ? ` (${summary.bonus_sats} of it streak bonuses)` : '';
+    lines.push(
+      `  Wagered ${summary.wagered_sats} sats, paid ${summary.paid_sats}${bonus}: the house kept ` +
+        `${(summary.observed_edge * 100).toFixed(2)}% against a ${summary.house_edge * 100}% edge`
+    );
+  }
+  if (summary.incomplete) {
+    lines.push('  Incomplete games lack their seeds — fetch GET /verify/:game_id for each to check the roll too');
+  }
+  return lines.join('\n');
+}
+
+function main(args) {
+  const files = [];
+  let houseEdge = config.game.houseEdge;
+  let json = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') json = true;
+    else if (args[i] === '--house-edge') houseEdge = parseFloat(args[++i]);
+    else files.push(args[i]);
+  }
+  if (!files.length || !(houseEdge >= 0 && houseEdge < 1)) {
+    console.error('Usage: clawdice-verify <file.json | -> [more.json …] [--house-edge 0.015] [--json]');
+    return 2;
+  }
+
+  const records = files.flatMap((file) => extractRecords(JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf8'))));
+  const result = verifyRecords(records, { houseEdge });
+  console.log(json ? JSON.stringify(result, null, 2) : formatReport(result));
+  return result.summary.failed ? 1 : 0;
+}
+
+// Installed as a bin, argv[1] is the symlink in node_modules/.bin
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  try {
+    process.exit(main(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`Verification failed: ${err.message}`);
+    process.exit(2);
+  }
+}
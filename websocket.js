@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+/**
+ * ClawDice — Minimal WebSocket server (RFC 6455)
+ *
+ * Just enough for a push feed: the opening handshake, unfragmented text
+ * frames out, and close / ping / pong in. Messages from the client are
+ * otherwise ignored, so there is no fragment reassembly and no extensions.
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_CLIENT_PAYLOAD = 4096;
+
+export const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+export function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Encode a single unmasked (server → client) frame
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Parse complete client frames from the front of `buffer`.
+ * Returns { frames: [{ opcode, payload }], rest } or { error: closeCode }.
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+
+    if (!masked) return { error: 1002 }; // clients must mask
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      return { error: 1009 };
+    }
+    if (length > MAX_CLIENT_PAYLOAD) return { error: 1009 };
+    if (buffer.length < pos + 4 + length) break;
+
+    const mask = buffer.subarray(pos, pos + 4);
+    const payload = Buffer.from(buffer.subarray(pos + 4, pos + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    offset = pos + 4 + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Complete the handshake for an HTTP upgrade request. Returns a connection
+ * { send(text), ping(), close(code), closed } or null if the request was refused
+ * (the socket is answered with 400 and ended). `onClose` runs once.
+ */
+export function acceptWebSocket(req, socket, { onClose = () => {} } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (
+    (req.headers.upgrade || '').toLowerCase() !== 'websocket' ||
+    !key ||
+    req.headers['sec-websocket-version'] !== '13'
+  ) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const conn = {
+    closed: false,
+    send(text) {
+      if (!conn.closed) socket.write(encodeFrame(OPCODES.text, text));
+    },
+    ping() {
+      if (!conn.closed) socket.write(encodeFrame(OPCODES.ping));
+    },
+    close(code = 1000) {
+      if (conn.closed) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      socket.end(encodeFrame(OPCODES.close, payload));
+      finish();
+    },
+  };
+
+  function finish() {
+    if (conn.closed) return;
+    conn.closed = true;
+    onClose();
+  }
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const result = decodeFrames(Buffer.concat([pending, chunk]));
+    if (result.error) return conn.close(result.error);
+    pending = result.rest;
+    for (const frame of result.frames) {
+      if (frame.opcode === OPCODES.close) return conn.close();
+      if (frame.opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, frame.payload));
+    }
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  return conn;
+}